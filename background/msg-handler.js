@@ -3,18 +3,48 @@
  * @description Message routing and handling
  * @module background/message-handler
  * @requires background/state-manager
+ * @requires background/offscreen-client
  * @requires lib/matching/matching-engine
- * @requires lib/parsers/txt-parser
+ * @requires lib/matching/matching-profiles
+ * @requires lib/parsers/parser-registry
+ * @requires lib/parsers/question-builder
+ * @requires lib/storage/stream-importer
+ * @requires lib/normalization/synonyms
  * @requires lib/utils/constants
  * @requires lib/utils/error-handler
  */
 
 import { stateManager } from "./state-manager.js";
+import {
+  importUpload,
+  embedImport,
+  getSemanticStatus,
+} from "./offscreen-client.js";
 import { matchingEngine } from "../lib/matching/matching-engine.js";
-import { txtParser } from "../lib/parsers/txt-parser.js";
-import { jsonParser } from "../lib/parsers/json-parser.js";
-import { MESSAGE_TYPES } from "../lib/utils/constants.js";
-import { handleError } from "../lib/utils/error-handler.js";
+import { listMatchingProfiles } from "../lib/matching/matching-profiles.js";
+import { parserRegistry } from "../lib/parsers/parser-registry.js";
+import {
+  importStreamChunk,
+  startStreamImport,
+} from "../lib/storage/stream-importer.js";
+import {
+  formatSynonymCsv,
+  parseSynonymCsv,
+} from "../lib/normalization/synonyms.js";
+import {
+  buildQuestionFromItem,
+  parseTags,
+  toQuestionItem,
+} from "../lib/parsers/question-builder.js";
+import {
+  AI_ANSWERS,
+  ERROR_CODES,
+  EXPORT_FORMATS,
+  IMPORT_MODES,
+  MESSAGE_TYPES,
+  PARSER_CONFIG,
+} from "../lib/utils/constants.js";
+import { AppError, handleError } from "../lib/utils/error-handler.js";
 
 /**
  * Handle incoming messages
@@ -38,6 +68,18 @@ export function handleMessage(message, sender, sendResponse) {
       handleUploadFile(payload, requestId).then(sendResponse);
       return true; // Async response
 
+    case MESSAGE_TYPES.STREAM_UPLOAD_START:
+      handleStreamUploadStart(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.STREAM_UPLOAD_CHUNK:
+      handleStreamUploadChunk(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.LIST_FORMATS:
+      sendResponse(handleListFormats(requestId));
+      return false; // Sync response
+
     case MESSAGE_TYPES.GET_STATS:
       handleGetStats(requestId).then(sendResponse);
       return true; // Async response
@@ -55,9 +97,77 @@ export function handleMessage(message, sender, sendResponse) {
       return true; // Async response
 
     case MESSAGE_TYPES.EXPORT_DATA:
-      handleExportData(requestId).then(sendResponse);
+      handleExportData(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.IMPORT_BACKUP:
+      handleImportBackup(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.LIST_COLLECTIONS:
+      handleListCollections(requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.SET_COLLECTION_ENABLED:
+      handleSetCollectionEnabled(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.RENAME_COLLECTION:
+      handleRenameCollection(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.DELETE_COLLECTION:
+      handleDeleteCollection(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.LIST_QUESTIONS:
+      handleListQuestions(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.ADD_QUESTION:
+      handleAddQuestion(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.UPDATE_QUESTION:
+      handleUpdateQuestion(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.DELETE_QUESTION:
+      handleDeleteQuestion(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.TAG_QUESTIONS:
+      handleTagQuestions(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.VERIFY_QUESTIONS:
+      handleVerifyQuestions(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.SAVE_AI_ANSWER:
+      handleSaveAiAnswer(payload, requestId).then(sendResponse);
       return true; // Async response
 
+    case MESSAGE_TYPES.GET_SYNONYMS:
+      handleGetSynonyms(requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.SAVE_SYNONYMS:
+      handleSaveSynonyms(payload, requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.GET_MATCHING_PROFILES:
+      handleGetMatchingProfiles(requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.GET_SEMANTIC_STATUS:
+      handleGetSemanticStatus(requestId).then(sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.IMPORT_PROGRESS:
+      // Meant for the popup; receiving it keeps this worker alive
+      return false;
+
     default:
       sendResponse({
         type: MESSAGE_TYPES.ERROR,
@@ -120,68 +230,218 @@ async function handleQueryAnswer(payload, requestId) {
  */
 async function handleUploadFile(payload, requestId) {
   try {
-    const { fileContent, fileName } = payload;
-
-    let parser;
-    if (fileName.toLowerCase().endsWith(".json")) {
-      parser = jsonParser;
-    } else {
-      parser = txtParser;
-    }
-
-    // Parse content
-    const { questions, metadata, errors } = await parser.parse(
+    const {
       fileContent,
       fileName,
-    );
+      collectionId,
+      collectionName,
+      mode = IMPORT_MODES.REPLACE,
+    } = payload;
 
-    // Clear existing data
-    await stateManager.getDBManager().clearAllQuestions();
+    assertImportMode(mode);
 
-    // Add questions to database
-    const addResult = await stateManager.getDBManager().addQuestions(questions);
+    // Parsing and writing run in the offscreen document when possible
+    const { collection, importResult, metadata, errors } = await importUpload(
+      stateManager.getDBManager(),
+      { fileContent, fileName, collectionId, collectionName, mode },
+    );
 
-    // Update metadata
-    await stateManager.getDBManager().updateMetadata("import_info", {
-      fileName,
-      timestamp: Date.now(),
-      totalQuestions: questions.length,
-      errors: errors,
-    });
+    return await completeUpload(
+      collection,
+      importResult,
+      errors,
+      metadata,
+      requestId,
+    );
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleUploadFile"),
+      requestId,
+    };
+  }
+}
 
-    // Clear cache (new data loaded)
-    stateManager.getCache().clear();
+/**
+ * Handle the start of a streamed upload (files over MAX_FILE_SIZE)
+ * @param {Object} payload - {fileName, fileSize, lastModified, collectionId, collectionName, mode}
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response with {uploadId, offset, resumed}
+ */
+async function handleStreamUploadStart(payload, requestId) {
+  try {
+    assertImportMode(payload.mode || IMPORT_MODES.REPLACE);
+
+    const upload = await startStreamImport(
+      stateManager.getDBManager(),
+      payload,
+    );
 
-    const response = {
+    return {
       type: MESSAGE_TYPES.RESPONSE,
-      payload: {
-        success: true,
-        totalQuestions: addResult.count,
-        errors: errors,
-        metadata: metadata,
-      },
+      payload: upload,
       requestId,
     };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleStreamUploadStart"),
+      requestId,
+    };
+  }
+}
 
-    // Persist result for popup persistence (fix for popup closing)
-    await chrome.storage.local.set({
-      uploadResult: {
-        success: true,
-        message: `Successfully loaded ${addResult.count} questions!`,
-        timestamp: Date.now(),
-      },
-    });
+/**
+ * Handle the next piece of a streamed upload
+ * @param {Object} payload - {uploadId, offset, size, text, final}
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response with {done: false, offset} until the
+ * final piece, then the same payload as UPLOAD_FILE
+ */
+async function handleStreamUploadChunk(payload, requestId) {
+  try {
+    const result = await importStreamChunk(
+      stateManager.getDBManager(),
+      payload,
+    );
 
-    return response;
+    if (!result.done) {
+      // Questions already committed can be matched before the upload ends
+      stateManager.getCache().clear();
+
+      return {
+        type: MESSAGE_TYPES.RESPONSE,
+        payload: { done: false, offset: result.offset },
+        requestId,
+      };
+    }
+
+    const { collection, importResult, metadata, errors } = result;
+    return await completeUpload(
+      collection,
+      importResult,
+      errors,
+      metadata,
+      requestId,
+    );
   } catch (error) {
     return {
       type: MESSAGE_TYPES.ERROR,
-      error: handleError(error, "handleUploadFile"),
+      error: handleError(error, "handleStreamUploadChunk"),
       requestId,
     };
   }
 }
 
+/**
+ * Reject import modes other than IMPORT_MODES values
+ * @param {string} mode - Requested mode
+ * @throws {AppError} If the mode is unknown
+ */
+function assertImportMode(mode) {
+  if (!Object.values(IMPORT_MODES).includes(mode)) {
+    throw new AppError(ERROR_CODES.INVALID_INPUT, "Unknown import mode", {
+      reason: `Unknown import mode "${mode}".`,
+    });
+  }
+}
+
+/**
+ * Clear the cache, embed the new questions for the semantic tier,
+ * remember the summary for the popup and build the response of a
+ * finished upload
+ * @param {Object} collection - Target collection
+ * @param {Object} importResult - Result of IndexedDBManager.importQuestions
+ * @param {Array} errors - Parse errors
+ * @param {Object} metadata - Parse metadata
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function completeUpload(
+  collection,
+  importResult,
+  errors,
+  metadata,
+  requestId,
+) {
+  // Clear cache (new data loaded)
+  stateManager.getCache().clear();
+
+  // The import ends once its questions can be matched by meaning too
+  await embedImport(metadata.fileName);
+
+  const summary = formatImportSummary(collection.name, importResult);
+
+  const response = {
+    type: MESSAGE_TYPES.RESPONSE,
+    payload: {
+      success: true,
+      done: true,
+      message: summary,
+      totalQuestions: importResult.count,
+      collection: { ...collection, questionCount: importResult.count },
+      changes: {
+        added: importResult.added,
+        updated: importResult.updated,
+        unchanged: importResult.unchanged,
+        removed: importResult.removed,
+        duplicates: importResult.duplicates,
+      },
+      errors: errors,
+      metadata: metadata,
+    },
+    requestId,
+  };
+
+  // Persist result for popup persistence (fix for popup closing)
+  await chrome.storage.local.set({
+    uploadResult: {
+      success: true,
+      message: summary,
+      timestamp: Date.now(),
+    },
+  });
+
+  return response;
+}
+
+/**
+ * Describe the outcome of an import for the popup
+ * @param {string} collectionName - Target collection name
+ * @param {Object} result - Result of IndexedDBManager.importQuestions
+ * @returns {string} Summary message
+ */
+function formatImportSummary(collectionName, result) {
+  return (
+    `Loaded "${collectionName}": ${result.added} added, ` +
+    `${result.updated} updated, ${result.unchanged} unchanged, ` +
+    `${result.removed} removed (${result.count} total)`
+  );
+}
+
+/**
+ * Handle list formats request
+ * @param {string} requestId - Request ID
+ * @returns {Object} Response
+ */
+function handleListFormats(requestId) {
+  const formats = parserRegistry.listFormats();
+
+  return {
+    type: MESSAGE_TYPES.RESPONSE,
+    payload: {
+      formats,
+      maxFileSize: PARSER_CONFIG.MAX_FILE_SIZE,
+      streamChunkSize: PARSER_CONFIG.STREAM_CHUNK_SIZE,
+      accept: parserRegistry
+        .getSupportedExtensions()
+        .map((extension) => `.${extension}`)
+        .join(","),
+    },
+    requestId,
+  };
+}
+
 /**
  * Handle get stats request
  * @param {string} requestId - Request ID
@@ -285,12 +545,19 @@ async function handleClearData(requestId) {
 
 /**
  * Handle export data request
+ * @param {Object} payload - Optional { format, filter } (EXPORT_FORMATS, default
+ *   JSON backup; QUESTION_FILTERS, ignored for the backup)
  * @param {string} requestId - Request ID
  * @returns {Promise<Object>} Response
  */
-async function handleExportData(requestId) {
+async function handleExportData(payload, requestId) {
   try {
-    const data = await stateManager.getDBManager().exportData();
+    const format = payload?.format || EXPORT_FORMATS.JSON;
+    const dbManager = stateManager.getDBManager();
+    const data =
+      format === EXPORT_FORMATS.JSON
+        ? { ...(await dbManager.exportData()), settings: stateManager.getSettings() }
+        : await dbManager.exportAs(format, payload?.filter);
 
     return {
       type: MESSAGE_TYPES.RESPONSE,
@@ -305,3 +572,523 @@ async function handleExportData(requestId) {
     };
   }
 }
+
+/**
+ * Handle import backup request
+ * @param {Object} payload - { fileContent } of a JSON backup from EXPORT_DATA
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleImportBackup(payload, requestId) {
+  try {
+    let backup;
+    try {
+      backup = JSON.parse(payload?.fileContent || "");
+    } catch (error) {
+      throw new AppError(ERROR_CODES.FILE_INVALID_FORMAT, "Invalid JSON format", {
+        originalError: error.message,
+      });
+    }
+
+    const result = await stateManager.restoreBackup(backup);
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: result,
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleImportBackup"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle list collections request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleListCollections(requestId) {
+  try {
+    const collections = await stateManager.getDBManager().getCollections();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { collections },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleListCollections"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle enable/disable collection request
+ * @param {Object} payload - { collectionId, enabled }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleSetCollectionEnabled(payload, requestId) {
+  try {
+    const { collectionId, enabled } = payload;
+    const collection = await stateManager
+      .getDBManager()
+      .updateCollection(collectionId, { enabled: enabled === true });
+
+    // Cached answers may come from a collection that is now disabled
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { success: true, collection },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleSetCollectionEnabled"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle rename collection request
+ * @param {Object} payload - { collectionId, name }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleRenameCollection(payload, requestId) {
+  try {
+    const { collectionId } = payload;
+    const name = (payload.name || "").trim();
+
+    if (!name) {
+      throw new AppError(
+        ERROR_CODES.INVALID_INPUT,
+        "Collection name cannot be empty",
+        { reason: "Collection name cannot be empty." },
+      );
+    }
+
+    const collection = await stateManager
+      .getDBManager()
+      .updateCollection(collectionId, { name });
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { success: true, collection },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleRenameCollection"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle delete collection request
+ * @param {Object} payload - { collectionId }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleDeleteCollection(payload, requestId) {
+  try {
+    const result = await stateManager
+      .getDBManager()
+      .deleteCollection(payload.collectionId);
+
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: result,
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleDeleteCollection"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle list questions request (options page table)
+ * @param {Object} payload - { search, collectionId, tag, filter, offset, limit }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleListQuestions(payload, requestId) {
+  try {
+    const result = await stateManager
+      .getDBManager()
+      .listQuestions(payload || {});
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: result,
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleListQuestions"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle add question request
+ * Without a collectionId, the question goes to a new collection named
+ * collectionName, so a question can be added before any upload
+ * @param {Object} payload - { collectionId or collectionName, question: {question, answer, ...optional fields} }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleAddQuestion(payload, requestId) {
+  try {
+    const { collectionId, question } = payload;
+    const dbManager = stateManager.getDBManager();
+    const collection = collectionId
+      ? await dbManager.getCollection(collectionId)
+      : null;
+    const name = collection
+      ? collection.sourceFileName || collection.name
+      : (payload.collectionName || "").trim();
+
+    if (!name) {
+      throw new AppError(
+        ERROR_CODES.INVALID_INPUT,
+        "Collection name cannot be empty",
+        { reason: "Collection name cannot be empty." },
+      );
+    }
+
+    // Normalization, keywords and type are computed as for an upload, and
+    // before a new collection is created, so a rejected question leaves none
+    const built = await buildQuestionFromItem(question, 0, name);
+    const target = collection || (await dbManager.createCollection(name));
+    const stored = await dbManager.addQuestion(target.id, built);
+
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { success: true, question: stored },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleAddQuestion"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle update question request
+ * @param {Object} payload - { id, changes } where changes holds the fields to
+ *   replace (question, answer, tags, ...); a null value removes a field
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleUpdateQuestion(payload, requestId) {
+  try {
+    const { id, changes = {} } = payload;
+    const dbManager = stateManager.getDBManager();
+    const current = await dbManager.getExistingQuestion(id);
+
+    const item = { ...toQuestionItem(current), ...changes };
+    for (const [field, value] of Object.entries(item)) {
+      if (value === null) delete item[field];
+    }
+
+    // A new answer replaces the answers list unless that is edited too
+    if (changes.answer !== undefined && changes.answers === undefined) {
+      delete item.answers;
+    }
+
+    const built = await buildQuestionFromItem(
+      item,
+      current.original.lineNumber,
+      current.original.fileName,
+    );
+    const stored = await dbManager.updateQuestion(id, built);
+
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { success: true, question: stored },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleUpdateQuestion"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle delete question request
+ * @param {Object} payload - { id } or { ids } for several questions
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleDeleteQuestion(payload, requestId) {
+  try {
+    const ids = payload.ids || [payload.id];
+    const result = await stateManager.getDBManager().deleteQuestions(ids);
+
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: result,
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleDeleteQuestion"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle bulk tag request
+ * @param {Object} payload - { ids, add, remove } (tag arrays or "a, b" strings)
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleTagQuestions(payload, requestId) {
+  try {
+    const { ids = [] } = payload;
+    const add = parseTags(payload.add);
+    const remove = parseTags(payload.remove);
+
+    if (add.length === 0 && remove.length === 0) {
+      throw new AppError(ERROR_CODES.INVALID_INPUT, "No tags given", {
+        reason: "Enter at least one tag to add or remove.",
+      });
+    }
+
+    const result = await stateManager
+      .getDBManager()
+      .updateQuestionTags(ids, add, remove);
+
+    // Cached answers show tags
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: result,
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleTagQuestions"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle verify request for saved AI answers
+ * @param {Object} payload - { ids }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleVerifyQuestions(payload, requestId) {
+  try {
+    const result = await stateManager
+      .getDBManager()
+      .verifyQuestions(payload.ids || []);
+
+    // Cached answers show the unverified note
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: result,
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleVerifyQuestions"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle save AI answer request (overlay "Save" button)
+ * Stores the pair in the AI answers collection, flagged as unverified, so
+ * the next search for it is answered locally
+ * @param {Object} payload - { question, answer, explanation }
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleSaveAiAnswer(payload, requestId) {
+  try {
+    const { question, answer, explanation } = payload;
+    const dbManager = stateManager.getDBManager();
+    const collection = await dbManager.getAiCollection();
+
+    const item = { question, answer };
+    if (explanation) {
+      item.explanation = explanation;
+    }
+
+    const built = await buildQuestionFromItem(item, 0, collection.name);
+    built.metadata = {
+      ...built.metadata,
+      source: AI_ANSWERS.SOURCE,
+      verified: false,
+    };
+    const stored = await dbManager.addQuestion(collection.id, built);
+
+    stateManager.getCache().clear();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { success: true, question: stored, collection },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleSaveAiAnswer"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle get synonyms request (options page)
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response with the groups and their CSV text
+ */
+async function handleGetSynonyms(requestId) {
+  try {
+    const synonyms = await stateManager.getDBManager().getSynonyms();
+    const groups = synonyms.getGroups();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: { groups, text: formatSynonymCsv(groups) },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleGetSynonyms"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle get matching profiles request (options page)
+ * Profiles are saved with UPDATE_SETTINGS ({matchingProfile, customMatchingProfile})
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response with the selected profile, every
+ * profile's values and the fields a custom profile sets
+ */
+async function handleGetMatchingProfiles(requestId) {
+  try {
+    await stateManager.loadSettings();
+
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: listMatchingProfiles(stateManager.getSettings()),
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleGetMatchingProfiles"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle semantic status request: whether the embedding model is installed
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response with {available, message}
+ */
+async function handleGetSemanticStatus(requestId) {
+  try {
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: await getSemanticStatus(),
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleGetSemanticStatus"),
+      requestId,
+    };
+  }
+}
+
+/**
+ * Handle save synonyms request (options page editor or CSV import)
+ * Every question is re-indexed with the new dictionary
+ * @param {Object} payload - { text, append } where text is CSV, one group
+ * per row, and append keeps the current groups
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} Response
+ */
+async function handleSaveSynonyms(payload, requestId) {
+  try {
+    const { text = "", append = false } = payload;
+    const dbManager = stateManager.getDBManager();
+    const { groups, skipped } = parseSynonymCsv(text);
+    const current = append ? (await dbManager.getSynonyms()).getGroups() : [];
+
+    const synonyms = await dbManager.saveSynonyms([...current, ...groups]);
+
+    // Cached results were ranked with the old dictionary
+    stateManager.getCache().clear();
+
+    const saved = synonyms.getGroups();
+    return {
+      type: MESSAGE_TYPES.RESPONSE,
+      payload: {
+        success: true,
+        groups: saved.length,
+        skipped,
+        text: formatSynonymCsv(saved),
+      },
+      requestId,
+    };
+  } catch (error) {
+    return {
+      type: MESSAGE_TYPES.ERROR,
+      error: handleError(error, "handleSaveSynonyms"),
+      requestId,
+    };
+  }
+}
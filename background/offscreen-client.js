@@ -0,0 +1,196 @@
+/**
+ * @file offscreen-client.js
+ * @description Service worker side of the offscreen document: uploads and
+ * match scoring run there, on a worker pool, and so does the embedding
+ * model of the semantic tier. Without the offscreen API (older browsers)
+ * uploads and scoring run here instead, and the semantic tier is skipped.
+ * @module background/offscreen-client
+ * @requires lib/storage/file-importer
+ * @requires lib/workers/tasks
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import {
+  importFile,
+  createProgressReporter,
+} from "../lib/storage/file-importer.js";
+import { scoreCandidates } from "../lib/workers/tasks.js";
+import {
+  AppError,
+  deserializeError,
+  getUserFriendlyMessage,
+  logError,
+} from "../lib/utils/error-handler.js";
+import {
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  WORKER_CONFIG,
+} from "../lib/utils/constants.js";
+
+// Pending createDocument() call, so concurrent requests create one document
+let creating = null;
+
+/**
+ * Check whether this browser can run an offscreen document
+ * @returns {boolean} True if chrome.offscreen is available
+ */
+function hasOffscreenSupport() {
+  return Boolean(
+    globalThis.chrome?.offscreen?.createDocument &&
+    globalThis.chrome.runtime.getContexts,
+  );
+}
+
+/**
+ * Create the offscreen document unless it is already open
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(WORKER_CONFIG.OFFSCREEN_URL)],
+  });
+  if (contexts.length > 0) return;
+
+  if (!creating) {
+    creating = chrome.offscreen
+      .createDocument({
+        url: WORKER_CONFIG.OFFSCREEN_URL,
+        reasons: [chrome.offscreen.Reason.WORKERS],
+        justification:
+          "Parse uploaded files, score matches in workers and run the on-device embedding model",
+      })
+      .finally(() => {
+        creating = null;
+      });
+  }
+  await creating;
+}
+
+/**
+ * Send a request to the offscreen document
+ * @param {string} type - MESSAGE_TYPES.OFFSCREEN_* value
+ * @param {Object} payload - Request payload
+ * @returns {Promise<any>} Response payload
+ * @throws {AppError} The error raised in the offscreen document
+ */
+async function sendToOffscreen(type, payload) {
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    target: WORKER_CONFIG.OFFSCREEN_TARGET,
+    type,
+    payload,
+  });
+
+  if (!response) {
+    throw new AppError(
+      ERROR_CODES.UNKNOWN_ERROR,
+      "Offscreen document did not answer",
+    );
+  }
+  if (response.type === MESSAGE_TYPES.ERROR) {
+    throw deserializeError(response.error);
+  }
+  return response.payload;
+}
+
+/**
+ * Parse and import an uploaded file
+ * @param {Object} dbManager - Database manager (used when importing here)
+ * @param {Object} request - UPLOAD_FILE payload
+ * @returns {Promise<{collection: Object, importResult: Object, metadata: Object, errors: Array}>} Import outcome
+ */
+export function importUpload(dbManager, request) {
+  if (hasOffscreenSupport()) {
+    return sendToOffscreen(MESSAGE_TYPES.OFFSCREEN_IMPORT, request);
+  }
+
+  return importFile(dbManager, request, {
+    onProgress: createProgressReporter(request.fileName),
+  });
+}
+
+/**
+ * Embed the questions of a finished import for the semantic tier
+ * Without the offscreen API there is no semantic tier, so nothing to do
+ * @param {string} fileName - Uploaded file name, for progress messages
+ * @returns {Promise<void>} Settles when they are embedded (at once if the
+ * model is not installed)
+ */
+export async function embedImport(fileName) {
+  if (!hasOffscreenSupport()) {
+    return;
+  }
+
+  try {
+    await sendToOffscreen(MESSAGE_TYPES.OFFSCREEN_EMBED, { fileName });
+  } catch (error) {
+    logError(error, "offscreenClient.embedImport");
+  }
+}
+
+/**
+ * Matching engine scorer that runs the fuzzy and partial tiers on the
+ * offscreen worker pool, and here if that fails
+ * @param {Object} request - scoreCandidates() request
+ * @returns {Promise<{fuzzy: Array, partial: Array}>} Match results of each tier
+ */
+export async function scoreOffscreen(request) {
+  if (!hasOffscreenSupport()) {
+    return scoreCandidates(request);
+  }
+
+  try {
+    return await sendToOffscreen(MESSAGE_TYPES.OFFSCREEN_SCORE, request);
+  } catch (error) {
+    logError(error, "offscreenClient.scoreOffscreen");
+    return scoreCandidates(request);
+  }
+}
+
+/**
+ * Matching engine semantic search, run by the embedding model in the
+ * offscreen document
+ * @param {Object} request - SemanticIndex.search() request
+ * @returns {Promise<Array<{id: string, similarity: number}>>} Closest
+ * questions (empty if the search cannot run)
+ */
+export async function searchSemanticOffscreen(request) {
+  if (!hasOffscreenSupport()) {
+    return [];
+  }
+
+  try {
+    return await sendToOffscreen(MESSAGE_TYPES.OFFSCREEN_SEMANTIC, request);
+  } catch (error) {
+    logError(error, "offscreenClient.searchSemanticOffscreen");
+    return [];
+  }
+}
+
+/**
+ * Check whether semantic matching can run
+ * @returns {Promise<{available: boolean, message: string|null}>} Status, with
+ * a message for the user if it cannot run
+ */
+export async function getSemanticStatus() {
+  if (!hasOffscreenSupport()) {
+    return {
+      available: false,
+      message: "Semantic matching needs a newer version of Chrome.",
+    };
+  }
+
+  const { available } = await sendToOffscreen(
+    MESSAGE_TYPES.OFFSCREEN_SEMANTIC_STATUS,
+    {},
+  );
+  return {
+    available,
+    message: available
+      ? null
+      : getUserFriendlyMessage(ERROR_CODES.MODEL_UNAVAILABLE),
+  };
+}
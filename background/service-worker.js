@@ -4,10 +4,20 @@
  * @module background/service-worker
  * @requires background/state-manager
  * @requires background/message-handler
+ * @requires background/offscreen-client
+ * @requires lib/matching/matching-engine
  */
 
 import { stateManager } from "./state-manager.js";
 import { handleMessage } from "./msg-handler.js";
+import { scoreOffscreen, searchSemanticOffscreen } from "./offscreen-client.js";
+import { matchingEngine } from "../lib/matching/matching-engine.js";
+
+// Score fuzzy and partial matches on the offscreen worker pool
+matchingEngine.useScorer(scoreOffscreen);
+
+// Run the semantic tier's embedding model in the offscreen document
+matchingEngine.useSemanticSearch(searchSemanticOffscreen);
 
 // Initialize state manager on startup
 stateManager
@@ -23,14 +33,19 @@ stateManager
 chrome.runtime.onInstalled.addListener(() => {
   console.log("[ServiceWorker] Extension installed");
 
-  // Create context menu item
+  // Create context menu items
   chrome.contextMenus.create({
     id: "searchAnswer",
     title: "Search Answer",
     contexts: ["selection"],
   });
+  chrome.contextMenus.create({
+    id: "addToAnswerFinder",
+    title: "Add to AnswerFinder…",
+    contexts: ["selection"],
+  });
 
-  console.log("[ServiceWorker] Context menu created");
+  console.log("[ServiceWorker] Context menus created");
 });
 
 // Check if URL is restricted (cannot inject content scripts)
@@ -47,61 +62,72 @@ function isRestrictedUrl(url) {
 
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === "searchAnswer") {
-    const selectedText = info.selectionText;
-
-    // Skip restricted URLs silently
-    if (isRestrictedUrl(tab.url)) {
-      console.log("[ServiceWorker] Skipping restricted URL:", tab.url);
-      return;
-    }
+  const selectedText = info.selectionText;
 
+  if (info.menuItemId === "searchAnswer") {
     console.log("[ServiceWorker] Context menu clicked", { selectedText });
 
     // Send message to content script to show overlay
-    chrome.tabs
-      .sendMessage(tab.id, {
-        type: "SHOW_ANSWER_OVERLAY",
-        payload: { query: selectedText },
-      })
-      .catch(async (error) => {
-        console.log(
-          "[ServiceWorker] Content script not ready. Attempting to inject...",
-          error.message,
-        );
-
-        try {
-          // programmatic injection
-          await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            files: ["content/content-script-bundled.js"],
-          });
-
-          console.log(
-            "[ServiceWorker] Injection successful. Retrying message...",
-          );
-
-          // Retry message after small delay to allow script to initialize
-          setTimeout(() => {
-            chrome.tabs
-              .sendMessage(tab.id, {
-                type: "SHOW_ANSWER_OVERLAY",
-                payload: { query: selectedText },
-              })
-              .catch((err) =>
-                console.error("[ServiceWorker] Retry failed:", err),
-              );
-          }, 100);
-        } catch (injectionError) {
-          console.error(
-            "[ServiceWorker] Failed to inject content script:",
-            injectionError,
-          );
-        }
-      });
+    sendToContentScript(tab, {
+      type: "SHOW_ANSWER_OVERLAY",
+      payload: { query: selectedText },
+    });
+  } else if (info.menuItemId === "addToAnswerFinder") {
+    console.log("[ServiceWorker] Add to AnswerFinder clicked", {
+      selectedText,
+    });
+
+    // Send message to content script to show the add form
+    sendToContentScript(tab, {
+      type: "SHOW_ADD_FORM",
+      payload: { text: selectedText },
+    });
   }
 });
 
+/**
+ * Send a message to the tab's content script, injecting it first if the page
+ * was open before the extension was installed or reloaded
+ * @param {chrome.tabs.Tab} tab - Target tab
+ * @param {Object} message - Message for the content script
+ */
+function sendToContentScript(tab, message) {
+  // Skip restricted URLs silently
+  if (isRestrictedUrl(tab.url)) {
+    console.log("[ServiceWorker] Skipping restricted URL:", tab.url);
+    return;
+  }
+
+  chrome.tabs.sendMessage(tab.id, message).catch(async (error) => {
+    console.log(
+      "[ServiceWorker] Content script not ready. Attempting to inject...",
+      error.message,
+    );
+
+    try {
+      // programmatic injection
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ["content/content-script-bundled.js"],
+      });
+
+      console.log("[ServiceWorker] Injection successful. Retrying message...");
+
+      // Retry message after small delay to allow script to initialize
+      setTimeout(() => {
+        chrome.tabs
+          .sendMessage(tab.id, message)
+          .catch((err) => console.error("[ServiceWorker] Retry failed:", err));
+      }, 100);
+    } catch (injectionError) {
+      console.error(
+        "[ServiceWorker] Failed to inject content script:",
+        injectionError,
+      );
+    }
+  });
+}
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return handleMessage(message, sender, sendResponse);
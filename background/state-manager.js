@@ -4,11 +4,16 @@
  * @module background/state-manager
  * @requires lib/storage/indexeddb-manager
  * @requires lib/storage/cache-manager
+ * @requires lib/matching/matching-profiles
  * @requires lib/utils/constants
  */
 
 import { dbManager } from "../lib/storage/indexeddb-manager.js";
 import { queryCache } from "../lib/storage/cache-manager.js";
+import {
+  upgradeMatchingSettings,
+  validateMatchingSettings,
+} from "../lib/matching/matching-profiles.js";
 import { DEFAULT_SETTINGS } from "../lib/utils/constants.js";
 
 /**
@@ -65,13 +70,20 @@ class StateManager {
   /**
    * Update settings
    * @param {Object} newSettings - New settings to merge
+   * @throws {AppError} If the matching profile settings are invalid
    */
   async updateSettings(newSettings) {
-    this.settings = { ...this.settings, ...newSettings };
+    this.settings = {
+      ...this.settings,
+      ...validateMatchingSettings(newSettings),
+    };
 
     // Save to chrome.storage.local for persistence
     await chrome.storage.local.set({ settings: this.settings });
 
+    // Cached results were found with the old settings
+    this.cache.clear();
+
     console.log("[StateManager] Settings updated and saved", this.settings);
   }
 
@@ -82,7 +94,10 @@ class StateManager {
     try {
       const result = await chrome.storage.local.get("settings");
       if (result.settings) {
-        this.settings = { ...DEFAULT_SETTINGS, ...result.settings };
+        this.settings = {
+          ...DEFAULT_SETTINGS,
+          ...upgradeMatchingSettings(result.settings),
+        };
         console.log(
           "[StateManager] Settings loaded from storage",
           this.settings,
@@ -98,6 +113,29 @@ class StateManager {
     }
   }
 
+  /**
+   * Replace all data and settings with an exported backup
+   * @param {Object} backup - Parsed backup file
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreBackup(backup) {
+    const result = await this.dbManager.restoreBackup(backup);
+
+    // Only settings this version knows about are taken over
+    if (backup.settings && typeof backup.settings === "object") {
+      const settings = Object.fromEntries(
+        Object.entries(upgradeMatchingSettings(backup.settings)).filter(
+          ([key]) => key in DEFAULT_SETTINGS,
+        ),
+      );
+      await this.updateSettings(settings);
+    }
+
+    this.cache.clear();
+    console.log("[StateManager] Backup restored");
+    return result;
+  }
+
   /**
    * Clear all data
    */
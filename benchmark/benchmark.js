@@ -0,0 +1,309 @@
+/**
+ * @file benchmark.js
+ * @description Query latency at growing database sizes, checked against
+ * PERFORMANCE_TARGETS.QUERY_MATCH
+ * @module benchmark/benchmark
+ *
+ * Open chrome-extension://<id>/benchmark/benchmark.html. The benchmark
+ * fills its own database with generated questions, so the questions you
+ * imported are never touched.
+ */
+
+import { IndexedDBManager } from "../lib/storage/indexeddb-manager.js";
+import { MatchingEngine } from "../lib/matching/matching-engine.js";
+import { LRUCache } from "../lib/storage/cache-manager.js";
+import { buildQuestionObject } from "../lib/parsers/question-builder.js";
+import {
+  BENCHMARK_CONFIG,
+  PERFORMANCE_TARGETS,
+  IMPORT_MODES,
+} from "../lib/utils/constants.js";
+
+// DOM elements
+const sizesInput = document.getElementById("sizesInput");
+const runBtn = document.getElementById("runBtn");
+const statusEl = document.getElementById("status");
+const resultsBody = document.getElementById("resultsBody");
+
+// Words the generated questions are made of
+const VOCABULARY_SIZE = 5000;
+const SYLLABLES = [
+  "ka", "lo", "mi", "ren", "tu", "sa", "vor", "ne", "pi", "dal",
+  "shi", "gro", "ul", "fen", "ba", "tri", "zo", "mar", "el", "quin",
+];
+const TEMPLATES = [
+  "What is the {w} {w} of the {w} {w}?",
+  "Which {w} causes {w} {w} in {w}?",
+  "Who first described the {w} {w} {w}?",
+  "How does {w} {w} affect the {w} of {w}?",
+  "When was the {w} {w} of {w} introduced?",
+];
+
+sizesInput.value = BENCHMARK_CONFIG.SIZES.join(", ");
+runBtn.addEventListener("click", run);
+
+/**
+ * Run the benchmark for every requested size, smallest first
+ */
+async function run() {
+  const sizes = parseSizes(sizesInput.value);
+  if (sizes.length === 0) {
+    setStatus("Enter one or more database sizes");
+    return;
+  }
+
+  runBtn.disabled = true;
+  resultsBody.replaceChildren();
+
+  const random = createRandom(BENCHMARK_CONFIG.SEED);
+  const vocabulary = createVocabulary(random);
+  const database = new IndexedDBManager(BENCHMARK_CONFIG.DB_NAME);
+  const engine = new MatchingEngine(database, new LRUCache());
+  const stored = [];
+
+  try {
+    await deleteDatabase(database);
+
+    for (const size of sizes) {
+      setStatus(`Importing ${size.toLocaleString()} questions...`);
+      const importTime = await fillDatabase(
+        database,
+        size,
+        stored,
+        random,
+        vocabulary,
+      );
+
+      setStatus(`Querying ${size.toLocaleString()} questions...`);
+      const latencies = await measureQueries(
+        engine,
+        stored,
+        random,
+        vocabulary,
+      );
+
+      renderRow(size, importTime, latencies);
+    }
+
+    setStatus("Done");
+  } catch (error) {
+    console.error("[Benchmark] Failed:", error);
+    setStatus(`Benchmark failed: ${error.message}`);
+  } finally {
+    await deleteDatabase(database).catch(() => {});
+    runBtn.disabled = false;
+  }
+}
+
+/**
+ * Add generated questions until the database holds size questions
+ * Each step goes into its own collection, as separate uploads would
+ * @param {IndexedDBManager} database - Benchmark database
+ * @param {number} size - Target question count
+ * @param {string[]} stored - Texts already stored (extended in place)
+ * @param {Function} random - Seeded random number generator
+ * @param {string[]} vocabulary - Word list
+ * @returns {Promise<number>} Import time in ms
+ */
+async function fillDatabase(database, size, stored, random, vocabulary) {
+  const questions = [];
+  const start = performance.now();
+
+  while (stored.length < size) {
+    const text = generateQuestion(random, vocabulary);
+    stored.push(text);
+    questions.push(
+      await buildQuestionObject(
+        text,
+        `Answer ${stored.length}`,
+        stored.length,
+        "benchmark",
+      ),
+    );
+  }
+
+  const collection = await database.createCollection(`Up to ${size}`);
+  await database.importQuestions(
+    collection.id,
+    questions,
+    IMPORT_MODES.REPLACE,
+  );
+
+  return performance.now() - start;
+}
+
+/**
+ * Time full lookups (cache and AI off)
+ * Queries cycle through a stored question, a reworded stored question and
+ * a question that is not stored, which runs every local tier
+ * @param {MatchingEngine} engine - Engine searching the benchmark database
+ * @param {string[]} stored - Stored question texts
+ * @param {Function} random - Seeded random number generator
+ * @param {string[]} vocabulary - Word list
+ * @returns {Promise<number[]>} Latencies in ms, ascending
+ */
+async function measureQueries(engine, stored, random, vocabulary) {
+  const latencies = [];
+
+  for (let i = 0; i < BENCHMARK_CONFIG.QUERIES_PER_SIZE; i++) {
+    const picked = stored[Math.floor(random() * stored.length)];
+    const query = [
+      picked,
+      rewordQuestion(picked, random),
+      generateQuestion(random, vocabulary),
+    ][i % 3];
+
+    const start = performance.now();
+    await engine.findAnswer(query, { useCache: false, aiEnabled: false });
+    latencies.push(performance.now() - start);
+  }
+
+  return latencies.sort((a, b) => a - b);
+}
+
+/**
+ * Add a result row
+ * @param {number} size - Question count
+ * @param {number} importTime - Import time in ms
+ * @param {number[]} latencies - Query latencies in ms, ascending
+ */
+function renderRow(size, importTime, latencies) {
+  const p95 = percentile(latencies, 0.95);
+  const target = PERFORMANCE_TARGETS.QUERY_MATCH;
+  const cells = [
+    size.toLocaleString(),
+    `${(importTime / 1000).toFixed(1)} s`,
+    `${percentile(latencies, 0.5).toFixed(1)} ms`,
+    `${p95.toFixed(1)} ms`,
+    `${latencies[latencies.length - 1].toFixed(1)} ms`,
+    `${target} ms`,
+    p95 <= target ? "Pass" : "Over target",
+  ];
+
+  const row = document.createElement("tr");
+  for (const text of cells) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+  row.lastChild.className = p95 <= target ? "pass" : "fail";
+  resultsBody.appendChild(row);
+}
+
+/**
+ * Close and delete the benchmark database
+ * @param {IndexedDBManager} database - Benchmark database
+ * @returns {Promise<void>}
+ */
+function deleteDatabase(database) {
+  if (database.db) {
+    database.db.close();
+    database.db = null;
+    database.isInitialized = false;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(database.dbName);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read the sizes field
+ * @param {string} value - Comma-separated sizes
+ * @returns {number[]} Positive sizes, ascending and unique
+ */
+function parseSizes(value) {
+  const sizes = value
+    .split(/[,\s]+/)
+    .map((size) => parseInt(size.replace(/[_.]/g, ""), 10))
+    .filter((size) => size > 0);
+
+  return [...new Set(sizes)].sort((a, b) => a - b);
+}
+
+/**
+ * Value below which a share of the latencies fall
+ * @param {number[]} sorted - Latencies, ascending
+ * @param {number} share - 0-1
+ * @returns {number} Latency in ms
+ */
+function percentile(sorted, share) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
+/**
+ * Generate a question from a template
+ * @param {Function} random - Seeded random number generator
+ * @param {string[]} vocabulary - Word list
+ * @returns {string} Question text
+ */
+function generateQuestion(random, vocabulary) {
+  const template = TEMPLATES[Math.floor(random() * TEMPLATES.length)];
+  const word = () => vocabulary[Math.floor(random() * vocabulary.length)];
+  return template.replace(/\{w\}/g, word);
+}
+
+/**
+ * Drop one word and swap two letters of another
+ * @param {string} question - Stored question text
+ * @param {Function} random - Seeded random number generator
+ * @returns {string} Reworded question
+ */
+function rewordQuestion(question, random) {
+  const words = question.split(" ");
+  words.splice(1 + Math.floor(random() * (words.length - 1)), 1);
+
+  const index = Math.floor(random() * words.length);
+  const word = words[index];
+  if (word.length > 3) {
+    words[index] = word[0] + word[2] + word[1] + word.slice(3);
+  }
+  return words.join(" ");
+}
+
+/**
+ * Build made-up words from syllables, so the term statistics resemble
+ * a real collection rather than a handful of repeated words
+ * @param {Function} random - Seeded random number generator
+ * @returns {string[]} Unique words
+ */
+function createVocabulary(random) {
+  const words = new Set();
+
+  while (words.size < VOCABULARY_SIZE) {
+    const length = 2 + Math.floor(random() * 3);
+    let word = "";
+    for (let i = 0; i < length; i++) {
+      word += SYLLABLES[Math.floor(random() * SYLLABLES.length)];
+    }
+    words.add(word);
+  }
+  return [...words];
+}
+
+/**
+ * Seeded random number generator (mulberry32), so runs are comparable
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Show progress
+ * @param {string} message - Status text
+ */
+function setStatus(message) {
+  statusEl.textContent = message;
+}
@@ -67,6 +67,23 @@ function getSelectionPosition() {
   };
 }
 
+/**
+ * Get the selected text with its line breaks
+ * The context menu collapses line breaks, which hides option lists, so the
+ * live selection is used when it is the same text
+ * @param {string} selectionText - Text from the context menu
+ * @returns {string} Selected text
+ */
+function getSelectedBlock(selectionText) {
+  const selection = window.getSelection();
+  const text = selection ? selection.toString().trim() : "";
+  const collapse = (value) => (value || "").replace(/\s+/g, " ").trim();
+
+  return text && collapse(text) === collapse(selectionText)
+    ? text
+    : selectionText;
+}
+
 // ============================================================================
 // OVERLAY MANAGER
 // ============================================================================
@@ -77,10 +94,13 @@ function getSelectionPosition() {
 class OverlayManager {
   constructor() {
     this.overlay = null;
+    this.answerText = null;
     this.isVisible = false;
     this.autoHideTimer = null;
     this.autoHideRemaining = 5000; // 5 seconds
     this.autoHideStartTime = 0;
+    this.aiAnswer = null; // {question, answer, explanation} of an AI result
+    this.result = null; // Match result shown, with its ranked matches
 
     // Bind methods
     this.boundHandleOutsideClick = this.handleOutsideClick.bind(this);
@@ -211,8 +231,23 @@ class OverlayManager {
     overlay.className = "answerfinder-overlay";
 
     if (result.success && result.match) {
-      const { question, matchType, confidence, explanation } = result.match;
+      this.result = result;
+      const { question, matchType, confidence, explanation, metadata } =
+        result.match;
       const confidenceLevel = this.getConfidenceLevel(confidence, matchType);
+      const matchedAlias = metadata && metadata.matchedAlias;
+      const unverified =
+        question.metadata?.source === "ai" &&
+        question.metadata.verified === false;
+      this.answerText = question.original.answer;
+      this.aiAnswer =
+        matchType === "ai"
+          ? {
+              question: question.original.question,
+              answer: question.original.answer,
+              explanation,
+            }
+          : null;
 
       overlay.innerHTML = `
         <div class="answerfinder-header">
@@ -222,9 +257,9 @@ class OverlayManager {
           <button class="answerfinder-close" title="Close">&times;</button>
         </div>
         <div class="answerfinder-content">
-          <div class="answerfinder-answer">
-            ${this.escapeHtml(question.original.answer)}
-          </div>
+          <div class="answerfinder-answer${question.original.answerFormat === "markdown" ? " answerfinder-markdown" : ""}">${this.renderAnswer(question.original)}</div>
+          ${this.renderOptions(result.match.optionMatch)}
+          ${this.renderDetails(question.original)}
           ${
             matchType === "ai" && explanation
               ? `
@@ -236,14 +271,31 @@ class OverlayManager {
               : `
           <div class="answerfinder-meta">
             <small>${explanation}</small>
+            ${
+              unverified
+                ? `<small class="answerfinder-unverified">Saved AI answer, not verified yet</small>`
+                : ""
+            }
           </div>
           <div class="answerfinder-question">
             <small><strong>Matched question:</strong> ${this.escapeHtml(question.original.question)}</small>
+            ${
+              matchedAlias
+                ? `<small class="answerfinder-alias">via alias "${this.escapeHtml(matchedAlias)}"</small>`
+                : ""
+            }
+            ${matchType === "exact" ? "" : this.renderMatchedKeywords(metadata?.matchedKeywords)}
           </div>
           `
           }
+          ${this.renderRunnersUp(result.matches)}
         </div>
         <div class="answerfinder-footer">
+          ${
+            this.aiAnswer
+              ? `<button class="answerfinder-secondary answerfinder-save-ai" title="Save this answer so it is found locally next time">Save to my database</button>`
+              : ""
+          }
           <button class="answerfinder-copy" title="Copy answer">Copy</button>
         </div>
         <div class="answerfinder-progress-bar"></div>
@@ -266,6 +318,252 @@ class OverlayManager {
     return overlay;
   }
 
+  /**
+   * Render the answer, as a numbered list when it has several parts
+   * @param {Object} original - Original question fields
+   * @returns {string} HTML
+   */
+  renderAnswer(original) {
+    if (original.answerFormat === "markdown") {
+      return this.renderMarkdown(original.answer);
+    }
+    if (Array.isArray(original.answers) && original.answers.length > 1) {
+      const items = original.answers
+        .map((answer) => `<li>${this.escapeHtml(answer)}</li>`)
+        .join("");
+      return `<ol class="answerfinder-answer-list">${items}</ol>`;
+    }
+    return this.escapeHtml(original.answer);
+  }
+
+  /**
+   * Render basic Markdown (paragraphs, line breaks, lists, code, links, emphasis)
+   * Text is escaped first, so only the markup built here reaches the page
+   * @param {string} markdown - Markdown text
+   * @returns {string} HTML
+   */
+  renderMarkdown(markdown) {
+    const blocks = [];
+    const lines = String(markdown || "").split("\n");
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Fenced code block
+      if (/^\s*(```|~~~)/.test(line)) {
+        const code = [];
+        i++;
+        while (i < lines.length && !/^\s*(```|~~~)/.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        blocks.push(`<pre><code>${this.escapeHtml(code.join("\n"))}</code></pre>`);
+        continue;
+      }
+
+      // Bulleted or numbered list
+      const listType = /^\s*[-*+]\s+/.test(line)
+        ? "ul"
+        : /^\s*\d+[.)]\s+/.test(line)
+          ? "ol"
+          : null;
+      if (listType) {
+        const items = [];
+        while (i < lines.length && /^\s*([-*+]|\d+[.)])\s+/.test(lines[i])) {
+          items.push(
+            `<li>${this.renderInlineMarkdown(lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, ""))}</li>`,
+          );
+          i++;
+        }
+        blocks.push(`<${listType}>${items.join("")}</${listType}>`);
+        continue;
+      }
+
+      if (line.trim() === "") {
+        i++;
+        continue;
+      }
+
+      // Paragraph: consecutive plain lines; one ending in a backslash
+      // ends with a line break
+      const paragraph = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() !== "" &&
+        !/^\s*(```|~~~|[-*+]\s+|\d+[.)]\s+)/.test(lines[i])
+      ) {
+        paragraph.push(lines[i].replace(/^#{1,6}\s+/, ""));
+        i++;
+      }
+      const text = paragraph
+        .map((part, index) =>
+          index < paragraph.length - 1 && part.endsWith("\\")
+            ? `${part.slice(0, -1)}\n`
+            : `${part} `,
+        )
+        .join("")
+        .trim();
+      blocks.push(
+        `<p>${this.renderInlineMarkdown(text).replace(/\n/g, "<br>")}</p>`,
+      );
+    }
+
+    return blocks.join("");
+  }
+
+  /**
+   * Render inline Markdown: code, links, bold and italic
+   * @param {string} text - Markdown text
+   * @returns {string} HTML
+   */
+  renderInlineMarkdown(text) {
+    return this.escapeHtml(text)
+      .replace(/`([^`]+)`/g, "<code>$1</code>")
+      .replace(
+        /\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)"']+)\)/g,
+        '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>',
+      )
+      .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^*])\*([^*]+)\*/g, "$1<em>$2</em>");
+  }
+
+  /**
+   * Render multiple-choice options with the one to pick highlighted
+   * @param {Object} optionMatch - Options and selected index from the matcher
+   * @returns {string} HTML
+   */
+  renderOptions(optionMatch) {
+    if (!optionMatch || !optionMatch.options.length) return "";
+
+    const items = optionMatch.options
+      .map((option, index) => {
+        const selected = index === optionMatch.selectedIndex;
+        return `
+            <li class="answerfinder-option${selected ? " answerfinder-option-selected" : ""}">
+              <span class="answerfinder-option-label">${this.escapeHtml(option.label)}</span>
+              ${this.escapeHtml(option.text)}
+            </li>`;
+      })
+      .join("");
+
+    const note =
+      optionMatch.fromPage && optionMatch.selectedIndex === -1
+        ? `<small class="answerfinder-option-note">None of these options matches the stored answer.</small>`
+        : "";
+
+    return `
+          <ul class="answerfinder-options">${items}</ul>
+          ${note}`;
+  }
+
+  /**
+   * Render explanation, source and tags when the question has them
+   * @param {Object} original - Original question fields
+   * @returns {string} HTML
+   */
+  renderDetails(original) {
+    let html = "";
+
+    if (original.explanation) {
+      html += `
+          <div class="answerfinder-explanation">
+            <strong>Why:</strong> ${this.escapeHtml(original.explanation)}
+          </div>`;
+    }
+    if (original.source) {
+      html += `
+          <div class="answerfinder-source">
+            <small><strong>Source:</strong> ${this.escapeHtml(original.source)}</small>
+          </div>`;
+    }
+    if (Array.isArray(original.tags) && original.tags.length > 0) {
+      const tags = original.tags
+        .map((tag) => `<span class="answerfinder-tag">${this.escapeHtml(tag)}</span>`)
+        .join("");
+      html += `
+          <div class="answerfinder-tags">${tags}</div>`;
+    }
+
+    return html;
+  }
+
+  /**
+   * Render the query words found in the matched question; words matched
+   * through the synonym dictionary show the question's word next to them
+   * @param {Array<{word: string, synonym: string|null}>} keywords - Matched keywords
+   * @returns {string} HTML
+   */
+  renderMatchedKeywords(keywords) {
+    if (!keywords || keywords.length === 0) {
+      return "";
+    }
+
+    const items = keywords
+      .map(({ word, synonym }) =>
+        synonym
+          ? `<span class="answerfinder-keyword answerfinder-keyword-synonym" title="Synonym">${this.escapeHtml(word)} &rarr; ${this.escapeHtml(synonym)}</span>`
+          : `<span class="answerfinder-keyword">${this.escapeHtml(word)}</span>`,
+      )
+      .join("");
+    return `<small class="answerfinder-keywords"><strong>Matched keywords:</strong> ${items}</small>`;
+  }
+
+  /**
+   * Render the other ranked matches as a collapsed list
+   * @param {Array} matches - Ranked matches, best first
+   * @returns {string} HTML
+   */
+  renderRunnersUp(matches) {
+    const runnersUp = (matches || []).slice(1);
+    if (runnersUp.length === 0) {
+      return "";
+    }
+
+    const tierNames = {
+      exact: "Exact",
+      keyword: "Keyword",
+      fuzzy: "Fuzzy",
+      partial: "Partial",
+      semantic: "Semantic",
+    };
+    const items = runnersUp
+      .map((match, index) => {
+        const { original } = match.question;
+        const percent = Math.round(match.confidence * 100);
+        return `
+            <li class="answerfinder-runner-up">
+              <div class="answerfinder-runner-up-head">
+                <span class="answerfinder-runner-up-score">${tierNames[match.matchType] || match.matchType} · ${percent}%</span>
+                <button class="answerfinder-runner-up-use" data-index="${index + 1}" title="Show this match instead">Use</button>
+              </div>
+              <div class="answerfinder-runner-up-question">${this.escapeHtml(original.question)}</div>
+              <div class="answerfinder-runner-up-answer">${this.escapeHtml(original.answer)}</div>
+            </li>`;
+      })
+      .join("");
+
+    return `
+          <details class="answerfinder-runners-up">
+            <summary>${runnersUp.length} other match${runnersUp.length === 1 ? "" : "es"}</summary>
+            <ol>${items}</ol>
+          </details>`;
+  }
+
+  /**
+   * Show a runner-up as the main match
+   * @param {number} index - Index in the ranked matches
+   */
+  promoteMatch(index) {
+    const { matches } = this.result;
+    const reordered = [
+      matches[index],
+      ...matches.filter((match, i) => i !== index),
+    ];
+    this.showOverlay({ ...this.result, match: reordered[0], matches: reordered });
+  }
+
   /**
    * Position overlay on page
    * @param {HTMLElement} overlay - Overlay element
@@ -297,6 +595,23 @@ class OverlayManager {
       copyBtn.addEventListener("click", () => this.copyAnswer());
     }
 
+    // Runner-up buttons
+    this.overlay
+      .querySelectorAll(".answerfinder-runner-up-use")
+      .forEach((button) =>
+        button.addEventListener("click", (event) => {
+          // The overlay is rebuilt, so the click must not count as outside it
+          event.stopPropagation();
+          this.promoteMatch(Number(button.dataset.index));
+        }),
+      );
+
+    // Save AI answer button
+    const saveBtn = this.overlay.querySelector(".answerfinder-save-ai");
+    if (saveBtn) {
+      saveBtn.addEventListener("click", () => this.saveAiAnswer(saveBtn));
+    }
+
     // Click outside to close
     document.addEventListener("click", this.boundHandleOutsideClick);
 
@@ -338,7 +653,7 @@ class OverlayManager {
   copyAnswer() {
     const answerElement = this.overlay.querySelector(".answerfinder-answer");
     if (answerElement) {
-      const text = answerElement.textContent;
+      const text = this.answerText || answerElement.textContent;
       navigator.clipboard.writeText(text).then(() => {
         const copyBtn = this.overlay.querySelector(".answerfinder-copy");
         if (copyBtn) {
@@ -351,6 +666,49 @@ class OverlayManager {
     }
   }
 
+  /**
+   * Store the AI answer in the local database
+   * @param {HTMLButtonElement} saveBtn - Button to report the outcome on
+   */
+  async saveAiAnswer(saveBtn) {
+    saveBtn.disabled = true;
+    saveBtn.textContent = "Saving...";
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "SAVE_AI_ANSWER",
+        payload: this.aiAnswer,
+        requestId: Date.now().toString(),
+      });
+
+      if (response.type === "RESPONSE") {
+        saveBtn.textContent = "Saved";
+        return;
+      }
+      this.showSaveError(
+        saveBtn,
+        response.error?.error?.message || "An error occurred",
+      );
+    } catch (error) {
+      console.error("[ContentScript] Error saving AI answer", error);
+      this.showSaveError(saveBtn, "Failed to save answer. Please try again.");
+    }
+  }
+
+  /**
+   * Report a failed save below the answer
+   * @param {HTMLButtonElement} saveBtn - Save button
+   * @param {string} message - Error message
+   */
+  showSaveError(saveBtn, message) {
+    saveBtn.textContent = "Save failed";
+
+    const error = document.createElement("div");
+    error.className = "answerfinder-option-note";
+    error.textContent = message;
+    this.overlay?.querySelector(".answerfinder-content").appendChild(error);
+  }
+
   /**
    * Hide overlay
    */
@@ -411,6 +769,267 @@ class OverlayManager {
 // Create singleton instance
 const overlayManager = new OverlayManager();
 
+// ============================================================================
+// ADD FORM
+// ============================================================================
+
+/**
+ * In-page form for storing a Q&A pair from the selected text
+ */
+class AddFormManager {
+  constructor() {
+    this.form = null;
+    this.collectionId = null; // Last collection saved to on this page
+
+    // Bind methods
+    this.boundHandleEscKey = this.handleEscKey.bind(this);
+  }
+
+  /**
+   * Show the form with the selection as the question
+   * @param {string} text - Selected text
+   */
+  showForm(text) {
+    overlayManager.hideOverlay();
+    this.hideForm();
+
+    this.form = this.createForm(text);
+    document.body.appendChild(this.form);
+    this.setupEventListeners();
+    this.loadCollections();
+
+    this.form.querySelector(".answerfinder-add-answer").focus();
+  }
+
+  /**
+   * Create form element
+   * @param {string} text - Selected text
+   * @returns {HTMLElement} Form element
+   */
+  createForm(text) {
+    const form = document.createElement("div");
+    form.id = "answerfinder-add-form";
+    form.className = "answerfinder-overlay answerfinder-add-form";
+
+    form.innerHTML = `
+      <div class="answerfinder-header">
+        <span class="answerfinder-badge answerfinder-badge-add">Add to AnswerFinder</span>
+        <button class="answerfinder-close" title="Close">&times;</button>
+      </div>
+      <div class="answerfinder-content">
+        <label class="answerfinder-field">
+          <span>Collection</span>
+          <select class="answerfinder-input answerfinder-add-collection" disabled>
+            <option>Loading...</option>
+          </select>
+        </label>
+        <label class="answerfinder-field answerfinder-add-new" hidden>
+          <span>New collection name</span>
+          <input type="text" class="answerfinder-input answerfinder-add-collection-name" value="My questions" />
+        </label>
+        <label class="answerfinder-field">
+          <span>Question</span>
+          <textarea class="answerfinder-input answerfinder-add-question" rows="3"></textarea>
+        </label>
+        <button class="answerfinder-swap" title="Use the selection as the answer instead">
+          &#8645; Swap question and answer
+        </button>
+        <label class="answerfinder-field">
+          <span>Answer</span>
+          <textarea class="answerfinder-input answerfinder-add-answer" rows="3"></textarea>
+        </label>
+        <label class="answerfinder-field">
+          <span>Tags <em>comma-separated</em></span>
+          <input type="text" class="answerfinder-input answerfinder-add-tags" />
+        </label>
+        <div class="answerfinder-form-status" hidden></div>
+      </div>
+      <div class="answerfinder-footer">
+        <button class="answerfinder-secondary answerfinder-cancel">Cancel</button>
+        <button class="answerfinder-copy answerfinder-save" disabled>Save</button>
+      </div>
+    `;
+
+    // Set as a value so the selection is never parsed as HTML
+    form.querySelector(".answerfinder-add-question").value = text;
+
+    return form;
+  }
+
+  /**
+   * Fill the collection list, preselecting the last one used
+   * The last option creates a collection on save, and is the only one
+   * before anything has been uploaded
+   */
+  async loadCollections() {
+    const select = this.form.querySelector(".answerfinder-add-collection");
+
+    try {
+      const { collections } = await this.request("LIST_COLLECTIONS");
+      if (!this.form) return;
+
+      select.replaceChildren(
+        ...collections.map(
+          (collection) => new Option(collection.name, collection.id),
+        ),
+        new Option("New collection...", ""),
+      );
+      const known = collections.some(
+        (collection) => collection.id === this.collectionId,
+      );
+      if (known) {
+        select.value = this.collectionId;
+      }
+      select.disabled = false;
+      this.toggleNewCollection();
+      this.form.querySelector(".answerfinder-save").disabled = false;
+    } catch (error) {
+      if (this.form) {
+        this.showStatus("error", error.message);
+      }
+    }
+  }
+
+  /**
+   * Show the name field while "New collection..." is selected
+   */
+  toggleNewCollection() {
+    const select = this.form.querySelector(".answerfinder-add-collection");
+    this.form.querySelector(".answerfinder-add-new").hidden =
+      select.value !== "";
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    const form = this.form;
+
+    form
+      .querySelector(".answerfinder-close")
+      .addEventListener("click", () => this.hideForm());
+    form
+      .querySelector(".answerfinder-cancel")
+      .addEventListener("click", () => this.hideForm());
+    form
+      .querySelector(".answerfinder-save")
+      .addEventListener("click", () => this.save());
+    form
+      .querySelector(".answerfinder-add-collection")
+      .addEventListener("change", () => this.toggleNewCollection());
+
+    form.querySelector(".answerfinder-swap").addEventListener("click", () => {
+      const question = form.querySelector(".answerfinder-add-question");
+      const answer = form.querySelector(".answerfinder-add-answer");
+      [question.value, answer.value] = [answer.value, question.value];
+      (question.value ? answer : question).focus();
+    });
+
+    // Keep typing in the form away from page shortcuts
+    form.addEventListener("keydown", (event) => {
+      if (event.key !== "Escape") {
+        event.stopPropagation();
+      }
+    });
+
+    // ESC key to close
+    document.addEventListener("keydown", this.boundHandleEscKey);
+  }
+
+  /**
+   * Handle ESC key press
+   * @param {Event} event - Keyboard event
+   */
+  handleEscKey(event) {
+    if (event.key === "Escape") {
+      this.hideForm();
+    }
+  }
+
+  /**
+   * Store the pair in the chosen collection, or in a new one
+   */
+  async save() {
+    const form = this.form;
+    const saveBtn = form.querySelector(".answerfinder-save");
+    const collectionId = form.querySelector(
+      ".answerfinder-add-collection",
+    ).value;
+
+    saveBtn.disabled = true;
+    try {
+      const { question } = await this.request("ADD_QUESTION", {
+        collectionId,
+        collectionName: form.querySelector(".answerfinder-add-collection-name")
+          .value,
+        question: {
+          question: form.querySelector(".answerfinder-add-question").value,
+          answer: form.querySelector(".answerfinder-add-answer").value,
+          tags: form.querySelector(".answerfinder-add-tags").value,
+        },
+      });
+
+      // A new collection is preselected next time
+      this.collectionId = question.collectionId;
+      this.showStatus("success", "Saved");
+      setTimeout(() => {
+        if (this.form === form) {
+          this.hideForm();
+        }
+      }, 1200);
+    } catch (error) {
+      saveBtn.disabled = false;
+      this.showStatus("error", error.message);
+    }
+  }
+
+  /**
+   * Send a message to the background script
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @returns {Promise<Object>} Response payload
+   * @throws {Error} With the user-facing message if the request failed
+   */
+  async request(type, payload) {
+    const response = await chrome.runtime.sendMessage({
+      type,
+      payload,
+      requestId: Date.now().toString(),
+    });
+
+    if (response?.type !== "RESPONSE") {
+      throw new Error(response?.error?.error?.message || "An error occurred");
+    }
+    return response.payload;
+  }
+
+  /**
+   * Show a success or error line above the buttons
+   * @param {string} type - "success" or "error"
+   * @param {string} message - Message text
+   */
+  showStatus(type, message) {
+    const status = this.form.querySelector(".answerfinder-form-status");
+    status.className = `answerfinder-form-status answerfinder-form-${type}`;
+    status.textContent = message;
+    status.hidden = false;
+  }
+
+  /**
+   * Hide form
+   */
+  hideForm() {
+    if (this.form) {
+      this.form.remove();
+      this.form = null;
+      document.removeEventListener("keydown", this.boundHandleEscKey);
+    }
+  }
+}
+
+// Create singleton instance
+const addFormManager = new AddFormManager();
+
 // ============================================================================
 // MAIN CONTENT SCRIPT
 // ============================================================================
@@ -420,6 +1039,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log("[ContentScript] Received message:", message.type);
   if (message.type === "SHOW_ANSWER_OVERLAY") {
     handleShowAnswerOverlay(message.payload);
+  } else if (message.type === "SHOW_ADD_FORM") {
+    addFormManager.showForm(getSelectedBlock(message.payload.text));
   }
 });
 
@@ -428,7 +1049,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * @param {Object} payload - Message payload
  */
 async function handleShowAnswerOverlay(payload) {
-  const { query } = payload;
+  const query = getSelectedBlock(payload.query);
 
   // Get selection position
   const position = getSelectionPosition() || {
@@ -576,6 +1197,223 @@ style.textContent = `
     font-weight: 500;
   }
   
+  .answerfinder-markdown {
+    white-space: normal;
+  }
+
+  .answerfinder-markdown p,
+  .answerfinder-markdown ul,
+  .answerfinder-markdown ol,
+  .answerfinder-markdown pre {
+    margin: 0 0 8px;
+  }
+
+  .answerfinder-markdown ul,
+  .answerfinder-markdown ol {
+    padding-left: 20px;
+  }
+
+  .answerfinder-markdown code {
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    font-size: 12px;
+    background: rgba(255, 255, 255, 0.06);
+    border-radius: 3px;
+    padding: 1px 4px;
+  }
+
+  .answerfinder-markdown pre {
+    padding: 8px;
+    background: rgba(0, 0, 0, 0.4);
+    border-radius: 6px;
+    overflow-x: auto;
+  }
+
+  .answerfinder-markdown pre code {
+    background: none;
+    padding: 0;
+    white-space: pre;
+  }
+
+  .answerfinder-markdown a {
+    color: #a78bfa;
+  }
+
+  .answerfinder-answer-list {
+    margin: 0;
+    padding-left: 20px;
+  }
+
+  .answerfinder-options {
+    list-style: none;
+    margin: 0 0 10px;
+    padding: 0;
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+  }
+
+  .answerfinder-option {
+    padding: 6px 8px;
+    border: 1px solid rgba(255, 255, 255, 0.06);
+    border-radius: 6px;
+    color: #9ca3af;
+    font-size: 12px;
+  }
+
+  .answerfinder-option-selected {
+    background: rgba(34, 197, 94, 0.12);
+    border-color: rgba(34, 197, 94, 0.4);
+    color: #4ade80;
+    font-weight: 600;
+  }
+
+  .answerfinder-option-label {
+    display: inline-block;
+    min-width: 18px;
+    font-weight: 700;
+  }
+
+  .answerfinder-option-note {
+    display: block;
+    margin-bottom: 10px;
+    color: #fbbf24;
+    font-size: 11px;
+  }
+
+  .answerfinder-explanation {
+    margin-bottom: 10px;
+    padding: 8px 10px;
+    background: rgba(255, 255, 255, 0.03);
+    border-radius: 6px;
+    color: #d4d4d8;
+    font-size: 12px;
+  }
+
+  .answerfinder-source {
+    margin-bottom: 10px;
+    color: #9ca3af;
+    font-size: 11px;
+    word-wrap: break-word;
+  }
+
+  .answerfinder-tags {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-bottom: 10px;
+  }
+
+  .answerfinder-tag {
+    padding: 2px 8px;
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.08);
+    border-radius: 100px;
+    color: #9ca3af;
+    font-size: 10px;
+  }
+
+  .answerfinder-alias {
+    display: block;
+    margin-top: 2px;
+    color: #6b7280;
+  }
+
+  .answerfinder-keywords {
+    display: block;
+    margin-top: 4px;
+    color: #6b7280;
+  }
+
+  .answerfinder-keyword {
+    display: inline-block;
+    margin: 2px 4px 0 0;
+    padding: 0 6px;
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.08);
+    border-radius: 100px;
+    color: #9ca3af;
+  }
+
+  .answerfinder-keyword-synonym {
+    border-color: rgba(139, 92, 246, 0.4);
+    color: #c4b5fd;
+  }
+
+  .answerfinder-runners-up {
+    margin-top: 10px;
+    font-size: 12px;
+    color: #9ca3af;
+  }
+
+  .answerfinder-runners-up summary {
+    cursor: pointer;
+    font-size: 11px;
+    color: #6b7280;
+  }
+
+  .answerfinder-runners-up summary:hover {
+    color: #ffffff;
+  }
+
+  .answerfinder-runners-up ol {
+    list-style: none;
+    margin: 6px 0 0;
+    padding: 0;
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+  }
+
+  .answerfinder-runner-up {
+    padding: 6px 8px;
+    border: 1px solid rgba(255, 255, 255, 0.06);
+    border-radius: 6px;
+  }
+
+  .answerfinder-runner-up-head {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 2px;
+  }
+
+  .answerfinder-runner-up-score {
+    font-size: 10px;
+    color: #6b7280;
+  }
+
+  .answerfinder-runner-up-use {
+    background: none;
+    border: none;
+    padding: 0;
+    color: #a78bfa;
+    font-size: 11px;
+    cursor: pointer;
+  }
+
+  .answerfinder-runner-up-use:hover {
+    color: #ffffff;
+  }
+
+  .answerfinder-runner-up-question {
+    color: #d4d4d8;
+  }
+
+  .answerfinder-runner-up-answer {
+    margin-top: 2px;
+    white-space: pre-wrap;
+    word-wrap: break-word;
+    max-height: 60px;
+    overflow: hidden;
+  }
+
+  .answerfinder-unverified {
+    display: block;
+    margin-top: 2px;
+    color: #fbbf24;
+    font-style: normal;
+  }
+
   .answerfinder-meta {
     margin-bottom: 10px;
     color: #6b7280;
@@ -639,6 +1477,108 @@ style.textContent = `
     to { width: 0%; }
   }
   
+  .answerfinder-badge-add {
+    background: rgba(139, 92, 246, 0.15);
+    color: #c4b5fd;
+  }
+
+  .answerfinder-field {
+    display: flex;
+    flex-direction: column;
+    gap: 3px;
+    margin-bottom: 8px;
+    font-size: 11px;
+    color: #9ca3af;
+  }
+
+  .answerfinder-field[hidden] {
+    display: none;
+  }
+
+  .answerfinder-field em {
+    font-style: normal;
+    color: #4b5563;
+  }
+
+  .answerfinder-input {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 6px 8px;
+    font: inherit;
+    font-size: 12px;
+    color: #e4e4e7;
+    background: rgba(0, 0, 0, 0.25);
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    border-radius: 6px;
+  }
+
+  .answerfinder-input:focus {
+    outline: none;
+    border-color: rgba(139, 92, 246, 0.5);
+  }
+
+  textarea.answerfinder-input {
+    resize: vertical;
+  }
+
+  select.answerfinder-input option {
+    background: #0c0c0f;
+  }
+
+  .answerfinder-swap {
+    display: block;
+    margin: -2px 0 6px auto;
+    background: none;
+    border: none;
+    padding: 0;
+    color: #6b7280;
+    font-size: 11px;
+    cursor: pointer;
+    transition: color 0.2s;
+  }
+
+  .answerfinder-swap:hover {
+    color: #ffffff;
+  }
+
+  .answerfinder-form-status {
+    padding: 6px 8px;
+    border-radius: 6px;
+    font-size: 12px;
+    text-align: center;
+  }
+
+  .answerfinder-form-success {
+    background: rgba(139, 92, 246, 0.06);
+    color: #a78bfa;
+  }
+
+  .answerfinder-form-error {
+    background: rgba(239, 68, 68, 0.1);
+    color: #f87171;
+  }
+
+  .answerfinder-secondary {
+    margin-right: 6px;
+    background: rgba(255, 255, 255, 0.03);
+    color: #9ca3af;
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    padding: 5px 13px;
+    border-radius: 5px;
+    cursor: pointer;
+    font-size: 11px;
+    font-weight: 600;
+  }
+
+  .answerfinder-secondary:hover {
+    color: #ffffff;
+  }
+
+  .answerfinder-copy:disabled {
+    opacity: 0.4;
+    cursor: default;
+  }
+
   .answerfinder-badge-ai {
     background: linear-gradient(135deg, rgba(139, 92, 246, 0.2) 0%, rgba(167, 139, 250, 0.15) 100%);
     color: #c4b5fd;
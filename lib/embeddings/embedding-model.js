@@ -0,0 +1,174 @@
+/**
+ * @file embedding-model.js
+ * @description On-device sentence-embedding model (ONNX Runtime Web, CPU only)
+ * @module lib/embeddings/embedding-model
+ * @requires lib/embeddings/wordpiece-tokenizer
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ *
+ * Runs a MiniLM-style sentence-transformer on the WASM backend: text in,
+ * mean-pooled and L2-normalized vector out, so the dot product of two
+ * vectors is their cosine similarity. The runtime, model and vocabulary
+ * are loaded from the extension package; nothing goes over the network.
+ */
+
+import { WordPieceTokenizer } from './wordpiece-tokenizer.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, EMBEDDING_CONFIG } from '../utils/constants.js';
+
+/**
+ * Sentence-embedding model, loaded on first use
+ */
+export class EmbeddingModel {
+    /**
+     * @param {Object} config - File locations and limits (see EMBEDDING_CONFIG)
+     */
+    constructor(config = EMBEDDING_CONFIG) {
+        this.config = config;
+        this.loading = null;
+        this.queue = Promise.resolve(); // One run at a time; a session is not reentrant
+    }
+
+    /**
+     * Load the runtime, model and vocabulary (once)
+     * @returns {Promise<{ort: Object, session: Object, tokenizer: WordPieceTokenizer}>} Loaded model
+     * @throws {AppError} MODEL_UNAVAILABLE if the files are not installed
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.createSession();
+        }
+        return this.loading;
+    }
+
+    /**
+     * @returns {Promise<{ort: Object, session: Object, tokenizer: WordPieceTokenizer}>} Loaded model
+     * @throws {AppError} MODEL_UNAVAILABLE if the files are not installed
+     */
+    async createSession() {
+        const { RUNTIME_URL, MODEL_URL, VOCAB_URL } = this.config;
+        let ort, vocabText, modelBytes;
+
+        try {
+            [ort, vocabText, modelBytes] = await Promise.all([
+                import(chrome.runtime.getURL(RUNTIME_URL)),
+                fetchPackaged(VOCAB_URL).then(response => response.text()),
+                fetchPackaged(MODEL_URL).then(response => response.arrayBuffer())
+            ]);
+        } catch (error) {
+            throw new AppError(ERROR_CODES.MODEL_UNAVAILABLE, 'Embedding model files are missing', {
+                files: [RUNTIME_URL, MODEL_URL, VOCAB_URL],
+                error: error.message
+            });
+        }
+
+        // One thread needs no SharedArrayBuffer, so no cross-origin isolation
+        ort.env.wasm.numThreads = 1;
+        ort.env.wasm.wasmPaths = chrome.runtime.getURL(RUNTIME_URL.replace(/[^/]+$/, ''));
+
+        const session = await ort.InferenceSession.create(modelBytes, {
+            executionProviders: ['wasm'],
+            graphOptimizationLevel: 'all'
+        });
+
+        console.log(`[EmbeddingModel] Loaded ${MODEL_URL}`);
+        return { ort, session, tokenizer: new WordPieceTokenizer(vocabText) };
+    }
+
+    /**
+     * Embed texts in one model run
+     * @param {string[]} texts - Texts to embed (at most a few dozen)
+     * @returns {Promise<Float32Array[]>} Unit-length vector per text
+     * @throws {AppError} MODEL_UNAVAILABLE if the files are not installed
+     */
+    async embed(texts) {
+        const { ort, session, tokenizer } = await this.load();
+
+        const encoded = texts.map(text => tokenizer.encode(text, this.config.MAX_TOKENS));
+        const length = Math.max(...encoded.map(ids => ids.length));
+        const dims = [texts.length, length];
+        const inputIds = new BigInt64Array(texts.length * length); // 0 = [PAD]
+        const attentionMask = new BigInt64Array(texts.length * length);
+
+        encoded.forEach((ids, row) => {
+            ids.forEach((id, column) => {
+                inputIds[row * length + column] = BigInt(id);
+                attentionMask[row * length + column] = 1n;
+            });
+        });
+
+        const feeds = {
+            input_ids: new ort.Tensor('int64', inputIds, dims),
+            attention_mask: new ort.Tensor('int64', attentionMask, dims)
+        };
+        if (session.inputNames.includes('token_type_ids')) {
+            feeds.token_type_ids = new ort.Tensor('int64', new BigInt64Array(texts.length * length), dims);
+        }
+
+        const run = this.queue.then(() => session.run(feeds));
+        this.queue = run.catch(() => {});
+        const outputs = await run;
+
+        return poolOutput(outputs[session.outputNames[0]], encoded).map(normalize);
+    }
+}
+
+/**
+ * Fetch a file from the extension package
+ * @param {string} path - Path inside the extension
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} If the file does not exist
+ */
+async function fetchPackaged(path) {
+    const response = await fetch(chrome.runtime.getURL(path));
+    if (!response.ok) {
+        throw new Error(`${path}: HTTP ${response.status}`);
+    }
+    return response;
+}
+
+/**
+ * Average the token vectors of each text, ignoring padding
+ * Models exported with pooling already return one vector per text
+ * @param {Object} output - First output tensor ([texts, tokens, dims] or [texts, dims])
+ * @param {number[][]} encoded - Token IDs per text
+ * @returns {Float32Array[]} Vector per text
+ */
+function poolOutput(output, encoded) {
+    const { data, dims } = output;
+
+    if (dims.length === 2) {
+        const size = dims[1];
+        return encoded.map((ids, row) => data.slice(row * size, (row + 1) * size));
+    }
+
+    const [, length, size] = dims;
+    return encoded.map((ids, row) => {
+        const vector = new Float32Array(size);
+        for (let token = 0; token < ids.length; token++) {
+            const offset = (row * length + token) * size;
+            for (let i = 0; i < size; i++) {
+                vector[i] += data[offset + i];
+            }
+        }
+        return vector.map(value => value / ids.length);
+    });
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Float32Array} vector - Vector
+ * @returns {Float32Array} Same vector, normalized in place
+ */
+function normalize(vector) {
+    let sum = 0;
+    for (const value of vector) {
+        sum += value * value;
+    }
+
+    const norm = Math.sqrt(sum) || 1;
+    for (let i = 0; i < vector.length; i++) {
+        vector[i] /= norm;
+    }
+    return vector;
+}
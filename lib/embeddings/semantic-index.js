@@ -0,0 +1,263 @@
+/**
+ * @file semantic-index.js
+ * @description Question vectors of the semantic tier: embeds stored questions
+ * and finds the ones closest in meaning to a query
+ * @module lib/embeddings/semantic-index
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ *
+ * Vectors are stored as Int8Array (a quarter of the Float32 size) in the
+ * embeddings store, and held in memory while the offscreen document is
+ * open. A question has a vector for its text and one for each alias, and
+ * its similarity is that of the closest. Search is a scan of dot products
+ * against the float query vector.
+ * Questions are embedded as the last step of each import; any that are
+ * missing (older databases, edits, interrupted runs) are picked up in the
+ * background whenever the stored questions change. The model is
+ * English-only, so only questions and queries in EMBEDDING_CONFIG.LANGUAGES
+ * take part; other languages are left to the other tiers.
+ */
+
+import { logError } from '../utils/error-handler.js';
+import { ERROR_CODES, EMBEDDING_CONFIG, LANGUAGES, MATCHING_CONFIG } from '../utils/constants.js';
+
+// Stored component = round(unit vector component * QUANTIZE_SCALE)
+const QUANTIZE_SCALE = 127;
+
+/**
+ * In-memory vector index over the embeddings store
+ */
+export class SemanticIndex {
+    /**
+     * @param {Object} database - Database manager
+     * @param {EmbeddingModel} model - Sentence-embedding model
+     */
+    constructor(database, model) {
+        this.database = database;
+        this.model = model;
+        this.entries = new Map();      // Question ID -> {id, collectionId, vectors}
+        this.revision = undefined;     // getQuestionsRevision() the entries were loaded at
+        this.queue = Promise.resolve(); // Reloads and stored batches, in order
+        this.updating = null;
+        this.updateRequested = false;
+        this.onProgress = null;        // Progress callback of the update() call that is waiting
+        this.modelMissingLogged = false;
+    }
+
+    /**
+     * Find the stored questions closest in meaning to a text
+     * @param {Object} request - Search request
+     * @param {string} request.text - Query text
+     * @param {string} request.language - Query language (LANGUAGES value)
+     * @param {string[]|null} request.collectionIds - Collections to search (null = all)
+     * @param {number} request.limit - Most results
+     * @param {number} request.minSimilarity - Lowest similarity returned
+     * @returns {Promise<Array<{id: string, similarity: number}>>} Questions at or above
+     * minSimilarity, closest first (empty if the model is not installed or
+     * does not handle the query's language)
+     */
+    async search({
+        text,
+        language = LANGUAGES.UNDETERMINED,
+        collectionIds = null,
+        limit = MATCHING_CONFIG.MAX_RESULTS,
+        minSimilarity = MATCHING_CONFIG.SEMANTIC_MIN_SIMILARITY
+    }) {
+        if (!EMBEDDING_CONFIG.LANGUAGES.includes(language)) {
+            return [];
+        }
+
+        try {
+            await this.refresh();
+            if (this.entries.size === 0) {
+                return [];
+            }
+
+            const [query] = await this.model.embed([text]);
+            return this.nearest(query, collectionIds ? new Set(collectionIds) : null, limit, minSimilarity);
+        } catch (error) {
+            if (error.code !== ERROR_CODES.MODEL_UNAVAILABLE) {
+                throw error;
+            }
+            this.reportError(error, 'SemanticIndex.search');
+            return [];
+        }
+    }
+
+    /**
+     * Check whether the model files are installed
+     * @returns {Promise<{available: boolean}>} Model status
+     */
+    async getStatus() {
+        try {
+            await this.model.load();
+            return { available: true };
+        } catch (error) {
+            if (error.code !== ERROR_CODES.MODEL_UNAVAILABLE) {
+                throw error;
+            }
+            return { available: false };
+        }
+    }
+
+    /**
+     * Embed the questions that have no vector yet
+     * Calls while a run is going on make it check again when it ends
+     * @param {Function} onProgress - (done, total) => void, called after each batch of that check
+     * @returns {Promise<void>} Settles when every question has a vector (or
+     * the model is not installed)
+     */
+    update(onProgress = null) {
+        if (onProgress) {
+            this.onProgress = onProgress;
+        }
+        if (this.updating) {
+            this.updateRequested = true;
+            return this.updating;
+        }
+
+        this.updating = (async () => {
+            do {
+                this.updateRequested = false;
+                await this.embedMissing();
+            } while (this.updateRequested);
+        })()
+            .catch(error => this.reportError(error, 'SemanticIndex.update'))
+            .finally(() => {
+                this.updating = null;
+            });
+        return this.updating;
+    }
+
+    /**
+     * Reload the vectors if the stored questions changed since they were read
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const revision = await this.database.getQuestionsRevision();
+        if (revision === this.revision) return;
+
+        await this.enqueue(async () => {
+            if (revision === this.revision) return;
+            const records = await this.database.getEmbeddings();
+            this.entries = new Map(records.map(record => [record.id, record]));
+            this.revision = revision;
+        });
+        this.update();
+    }
+
+    /**
+     * Embed and store every question without a vector, batch by batch
+     * @returns {Promise<void>}
+     */
+    async embedMissing() {
+        const onProgress = this.onProgress || (() => {});
+        this.onProgress = null;
+
+        await this.model.load();
+        const ids = await this.database.getUnembeddedQuestionIds();
+        if (ids.length === 0) return;
+
+        console.log(`[SemanticIndex] Embedding ${ids.length} questions`);
+        for (let i = 0; i < ids.length; i += EMBEDDING_CONFIG.BATCH_SIZE) {
+            const questions = await this.database.getQuestionsByIds(ids.slice(i, i + EMBEDDING_CONFIG.BATCH_SIZE));
+            if (questions.length === 0) continue;
+
+            const texts = questions.map(getEmbeddingTexts);
+            const vectors = await this.model.embed(texts.flat());
+
+            let next = 0;
+            const records = questions.map((question, index) => ({
+                id: question.id,
+                texts: texts[index],
+                vectors: vectors.slice(next, next += texts[index].length).map(quantize)
+            }));
+
+            await this.enqueue(async () => {
+                const stored = await this.database.putEmbeddings(records);
+                stored.forEach(record => this.entries.set(record.id, record));
+            });
+            onProgress(Math.min(i + EMBEDDING_CONFIG.BATCH_SIZE, ids.length), ids.length);
+        }
+        console.log(`[SemanticIndex] ${this.entries.size} questions embedded`);
+    }
+
+    /**
+     * Scan the vectors for the closest questions
+     * @param {Float32Array} query - Unit-length query vector
+     * @param {Set<string>|null} collectionIds - Collections to search (null = all)
+     * @param {number} limit - Most results
+     * @param {number} minSimilarity - Lowest similarity returned
+     * @returns {Array<{id: string, similarity: number}>} Closest first
+     */
+    nearest(query, collectionIds, limit, minSimilarity = MATCHING_CONFIG.SEMANTIC_MIN_SIMILARITY) {
+        const minimum = minSimilarity * QUANTIZE_SCALE;
+        const hits = [];
+
+        for (const { id, collectionId, vectors } of this.entries.values()) {
+            if (collectionIds && !collectionIds.has(collectionId)) continue;
+
+            let best = -Infinity;
+            for (const vector of vectors) {
+                if (vector.length !== query.length) continue; // Left by another model
+
+                let dot = 0;
+                for (let i = 0; i < vector.length; i++) {
+                    dot += query[i] * vector[i];
+                }
+                best = Math.max(best, dot);
+            }
+            if (best >= minimum) {
+                hits.push({ id, similarity: Math.min(best / QUANTIZE_SCALE, 1) });
+            }
+        }
+
+        return hits
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    /**
+     * Run a task after the reloads and writes queued before it
+     * @param {Function} task - () => Promise
+     * @returns {Promise<any>} Task result
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Log an error; a missing model is logged once, as every search hits it
+     * @param {Error} error - Error to log
+     * @param {string} context - Context for error logging
+     */
+    reportError(error, context) {
+        if (error.code === ERROR_CODES.MODEL_UNAVAILABLE) {
+            if (this.modelMissingLogged) return;
+            this.modelMissingLogged = true;
+        }
+        logError(error, context);
+    }
+}
+
+/**
+ * Get the texts of a question that are embedded: the question, then its aliases
+ * @param {Object} question - Question object
+ * @returns {string[]} Texts
+ */
+export function getEmbeddingTexts(question) {
+    return [question.original.question, ...(question.original.aliases || [])];
+}
+
+/**
+ * Store a unit vector in one byte per component
+ * @param {Float32Array} vector - Unit-length vector
+ * @returns {Int8Array} Quantized vector
+ */
+export function quantize(vector) {
+    return Int8Array.from(vector, value =>
+        Math.max(-QUANTIZE_SCALE, Math.min(QUANTIZE_SCALE, Math.round(value * QUANTIZE_SCALE)))
+    );
+}
@@ -0,0 +1,107 @@
+/**
+ * @file wordpiece-tokenizer.js
+ * @description WordPiece tokenizer for BERT-style (uncased) embedding models
+ * @module lib/embeddings/wordpiece-tokenizer
+ */
+
+// Special tokens of the BERT vocabulary
+const CLS_TOKEN = '[CLS]';
+const SEP_TOKEN = '[SEP]';
+const UNKNOWN_TOKEN = '[UNK]';
+const CONTINUATION_PREFIX = '##';
+
+// Words longer than this are a single unknown token, as in BERT
+const MAX_WORD_LENGTH = 100;
+
+// CJK ideographs are tokens on their own
+const CJK_PATTERN = /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/gu;
+
+// Letters and digits form words; every other visible character is a token
+const BASIC_TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}\p{M}\p{C}]/gu;
+
+/**
+ * Turns text into the token IDs of a WordPiece vocabulary
+ */
+export class WordPieceTokenizer {
+    /**
+     * @param {string} vocabText - vocab.txt of the model (one token per line, line number = ID)
+     */
+    constructor(vocabText) {
+        this.vocab = new Map();
+        vocabText.split(/\r?\n/).forEach((token, id) => {
+            if (token && !this.vocab.has(token)) {
+                this.vocab.set(token, id);
+            }
+        });
+
+        this.clsId = this.vocab.get(CLS_TOKEN);
+        this.sepId = this.vocab.get(SEP_TOKEN);
+        this.unknownId = this.vocab.get(UNKNOWN_TOKEN);
+    }
+
+    /**
+     * Encode text for the model
+     * @param {string} text - Text to encode
+     * @param {number} maxTokens - Most tokens, [CLS] and [SEP] included (the rest is cut)
+     * @returns {number[]} Token IDs, starting with [CLS] and ending with [SEP]
+     */
+    encode(text, maxTokens) {
+        const ids = [this.clsId];
+
+        for (const word of basicTokenize(text)) {
+            const pieces = this.splitWord(word);
+            if (ids.length + pieces.length > maxTokens - 1) break;
+            ids.push(...pieces);
+        }
+
+        ids.push(this.sepId);
+        return ids;
+    }
+
+    /**
+     * Split a word into the longest vocabulary pieces, left to right
+     * @param {string} word - Lowercase word without accents
+     * @returns {number[]} Piece IDs, or [UNK] if the word cannot be split
+     */
+    splitWord(word) {
+        if (word.length > MAX_WORD_LENGTH) {
+            return [this.unknownId];
+        }
+
+        const pieces = [];
+        let start = 0;
+        while (start < word.length) {
+            let end = word.length;
+            let piece;
+
+            while (start < end) {
+                const text = (start > 0 ? CONTINUATION_PREFIX : '') + word.slice(start, end);
+                piece = this.vocab.get(text);
+                if (piece !== undefined) break;
+                end--;
+            }
+
+            if (piece === undefined) {
+                return [this.unknownId];
+            }
+            pieces.push(piece);
+            start = end;
+        }
+        return pieces;
+    }
+}
+
+/**
+ * Lowercase, strip accents and split into words and punctuation
+ * @param {string} text - Raw text
+ * @returns {string[]} Basic tokens
+ */
+function basicTokenize(text) {
+    const cleaned = text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(CJK_PATTERN, ' $& ');
+
+    return cleaned.match(BASIC_TOKEN_PATTERN) || [];
+}
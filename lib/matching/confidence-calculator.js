@@ -9,7 +9,7 @@ import { CONFIDENCE_THRESHOLDS, MATCH_TYPES, MATCHING_CONFIG } from '../utils/co
 
 /**
  * Calculate confidence score for a match
- * @param {string} matchType - Type of match (exact, keyword, fuzzy, partial)
+ * @param {string} matchType - Type of match (exact, keyword, fuzzy, partial, semantic)
  * @param {number} rawScore - Raw similarity score (0-1)
  * @param {Object} context - Additional context for scoring
  * @param {string} context.questionType - Type of question
@@ -73,6 +73,16 @@ export function calculateConfidence(matchType, rawScore, context = {}) {
             confidence *= 0.8;
             break;
 
+        case MATCH_TYPES.SEMANTIC:
+            // Semantic matching: similar meaning is weaker evidence than
+            // similar wording, so the range stays below fuzzy matches
+            confidence = scaleScore(
+                rawScore,
+                MATCHING_CONFIG.SEMANTIC_MIN_CONFIDENCE,
+                MATCHING_CONFIG.SEMANTIC_MAX_CONFIDENCE
+            );
+            break;
+
         case MATCH_TYPES.AI:
             // AI matches use the raw score directly
             confidence = rawScore;
@@ -124,6 +134,7 @@ export function explainConfidence(matchType, confidence, rawScore = null) {
         [MATCH_TYPES.KEYWORD]: `${Math.round(rawScore * 100)}% keyword overlap`,
         [MATCH_TYPES.FUZZY]: `${Math.round(rawScore * 100)}% text similarity`,
         [MATCH_TYPES.PARTIAL]: 'Partial text match',
+        [MATCH_TYPES.SEMANTIC]: `${Math.round(rawScore * 100)}% meaning similarity`,
         [MATCH_TYPES.AI]: 'AI-generated answer'
     };
 
@@ -3,41 +3,62 @@
  * @description Tier 1: Exact normalized string matching
  * @module lib/matching/exact-matcher
  * @requires lib/matching/confidence-calculator
+ * @requires lib/matching/match-texts
+ * @requires lib/normalization/option-extractor
  * @requires lib/utils/constants
  */
 
 import { calculateConfidence, explainConfidence } from './confidence-calculator.js';
-import { MATCH_TYPES } from '../utils/constants.js';
+import { resolveAlias } from './match-texts.js';
+import { optionOverlap } from '../normalization/option-extractor.js';
+import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
 
 /**
  * Perform exact match on normalized text
+ * Several stored questions can share the normalized text (the same question
+ * in two collections, or a repeated stem with different options)
  * @param {string} normalizedQuery - Normalized query text
  * @param {Object} dbManager - Database manager instance
- * @returns {Promise<Object|null>} Match result or null
+ * @param {Set<string>|null} collectionIds - Collections to search (null = all)
+ * @param {Array<{label: string, text: string}>} pageOptions - Options selected with the question
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Match results, best first (empty if none)
  */
-export async function exactMatch(normalizedQuery, dbManager) {
+export async function exactMatch(normalizedQuery, dbManager, collectionIds = null, pageOptions = [], limit = MATCHING_CONFIG.MAX_RESULTS) {
     // Query database by normalized question index
-    const question = await dbManager.getQuestionByNormalizedText(normalizedQuery);
+    let questions = await dbManager.getQuestionsByNormalizedText(normalizedQuery, collectionIds);
 
-    if (!question) {
-        return null;
+    // Stems like "Which of the following is true?" repeat; the options tell them apart
+    if (pageOptions.length > 0 && questions.length > 1) {
+        questions = questions
+            .map(question => ({ question, overlap: optionOverlap(pageOptions, question.original.options) }))
+            .sort((a, b) => b.overlap - a.overlap)
+            .map(({ question }) => question);
     }
 
     // Calculate confidence (exact match = 1.0)
     const confidence = calculateConfidence(MATCH_TYPES.EXACT, 1.0, {
         queryLength: normalizedQuery.length,
-        questionLength: question.processed.normalizedQuestion.length
+        questionLength: normalizedQuery.length
     });
 
-    return {
-        question,
-        matchType: MATCH_TYPES.EXACT,
-        confidence,
-        rawScore: 1.0,
-        explanation: explainConfidence(MATCH_TYPES.EXACT, confidence, 1.0),
-        metadata: {
-            tier: 1,
-            method: 'exact_normalized'
-        }
-    };
+    return questions.slice(0, limit).map(question => {
+        // The lookup also covers aliases
+        const matchedAlias = question.processed.normalizedQuestion === normalizedQuery
+            ? null
+            : resolveAlias(question, normalizedQuery);
+
+        return {
+            question,
+            matchType: MATCH_TYPES.EXACT,
+            confidence,
+            rawScore: 1.0,
+            explanation: explainConfidence(MATCH_TYPES.EXACT, confidence, 1.0),
+            metadata: {
+                tier: 1,
+                method: matchedAlias ? 'exact_alias' : 'exact_normalized',
+                matchedAlias
+            }
+        };
+    });
 }
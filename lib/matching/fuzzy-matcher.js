@@ -3,11 +3,15 @@
  * @description Tier 3: Fuzzy string similarity matching
  * @module lib/matching/fuzzy-matcher
  * @requires lib/matching/confidence-calculator
+ * @requires lib/matching/match-texts
+ * @requires lib/matching/matching-profiles
  * @requires lib/utils/string-utils
  * @requires lib/utils/constants
  */
 
 import { calculateConfidence, explainConfidence } from './confidence-calculator.js';
+import { scoreMatchTexts, resolveAlias, getTechnicalSpans, containsSpans } from './match-texts.js';
+import { getMatchingProfile } from './matching-profiles.js';
 import { levenshteinSimilarity, jaroWinklerSimilarity } from '../utils/string-utils.js';
 import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
 
@@ -15,56 +19,67 @@ import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
  * Perform fuzzy string similarity matching
  * @param {string} normalizedQuery - Normalized query text
  * @param {Array} candidates - Candidate questions from previous tier
- * @returns {Object|null} Match result or null
+ * @param {number} limit - Maximum number of results
+ * @param {Object} settings - Fuzzy settings of the matching profile
+ * @param {number} settings.minSimilarity - Lowest similarity that matches
+ * @param {number} settings.levenshteinWeight - Share of Levenshtein in the similarity
+ * @param {number} settings.maxCandidates - Most candidates compared
+ * @returns {Array} Match results, best first (empty if none)
  */
-export function fuzzyMatch(normalizedQuery, candidates) {
+export function fuzzyMatch(normalizedQuery, candidates, limit = MATCHING_CONFIG.MAX_RESULTS, settings = getMatchingProfile().fuzzy) {
     if (!candidates || candidates.length === 0) {
-        return null;
+        return [];
     }
 
     // Limit candidates to avoid performance issues
-    const limitedCandidates = candidates.slice(0, MATCHING_CONFIG.FUZZY_MAX_CANDIDATES);
+    const limitedCandidates = candidates.slice(0, settings.maxCandidates);
+    const scored = [];
 
-    let bestMatch = null;
-    let bestScore = 0;
+    // Code and formula spans in the query must match exactly; the rest may differ
+    const querySpans = getTechnicalSpans(normalizedQuery);
 
     for (const candidate of limitedCandidates) {
-        const candidateText = candidate.processed.normalizedQuestion;
+        // Score the question and each alias, keep the closest
+        const { score: similarity, text, isAlias } = scoreMatchTexts(candidate, (candidateText) => {
+            if (!containsSpans(candidateText, querySpans)) {
+                return 0;
+            }
 
-        // Calculate both Levenshtein and Jaro-Winkler similarities
-        const levenshtein = levenshteinSimilarity(normalizedQuery, candidateText);
-        const jaroWinkler = jaroWinklerSimilarity(normalizedQuery, candidateText);
+            // Calculate both Levenshtein and Jaro-Winkler similarities
+            const levenshtein = levenshteinSimilarity(normalizedQuery, candidateText);
+            const jaroWinkler = jaroWinklerSimilarity(normalizedQuery, candidateText);
 
-        // Use weighted average (Jaro-Winkler is better for short strings)
-        const similarity = (levenshtein * 0.6) + (jaroWinkler * 0.4);
+            // Use weighted average (Jaro-Winkler is better for short strings)
+            return (levenshtein * settings.levenshteinWeight) + (jaroWinkler * (1 - settings.levenshteinWeight));
+        });
 
-        if (similarity > bestScore) {
-            bestScore = similarity;
-            bestMatch = candidate;
+        // Check if score meets threshold
+        if (similarity >= settings.minSimilarity) {
+            scored.push({ candidate, score: similarity, aliasText: isAlias ? text : null });
         }
     }
 
-    // Check if score meets threshold
-    if (bestScore < MATCHING_CONFIG.FUZZY_MIN_SIMILARITY) {
-        return null;
-    }
+    scored.sort((a, b) => b.score - a.score);
 
-    // Calculate confidence
-    const confidence = calculateConfidence(MATCH_TYPES.FUZZY, bestScore, {
-        queryLength: normalizedQuery.length,
-        questionLength: bestMatch.processed.normalizedQuestion.length
-    });
+    return scored.slice(0, limit).map(({ candidate, score, aliasText }) => {
+        // Calculate confidence
+        const confidence = calculateConfidence(MATCH_TYPES.FUZZY, score, {
+            queryLength: normalizedQuery.length,
+            questionLength: (aliasText || candidate.processed.normalizedQuestion).length
+        });
 
-    return {
-        question: bestMatch,
-        matchType: MATCH_TYPES.FUZZY,
-        confidence,
-        rawScore: bestScore,
-        explanation: explainConfidence(MATCH_TYPES.FUZZY, confidence, bestScore),
-        metadata: {
-            tier: 3,
-            method: 'fuzzy_similarity',
-            candidatesEvaluated: limitedCandidates.length
-        }
-    };
+        return {
+            question: candidate,
+            matchType: MATCH_TYPES.FUZZY,
+            confidence,
+            rawScore: score,
+            explanation: explainConfidence(MATCH_TYPES.FUZZY, confidence, score),
+            metadata: {
+                tier: 3,
+                method: 'fuzzy_similarity',
+                candidatesEvaluated: limitedCandidates.length,
+                matchedAlias: aliasText ? resolveAlias(candidate, aliasText) : null
+            }
+        };
+    });
 }
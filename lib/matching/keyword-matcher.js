@@ -3,81 +3,122 @@
  * @description Tier 2: Keyword overlap matching with Jaccard similarity
  * @module lib/matching/keyword-matcher
  * @requires lib/matching/confidence-calculator
+ * @requires lib/matching/matching-profiles
  * @requires lib/utils/string-utils
  * @requires lib/utils/constants
  */
 
 import { calculateConfidence, explainConfidence } from './confidence-calculator.js';
+import { getMatchingProfile } from './matching-profiles.js';
 import { jaccardSimilarity } from '../utils/string-utils.js';
-import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
+import { LANGUAGES, MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
 
 /**
  * Perform keyword overlap matching
+ * Keywords are compared by stem, and keywords in the same synonym group
+ * count as the same keyword, also inside phrases
  * @param {Array} queryKeywords - Extracted keywords from query
- * @param {Object} dbManager - Database manager instance
- * @returns {Promise<Object|null>} Match result or null
+ * @param {Array} candidates - Candidate questions from the term index
+ * @param {number} limit - Maximum number of results
+ * @param {SynonymDictionary|null} synonyms - User synonym dictionary
+ * @param {string} language - Query language (LANGUAGES value)
+ * @param {Object} settings - Keyword settings of the matching profile
+ * @param {number} settings.minOverlap - Lowest weighted overlap that matches
+ * @returns {Array} Match results, best first (empty if none)
  */
-export async function keywordMatch(queryKeywords, dbManager) {
+export function keywordMatch(
+    queryKeywords,
+    candidates,
+    limit = MATCHING_CONFIG.MAX_RESULTS,
+    synonyms = null,
+    language = LANGUAGES.UNDETERMINED,
+    settings = getMatchingProfile().keyword
+) {
     if (!queryKeywords || queryKeywords.length === 0) {
-        return null;
+        return [];
     }
 
+    // Synonyms are looked up by the keyword as written; keywords without one keep their stem
+    const canonical = (keywords, keywordLanguage) => (synonyms && synonyms.size > 0
+        ? keywords.map(kw => {
+            const word = canonicalKeyword(kw, synonyms, keywordLanguage);
+            return word === kw.word ? kw : { ...kw, word };
+        })
+        : keywords);
+    queryKeywords = canonical(queryKeywords, language);
+
     // Get all keywords as strings
     const queryKeywordStrings = queryKeywords.map(kw => kw.word);
 
-    // Query database for questions with matching keywords
-    const candidates = await dbManager.getQuestionsByKeywords(queryKeywordStrings);
-
-    if (candidates.length === 0) {
-        return null;
-    }
-
     // Score each candidate
-    let bestMatch = null;
-    let bestScore = 0;
+    const querySet = new Set(queryKeywordStrings);
+    const scored = [];
 
     for (const candidate of candidates) {
-        const candidateKeywords = candidate.processed.keywords.map(kw => kw.word);
+        const keywords = canonical(candidate.processed.keywords, candidate.language || LANGUAGES.UNDETERMINED);
+        const candidateKeywords = keywords.map(kw => kw.word);
 
         // Calculate Jaccard similarity
-        const querySet = new Set(queryKeywordStrings);
         const candidateSet = new Set(candidateKeywords);
         const similarity = jaccardSimilarity(querySet, candidateSet);
 
         // Weight by keyword importance
-        const importanceBoost = calculateImportanceBoost(queryKeywords, candidate.processed.keywords);
+        const importanceBoost = calculateImportanceBoost(queryKeywords, keywords);
         const weightedScore = similarity * (1 + importanceBoost * 0.2);
 
-        if (weightedScore > bestScore) {
-            bestScore = weightedScore;
-            bestMatch = candidate;
+        // Check if score meets threshold
+        if (weightedScore >= settings.minOverlap) {
+            scored.push({ candidate, score: weightedScore });
         }
     }
 
-    // Check if score meets threshold
-    if (bestScore < MATCHING_CONFIG.KEYWORD_MIN_OVERLAP) {
-        return null;
-    }
-
-    // Calculate confidence
-    const confidence = calculateConfidence(MATCH_TYPES.KEYWORD, bestScore, {
-        queryLength: queryKeywordStrings.length,
-        questionLength: bestMatch.processed.keywords.length
+    scored.sort((a, b) => b.score - a.score);
+
+    return scored.slice(0, limit).map(({ candidate, score }) => {
+        // Calculate confidence
+        const confidence = calculateConfidence(MATCH_TYPES.KEYWORD, score, {
+            queryLength: queryKeywordStrings.length,
+            questionLength: candidate.processed.keywords.length
+        });
+
+        return {
+            question: candidate,
+            matchType: MATCH_TYPES.KEYWORD,
+            confidence,
+            rawScore: score,
+            explanation: explainConfidence(MATCH_TYPES.KEYWORD, confidence, score),
+            metadata: {
+                tier: 2,
+                method: 'keyword_jaccard',
+                candidatesEvaluated: candidates.length
+            }
+        };
     });
+}
 
-    return {
-        question: bestMatch,
-        matchType: MATCH_TYPES.KEYWORD,
-        confidence,
-        rawScore: bestScore,
-        explanation: explainConfidence(MATCH_TYPES.KEYWORD, confidence, bestScore),
-        metadata: {
-            tier: 2,
-            method: 'keyword_jaccard',
-            candidatesEvaluated: candidates.length,
-            matchedKeywords: getMatchedKeywords(queryKeywordStrings, bestMatch.processed.keywords.map(kw => kw.word))
-        }
-    };
+/**
+ * Map a keyword to the first term of its synonym group
+ * In a phrase with no group of its own, each word with synonyms is mapped
+ * ("car tax" -> "automobile tax") and the other words keep their stems
+ * @param {Object} keyword - Keyword from extractKeywords
+ * @param {SynonymDictionary} synonyms - User synonym dictionary
+ * @param {string} language - Language of the keyword
+ * @returns {string} Word to compare the keyword by
+ */
+function canonicalKeyword(keyword, synonyms, language) {
+    const surface = keyword.surface || keyword.word;
+    const whole = synonyms.canonical(surface, language);
+    if (whole !== surface) return whole;
+
+    // Stemming maps word for word, so the surface and stemmed words line up
+    const surfaceWords = surface.split(' ');
+    const stems = keyword.word.split(' ');
+    if (surfaceWords.length < 2 || surfaceWords.length !== stems.length) return keyword.word;
+
+    return surfaceWords.map((word, index) => {
+        const mapped = synonyms.canonical(word, language);
+        return mapped === word ? stems[index] : mapped;
+    }).join(' ');
 }
 
 /**
@@ -102,14 +143,3 @@ function calculateImportanceBoost(queryKeywords, candidateKeywords) {
 
     return totalImportance > 0 ? matchedImportance / totalImportance : 0;
 }
-
-/**
- * Get list of matched keywords
- * @param {string[]} queryKeywords - Query keywords
- * @param {string[]} candidateKeywords - Candidate keywords
- * @returns {string[]} Matched keywords
- */
-function getMatchedKeywords(queryKeywords, candidateKeywords) {
-    const candidateSet = new Set(candidateKeywords);
-    return queryKeywords.filter(kw => candidateSet.has(kw));
-}
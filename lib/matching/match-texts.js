@@ -0,0 +1,78 @@
+/**
+ * @file match-texts.js
+ * @description Texts a stored question can be matched on
+ * @module lib/matching/match-texts
+ * @requires lib/normalization/text-normalizer
+ * @requires lib/normalization/technical-text
+ */
+
+import { normalizeForMatching } from '../normalization/text-normalizer.js';
+import { isTechnicalToken, isFormulaPart } from '../normalization/technical-text.js';
+
+/**
+ * Get every normalized text a question answers to: the question, then its aliases
+ * @param {Object} question - Stored question object
+ * @returns {string[]} Normalized texts
+ */
+export function getMatchTexts(question) {
+    return [
+        question.processed.normalizedQuestion,
+        ...(question.processed.normalizedAliases || [])
+    ];
+}
+
+/**
+ * Score a question by its best-scoring text
+ * @param {Object} question - Stored question object
+ * @param {Function} scoreText - (normalizedText) => number
+ * @returns {{score: number, text: string, isAlias: boolean}} Best score and the text that produced it
+ */
+export function scoreMatchTexts(question, scoreText) {
+    const texts = getMatchTexts(question);
+    let best = { score: -Infinity, text: texts[0], isAlias: false };
+
+    texts.forEach((text, index) => {
+        const score = scoreText(text);
+        if (score > best.score) {
+            best = { score, text, isAlias: index > 0 };
+        }
+    });
+
+    return best;
+}
+
+/**
+ * List the code and formula spans of a normalized text
+ * @param {string} normalizedText - Text from normalizeForMatching()
+ * @returns {string[]} Span tokens ("std::vector", "a^2+b^2")
+ */
+export function getTechnicalSpans(normalizedText) {
+    return normalizedText.split(' ').filter(isTechnicalToken);
+}
+
+/**
+ * Check whether a normalized text holds every span, exactly as written
+ * @param {string} normalizedText - Text from normalizeForMatching()
+ * @param {string[]} spans - Spans from getTechnicalSpans()
+ * @param {boolean} allowParts - Also accept a span that is part of a longer
+ * formula in the text ("a^2+b^2" in "a^2+b^2=c^2") (default: false)
+ * @returns {boolean} True if each span is a word of the text
+ */
+export function containsSpans(normalizedText, spans, allowParts = false) {
+    if (spans.length === 0) return true;
+
+    const words = new Set(normalizedText.split(' '));
+    const textSpans = allowParts ? getTechnicalSpans(normalizedText) : [];
+    return spans.every(span => words.has(span) || textSpans.some(formula => isFormulaPart(span, formula)));
+}
+
+/**
+ * Find the alias as the user wrote it from its normalized form
+ * @param {Object} question - Stored question object
+ * @param {string} normalizedAlias - Normalized alias text
+ * @returns {string} Original alias, or the normalized text if not found
+ */
+export function resolveAlias(question, normalizedAlias) {
+    const aliases = question.original.aliases || [];
+    return aliases.find(alias => normalizeForMatching(alias, question.language) === normalizedAlias) || normalizedAlias;
+}
@@ -1,14 +1,18 @@
 /**
  * @file matching-engine.js
- * @description Main matching engine orchestrator with 4-tier cascade
+ * @description Main matching engine orchestrator: 5 ranked local tiers, then AI
  * @module lib/matching/matching-engine
  * @requires lib/matching/exact-matcher
  * @requires lib/matching/keyword-matcher
- * @requires lib/matching/fuzzy-matcher
- * @requires lib/matching/partial-matcher
+ * @requires lib/matching/semantic-matcher
+ * @requires lib/matching/matching-profiles
+ * @requires lib/workers/tasks
  * @requires lib/matching/ai-hook
  * @requires lib/normalization/text-normalizer
  * @requires lib/normalization/keyword-extractor
+ * @requires lib/normalization/language-packs
+ * @requires lib/normalization/option-extractor
+ * @requires lib/storage/term-index
  * @requires lib/storage/indexeddb-manager
  * @requires lib/storage/cache-manager
  * @requires lib/utils/hash
@@ -19,25 +23,70 @@
 
 import { exactMatch } from "./exact-matcher.js";
 import { keywordMatch } from "./keyword-matcher.js";
-import { fuzzyMatch } from "./fuzzy-matcher.js";
-import { partialMatch } from "./partial-matcher.js";
+import { semanticMatch } from "./semantic-matcher.js";
+import { getMatchingProfile } from "./matching-profiles.js";
+import { scoreCandidates, getScoringFields } from "../workers/tasks.js";
 import { aiService } from "../ai/ai-service.js";
 import { normalizeForMatching } from "../normalization/text-normalizer.js";
 import { extractKeywords } from "../normalization/keyword-extractor.js";
+import { detectLanguage } from "../normalization/language-packs.js";
+import {
+  parseQuestionBlock,
+  resolveCorrectOption,
+  findPageOption,
+  labelFor,
+} from "../normalization/option-extractor.js";
+import { tokenize } from "../storage/term-index.js";
 import { dbManager } from "../storage/indexeddb-manager.js";
 import { queryCache } from "../storage/cache-manager.js";
 import { generateCacheKey } from "../utils/hash.js";
 import { AppError, handleError } from "../utils/error-handler.js";
-import { ERROR_CODES, MATCHING_CONFIG } from "../utils/constants.js";
+import {
+  ERROR_CODES,
+  LANGUAGES,
+  MATCHING_CONFIG,
+  MATCH_TYPES,
+  SYNONYM_CONFIG,
+} from "../utils/constants.js";
 import { PerformanceTimer } from "../utils/performance.js";
 
 /**
  * Main matching engine class
  */
-class MatchingEngine {
-  constructor() {
-    this.dbManager = dbManager;
-    this.cache = queryCache;
+export class MatchingEngine {
+  /**
+   * @param {Object} database - Database manager to search
+   * @param {Object} cache - Query result cache
+   * @param {Function} scorer - Runs the fuzzy and partial tiers (see scoreCandidates)
+   */
+  constructor(
+    database = dbManager,
+    cache = queryCache,
+    scorer = scoreCandidates,
+  ) {
+    this.dbManager = database;
+    this.cache = cache;
+    this.scorer = scorer;
+    this.semanticSearch = null;
+  }
+
+  /**
+   * Run the fuzzy and partial tiers elsewhere (the service worker uses the
+   * offscreen worker pool)
+   * @param {Function} scorer - (request) => {fuzzy, partial} or a Promise of it
+   */
+  useScorer(scorer) {
+    this.scorer = scorer;
+  }
+
+  /**
+   * Enable the semantic tier; the embedding model runs wherever search
+   * does (the service worker uses the offscreen document)
+   * @param {Function} search - ({text, language, collectionIds, limit, minSimilarity}) => Promise of
+   * [{id, similarity}], closest first (see SemanticIndex.search)
+   */
+  useSemanticSearch(search) {
+    this.semanticSearch = search;
   }
 
   /**
@@ -45,9 +94,10 @@ class MatchingEngine {
    * @param {string} query - User query text
    * @param {Object} options - Matching options
    * @param {number} options.minConfidence - Minimum confidence threshold
-   * @param {boolean} options.fuzzyEnabled - Enable fuzzy matching
-   * @param {boolean} options.partialEnabled - Enable partial matching
+   * @param {string} options.matchingProfile - MATCHING_PROFILES value (tiers to run, thresholds and weights)
+   * @param {Object} options.customMatchingProfile - Values of the custom profile
    * @param {boolean} options.useCache - Use query cache
+   * @param {number} options.maxResults - Most matches to rank (best first)
    * @returns {Promise<Object>} Match result
    */
   async findAnswer(query, options = {}) {
@@ -62,11 +112,11 @@ class MatchingEngine {
       // Set default options
       const opts = {
         minConfidence: options.minConfidence || 0.5,
-        fuzzyEnabled: options.fuzzyEnabled !== false,
-        partialEnabled: options.partialEnabled !== false,
+        profile: getMatchingProfile(options),
         useCache: options.useCache !== false,
         aiEnabled: options.aiEnabled,
         aiProxyUrl: options.aiProxyUrl,
+        maxResults: options.maxResults || MATCHING_CONFIG.MAX_RESULTS,
         query: query,
       };
 
@@ -83,7 +133,18 @@ class MatchingEngine {
       }
 
       // Preprocess query
-      const { normalizedQuery, keywords } = await this.preprocessQuery(query);
+      const {
+        normalizedQuery,
+        keywords,
+        pageOptions,
+        matchText,
+        language,
+        synonyms,
+      } = await this.preprocessQuery(query);
+      opts.pageOptions = pageOptions;
+      opts.matchText = matchText;
+      opts.language = language;
+      opts.synonyms = synonyms;
 
       // Run matching pipeline
       const result = await this.runMatchingPipeline(
@@ -92,6 +153,15 @@ class MatchingEngine {
         opts,
       );
 
+      // Point out which option to pick, and the words that matched
+      if (result.success && result.match) {
+        const queryTerms = tokenize(matchText, language);
+        for (const match of result.matches) {
+          this.attachOptionMatch(match, pageOptions);
+          this.attachMatchedKeywords(match, queryTerms, language, synonyms);
+        }
+      }
+
       // Cache result if successful
       if (result.success && result.match && opts.useCache) {
         await this.cacheResult(query, result);
@@ -164,108 +234,211 @@ class MatchingEngine {
    * @returns {Promise<Object>} Preprocessed data
    */
   async preprocessQuery(query) {
-    const normalizedQuery = normalizeForMatching(query);
-    const keywords = extractKeywords(query);
+    // A selected multiple-choice block is matched on its stem alone
+    const { stem, options: pageOptions } = parseQuestionBlock(query);
+    const matchText = pageOptions.length > 0 ? stem : query;
+
+    // Stored questions of other languages are not candidates
+    const language = detectLanguage(matchText);
+    const normalizedQuery = normalizeForMatching(matchText, language);
+    const keywords = extractKeywords(matchText, { language });
+    const synonyms = await this.dbManager.getSynonyms();
 
-    return { normalizedQuery, keywords };
+    return {
+      normalizedQuery,
+      keywords,
+      pageOptions,
+      matchText,
+      language,
+      synonyms,
+    };
+  }
+
+  /**
+   * Attach the options to show with a match, marking the one to pick
+   * Page options are matched by text, so shuffled options still line up
+   * @param {Object} match - Match result
+   * @param {Array<{label: string, text: string}>} pageOptions - Options selected with the question
+   */
+  attachOptionMatch(match, pageOptions) {
+    const { original } = match.question;
+    const storedOptions = original.options || [];
+    const correctIndex = resolveCorrectOption(original.correct, storedOptions);
+    const correctText =
+      correctIndex === -1 ? original.answer : storedOptions[correctIndex];
+
+    if (pageOptions.length > 0) {
+      match.optionMatch = {
+        options: pageOptions,
+        selectedIndex: findPageOption(pageOptions, correctText),
+        fromPage: true,
+      };
+    } else if (storedOptions.length > 0) {
+      match.optionMatch = {
+        options: storedOptions.map((text, index) => ({
+          label: labelFor(index),
+          text,
+        })),
+        selectedIndex: correctIndex,
+        fromPage: false,
+      };
+    }
+  }
+
+  /**
+   * List the query words the matched question shares, directly or through
+   * a synonym, in metadata.matchedKeywords
+   * @param {Object} match - Match result
+   * @param {string[]} queryTerms - Index terms of the query
+   * @param {string} language - Query language
+   * @param {SynonymDictionary} synonyms - User synonym dictionary
+   */
+  attachMatchedKeywords(match, queryTerms, language, synonyms) {
+    if (match.matchType === MATCH_TYPES.AI) return;
+
+    const { original } = match.question;
+    const questionLanguage = match.question.language || LANGUAGES.UNDETERMINED;
+    const questionTerms = [
+      original.question,
+      ...(original.aliases || []),
+    ].flatMap((text) => tokenize(text, questionLanguage));
+
+    match.metadata = {
+      ...match.metadata,
+      matchedKeywords: synonyms
+        .matchTerms(queryTerms, questionTerms, language, questionLanguage)
+        .slice(0, SYNONYM_CONFIG.MAX_MATCHED_KEYWORDS),
+    };
   }
 
   /**
-   * Run 4-tier matching pipeline with early exit
+   * Run the 5 local tiers and rank what they find
+   * Every tier runs, so a near-identical question found by a later tier is
+   * listed next to the best match
    * @param {string} normalizedQuery - Normalized query
    * @param {Array} keywords - Extracted keywords
    * @param {Object} options - Matching options
-   * @returns {Promise<Object>} Match result
+   * @returns {Promise<Object>} Match result; matches holds the ranked list
    */
   async runMatchingPipeline(normalizedQuery, keywords, options) {
-    // Check if database has data
-    const stats = await this.dbManager.getStats();
-    const hasData = stats.totalQuestions > 0;
+    // Check if database has data, and which collections may be searched
+    const [stats, collectionIds] = await Promise.all([
+      this.dbManager.getStats(),
+      this.dbManager.getEnabledCollectionIds(),
+    ]);
+    const hasData = stats.enabledQuestions > 0;
 
     if (!hasData) {
       console.log(
-        "[MatchingEngine] No local data loaded. Skipping local tiers.",
+        "[MatchingEngine] No enabled local data. Skipping local tiers.",
       );
     }
 
+    const limit = options.maxResults;
     let candidates = [];
 
     // Run local tiers only if we have data
     if (hasData) {
+      const found = [];
+
       // Tier 1: Exact Match
       console.log("[MatchingEngine] Tier 1: Exact match");
-      const exactResult = await exactMatch(normalizedQuery, this.dbManager);
-      if (exactResult && exactResult.confidence >= options.minConfidence) {
-        return {
-          success: true,
-          match: exactResult,
-          tier: 1,
-        };
-      }
+      found.push(
+        ...(await exactMatch(
+          normalizedQuery,
+          this.dbManager,
+          collectionIds,
+          options.pageOptions,
+          limit,
+        )),
+      );
+
+      // Tiers 2-4 score a bounded candidate set ranked by BM25 over the
+      // term index, rather than every stored question
+      candidates = await this.dbManager.searchCandidates(
+        normalizedQuery,
+        collectionIds,
+        MATCHING_CONFIG.CANDIDATE_LIMIT,
+        options.language,
+      );
+
+      const { profile } = options;
 
       // Tier 2: Keyword Match
-      console.log("[MatchingEngine] Tier 2: Keyword match");
-      const keywordResult = await keywordMatch(keywords, this.dbManager);
-      if (keywordResult && keywordResult.confidence >= options.minConfidence) {
-        return {
-          success: true,
-          match: keywordResult,
-          tier: 2,
-        };
+      if (profile.keyword.enabled) {
+        console.log("[MatchingEngine] Tier 2: Keyword match");
+        found.push(
+          ...keywordMatch(
+            keywords,
+            candidates,
+            limit,
+            options.synonyms,
+            options.language,
+            profile.keyword,
+          ),
+        );
       }
 
-      // Get candidates from keyword match for fuzzy/partial matching
-      if (keywords.length > 0) {
-        const keywordStrings = keywords.map((kw) => kw.word);
-        candidates =
-          await this.dbManager.getQuestionsByKeywords(keywordStrings);
-      }
+      // Tiers 3-4: Fuzzy and partial match
+      const scoring = profile.fuzzy.enabled || profile.partial.enabled;
+      if (candidates.length > 0 && scoring) {
+        console.log("[MatchingEngine] Tiers 3-4: Fuzzy and partial match");
+        const scored = await this.scorer({
+          normalizedQuery,
+          queryVariants:
+            options.synonyms?.expandQuery(normalizedQuery, options.language) ||
+            [],
+          candidates: candidates.map(getScoringFields),
+          limit,
+          fuzzy: profile.fuzzy,
+          partial: profile.partial,
+        });
 
-      // If no candidates from keywords, get all questions (expensive!)
-      if (candidates.length === 0) {
-        console.warn(
-          "[MatchingEngine] No keyword candidates, using all questions",
+        // Results hold the trimmed questions; swap the records back in
+        const byId = new Map(
+          candidates.map((question) => [question.id, question]),
+        );
+        found.push(
+          ...[...scored.fuzzy, ...scored.partial].map((match) => ({
+            ...match,
+            question: byId.get(match.question.id),
+          })),
         );
-        candidates = await this.dbManager.getAllQuestions();
       }
 
-      // Tier 3: Fuzzy Match
-      if (options.fuzzyEnabled) {
-        console.log("[MatchingEngine] Tier 3: Fuzzy match");
-        const fuzzyResult = fuzzyMatch(normalizedQuery, candidates);
-        if (fuzzyResult && fuzzyResult.confidence >= options.minConfidence) {
-          return {
-            success: true,
-            match: fuzzyResult,
-            tier: 3,
-          };
-        }
+      // Tier 5: Semantic match, for reworded questions the candidate
+      // search misses because they share few words with the query
+      if (profile.semantic.enabled && this.semanticSearch) {
+        console.log("[MatchingEngine] Tier 5: Semantic match");
+        found.push(
+          ...(await this.findSemanticMatches(
+            options.matchText,
+            options.language,
+            collectionIds,
+            limit,
+            profile.semantic.minSimilarity,
+          )),
+        );
       }
 
-      // Tier 4: Partial Match
-      if (options.partialEnabled) {
-        console.log("[MatchingEngine] Tier 4: Partial match");
-        const partialResult = partialMatch(normalizedQuery, candidates);
-        if (
-          partialResult &&
-          partialResult.confidence >= options.minConfidence
-        ) {
-          return {
-            success: true,
-            match: partialResult,
-            tier: 4,
-          };
-        }
+      const matches = rankMatches(found, options.minConfidence, limit);
+      if (matches.length > 0) {
+        return {
+          success: true,
+          match: matches[0],
+          matches,
+          tier: matches[0].metadata.tier,
+        };
       }
     }
 
-    // Tier 5: AI Match
+    // Tier 6: AI Match
     // Check if AI is enabled via service config (or passed options)
     // We assume options.aiEnabled might override, or we check service
     const aiEnabled = options.aiEnabled !== false; // Default to true if not specified, but service checks internal config too
 
     if (aiEnabled) {
-      console.log("[MatchingEngine] Tier 5: AI match");
+      console.log("[MatchingEngine] Tier 6: AI match");
 
       // Update AI service config with latest settings
       if (options.aiProxyUrl) {
@@ -286,7 +459,8 @@ class MatchingEngine {
         return {
           success: true,
           match: aiResult.match,
-          tier: 5,
+          matches: [aiResult.match],
+          tier: 6,
           source: "ai",
         };
       }
@@ -298,9 +472,12 @@ class MatchingEngine {
     let message =
       "No match found in your database. Enable AI Answering for better results!";
 
-    if (!hasData) {
+    if (stats.totalQuestions === 0) {
       message =
         "No Q&A file uploaded yet. Click the extension icon to upload your questions, or enable AI for instant answers.";
+    } else if (!hasData) {
+      message =
+        "All your collections are disabled. Enable one in the extension popup, or enable AI for instant answers.";
     } else if (!aiEnabled) {
       message =
         "No match found in your uploaded files. Enable AI Answering in settings for better results!";
@@ -313,6 +490,59 @@ class MatchingEngine {
       tier: 0,
     };
   }
+
+  /**
+   * Run the semantic search and load the questions it found
+   * @param {string} text - Query text (the stem of a multiple-choice block)
+   * @param {string} language - Query language; the model only handles some
+   * @param {Set<string>} collectionIds - Enabled collections
+   * @param {number} limit - Maximum number of results
+   * @param {number} minSimilarity - Lowest similarity that matches
+   * @returns {Promise<Array>} Match results, best first
+   */
+  async findSemanticMatches(
+    text,
+    language,
+    collectionIds,
+    limit,
+    minSimilarity,
+  ) {
+    const hits = await this.semanticSearch({
+      text,
+      language,
+      collectionIds: [...collectionIds],
+      limit,
+      minSimilarity,
+    });
+    if (hits.length === 0) return [];
+
+    const questions = await this.dbManager.getQuestionsByIds(
+      hits.map((hit) => hit.id),
+    );
+    return semanticMatch(hits, questions, limit, minSimilarity);
+  }
+}
+
+/**
+ * Merge the results of all tiers into one ranked list
+ * A question found by several tiers keeps its most confident result
+ * @param {Array} found - Match results, in tier order
+ * @param {number} minConfidence - Minimum confidence threshold
+ * @param {number} limit - Maximum number of matches
+ * @returns {Array} Matches, most confident first (earlier tier on ties)
+ */
+function rankMatches(found, minConfidence, limit) {
+  const seen = new Set();
+
+  return found
+    .filter((match) => match.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence)
+    .filter((match) => {
+      if (seen.has(match.question.id)) return false;
+      seen.add(match.question.id);
+      return true;
+    })
+    .slice(0, limit);
 }
 
 // Export singleton instance
@@ -0,0 +1,192 @@
+/**
+ * @file matching-profiles.js
+ * @description Named matching profiles: which tiers run, with their thresholds and weights
+ * @module lib/matching/matching-profiles
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ *
+ * settings.matchingProfile names the profile searches use. Balanced is
+ * MATCHING_CONFIG; the custom profile starts from balanced and takes the
+ * values in settings.customMatchingProfile. The exact tier always runs.
+ */
+
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, MATCHING_CONFIG, MATCHING_PROFILES } from '../utils/constants.js';
+
+// What a profile sets for each tier, and the range a custom profile may use
+export const PROFILE_FIELDS = [
+    { tier: 'keyword', key: 'enabled', label: 'Keyword matching' },
+    { tier: 'keyword', key: 'minOverlap', label: 'Minimum keyword overlap', min: 0.3, max: 1 },
+    { tier: 'fuzzy', key: 'enabled', label: 'Fuzzy matching' },
+    { tier: 'fuzzy', key: 'minSimilarity', label: 'Minimum text similarity', min: 0.5, max: 1 },
+    { tier: 'fuzzy', key: 'levenshteinWeight', label: 'Edit distance weight (Jaro-Winkler has the rest)', min: 0, max: 1 },
+    { tier: 'fuzzy', key: 'maxCandidates', label: 'Questions compared', min: 1, max: MATCHING_CONFIG.CANDIDATE_LIMIT, integer: true },
+    { tier: 'partial', key: 'enabled', label: 'Partial matching' },
+    { tier: 'partial', key: 'minScore', label: 'Minimum partial score', min: 0.2, max: 1 },
+    { tier: 'partial', key: 'substringWeight', label: 'Substring weight (word order has the rest)', min: 0, max: 1 },
+    { tier: 'semantic', key: 'enabled', label: 'Semantic matching' },
+    { tier: 'semantic', key: 'minSimilarity', label: 'Minimum meaning similarity', min: 0.3, max: 0.95 }
+];
+
+const BALANCED = {
+    keyword: { enabled: true, minOverlap: MATCHING_CONFIG.KEYWORD_MIN_OVERLAP },
+    fuzzy: {
+        enabled: true,
+        minSimilarity: MATCHING_CONFIG.FUZZY_MIN_SIMILARITY,
+        levenshteinWeight: MATCHING_CONFIG.FUZZY_LEVENSHTEIN_WEIGHT,
+        maxCandidates: MATCHING_CONFIG.FUZZY_MAX_CANDIDATES
+    },
+    partial: { enabled: true, minScore: MATCHING_CONFIG.PARTIAL_MIN_SCORE, substringWeight: MATCHING_CONFIG.PARTIAL_SUBSTRING_WEIGHT },
+    semantic: { enabled: true, minSimilarity: MATCHING_CONFIG.SEMANTIC_MIN_SIMILARITY }
+};
+
+const PRESETS = {
+    [MATCHING_PROFILES.STRICT]: {
+        keyword: { enabled: true, minOverlap: 0.85 },
+        fuzzy: { enabled: true, minSimilarity: 0.92, levenshteinWeight: 0.6, maxCandidates: 50 },
+        partial: { enabled: false, minScore: 0.65, substringWeight: 0.7 },
+        semantic: { enabled: true, minSimilarity: 0.75 }
+    },
+    [MATCHING_PROFILES.BALANCED]: BALANCED,
+    [MATCHING_PROFILES.LENIENT]: {
+        keyword: { enabled: true, minOverlap: 0.6 },
+        fuzzy: { enabled: true, minSimilarity: 0.75, levenshteinWeight: 0.5, maxCandidates: 100 },
+        partial: { enabled: true, minScore: 0.4, substringWeight: 0.7 },
+        semantic: { enabled: true, minSimilarity: 0.5 }
+    }
+};
+
+/**
+ * Get the profile searches use
+ * Values of a custom profile that are missing or out of range fall back
+ * to balanced
+ * @param {Object} settings - Settings ({matchingProfile, customMatchingProfile})
+ * @returns {{keyword: Object, fuzzy: Object, partial: Object, semantic: Object}} Settings of each tier
+ */
+export function getMatchingProfile(settings = {}) {
+    const { matchingProfile = MATCHING_PROFILES.BALANCED, customMatchingProfile = {} } = settings;
+    const preset = PRESETS[matchingProfile] || BALANCED;
+    const profile = Object.fromEntries(Object.entries(preset).map(([tier, values]) => [tier, { ...values }]));
+
+    if (matchingProfile === MATCHING_PROFILES.CUSTOM) {
+        for (const field of PROFILE_FIELDS) {
+            const value = customMatchingProfile?.[field.tier]?.[field.key];
+            if (checkField(field, value) === null) {
+                profile[field.tier][field.key] = value;
+            }
+        }
+    }
+    return profile;
+}
+
+/**
+ * Get every named profile, for the settings page
+ * @param {Object} settings - Settings ({matchingProfile, customMatchingProfile})
+ * @returns {{selected: string, profiles: Object, fields: Array}} Selected profile name,
+ * name -> getMatchingProfile() result, and PROFILE_FIELDS
+ */
+export function listMatchingProfiles(settings = {}) {
+    const profiles = Object.fromEntries(Object.values(MATCHING_PROFILES).map(name => [
+        name,
+        getMatchingProfile({ ...settings, matchingProfile: name })
+    ]));
+    return { selected: settings.matchingProfile || MATCHING_PROFILES.BALANCED, profiles, fields: PROFILE_FIELDS };
+}
+
+/**
+ * Check the matching settings of a settings update
+ * @param {Object} settings - Settings update
+ * @returns {Object} The update, with the custom profile reduced to PROFILE_FIELDS
+ * @throws {AppError} INVALID_INPUT if the profile is unknown or a custom value is out of range
+ */
+export function validateMatchingSettings(settings) {
+    const { matchingProfile, customMatchingProfile } = settings;
+    if (matchingProfile !== undefined && !Object.values(MATCHING_PROFILES).includes(matchingProfile)) {
+        throw new AppError(ERROR_CODES.INVALID_INPUT, `Unknown matching profile "${matchingProfile}"`, {
+            reason: `Unknown matching profile "${matchingProfile}".`
+        });
+    }
+    if (customMatchingProfile === undefined) {
+        return settings;
+    }
+
+    const custom = pickCustomValues(customMatchingProfile, (field, problem) => {
+        throw new AppError(ERROR_CODES.INVALID_INPUT, `Invalid ${field.tier}.${field.key}`, {
+            reason: `${field.label} ${problem}.`
+        });
+    });
+    return { ...settings, customMatchingProfile: custom };
+}
+
+/**
+ * Bring stored or restored settings up to date
+ * Settings saved before profiles had fuzzyMatchingEnabled and
+ * partialMatchingEnabled; a tier switched off there stays off, in a custom
+ * profile. Unknown profiles and invalid custom values are dropped.
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Settings without the old switches
+ */
+export function upgradeMatchingSettings(settings) {
+    const { fuzzyMatchingEnabled, partialMatchingEnabled, ...upgraded } = settings;
+
+    if (upgraded.matchingProfile !== undefined && !Object.values(MATCHING_PROFILES).includes(upgraded.matchingProfile)) {
+        delete upgraded.matchingProfile;
+    }
+    if (upgraded.customMatchingProfile !== undefined) {
+        upgraded.customMatchingProfile = pickCustomValues(upgraded.customMatchingProfile, () => {});
+    }
+
+    const switchedOff = fuzzyMatchingEnabled === false || partialMatchingEnabled === false;
+    if (!switchedOff || (upgraded.matchingProfile && upgraded.matchingProfile !== MATCHING_PROFILES.BALANCED)) {
+        return upgraded;
+    }
+
+    return {
+        ...upgraded,
+        matchingProfile: MATCHING_PROFILES.CUSTOM,
+        customMatchingProfile: {
+            fuzzy: { enabled: fuzzyMatchingEnabled !== false },
+            partial: { enabled: partialMatchingEnabled !== false }
+        }
+    };
+}
+
+/**
+ * Keep the valid PROFILE_FIELDS values of a custom profile
+ * @param {Object} custom - {tier: {setting: value}}
+ * @param {Function} onInvalid - (field, problem) => void, for each invalid value
+ * @returns {Object} Custom profile with only the valid values
+ */
+function pickCustomValues(custom, onInvalid) {
+    const picked = {};
+    for (const field of PROFILE_FIELDS) {
+        const value = custom?.[field.tier]?.[field.key];
+        if (value === undefined) continue;
+
+        const problem = checkField(field, value);
+        if (problem) {
+            onInvalid(field, problem);
+            continue;
+        }
+        picked[field.tier] = { ...picked[field.tier], [field.key]: value };
+    }
+    return picked;
+}
+
+/**
+ * @param {Object} field - Entry of PROFILE_FIELDS
+ * @param {any} value - Value to check
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkField(field, value) {
+    if (field.key === 'enabled') {
+        return typeof value === 'boolean' ? null : 'must be on or off';
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || (field.integer && !Number.isInteger(value))) {
+        return field.integer ? 'must be a whole number' : 'must be a number';
+    }
+    if (value < field.min || value > field.max) {
+        return `must be between ${field.min} and ${field.max}`;
+    }
+    return null;
+}
@@ -3,11 +3,15 @@
  * @description Tier 4: Partial/substring matching
  * @module lib/matching/partial-matcher
  * @requires lib/matching/confidence-calculator
+ * @requires lib/matching/match-texts
+ * @requires lib/matching/matching-profiles
  * @requires lib/utils/string-utils
  * @requires lib/utils/constants
  */
 
 import { calculateConfidence, explainConfidence } from './confidence-calculator.js';
+import { scoreMatchTexts, resolveAlias, getTechnicalSpans, containsSpans } from './match-texts.js';
+import { getMatchingProfile } from './matching-profiles.js';
 import { substringScore, wordPositionSimilarity } from '../utils/string-utils.js';
 import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
 
@@ -15,55 +19,67 @@ import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
  * Perform partial/substring matching
  * @param {string} normalizedQuery - Normalized query text
  * @param {Array} candidates - Candidate questions from previous tier
- * @returns {Object|null} Match result or null
+ * @param {number} limit - Maximum number of results
+ * @param {Object} settings - Partial settings of the matching profile
+ * @param {number} settings.minScore - Lowest score that matches
+ * @param {number} settings.substringWeight - Share of substring containment in the score
+ * @returns {Array} Match results, best first (empty if none)
  */
-export function partialMatch(normalizedQuery, candidates) {
+export function partialMatch(normalizedQuery, candidates, limit = MATCHING_CONFIG.MAX_RESULTS, settings = getMatchingProfile().partial) {
     if (!candidates || candidates.length === 0) {
-        return null;
+        return [];
     }
 
-    let bestMatch = null;
-    let bestScore = 0;
+    const scored = [];
+
+    // Texts without the query's code and formula spans score nothing; a
+    // span may be part of a longer formula
+    const querySpans = getTechnicalSpans(normalizedQuery);
 
     for (const candidate of candidates) {
-        const candidateText = candidate.processed.normalizedQuestion;
+        // Score the question and each alias, keep the best
+        const { score: combinedScore, text, isAlias } = scoreMatchTexts(candidate, (candidateText) => {
+            if (!containsSpans(candidateText, querySpans, true)) {
+                return 0;
+            }
 
-        // Calculate substring containment score
-        const substringScoreValue = substringScore(normalizedQuery, candidateText);
+            // Calculate substring containment score
+            const substringScoreValue = substringScore(normalizedQuery, candidateText);
 
-        // Calculate word position similarity
-        const positionSimilarity = wordPositionSimilarity(normalizedQuery, candidateText);
+            // Calculate word position similarity
+            const positionSimilarity = wordPositionSimilarity(normalizedQuery, candidateText);
 
-        // Combine scores (substring is more important)
-        const combinedScore = (substringScoreValue * 0.7) + (positionSimilarity * 0.3);
+            // Combine scores (substring is more important by default)
+            return (substringScoreValue * settings.substringWeight) + (positionSimilarity * (1 - settings.substringWeight));
+        });
 
-        if (combinedScore > bestScore) {
-            bestScore = combinedScore;
-            bestMatch = candidate;
+        // Check if score meets threshold
+        if (combinedScore >= settings.minScore) {
+            scored.push({ candidate, score: combinedScore, aliasText: isAlias ? text : null });
         }
     }
 
-    // Check if score meets threshold
-    if (bestScore < MATCHING_CONFIG.PARTIAL_MIN_SCORE) {
-        return null;
-    }
+    scored.sort((a, b) => b.score - a.score);
 
-    // Calculate confidence
-    const confidence = calculateConfidence(MATCH_TYPES.PARTIAL, bestScore, {
-        queryLength: normalizedQuery.length,
-        questionLength: bestMatch.processed.normalizedQuestion.length
-    });
+    return scored.slice(0, limit).map(({ candidate, score, aliasText }) => {
+        // Calculate confidence
+        const confidence = calculateConfidence(MATCH_TYPES.PARTIAL, score, {
+            queryLength: normalizedQuery.length,
+            questionLength: (aliasText || candidate.processed.normalizedQuestion).length
+        });
 
-    return {
-        question: bestMatch,
-        matchType: MATCH_TYPES.PARTIAL,
-        confidence,
-        rawScore: bestScore,
-        explanation: explainConfidence(MATCH_TYPES.PARTIAL, confidence, bestScore),
-        metadata: {
-            tier: 4,
-            method: 'partial_substring',
-            candidatesEvaluated: candidates.length
-        }
-    };
+        return {
+            question: candidate,
+            matchType: MATCH_TYPES.PARTIAL,
+            confidence,
+            rawScore: score,
+            explanation: explainConfidence(MATCH_TYPES.PARTIAL, confidence, score),
+            metadata: {
+                tier: 4,
+                method: 'partial_substring',
+                candidatesEvaluated: candidates.length,
+                matchedAlias: aliasText ? resolveAlias(candidate, aliasText) : null
+            }
+        };
+    });
 }
@@ -0,0 +1,46 @@
+/**
+ * @file semantic-matcher.js
+ * @description Tier 5: Semantic matching on sentence embeddings
+ * @module lib/matching/semantic-matcher
+ * @requires lib/matching/confidence-calculator
+ * @requires lib/utils/constants
+ */
+
+import { calculateConfidence, explainConfidence } from './confidence-calculator.js';
+import { MATCH_TYPES, MATCHING_CONFIG } from '../utils/constants.js';
+
+/**
+ * Turn the closest questions of a semantic search into match results
+ * Finds reworded questions that share few words with the query
+ * @param {Array<{id: string, similarity: number}>} hits - SemanticIndex.search() results, closest first
+ * @param {Array} questions - The hit questions (deleted ones may be missing)
+ * @param {number} limit - Maximum number of results
+ * @param {number} minimum - Lowest similarity the search returned
+ * @returns {Array} Match results, best first (empty if none)
+ */
+export function semanticMatch(hits, questions, limit = MATCHING_CONFIG.MAX_RESULTS, minimum = MATCHING_CONFIG.SEMANTIC_MIN_SIMILARITY) {
+    const questionsById = new Map(questions.map(question => [question.id, question]));
+
+    return hits
+        .filter(hit => questionsById.has(hit.id))
+        .slice(0, limit)
+        .map(({ id, similarity }) => {
+            // Spread the similarities above the threshold over the confidence range
+            // (a threshold of 1 only lets identical meanings through)
+            const score = minimum < 1 ? (similarity - minimum) / (1 - minimum) : 1;
+            const confidence = calculateConfidence(MATCH_TYPES.SEMANTIC, score);
+
+            return {
+                question: questionsById.get(id),
+                matchType: MATCH_TYPES.SEMANTIC,
+                confidence,
+                rawScore: similarity,
+                explanation: explainConfidence(MATCH_TYPES.SEMANTIC, confidence, similarity),
+                metadata: {
+                    tier: 5,
+                    method: 'embedding_similarity',
+                    candidatesEvaluated: hits.length
+                }
+            };
+        });
+}
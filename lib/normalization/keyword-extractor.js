@@ -4,11 +4,15 @@
  * @module lib/normalization/keyword-extractor
  * @requires lib/normalization/stopwords
  * @requires lib/normalization/text-normalizer
+ * @requires lib/normalization/language-packs
+ * @requires lib/normalization/technical-text
  * @requires lib/utils/constants
  */
 
 import { isStopword, QUESTION_WORDS } from './stopwords.js';
 import { normalizeForKeywords } from './text-normalizer.js';
+import { detectLanguage, UNSPACED_SCRIPT } from './language-packs.js';
+import { isTechnicalToken, getSpanOperands } from './technical-text.js';
 import { KEYWORD_CONFIG, KEYWORD_TYPES } from '../utils/constants.js';
 
 /**
@@ -53,12 +57,15 @@ function isProperNoun(word, originalText) {
 }
 
 /**
- * Detect if word is a technical term (contains special characters or is all caps)
+ * Detect if word is a technical term (a code or formula span, contains special characters or is all caps)
  * @param {string} word - Word to check
  * @param {string} originalWord - Original word before normalization
  * @returns {boolean} True if technical term
  */
 function isTechnicalTerm(word, originalWord) {
+    // Code or formula span kept whole by normalization ("std::vector", "a^2+b^2")
+    if (isTechnicalToken(word)) return true;
+
     // Contains numbers, hyphens, or special characters
     if (/[\d\-@#$%]/.test(originalWord)) return true;
 
@@ -83,9 +90,9 @@ function calculateWordImportance(word, allWords, wordFrequency) {
     const tf = wordFrequency[word] / allWords.length;
 
     // Inverse document frequency (IDF) - simulate with word rarity
-    // Rare words (low frequency) get higher scores
+    // Rare words (low frequency) get higher scores, and every word a positive one
     const maxFreq = Math.max(...Object.values(wordFrequency));
-    const idf = Math.log(maxFreq / (wordFrequency[word] + 1));
+    const idf = Math.log(1 + maxFreq / wordFrequency[word]);
 
     // Combine TF and IDF
     const tfidf = tf * idf;
@@ -97,18 +104,20 @@ function calculateWordImportance(word, allWords, wordFrequency) {
 /**
  * Extract n-grams (phrases) from words
  * @param {string[]} words - Array of words
+ * @param {string[]} stems - Stem of each word
  * @param {number} n - N-gram size (2 or 3)
- * @returns {string[]} Array of n-grams
+ * @param {string} language - LANGUAGES value
+ * @returns {Array<{phrase: string, surface: string, stems: string[]}>} N-grams, by stem and as written
  */
-function extractNGrams(words, n = 2) {
+function extractNGrams(words, stems, n, language) {
     const ngrams = [];
     for (let i = 0; i <= words.length - n; i++) {
-        const ngram = words.slice(i, i + n).join(' ');
         // Only include if not all stop words
         const ngramWords = words.slice(i, i + n);
-        const hasContentWord = ngramWords.some(w => !isStopword(w));
+        const hasContentWord = ngramWords.some(w => !isStopword(w, language));
         if (hasContentWord) {
-            ngrams.push(ngram);
+            const ngramStems = stems.slice(i, i + n);
+            ngrams.push({ phrase: ngramStems.join(' '), surface: ngramWords.join(' '), stems: ngramStems });
         }
     }
     return ngrams;
@@ -119,10 +128,11 @@ function extractNGrams(words, n = 2) {
  * @param {string} word - Word to classify
  * @param {string} originalText - Original text
  * @param {string} originalWord - Original word before normalization
+ * @param {string} language - LANGUAGES value
  * @returns {string} Keyword type
  */
-function classifyKeywordType(word, originalText, originalWord) {
-    if (isStopword(word)) return KEYWORD_TYPES.STOPWORD;
+function classifyKeywordType(word, originalText, originalWord, language) {
+    if (isStopword(word, language)) return KEYWORD_TYPES.STOPWORD;
     if (isTechnicalTerm(word, originalWord)) return KEYWORD_TYPES.TECHNICAL;
     if (isProperNoun(word, originalText) || isNumber(word) || isDateRelated(word)) {
         return KEYWORD_TYPES.ENTITY;
@@ -136,31 +146,44 @@ function classifyKeywordType(word, originalText, originalWord) {
  * @param {Object} options - Extraction options
  * @param {number} options.maxKeywords - Maximum number of keywords
  * @param {boolean} options.includePhrases - Include 2-3 word phrases
- * @returns {Array<{word: string, importance: number, type: string}>} Extracted keywords
+ * @param {string} options.language - LANGUAGES value (default: detected from the text)
+ * @param {boolean} options.stem - Compare keywords by stem (default: KEYWORD_CONFIG.STEMMING)
+ * @returns {Array<{word: string, surface: string, importance: number, type: string}>} Extracted
+ * keywords: word is what keywords are compared by (the stem when stemming), surface the text as written
  */
 export function extractKeywords(text, options = {}) {
-    const {
-        maxKeywords = KEYWORD_CONFIG.MAX_KEYWORDS,
-        includePhrases = true
-    } = options;
-
     if (!text || typeof text !== 'string') {
         return [];
     }
 
+    const {
+        maxKeywords = KEYWORD_CONFIG.MAX_KEYWORDS,
+        includePhrases = true,
+        language = detectLanguage(text),
+        stem = KEYWORD_CONFIG.STEMMING
+    } = options;
+
     const originalText = text;
 
-    // Normalize text for processing
-    const normalizedText = normalizeForKeywords(text);
+    // Normalize text for processing, as written and stemmed
+    // (stemming maps word for word, so the two line up)
+    const surfaceWords = normalizeForKeywords(text, language, { stem: false }).split(/\s+/);
+    const stemmedWords = stem ? normalizeForKeywords(text, language, { stem: true }).split(/\s+/) : surfaceWords;
 
     // Tokenize
-    const words = normalizedText.split(/\s+/).filter(w => w.length >= KEYWORD_CONFIG.MIN_KEYWORD_LENGTH);
+    // Words of unspaced scripts are often one or two characters long, and so are spans like "c#"
+    const isShortWord = word => UNSPACED_SCRIPT.test(word) || isTechnicalToken(word);
+    const kept = surfaceWords
+        .map((word, index) => index)
+        .filter(index => surfaceWords[index].length >= KEYWORD_CONFIG.MIN_KEYWORD_LENGTH || isShortWord(surfaceWords[index]));
+    const words = kept.map(index => surfaceWords[index]);
+    const stems = kept.map(index => stemmedWords[index] || surfaceWords[index]);
 
     if (words.length === 0) return [];
 
-    // Calculate word frequency
+    // Calculate word frequency (forms of a word count together)
     const wordFrequency = {};
-    words.forEach(word => {
+    stems.forEach(word => {
         wordFrequency[word] = (wordFrequency[word] || 0) + 1;
     });
 
@@ -170,12 +193,12 @@ export function extractKeywords(text, options = {}) {
 
     words.forEach((word, index) => {
         // Skip stop words unless they're question words
-        if (isStopword(word) && !QUESTION_WORDS.has(word)) {
+        if (isStopword(word, language) && !QUESTION_WORDS.has(word)) {
             return;
         }
 
         // Skip very short or very long words
-        if (word.length < KEYWORD_CONFIG.MIN_KEYWORD_LENGTH ||
+        if ((word.length < KEYWORD_CONFIG.MIN_KEYWORD_LENGTH && !isShortWord(word)) ||
             word.length > KEYWORD_CONFIG.MAX_KEYWORD_LENGTH) {
             return;
         }
@@ -184,7 +207,7 @@ export function extractKeywords(text, options = {}) {
         const originalWord = originalWords[index] || word;
 
         // Calculate importance
-        const importance = calculateWordImportance(word, words, wordFrequency);
+        const importance = calculateWordImportance(stems[index], stems, wordFrequency);
 
         // Skip low-importance words
         if (importance < KEYWORD_CONFIG.IMPORTANCE_THRESHOLD) {
@@ -192,25 +215,35 @@ export function extractKeywords(text, options = {}) {
         }
 
         // Classify keyword type
-        const type = classifyKeywordType(word, originalText, originalWord);
+        const type = classifyKeywordType(word, originalText, originalWord, language);
 
         keywords.push({
-            word,
+            word: stems[index],
+            surface: word,
             importance,
             type
         });
+
+        // The operands of a formula are keywords too, so part of it matches
+        getSpanOperands(word)
+            .filter(operand => operand.length >= KEYWORD_CONFIG.MIN_KEYWORD_LENGTH || isShortWord(operand))
+            .forEach(operand => keywords.push({
+                word: operand,
+                surface: operand,
+                importance,
+                type: classifyKeywordType(operand, originalText, operand, language)
+            }));
     });
 
     // Extract phrases (2-grams and 3-grams)
     if (includePhrases) {
-        const bigrams = extractNGrams(words, 2);
-        const trigrams = extractNGrams(words, 3);
+        const bigrams = extractNGrams(words, stems, 2, language);
+        const trigrams = extractNGrams(words, stems, 3, language);
 
-        [...bigrams, ...trigrams].forEach(phrase => {
+        [...bigrams, ...trigrams].forEach(({ phrase, surface, stems: phraseWords }) => {
             // Calculate phrase importance (average of word importances)
-            const phraseWords = phrase.split(' ');
             const avgImportance = phraseWords.reduce((sum, word) => {
-                return sum + calculateWordImportance(word, words, wordFrequency);
+                return sum + calculateWordImportance(word, stems, wordFrequency);
             }, 0) / phraseWords.length;
 
             // Boost importance for phrases (they're more specific)
@@ -219,6 +252,7 @@ export function extractKeywords(text, options = {}) {
             if (boostedImportance >= KEYWORD_CONFIG.IMPORTANCE_THRESHOLD) {
                 keywords.push({
                     word: phrase,
+                    surface,
                     importance: boostedImportance,
                     type: KEYWORD_TYPES.COMMON
                 });
@@ -0,0 +1,208 @@
+/**
+ * @file language-packs.js
+ * @description Language detection and the per-language normalization packs
+ * @module lib/normalization/language-packs
+ * @requires lib/normalization/languages/english
+ * @requires lib/normalization/languages/spanish
+ * @requires lib/normalization/languages/german
+ * @requires lib/normalization/languages/hindi
+ * @requires lib/utils/constants
+ *
+ * A pack holds what normalization needs to know about a language: the
+ * words that identify it, stop words, contractions (expanded before
+ * punctuation is removed) and light stemming rules. A question's language
+ * is detected when it is built and stored with it; a query's on every
+ * search. Languages without a pack (Chinese, Japanese, Russian...) are
+ * still detected, by script, so they only match each other. Scripts
+ * written without spaces between words are split into words with
+ * Intl.Segmenter.
+ */
+
+import { ENGLISH } from './languages/english.js';
+import { SPANISH } from './languages/spanish.js';
+import { GERMAN } from './languages/german.js';
+import { HINDI } from './languages/hindi.js';
+import { LANGUAGES, NORMALIZATION_CONFIG } from '../utils/constants.js';
+
+// Languages told apart by their words rather than their script
+const LATIN_PACKS = [ENGLISH, SPANISH, GERMAN];
+
+// Language of each script with its own letters
+const SCRIPTS = [
+    { language: LANGUAGES.HINDI, pattern: /\p{Script=Devanagari}/gu },
+    { language: LANGUAGES.JAPANESE, pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+    { language: LANGUAGES.CHINESE, pattern: /\p{Script=Han}/gu },
+    { language: LANGUAGES.KOREAN, pattern: /\p{Script=Hangul}/gu },
+    { language: LANGUAGES.THAI, pattern: /\p{Script=Thai}/gu },
+    { language: LANGUAGES.ARABIC, pattern: /\p{Script=Arabic}/gu },
+    { language: LANGUAGES.RUSSIAN, pattern: /\p{Script=Cyrillic}/gu }
+];
+const LATIN_PATTERN = /\p{Script=Latin}/gu;
+
+// Scripts written without spaces between words
+export const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const UNSPACED_CHARACTERS = new RegExp(UNSPACED_SCRIPT.source, 'gu');
+
+/**
+ * Pack of a language without stop words or stemming rules
+ * @param {string} code - LANGUAGES value
+ * @param {string} name - Display name
+ * @returns {Object} Language pack
+ */
+function createBasicPack(code, name) {
+    return { code, name, markers: new Set(), stopwords: new Set(), contractions: {}, stemRules: [], minStemLength: 0 };
+}
+
+// Undetermined text keeps its stop words; English contractions are unambiguous, so they still apply
+const UNDETERMINED = {
+    ...createBasicPack(LANGUAGES.UNDETERMINED, 'Undetermined'),
+    contractions: ENGLISH.contractions
+};
+
+const PACKS = new Map([
+    ...[ENGLISH, SPANISH, GERMAN, HINDI, UNDETERMINED].map(pack => [pack.code, pack]),
+    [LANGUAGES.CHINESE, createBasicPack(LANGUAGES.CHINESE, 'Chinese')],
+    [LANGUAGES.JAPANESE, createBasicPack(LANGUAGES.JAPANESE, 'Japanese')],
+    [LANGUAGES.KOREAN, createBasicPack(LANGUAGES.KOREAN, 'Korean')],
+    [LANGUAGES.THAI, createBasicPack(LANGUAGES.THAI, 'Thai')],
+    [LANGUAGES.ARABIC, createBasicPack(LANGUAGES.ARABIC, 'Arabic')],
+    [LANGUAGES.RUSSIAN, createBasicPack(LANGUAGES.RUSSIAN, 'Russian')]
+]);
+
+// Compiled contraction pattern of each pack
+const contractionPatterns = new Map();
+
+// Intl.Segmenter of each language (created on first use)
+const segmenters = new Map();
+
+/**
+ * Get the pack of a language
+ * @param {string} language - LANGUAGES value
+ * @returns {Object} Language pack (the undetermined pack if there is none)
+ */
+export function getLanguagePack(language) {
+    return PACKS.get(language) || UNDETERMINED;
+}
+
+/**
+ * Detect the language of a text
+ * The script most letters are written in decides; Latin-script text is
+ * scored on the marker words and letters of each Latin pack. Names and
+ * titles bring foreign words into English text, so once English words
+ * are present, another language must lead English by
+ * NORMALIZATION_CONFIG.LANGUAGE_MARGIN
+ * @param {string} text - Text to examine
+ * @returns {string} LANGUAGES value (UNDETERMINED if there is no clear winner)
+ */
+export function detectLanguage(text) {
+    if (!text || typeof text !== 'string') {
+        return LANGUAGES.UNDETERMINED;
+    }
+
+    const latinLetters = (text.match(LATIN_PATTERN) || []).length;
+    const counts = new Map(SCRIPTS.map(({ language, pattern }) => [language, (text.match(pattern) || []).length]));
+
+    // Kanji with any kana is Japanese
+    if (counts.get(LANGUAGES.JAPANESE) > 0) {
+        counts.set(LANGUAGES.JAPANESE, counts.get(LANGUAGES.JAPANESE) + counts.get(LANGUAGES.CHINESE));
+        counts.delete(LANGUAGES.CHINESE);
+    }
+
+    const [script, scriptLetters] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    if (scriptLetters > 0 && scriptLetters >= latinLetters) {
+        return script;
+    }
+    if (latinLetters === 0) {
+        return LANGUAGES.UNDETERMINED;
+    }
+
+    const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+    const scores = LATIN_PACKS.map(pack => ({
+        language: pack.code,
+        score: words.filter(word => pack.markers.has(word)).length +
+            (pack.letters ? (text.toLowerCase().match(pack.letters) || []).length : 0)
+    })).sort((a, b) => b.score - a.score);
+
+    const [best, next] = scores;
+    const english = scores.find(({ language }) => language === LANGUAGES.ENGLISH);
+    if (best !== english && english.score > 0 && best.score - english.score < NORMALIZATION_CONFIG.LANGUAGE_MARGIN) {
+        return LANGUAGES.ENGLISH;
+    }
+    return best.score > next.score ? best.language : LANGUAGES.UNDETERMINED;
+}
+
+/**
+ * Expand the contractions of a language ("don't" -> "do not", "zum" -> "zu dem")
+ * @param {string} text - Text, before apostrophes are removed
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Text with contractions expanded (in lowercase)
+ */
+export function expandContractions(text, language) {
+    const pack = getLanguagePack(language);
+    if (!contractionPatterns.has(pack.code)) {
+        const forms = Object.keys(pack.contractions).map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        contractionPatterns.set(pack.code, forms.length > 0
+            ? new RegExp(`(?<![\\p{L}\\p{N}'])(${forms.join('|')})(?![\\p{L}\\p{N}'])`, 'giu')
+            : null);
+    }
+
+    const pattern = contractionPatterns.get(pack.code);
+    return pattern ? text.replace(pattern, form => pack.contractions[form.toLowerCase()]) : text;
+}
+
+/**
+ * Put spaces between the words of scripts written without them
+ * @param {string} text - Normalized text
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Text with its words separated by spaces
+ */
+export function segmentWords(text, language) {
+    if (!UNSPACED_SCRIPT.test(text)) {
+        return text;
+    }
+
+    // Without Intl.Segmenter every character is a word
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+        return text.replace(UNSPACED_CHARACTERS, ' $& ');
+    }
+
+    const locale = language === LANGUAGES.UNDETERMINED ? undefined : language;
+    if (!segmenters.has(locale)) {
+        segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+    }
+    return Array.from(segmenters.get(locale).segment(text), ({ segment }) => segment).join(' ');
+}
+
+/**
+ * Reduce a word to its stem with the rules of its language
+ * The first rule that matches applies, unless it leaves a stem shorter
+ * than the pack's minimum. English has no rules here: stemKeyword()
+ * stems it with Porter2
+ * @param {string} word - Lowercase word
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Stem (the word itself if no rule applies)
+ */
+export function stemWord(word, language) {
+    const pack = getLanguagePack(language);
+    if (pack.stemRules.length === 0) {
+        return word;
+    }
+
+    const folded = pack.foldAccents ? foldAccents(word) : word;
+    for (const [pattern, replacement] of pack.stemRules) {
+        if (pattern.test(folded)) {
+            const stem = folded.replace(pattern, replacement);
+            return stem.length >= pack.minStemLength ? stem : folded;
+        }
+    }
+    return folded;
+}
+
+/**
+ * Remove accents and umlauts, and write ß as ss
+ * @param {string} word - Latin-script word
+ * @returns {string} Folded word
+ */
+function foldAccents(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss');
+}
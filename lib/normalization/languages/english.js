@@ -0,0 +1,173 @@
+/**
+ * @file english.js
+ * @description English language pack
+ * @module lib/normalization/languages/english
+ * @requires lib/utils/constants
+ */
+
+import { LANGUAGES } from '../../utils/constants.js';
+
+// Comprehensive English stop words list
+export const ENGLISH_STOPWORDS = new Set([
+    // Articles
+    'a', 'an', 'the',
+
+    // Pronouns
+    'i', 'you', 'he', 'she', 'it', 'we', 'they', 'them', 'their', 'theirs',
+    'me', 'him', 'her', 'us', 'my', 'your', 'his', 'its', 'our',
+    'myself', 'yourself', 'himself', 'herself', 'itself', 'ourselves', 'themselves',
+    'this', 'that', 'these', 'those',
+
+    // Prepositions
+    'in', 'on', 'at', 'to', 'for', 'with', 'from', 'by', 'about', 'as',
+    'into', 'through', 'during', 'before', 'after', 'above', 'below',
+    'between', 'under', 'over', 'of', 'off', 'up', 'down', 'out',
+
+    // Conjunctions
+    'and', 'or', 'but', 'nor', 'so', 'yet', 'if', 'because', 'while',
+    'although', 'though', 'unless', 'since', 'until', 'when', 'where',
+
+    // Auxiliary verbs
+    'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being',
+    'have', 'has', 'had', 'having',
+    'do', 'does', 'did', 'doing',
+    'will', 'would', 'shall', 'should', 'may', 'might', 'must', 'can', 'could',
+
+    // Common verbs (often not meaningful in questions)
+    'get', 'got', 'getting',
+    'make', 'made', 'making',
+    'go', 'went', 'going', 'gone',
+    'come', 'came', 'coming',
+    'take', 'took', 'taken', 'taking',
+    'see', 'saw', 'seen', 'seeing',
+    'know', 'knew', 'known', 'knowing',
+    'think', 'thought', 'thinking',
+    'say', 'said', 'saying',
+    'tell', 'told', 'telling',
+    'give', 'gave', 'given', 'giving',
+    'find', 'found', 'finding',
+    'use', 'used', 'using',
+    'want', 'wanted', 'wanting',
+    'work', 'worked', 'working',
+    'call', 'called', 'calling',
+    'try', 'tried', 'trying',
+    'ask', 'asked', 'asking',
+    'need', 'needed', 'needing',
+    'feel', 'felt', 'feeling',
+    'become', 'became', 'becoming',
+    'leave', 'left', 'leaving',
+    'put', 'putting',
+
+    // Other common words
+    'not', 'no', 'yes',
+    'all', 'any', 'some', 'many', 'much', 'more', 'most', 'few', 'less', 'least',
+    'each', 'every', 'both', 'either', 'neither', 'other', 'another',
+    'such', 'same', 'different',
+    'very', 'too', 'quite', 'rather', 'just', 'only', 'even', 'also', 'still',
+    'here', 'there', 'now', 'then', 'today', 'tomorrow', 'yesterday',
+    'always', 'never', 'sometimes', 'often', 'usually', 'seldom',
+    'again', 'back', 'away', 'around',
+    'than', 'then', 'once', 'twice',
+    'one', 'two', 'first', 'second', 'last', 'next',
+    'new', 'old', 'good', 'bad', 'big', 'small', 'long', 'short',
+    'high', 'low', 'right', 'left', 'near', 'far',
+    'well', 'better', 'best', 'worse', 'worst',
+    'own', 'same', 'sure', 'certain',
+    'however', 'therefore', 'thus', 'hence', 'moreover', 'furthermore',
+    'etc', 'ie', 'eg', 'vs', 'via'
+]);
+
+export const ENGLISH = {
+    code: LANGUAGES.ENGLISH,
+    name: 'English',
+
+    // Frequent words that tell English text apart from the other Latin-script packs
+    markers: new Set([
+        'the', 'is', 'are', 'was', 'were', 'of', 'and', 'to', 'in', 'a', 'an',
+        'what', 'which', 'who', 'why', 'how', 'does', 'do', 'did', 'with', 'for',
+        'this', 'that', 'it', 'on', 'be', 'not', 'can', 'you', 'your'
+    ]),
+
+    stopwords: ENGLISH_STOPWORDS,
+
+    // Expanded before apostrophes are removed
+    contractions: {
+        "don't": "do not",
+        "doesn't": "does not",
+        "didn't": "did not",
+        "won't": "will not",
+        "wouldn't": "would not",
+        "can't": "cannot",
+        "couldn't": "could not",
+        "shouldn't": "should not",
+        "isn't": "is not",
+        "aren't": "are not",
+        "wasn't": "was not",
+        "weren't": "were not",
+        "haven't": "have not",
+        "hasn't": "has not",
+        "hadn't": "had not",
+        "i'm": "i am",
+        "you're": "you are",
+        "he's": "he is",
+        "she's": "she is",
+        "it's": "it is",
+        "what's": "what is",
+        "that's": "that is",
+        "there's": "there is",
+        "where's": "where is",
+        "who's": "who is",
+        "how's": "how is",
+        "let's": "let us",
+        "we're": "we are",
+        "they're": "they are",
+        "i've": "i have",
+        "you've": "you have",
+        "we've": "we have",
+        "they've": "they have",
+        "i'll": "i will",
+        "you'll": "you will",
+        "he'll": "he will",
+        "she'll": "she will",
+        "we'll": "we will",
+        "they'll": "they will",
+        "i'd": "i would",
+        "you'd": "you would",
+        "he'd": "he would",
+        "she'd": "she would",
+        "we'd": "we would",
+        "they'd": "they would"
+    },
+
+    // Irregular forms a stemmer cannot reduce, mapped to their base form
+    // (forms with a common unrelated meaning, such as "left" or "saw", are left out)
+    lemmas: new Map(Object.entries({
+        // Verbs
+        ran: 'run', began: 'begin', begun: 'begin', wrote: 'write', written: 'write',
+        spoke: 'speak', spoken: 'speak', broke: 'break', broken: 'break',
+        chose: 'choose', chosen: 'choose', drove: 'drive', driven: 'drive',
+        ate: 'eat', eaten: 'eat', flew: 'fly', flown: 'fly', grew: 'grow', grown: 'grow',
+        drew: 'draw', drawn: 'draw', threw: 'throw', thrown: 'throw', froze: 'freeze',
+        frozen: 'freeze', sang: 'sing', sung: 'sing', swam: 'swim', swum: 'swim',
+        hid: 'hide', hidden: 'hide', forgot: 'forget', forgotten: 'forget',
+        wore: 'wear', worn: 'wear', became: 'become', brought: 'bring', bought: 'buy',
+        caught: 'catch', taught: 'teach', fought: 'fight', sought: 'seek',
+        built: 'build', sent: 'send', spent: 'spend', lost: 'lose', held: 'hold',
+        kept: 'keep', slept: 'sleep', felt: 'feel', meant: 'mean', met: 'meet',
+        paid: 'pay', sold: 'sell', heard: 'hear', understood: 'understand',
+        stood: 'stand', won: 'win', struck: 'strike', led: 'lead', dealt: 'deal',
+        fled: 'flee', fed: 'feed', bent: 'bend', lent: 'lend', wept: 'weep',
+        // Nouns
+        children: 'child', men: 'man', women: 'woman', people: 'person',
+        feet: 'foot', teeth: 'tooth', geese: 'goose', mice: 'mouse', oxen: 'ox',
+        criteria: 'criterion', phenomena: 'phenomenon', analyses: 'analysis',
+        theses: 'thesis', crises: 'crisis', hypotheses: 'hypothesis',
+        indices: 'index', matrices: 'matrix', vertices: 'vertex',
+        // Adjectives
+        better: 'good', best: 'good', worse: 'bad', worst: 'bad'
+    })),
+
+    // English is stemmed with the lemmas above and Porter2 (see stemmer.js)
+    stemRules: [],
+    minStemLength: 0
+};
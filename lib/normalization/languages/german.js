@@ -0,0 +1,72 @@
+/**
+ * @file german.js
+ * @description German language pack
+ * @module lib/normalization/languages/german
+ * @requires lib/utils/constants
+ */
+
+import { LANGUAGES } from '../../utils/constants.js';
+
+export const GERMAN = {
+    code: LANGUAGES.GERMAN,
+    name: 'German',
+
+    markers: new Set([
+        'der', 'die', 'das', 'den', 'dem', 'des', 'und', 'ist', 'sind', 'ein', 'eine',
+        'einen', 'nicht', 'wie', 'was', 'wer', 'welche', 'welcher', 'warum', 'mit', 'von',
+        'zu', 'zum', 'zur', 'im', 'auf', 'für', 'auch', 'sich', 'es', 'wird', 'werden'
+    ]),
+    letters: /[äöüß]/g,
+
+    // Question words (was, wer, wie, warum, welche...) are kept
+    stopwords: new Set([
+        // Articles
+        'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer', 'eines', 'einem', 'einen',
+
+        // Pronouns
+        'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'mich', 'dich', 'sich', 'uns', 'euch',
+        'mir', 'dir', 'ihm', 'ihn', 'ihnen', 'mein', 'meine', 'dein', 'deine', 'sein', 'seine',
+        'ihre', 'unser', 'unsere', 'euer', 'eure', 'dieser', 'diese', 'dieses', 'diesem', 'diesen',
+        'jener', 'jene', 'jenes', 'man',
+
+        // Prepositions and their contractions
+        'an', 'auf', 'aus', 'bei', 'bis', 'durch', 'für', 'gegen', 'hinter', 'in', 'mit',
+        'nach', 'neben', 'ohne', 'über', 'um', 'unter', 'von', 'vor', 'zu', 'zwischen',
+        'am', 'im', 'ins', 'ans', 'aufs', 'beim', 'vom', 'zum', 'zur',
+
+        // Conjunctions
+        'und', 'oder', 'aber', 'denn', 'sondern', 'dass', 'ob', 'wenn', 'als', 'weil', 'doch',
+
+        // Auxiliary verbs
+        'ist', 'sind', 'war', 'waren', 'bin', 'bist', 'seid', 'gewesen', 'hat', 'haben', 'hatte',
+        'hatten', 'habe', 'hast', 'wird', 'werden', 'wurde', 'wurden', 'worden', 'kann', 'können',
+        'muss', 'müssen', 'soll', 'sollen', 'will', 'wollen', 'darf', 'dürfen',
+
+        // Other common words
+        'nicht', 'kein', 'keine', 'auch', 'noch', 'nur', 'schon', 'sehr', 'so', 'da', 'hier',
+        'dort', 'alle', 'alles', 'viel', 'viele', 'mehr', 'andere', 'anderen', 'ja', 'nein'
+    ]),
+
+    // A preposition merged with an article reads the same as the two words
+    contractions: {
+        'zum': 'zu dem',
+        'zur': 'zu der',
+        'im': 'in dem',
+        'am': 'an dem',
+        'ins': 'in das',
+        'ans': 'an das',
+        'aufs': 'auf das',
+        'beim': 'bei dem',
+        'vom': 'von dem'
+    },
+
+    // Light stemmer after Savoy (2002), on the word without umlauts and ß
+    stemRules: [
+        [/ern$/, ''],
+        [/(em|en|er|es)$/, ''],
+        [/e$/, ''],
+        [/([bdfghklmnt])s$/, '$1']
+    ],
+    minStemLength: 3,
+    foldAccents: true
+};
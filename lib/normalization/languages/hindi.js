@@ -0,0 +1,46 @@
+/**
+ * @file hindi.js
+ * @description Hindi language pack
+ * @module lib/normalization/languages/hindi
+ * @requires lib/utils/constants
+ */
+
+import { LANGUAGES } from '../../utils/constants.js';
+
+// Inflection suffixes of the light stemmer of Ramanathan and Rao (2003)
+const SUFFIXES = [
+    'ाएंगी', 'ाएंगे', 'ाऊंगी', 'ाऊंगा', 'ाइयाँ', 'ाइयों', 'ाइयां',
+    'ाएगी', 'ाएगा', 'ाओगी', 'ाओगे', 'एंगी', 'ेंगी', 'एंगे', 'ेंगे', 'ूंगी', 'ूंगा', 'ातीं',
+    'नाओं', 'नाएं', 'ताओं', 'ताएं', 'ियाँ', 'ियों', 'ियां',
+    'ाकर', 'ाइए', 'ाईं', 'ाया', 'ेगी', 'ेगा', 'ोगी', 'ोगे', 'ाने', 'ाना', 'ाते', 'ाती',
+    'ाता', 'तीं', 'ाओं', 'ाएं', 'ुओं', 'ुएं', 'ुआं',
+    'कर', 'ाओ', 'िए', 'ाई', 'ाए', 'ने', 'नी', 'ना', 'ते', 'ीं', 'ती', 'ता', 'ां', 'ों', 'ें',
+    'ो', 'े', 'ू', 'ु', 'ी', 'ि', 'ा'
+];
+
+export const HINDI = {
+    code: LANGUAGES.HINDI,
+    name: 'Hindi',
+
+    // Told apart by its script (Devanagari)
+    markers: new Set(),
+
+    // Question words (क्या, कौन, कब, कहाँ, क्यों, कैसे) are kept
+    stopwords: new Set([
+        'का', 'की', 'के', 'को', 'में', 'से', 'पर', 'तक', 'ने', 'और', 'या', 'एवं', 'व',
+        'है', 'हैं', 'था', 'थी', 'थे', 'हो', 'होता', 'होती', 'होते', 'होने', 'हुआ', 'हुई', 'हुए',
+        'यह', 'ये', 'वह', 'वे', 'इस', 'उस', 'इसका', 'इसकी', 'इसके', 'इसमें', 'इसे', 'इसी',
+        'उनका', 'उनकी', 'उनके', 'उसके', 'आप', 'अपना', 'अपनी', 'अपने', 'जो', 'कि', 'तो', 'ही',
+        'भी', 'नहीं', 'न', 'ना', 'कर', 'करने', 'करना', 'करते', 'करता', 'करें', 'किया', 'गया',
+        'जा', 'रहा', 'रहे', 'सकता', 'सकते', 'लिए', 'लिये', 'द्वारा', 'साथ', 'बाद', 'जब', 'जैसे',
+        'तरह', 'कुछ', 'कोई', 'किसी', 'सभी', 'कई', 'बहुत', 'सबसे', 'अभी', 'आदि', 'यदि', 'दिया'
+    ]),
+
+    contractions: {},
+
+    // The longest suffix that leaves a stem is removed
+    stemRules: [
+        [new RegExp(`(${SUFFIXES.join('|')})$`), '']
+    ],
+    minStemLength: 2
+};
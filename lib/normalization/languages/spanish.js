@@ -0,0 +1,66 @@
+/**
+ * @file spanish.js
+ * @description Spanish language pack
+ * @module lib/normalization/languages/spanish
+ * @requires lib/utils/constants
+ */
+
+import { LANGUAGES } from '../../utils/constants.js';
+
+export const SPANISH = {
+    code: LANGUAGES.SPANISH,
+    name: 'Spanish',
+
+    markers: new Set([
+        'el', 'la', 'los', 'las', 'de', 'del', 'al', 'que', 'qué', 'es', 'son', 'en',
+        'y', 'un', 'una', 'por', 'con', 'para', 'se', 'su', 'lo', 'como', 'cómo',
+        'cuál', 'cuáles', 'dónde', 'cuándo', 'quién', 'está', 'hay', 'pero', 'más', 'muy'
+    ]),
+    letters: /[ñ¿¡áéíóú]/g,
+
+    // Question words (qué, cuál, quién, cómo...) are kept
+    stopwords: new Set([
+        // Articles and contractions
+        'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'lo', 'al', 'del',
+
+        // Pronouns and determiners
+        'yo', 'tú', 'él', 'ella', 'ello', 'nosotros', 'nosotras', 'vosotros', 'vosotras',
+        'ellos', 'ellas', 'usted', 'ustedes', 'me', 'te', 'se', 'nos', 'os', 'le', 'les',
+        'mi', 'mis', 'tu', 'tus', 'su', 'sus', 'nuestro', 'nuestra', 'nuestros', 'nuestras',
+        'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'esos', 'esas', 'esto', 'eso',
+        'aquel', 'aquella', 'aquellos', 'aquellas',
+
+        // Prepositions
+        'a', 'ante', 'bajo', 'con', 'contra', 'de', 'desde', 'en', 'entre', 'hacia',
+        'hasta', 'para', 'por', 'según', 'sin', 'sobre', 'tras', 'durante', 'mediante',
+
+        // Conjunctions
+        'y', 'e', 'o', 'u', 'ni', 'pero', 'sino', 'que', 'si', 'porque', 'aunque', 'pues',
+
+        // Auxiliary and common verbs
+        'es', 'son', 'era', 'eran', 'fue', 'fueron', 'ser', 'sido', 'siendo', 'sea', 'sean',
+        'está', 'están', 'estaba', 'estar', 'estado', 'hay', 'ha', 'han', 'he', 'has',
+        'había', 'haber', 'habido', 'tiene', 'tienen', 'tener', 'hace', 'hacer', 'puede', 'pueden',
+
+        // Other common words
+        'más', 'menos', 'muy', 'ya', 'también', 'tan', 'tanto', 'todo', 'toda', 'todos', 'todas',
+        'otro', 'otra', 'otros', 'otras', 'mismo', 'misma', 'cada', 'algo', 'alguno', 'alguna',
+        'mucho', 'mucha', 'muchos', 'muchas', 'poco', 'poca', 'sí', 'no', 'aquí', 'allí', 'así'
+    ]),
+
+    // "al" and "del" read the same as "a el" and "de el"
+    contractions: {
+        'al': 'a el',
+        'del': 'de el'
+    },
+
+    // Light stemmer after Savoy (2002): plural endings, then the final vowel
+    stemRules: [
+        [/eses$/, 'es'],
+        [/ces$/, 'z'],
+        [/(os|as|es)$/, ''],
+        [/[oae]$/, '']
+    ],
+    minStemLength: 3,
+    foldAccents: true
+};
@@ -0,0 +1,394 @@
+/**
+ * @file numeric-normalizer.js
+ * @description Canonical forms of numbers, units and dates
+ * @module lib/normalization/numeric-normalizer
+ * @requires lib/utils/constants
+ *
+ * Runs before punctuation is removed, as separators and decimal points are
+ * punctuation. Both stored questions and queries go through it, so
+ * "twenty-five kilometres" and "25 km" normalize to the same text:
+ * - written numbers and ordinals (English) become digits: "twenty-first" -> "21st";
+ *   "one" only in a longer number, before a unit or on its own, as it is
+ *   usually a pronoun ("which one", "the first one")
+ * - thousands separators go, decimal commas (Spanish, German) become points
+ * - units after a number take one symbol: "kilometres" -> "km", "°C" -> "celsius";
+ *   unit names without a number are left as written, as many are also
+ *   ordinary words ("a mile", "milestone")
+ * - dates with a month name become ISO: "May 12, 2020" -> "2020-05-12"; numeric
+ *   dates only when the day and month can be told apart ("25/12/2020", not "3/4/2020")
+ */
+
+import { LANGUAGES } from '../utils/constants.js';
+
+const SMALL_NUMBERS = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = { hundred: 100, thousand: 1e3, million: 1e6, billion: 1e9 };
+
+// "second" is left out: on its own it is usually the unit of time
+const ORDINALS = {
+    first: 1, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+    eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16,
+    seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30, fortieth: 40,
+    fiftieth: 50, sixtieth: 60, seventieth: 70, eightieth: 80, ninetieth: 90,
+    hundredth: 100, thousandth: 1e3, millionth: 1e6
+};
+
+// Word -> {value, kind}
+const NUMBER_WORDS = new Map([
+    ...SMALL_NUMBERS.map((word, value) => [word, { value, kind: value === 0 || value >= 10 ? 'teen' : 'unit' }]),
+    ...TENS.map((word, i) => [word, { value: (i + 2) * 10, kind: 'tens' }]),
+    ...Object.entries(SCALES).map(([word, value]) => [word, { value, kind: value === 100 ? 'hundred' : 'scale' }])
+]);
+
+// Word kinds each kind may follow within one number ("and" only after hundred or a scale)
+const FOLLOWS = {
+    unit: [null, 'tens', 'hundred', 'scale'],
+    teen: [null, 'hundred', 'scale'],
+    tens: [null, 'hundred', 'scale'],
+    hundred: ['unit', 'teen'],
+    scale: ['unit', 'teen', 'tens', 'hundred']
+};
+
+const NUMBER_WORD = [...NUMBER_WORDS.keys(), ...Object.keys(ORDINALS)]
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+const NUMBER_RUN = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${NUMBER_WORD})(?:(?:\\s+and\\s+|[\\s-]+)(?:${NUMBER_WORD}))*(?![\\p{L}\\p{N}])`,
+    'giu'
+);
+
+// Canonical unit -> names and symbols written after a number (matched case-insensitively)
+const UNITS = {
+    km: ['kilometres', 'kilometers', 'kilometre', 'kilometer', 'kilómetros', 'kilómetro', 'kilometern', 'kms', 'km'],
+    m: ['metres', 'meters', 'metre', 'meter', 'metros', 'metern'],
+    cm: ['centimetres', 'centimeters', 'centimetre', 'centimeter', 'centímetros', 'zentimeter', 'cms', 'cm'],
+    mm: ['millimetres', 'millimeters', 'millimetre', 'millimeter', 'milímetros', 'mm'],
+    mi: ['miles', 'mile', 'millas', 'meilen', 'mi'],
+    ft: ['feet', 'foot', 'fuß', 'ft'],
+    inch: ['inches', 'inch', 'pulgadas', 'zoll'],
+    kg: ['kilograms', 'kilogram', 'kilogrammes', 'kilogramme', 'kilogramos', 'kilogramm', 'kilos', 'kilo', 'kgs', 'kg'],
+    g: ['grams', 'gram', 'grammes', 'gramme', 'gramos', 'gramm'],
+    mg: ['milligrams', 'milligram', 'miligramos', 'milligramm', 'mg'],
+    lb: ['pounds', 'pound', 'libras', 'pfund', 'lbs', 'lb'],
+    oz: ['ounces', 'ounce', 'onzas', 'unzen', 'oz'],
+    l: ['litres', 'liters', 'litre', 'liter', 'litros', 'litro', 'litern'],
+    ml: ['millilitres', 'milliliters', 'millilitre', 'milliliter', 'mililitros', 'ml'],
+    kmh: ['kilometres per hour', 'kilometers per hour', 'kilómetros por hora', 'stundenkilometer', 'km/h', 'kph', 'kmh'],
+    mph: ['miles per hour', 'mph'],
+    h: ['hours', 'hour', 'horas', 'hora', 'stunden', 'stunde', 'hrs', 'hr'],
+    min: ['minutes', 'minute', 'minutos', 'minuto', 'minuten', 'mins', 'min'],
+    s: ['seconds', 'second', 'segundos', 'segundo', 'sekunden', 'sekunde', 'secs', 'sec'],
+    celsius: [
+        'degrees celsius', 'degree celsius', 'degrees centigrade', 'grados celsius', 'grad celsius',
+        'celsius', 'centigrade', '°c', '° c', 'ºc'
+    ],
+    fahrenheit: ['degrees fahrenheit', 'degree fahrenheit', 'grados fahrenheit', 'grad fahrenheit', 'fahrenheit', '°f', '° f', 'ºf'],
+    percent: ['percent', 'per cent', 'por ciento', 'prozent', '%']
+};
+
+const UNIT_NAMES = new Map(Object.entries(UNITS).flatMap(([unit, names]) => names.map(name => [name, unit])));
+const UNIT_NAME = [...UNIT_NAMES.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+const UNIT_PATTERN = new RegExp(`(\\d)[\\s-]*(${UNIT_NAME})(?![\\p{L}\\p{N}])`, 'giu');
+const LEADING_UNIT = new RegExp(`^[\\s-]*(?:${UNIT_NAME})(?![\\p{L}\\p{N}])`, 'iu');
+
+// Canonical units, as extractNumericValues() finds them
+const CANONICAL_UNIT = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+const VALUE_PATTERN = new RegExp(
+    `(?<![\\p{L}\\p{N}.])(\\d+(?:\\.\\d+)?)(st|nd|rd|th)?(?:\\s+(${CANONICAL_UNIT}))?(?![\\p{L}\\p{N}]|\\.\\d)`,
+    'gu'
+);
+const ISO_DATE = /(?<![\d-])(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?![\d-])/g;
+
+// Month names of each language, January first; English is also used for undetermined text
+const MONTHS = {
+    [LANGUAGES.ENGLISH]: [
+        ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'], ['may'], ['june', 'jun'],
+        ['july', 'jul'], ['august', 'aug'], ['september', 'sept', 'sep'], ['october', 'oct'], ['november', 'nov'],
+        ['december', 'dec']
+    ],
+    [LANGUAGES.SPANISH]: [
+        ['enero'], ['febrero'], ['marzo'], ['abril'], ['mayo'], ['junio'], ['julio'], ['agosto'],
+        ['septiembre', 'setiembre'], ['octubre'], ['noviembre'], ['diciembre']
+    ],
+    [LANGUAGES.GERMAN]: [
+        ['januar', 'jan'], ['februar', 'feb'], ['märz', 'maerz'], ['april', 'apr'], ['mai'], ['juni', 'jun'],
+        ['juli', 'jul'], ['august', 'aug'], ['september', 'sep'], ['oktober', 'okt'], ['november', 'nov'],
+        ['dezember', 'dez']
+    ]
+};
+
+// Compiled date patterns of each language
+const datePatterns = new Map();
+
+/**
+ * Write the numbers, units and dates of a text in their canonical forms
+ * @param {string} text - Text before punctuation is removed
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Text with canonical numbers
+ */
+export function canonicalizeNumbers(text, language) {
+    const english = language === LANGUAGES.ENGLISH || language === LANGUAGES.UNDETERMINED;
+    const decimalComma = language === LANGUAGES.SPANISH || language === LANGUAGES.GERMAN;
+
+    if (english) {
+        text = replaceNumberWords(text);
+    }
+    text = replaceDates(text, language);
+
+    if (decimalComma) {
+        // 25.000,5 -> 25000.5 and 3,5 -> 3.5
+        text = text.replace(/(?<![\d.,])\d{1,3}(?:\.\d{3})+(?:,\d+)?(?![\d.,])/g, number =>
+            number.replace(/\./g, '').replace(',', '.'));
+        text = text.replace(/(?<![\d.,])(\d+),(\d+)(?![\d.,])/g, '$1.$2');
+    } else {
+        // 25,000.5 -> 25000.5
+        text = text.replace(/(?<![\d.,])\d{1,3}(?:,\d{3})+(?:\.\d+)?(?![\d.,])/g, number => number.replace(/,/g, ''));
+    }
+
+    return text.replace(UNIT_PATTERN, (match, digit, name) => `${digit} ${UNIT_NAMES.get(name.toLowerCase())}`);
+}
+
+/**
+ * Extract the numbers and dates of a text
+ * @param {string} text - Raw text
+ * @param {string} language - LANGUAGES value
+ * @returns {{numbers: Array<{value: number, unit: string|null, ordinal: boolean}>, dates: string[]}}
+ * Numbers in text order, with the canonical unit that follows them; dates as
+ * YYYY-MM-DD (YYYY-MM without a day)
+ */
+export function extractNumericValues(text, language) {
+    if (!text || typeof text !== 'string') {
+        return { numbers: [], dates: [] };
+    }
+
+    const canonical = canonicalizeNumbers(text.normalize('NFKC'), language).toLowerCase();
+    const dates = [...canonical.matchAll(ISO_DATE)].map(([date]) => date);
+    const numbers = [...canonical.replace(ISO_DATE, ' ').matchAll(VALUE_PATTERN)].map(([, value, suffix, unit]) => ({
+        value: Number(value),
+        unit: unit || null,
+        ordinal: Boolean(suffix)
+    }));
+
+    return { numbers, dates: [...new Set(dates)] };
+}
+
+/**
+ * Replace runs of English number words with digits
+ * @param {string} text - Text
+ * @returns {string} Text with written numbers as digits
+ */
+function replaceNumberWords(text) {
+    // "second" is an ordinal after "the" and in compounds ("twenty-second")
+    text = text
+        .replace(/(?<![\p{L}\p{N}])(the\s+)second(?![\p{L}\p{N}])/giu, '$12nd')
+        .replace(new RegExp(`(?<![\\p{L}\\p{N}])(${TENS.join('|')})[\\s-]second(?![\\p{L}\\p{N}])`, 'giu'),
+            (match, tens) => withOrdinalSuffix(NUMBER_WORDS.get(tens.toLowerCase()).value + 2));
+
+    return text.replace(NUMBER_RUN, (run, offset) => {
+        if (run.toLowerCase() === 'one' && !isNumberOne(text, offset, run.length)) {
+            return run;
+        }
+        return parseNumberWords(run.toLowerCase().split(/[\s-]+/)).join(' ');
+    });
+}
+
+/**
+ * Check whether a lone "one" is the number rather than a pronoun
+ * ("one km", "one" as the whole text; not "which one is faster")
+ * @param {string} text - Text
+ * @param {number} offset - Position of the word
+ * @param {number} length - Length of the word
+ * @returns {boolean} True if a unit follows it or nothing else is in the text
+ */
+function isNumberOne(text, offset, length) {
+    const rest = text.slice(offset + length);
+    return LEADING_UNIT.test(rest) || !/[\p{L}\p{N}]/u.test(text.slice(0, offset) + rest);
+}
+
+/**
+ * Turn a run of number words into numbers
+ * Words that cannot continue the number being read start a new one:
+ * "one two" is "1 2", "one hundred and five" is "105". "one" after an
+ * ordinal stays a word
+ * @param {string[]} words - Lowercase number words (and "and")
+ * @returns {string[]} Numbers, ordinals ("21st") and any words left as written
+ */
+function parseNumberWords(words) {
+    const output = [];
+    let total = 0;
+    let current = 0;
+    let last = null;
+
+    const flush = (ordinal = false) => {
+        if (last !== null) {
+            const number = total + current;
+            output.push(ordinal ? withOrdinalSuffix(number) : String(number));
+        }
+        total = 0;
+        current = 0;
+        last = null;
+    };
+
+    words.forEach((word, index) => {
+        if (word === 'and') {
+            const next = NUMBER_WORDS.get(words[index + 1]) || lookupOrdinal(words[index + 1]);
+            if (!(last === 'hundred' || last === 'scale') || !next || next.kind === 'hundred' || next.kind === 'scale') {
+                flush();
+                output.push(word);
+            }
+            return;
+        }
+
+        // "one" after an ordinal is a pronoun: "the first one"
+        if (word === 'one' && ORDINALS[words[index - 1]] !== undefined) {
+            flush();
+            output.push(word);
+            return;
+        }
+
+        const ordinal = !NUMBER_WORDS.has(word);
+        const { value, kind } = ordinal ? lookupOrdinal(word) : NUMBER_WORDS.get(word);
+
+        if (!FOLLOWS[kind].includes(last)) {
+            flush();
+            if (kind === 'hundred' || kind === 'scale') {
+                output.push(word);
+                return;
+            }
+        }
+
+        if (kind === 'hundred') {
+            current *= value;
+        } else if (kind === 'scale') {
+            total += current * value;
+            current = 0;
+        } else {
+            current += value;
+        }
+        last = kind;
+
+        if (ordinal) {
+            flush(true);
+        }
+    });
+
+    flush();
+    return output;
+}
+
+/**
+ * @param {string} word - Lowercase word
+ * @returns {{value: number, kind: string}|undefined} Value and kind of an ordinal word
+ */
+function lookupOrdinal(word) {
+    const value = ORDINALS[word];
+    if (value === undefined) return undefined;
+
+    let kind = 'unit';
+    if (value === 100) kind = 'hundred';
+    else if (value >= 1000) kind = 'scale';
+    else if (value >= 20) kind = 'tens';
+    else if (value >= 10) kind = 'teen';
+    return { value, kind };
+}
+
+/**
+ * @param {number} number - Whole number
+ * @returns {string} Number with its English ordinal suffix ("1st", "12th", "22nd")
+ */
+function withOrdinalSuffix(number) {
+    const lastTwo = number % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+    return number + ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+}
+
+/**
+ * Write the dates of a text as ISO dates
+ * @param {string} text - Text
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Text with dates as YYYY-MM-DD (or YYYY-MM)
+ */
+function replaceDates(text, language) {
+    const { dayMonthYear, monthDayYear, monthYear, months } = getDatePatterns(language);
+
+    text = text.replace(ISO_DATE, (match, year, month, day) => isoDate(year, month, day) || match);
+
+    // 25/12/2020 and 12.25.2020: which number is the month is only known when
+    // the other is over 12, so "3/4/2020" is left as written
+    text = text.replace(/(?<![\d/.])(\d{1,2})([/.])(\d{1,2})\2(\d{4}|\d{2})(?![\d/.])/g, (match, a, separator, b, year) => {
+        if (separator === '.' && year.length === 2) return match;
+        if (Number(a) <= 12 && Number(b) <= 12 && Number(a) !== Number(b)) return match;
+        const fullYear = year.length === 2 ? (Number(year) < 50 ? '20' : '19') + year : year;
+        const [month, day] = Number(a) <= 12 ? [a, b] : [b, a];
+        return isoDate(fullYear, month, day) || match;
+    });
+
+    if (!months) {
+        return text;
+    }
+    const monthNumber = name => months.get(name.toLowerCase().replace(/\.$/, ''));
+
+    text = text.replace(dayMonthYear, (match, day, month, year) => isoDate(year, monthNumber(month), day) || match);
+    text = text.replace(monthDayYear, (match, month, day, year) => isoDate(year, monthNumber(month), day) || match);
+    return text.replace(monthYear, (match, month, year) => isoDate(year, monthNumber(month)) || match);
+}
+
+/**
+ * Get the date patterns of a language (built once per language)
+ * @param {string} language - LANGUAGES value
+ * @returns {Object} Patterns, and months (name -> number) if the language has month names
+ */
+function getDatePatterns(language) {
+    const key = language === LANGUAGES.UNDETERMINED ? LANGUAGES.ENGLISH : language;
+    if (datePatterns.has(key)) {
+        return datePatterns.get(key);
+    }
+
+    const names = MONTHS[key];
+    const patterns = { months: null };
+    if (names) {
+        patterns.months = new Map(names.flatMap((forms, index) => forms.map(form => [form, index + 1])));
+        const month = `(${[...patterns.months.keys()].sort((a, b) => b.length - a.length).join('|')})\\.?`;
+        const day = '(\\d{1,2})(?:st|nd|rd|th|\\.)?';
+        const year = '(\\d{4})';
+        const joiner = '(?:\\s+(?:of|de)\\s+|\\s+)';
+
+        // 12 May 2020, 12th of May, 2020, 12 de mayo de 2020, 12. Mai 2020
+        patterns.dayMonthYear = new RegExp(`(?<![\\p{L}\\p{N}])${day}${joiner}${month},?${joiner}${year}(?![\\p{N}])`, 'giu');
+        // May 12, 2020 and May 12th 2020
+        patterns.monthDayYear = new RegExp(`(?<![\\p{L}\\p{N}])${month}\\s+${day},?\\s+${year}(?![\\p{N}])`, 'giu');
+        // May 2020 and mayo de 2020
+        patterns.monthYear = new RegExp(`(?<![\\p{L}\\p{N}])${month},?${joiner}${year}(?![\\p{N}])`, 'giu');
+    }
+
+    datePatterns.set(key, patterns);
+    return patterns;
+}
+
+/**
+ * @param {string} year - Four-digit year
+ * @param {string|number} month - Month number
+ * @param {string|number} day - Day of the month (omitted for a month)
+ * @returns {string|null} YYYY-MM-DD (YYYY-MM without a day), or null if out of range
+ */
+function isoDate(year, month, day) {
+    const monthValue = Number(month);
+    if (!(monthValue >= 1 && monthValue <= 12)) return null;
+
+    const iso = `${year}-${String(monthValue).padStart(2, '0')}`;
+    if (day === undefined) return iso;
+
+    const dayValue = Number(day);
+    return dayValue >= 1 && dayValue <= 31 ? `${iso}-${String(dayValue).padStart(2, '0')}` : null;
+}
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} Text with regular expression characters escaped
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
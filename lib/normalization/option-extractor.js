@@ -0,0 +1,166 @@
+/**
+ * @file option-extractor.js
+ * @description Multiple-choice option parsing and matching
+ * @module lib/normalization/option-extractor
+ * @requires lib/normalization/text-normalizer
+ * @requires lib/utils/string-utils
+ * @requires lib/utils/constants
+ */
+
+import { normalizeForMatching } from './text-normalizer.js';
+import { levenshteinSimilarity } from '../utils/string-utils.js';
+import { MATCHING_CONFIG } from '../utils/constants.js';
+
+// "A) text", "b. text", "(c) text", "D: text", "1) text"
+const OPTION_LINE_PATTERN = /^\s*\(?([A-Ha-h]|[1-8])[\).:\]]\s+(\S.*)$/;
+
+// Inline labels, uppercase letters only: "... A) text B) text"
+const INLINE_LABEL_PATTERN = /(?:^|\s)\(?([A-H])[\).]\s+/g;
+
+/**
+ * Parse one option line
+ * @param {string} line - Line of text
+ * @returns {{label: string, text: string}|null} Option or null
+ */
+export function parseOptionLine(line) {
+    const match = OPTION_LINE_PATTERN.exec(line);
+    if (!match) return null;
+
+    return { label: match[1].toUpperCase(), text: match[2].trim() };
+}
+
+/**
+ * Split a selected question block into its stem and options
+ * Options are either one per line or inline ("A) x B) y"), labelled in order
+ * from A (or 1). A block with fewer than two options has none.
+ * @param {string} text - Selected text
+ * @returns {{stem: string, options: Array<{label: string, text: string}>}} Parsed block
+ */
+export function parseQuestionBlock(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+
+    // One option per line
+    const firstOption = lines.findIndex(line => parseOptionLine(line));
+    if (firstOption > 0) {
+        const options = [];
+        for (const line of lines.slice(firstOption)) {
+            const option = parseOptionLine(line);
+            if (!option) break;
+            options.push(option);
+        }
+
+        if (options.length >= 2 && isSequential(options)) {
+            return { stem: lines.slice(0, firstOption).join(' ').trim(), options };
+        }
+    }
+
+    // Inline options (selection text often has line breaks collapsed)
+    const flat = lines.join(' ');
+    const labels = [...flat.matchAll(INLINE_LABEL_PATTERN)];
+    if (labels.length >= 2 && labels[0].index > 0) {
+        const options = labels.map((match, i) => {
+            const start = match.index + match[0].length;
+            const end = i + 1 < labels.length ? labels[i + 1].index : flat.length;
+            return { label: match[1], text: flat.slice(start, end).trim() };
+        });
+
+        if (isSequential(options) && options.every(option => option.text)) {
+            return { stem: flat.slice(0, labels[0].index).trim(), options };
+        }
+    }
+
+    return { stem: String(text || '').trim(), options: [] };
+}
+
+/**
+ * Check that option labels run A, B, C... (or 1, 2, 3...)
+ * @param {Array<{label: string}>} options - Options
+ * @returns {boolean} True if labels are in sequence
+ */
+function isSequential(options) {
+    return options.every((option, index) => option.label === labelFor(index) ||
+        option.label === String(index + 1));
+}
+
+/**
+ * Letter label for a 0-based option index
+ * @param {number} index - Option index
+ * @returns {string} Label ("A", "B", ...)
+ */
+export function labelFor(index) {
+    return String.fromCharCode(65 + index);
+}
+
+/**
+ * Resolve a correct-option key to an option index
+ * Accepts a letter ("B"), a 1-based number (2 or "2") or the option text
+ * @param {string|number} correct - Correct-option key
+ * @param {string[]} options - Option texts
+ * @returns {number} Option index, or -1 if it does not resolve
+ */
+export function resolveCorrectOption(correct, options) {
+    if (correct === null || correct === undefined || !options.length) return -1;
+
+    const key = String(correct).trim().replace(/^\(?(.+?)[\).:]?$/, '$1');
+
+    let index = -1;
+    if (/^[A-Za-z]$/.test(key)) {
+        index = key.toUpperCase().charCodeAt(0) - 65;
+    } else if (/^\d+$/.test(key)) {
+        index = Number(key) - 1;
+    }
+    if (index >= 0 && index < options.length) {
+        return index;
+    }
+
+    // Otherwise the key is the option text itself
+    const normalizedKey = normalizeForMatching(String(correct));
+    return options.findIndex(option => normalizeForMatching(option) === normalizedKey);
+}
+
+/**
+ * Similarity of two option texts after normalization
+ * @param {string} a - First option text
+ * @param {string} b - Second option text
+ * @returns {number} Similarity (0-1)
+ */
+function optionSimilarity(a, b) {
+    const normalizedA = normalizeForMatching(a);
+    const normalizedB = normalizeForMatching(b);
+    if (normalizedA === normalizedB) return 1;
+    return levenshteinSimilarity(normalizedA, normalizedB);
+}
+
+/**
+ * Find the page option that corresponds to a stored option, ignoring order
+ * @param {Array<{label: string, text: string}>} pageOptions - Options as shown on the page
+ * @param {string} optionText - Stored option text
+ * @returns {number} Page option index, or -1 if none is close enough
+ */
+export function findPageOption(pageOptions, optionText) {
+    let bestIndex = -1;
+    let bestScore = MATCHING_CONFIG.OPTION_MIN_SIMILARITY;
+
+    pageOptions.forEach((option, index) => {
+        const score = optionSimilarity(option.text, optionText);
+        if (score >= bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+}
+
+/**
+ * Share of a stored question's options that appear on the page
+ * @param {Array<{label: string, text: string}>} pageOptions - Options as shown on the page
+ * @param {string[]} storedOptions - Stored option texts
+ * @returns {number} Overlap (0-1)
+ */
+export function optionOverlap(pageOptions, storedOptions) {
+    if (!pageOptions.length || !storedOptions || !storedOptions.length) return 0;
+
+    const found = storedOptions.filter(option => findPageOption(pageOptions, option) !== -1);
+    return found.length / Math.max(storedOptions.length, pageOptions.length);
+}
@@ -0,0 +1,224 @@
+/**
+ * @file stemmer.js
+ * @description Keyword stemming: the Porter2 (Snowball English) stemmer and irregular lemmas
+ * @module lib/normalization/stemmer
+ * @requires lib/normalization/language-packs
+ * @requires lib/normalization/technical-text
+ * @requires lib/utils/constants
+ *
+ * Keywords are compared by stem, so "running", "runs" and "ran" are one
+ * keyword. English words go through the pack's irregular lemmas, then
+ * Porter2; other languages use their pack's light stemming rules. The
+ * term index stems its terms the same way.
+ *
+ * Porter2 reference: https://snowballstem.org/algorithms/english/stemmer.html
+ */
+
+import { getLanguagePack, stemWord } from './language-packs.js';
+import { isTechnicalToken } from './technical-text.js';
+import { LANGUAGES } from '../utils/constants.js';
+
+// Words Porter2 maps directly, before any step
+const EXCEPTIONS = new Map(Object.entries({
+    skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie',
+    idly: 'idl', gently: 'gentl', ugly: 'ugli', early: 'earli', only: 'onli', singly: 'singl',
+    sky: 'sky', news: 'news', howe: 'howe', atlas: 'atlas', cosmos: 'cosmos', bias: 'bias', andes: 'andes'
+}));
+
+// Words left alone once their plural is removed
+const INVARIANT_AFTER_1A = new Set(['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed']);
+
+// Prefixes R1 starts after, instead of the usual position
+const R1_PREFIXES = /^(gener|commun|arsen)/;
+
+const STEP_1B = ['eedly', 'ingly', 'edly', 'eed', 'ing', 'ed'];
+
+// [suffix, replacement], longest first; a suffix only applies inside R1
+const STEP_2 = [
+    ['ization', 'ize'], ['ational', 'ate'], ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+    ['tional', 'tion'], ['biliti', 'ble'], ['lessli', 'less'],
+    ['entli', 'ent'], ['ation', 'ate'], ['alism', 'al'], ['aliti', 'al'], ['ousli', 'ous'], ['iviti', 'ive'], ['fulli', 'ful'],
+    ['enci', 'ence'], ['anci', 'ance'], ['abli', 'able'], ['izer', 'ize'], ['ator', 'ate'], ['alli', 'al'],
+    ['bli', 'ble'], ['ogi', 'og'],
+    ['li', '']
+];
+
+const STEP_3 = [
+    ['ational', 'ate'], ['tional', 'tion'], ['alize', 'al'], ['icate', 'ic'], ['iciti', 'ic'], ['ative', ''],
+    ['ical', 'ic'], ['ness', ''], ['ful', '']
+];
+
+// Removed inside R2
+const STEP_4 = [
+    'ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize', 'ion',
+    'al', 'er', 'ic'
+];
+
+/**
+ * Reduce a keyword to the stem it is compared by
+ * Text of undetermined language is usually a short English phrase, so its
+ * plain a-z words are stemmed as English. Code and formula spans are
+ * compared as written
+ * @param {string} word - Lowercase word from normalizeForKeywords()
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Stem (the word itself if the language has no stemmer)
+ */
+export function stemKeyword(word, language) {
+    if (isTechnicalToken(word)) {
+        return word;
+    }
+
+    const english = language === LANGUAGES.ENGLISH ||
+        (language === LANGUAGES.UNDETERMINED && /^[a-z]+$/.test(word));
+    if (!english) {
+        return stemWord(word, language);
+    }
+
+    const lemma = getLanguagePack(LANGUAGES.ENGLISH).lemmas.get(word);
+    return porterStem(lemma || word);
+}
+
+/**
+ * Porter2 (Snowball English) stem of a word
+ * @param {string} word - Lowercase English word
+ * @returns {string} Stem
+ */
+export function porterStem(word) {
+    if (word.length <= 2 || !/^[a-z']+$/.test(word)) {
+        return word;
+    }
+    if (EXCEPTIONS.has(word)) {
+        return EXCEPTIONS.get(word);
+    }
+
+    // Initial y, and y after a vowel, act as consonants (written Y)
+    let w = word.replace(/^'/, '').replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+    const prefix = w.match(R1_PREFIXES);
+    const r1 = prefix ? prefix[0].length : regionAfter(w, 0);
+    const r2 = regionAfter(w, r1);
+
+    // Step 0: possessive apostrophes
+    w = w.replace(/'(s'?)?$/, '');
+
+    // Step 1a: plurals
+    if (w.endsWith('sses')) {
+        w = w.slice(0, -2);
+    } else if (w.endsWith('ied') || w.endsWith('ies')) {
+        w = w.slice(0, -3) + (w.length > 4 ? 'i' : 'ie');
+    } else if (w.endsWith('s') && !w.endsWith('us') && !w.endsWith('ss') && /[aeiouy]/.test(w.slice(0, -2))) {
+        w = w.slice(0, -1);
+    }
+    if (INVARIANT_AFTER_1A.has(w)) {
+        return w;
+    }
+
+    // Step 1b: -ed and -ing
+    const suffix1b = STEP_1B.find(suffix => w.endsWith(suffix));
+    if (suffix1b === 'eed' || suffix1b === 'eedly') {
+        if (w.length - suffix1b.length >= r1) {
+            w = w.slice(0, -suffix1b.length) + 'ee';
+        }
+    } else if (suffix1b) {
+        const stem = w.slice(0, -suffix1b.length);
+        if (/[aeiouy]/.test(stem)) {
+            w = stem;
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (r1 >= w.length && endsWithShortSyllable(w)) {
+                w += 'e';
+            }
+        }
+    }
+
+    // Step 1c: final y after a consonant (not the first letter) becomes i
+    w = w.replace(/^(.+[^aeiouy])[yY]$/, '$1i');
+
+    // Step 2: derivational suffixes inside R1
+    w = replaceSuffix(w, STEP_2, (suffix, stem) => stem.length >= r1 &&
+        (suffix !== 'ogi' || stem.endsWith('l')) &&
+        (suffix !== 'li' || /[cdeghkmnrt]$/.test(stem)));
+
+    // Step 3: more derivational suffixes inside R1 (-ative inside R2)
+    w = replaceSuffix(w, STEP_3, (suffix, stem) => stem.length >= (suffix === 'ative' ? r2 : r1));
+
+    // Step 4: suffixes inside R2 (-ion after s or t)
+    const suffix4 = STEP_4.find(suffix => w.endsWith(suffix));
+    if (suffix4) {
+        const stem = w.slice(0, -suffix4.length);
+        if (stem.length >= r2 && (suffix4 !== 'ion' || /[st]$/.test(stem))) {
+            w = stem;
+        }
+    }
+
+    // Step 5: final e and double l
+    if (w.endsWith('e')) {
+        const stem = w.slice(0, -1);
+        if (stem.length >= r2 || (stem.length >= r1 && !endsWithShortSyllable(stem))) {
+            w = stem;
+        }
+    } else if (w.endsWith('ll') && w.length - 1 >= r2) {
+        w = w.slice(0, -1);
+    }
+
+    return w.replace(/Y/g, 'y');
+}
+
+/**
+ * Start of the region after the first non-vowel that follows a vowel
+ * (R1 from 0, R2 from R1)
+ * @param {string} word - Word with consonant y written Y
+ * @param {number} start - Where the search starts
+ * @returns {number} Index the region starts at (word length if it is empty)
+ */
+function regionAfter(word, start) {
+    for (let i = start + 1; i < word.length; i++) {
+        if (isVowel(word[i - 1]) && !isVowel(word[i])) {
+            return i + 1;
+        }
+    }
+    return word.length;
+}
+
+/**
+ * @param {string} word - Word with consonant y written Y
+ * @returns {boolean} Whether the word ends in a short syllable: consonant,
+ * vowel, consonant other than w, x or Y; or a vowel and a consonant
+ * that make up the whole word
+ */
+function endsWithShortSyllable(word) {
+    const n = word.length;
+    if (n === 2) {
+        return isVowel(word[0]) && !isVowel(word[1]);
+    }
+    return n > 2 && !isVowel(word[n - 3]) && isVowel(word[n - 2]) &&
+        !isVowel(word[n - 1]) && !'wxY'.includes(word[n - 1]);
+}
+
+/**
+ * Replace the longest suffix of a list the word ends with, if allowed
+ * A longest suffix that is not allowed stops the step; shorter ones are not tried
+ * @param {string} word - Word
+ * @param {Array<[string, string]>} rules - [suffix, replacement], longest first
+ * @param {Function} allowed - (suffix, stem) => boolean
+ * @returns {string} Word with the suffix replaced, or unchanged
+ */
+function replaceSuffix(word, rules, allowed) {
+    const rule = rules.find(([suffix]) => word.endsWith(suffix));
+    if (!rule) {
+        return word;
+    }
+
+    const [suffix, replacement] = rule;
+    const stem = word.slice(0, -suffix.length);
+    return allowed(suffix, stem) ? stem + replacement : word;
+}
+
+/**
+ * @param {string} letter - Single letter
+ * @returns {boolean} Whether it is a vowel (consonant y is written Y)
+ */
+function isVowel(letter) {
+    return 'aeiouy'.includes(letter);
+}
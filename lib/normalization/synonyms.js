@@ -0,0 +1,307 @@
+/**
+ * @file synonyms.js
+ * @description User synonym and abbreviation dictionary used in matching
+ * @module lib/normalization/synonyms
+ * @requires lib/storage/term-index
+ * @requires lib/normalization/text-normalizer
+ * @requires lib/normalization/stemmer
+ * @requires lib/parsers/csv-parser
+ * @requires lib/parsers/validation
+ * @requires lib/storage/export-formats
+ * @requires lib/utils/constants
+ *
+ * Each group lists terms that mean the same thing, one group per CSV row:
+ * "car, automobile" or "SSO, single sign-on". Questions are indexed under
+ * the synonyms of their terms, and query keywords are compared through
+ * the groups, so a query using one term finds questions using another.
+ * The fuzzy and partial tiers compare whole texts, so they also score the
+ * query with its dictionary terms swapped for their synonyms.
+ * Terms are compared after the same normalization as index terms, so
+ * each language gets its own lookup (stop words differ between languages).
+ */
+
+import { tokenize } from '../storage/term-index.js';
+import { normalizeForMatching } from './text-normalizer.js';
+import { stemKeyword } from './stemmer.js';
+import { detectDelimiter, parseDelimitedRows } from '../parsers/csv-parser.js';
+import { normalizeLineEndings, removeBOM } from '../parsers/validation.js';
+import { quoteDelimitedField } from '../storage/export-formats.js';
+import { LANGUAGES, SYNONYM_CONFIG } from '../utils/constants.js';
+
+// Settings store record holding {groups: string[][]}
+export const SYNONYMS_KEY = 'synonyms';
+
+/**
+ * Lookup structure over the synonym groups
+ */
+export class SynonymDictionary {
+    /**
+     * @param {string[][]} groups - Terms of each group, as entered
+     */
+    constructor(groups = []) {
+        this.groups = [];               // Terms of each group, as entered
+        this.keys = new Set();          // Language-neutral keys of every term, to drop repeats
+        this.vocabularies = new Map();  // Language -> lookup from vocabulary()
+
+        for (const group of groups.slice(0, SYNONYM_CONFIG.MAX_GROUPS)) {
+            this.addGroup(group);
+        }
+    }
+
+    /**
+     * Add a group; terms already in an earlier group stay there
+     * @param {string[]} entries - Terms of the group
+     */
+    addGroup(entries) {
+        const texts = [];
+        const keys = [];
+
+        for (const entry of entries.slice(0, SYNONYM_CONFIG.MAX_GROUP_TERMS)) {
+            const text = String(entry).trim();
+            const key = tokenize(text, LANGUAGES.UNDETERMINED).join(' ');
+            if (!key || keys.includes(key) || this.keys.has(key)) continue;
+
+            keys.push(key);
+            texts.push(text);
+        }
+        if (texts.length < 2) return;
+
+        keys.forEach(key => this.keys.add(key));
+        this.groups.push(texts);
+        this.vocabularies.clear();
+    }
+
+    /**
+     * @returns {number} Number of groups
+     */
+    get size() {
+        return this.groups.length;
+    }
+
+    /**
+     * @returns {string[][]} Terms of each group, as entered
+     */
+    getGroups() {
+        return this.groups.map(texts => [...texts]);
+    }
+
+    /**
+     * Get the groups' terms as a language tokenizes them (built once per language)
+     * A term that is only stop words in the language is left out
+     * @param {string} language - LANGUAGES value
+     * @returns {{members: Array<Array<{text: string, key: string, terms: string[], phrase: string}>>,
+     * phrases: Map<string, number>, maxTerms: number}} Members of each group, member key
+     * (terms joined by spaces) -> group index, and the terms in the longest member
+     */
+    vocabulary(language) {
+        let vocabulary = this.vocabularies.get(language);
+        if (vocabulary) return vocabulary;
+
+        vocabulary = { members: [], phrases: new Map(), maxTerms: 0 };
+        this.groups.forEach((texts, index) => {
+            const members = [];
+            for (const text of texts) {
+                const terms = tokenize(text, language);
+                const key = terms.join(' ');
+                if (!key || vocabulary.phrases.has(key)) continue;
+
+                vocabulary.phrases.set(key, index);
+                vocabulary.maxTerms = Math.max(vocabulary.maxTerms, terms.length);
+                members.push({ text, key, terms, phrase: normalizeForMatching(text, language) });
+            }
+            vocabulary.members.push(members);
+        });
+
+        this.vocabularies.set(language, vocabulary);
+        return vocabulary;
+    }
+
+    /**
+     * Find the dictionary terms in a list of index terms, longest first
+     * @param {string[]} terms - Terms from tokenize()
+     * @param {string} language - Language the terms were tokenized in
+     * @returns {Array<{key: string, group: number}>} Terms found, in text order
+     */
+    findPhrases(terms, language) {
+        const found = [];
+        if (this.groups.length === 0) return found;
+
+        const { phrases, maxTerms } = this.vocabulary(language);
+        for (let start = 0; start < terms.length; start++) {
+            for (let length = Math.min(maxTerms, terms.length - start); length > 0; length--) {
+                const key = terms.slice(start, start + length).join(' ');
+                const group = phrases.get(key);
+                if (group !== undefined) {
+                    found.push({ key, group });
+                    start += length - 1;
+                    break;
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Get the index terms of the synonyms of everything in a list of terms
+     * @param {string[]} terms - Terms from tokenize()
+     * @param {string} language - Language the terms were tokenized in
+     * @returns {string[]} Terms to index in addition (may repeat)
+     */
+    expandTerms(terms, language) {
+        const { members } = this.vocabulary(language);
+        const expanded = [];
+
+        for (const { key, group } of this.findPhrases(terms, language)) {
+            for (const member of members[group]) {
+                if (member.key !== key) {
+                    expanded.push(...member.terms);
+                }
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * Rewrite a normalized query with its dictionary terms swapped for their
+     * synonyms, for the tiers that compare whole texts
+     * @param {string} normalizedQuery - Query from normalizeForMatching()
+     * @param {string} language - Query language
+     * @returns {string[]} Rewritten queries, at most SYNONYM_CONFIG.MAX_QUERY_VARIANTS
+     * (empty if the query has no dictionary term)
+     */
+    expandQuery(normalizedQuery, language) {
+        const { members } = this.vocabulary(language);
+        let variants = [normalizedQuery];
+
+        for (const { group } of this.findPhrases(tokenize(normalizedQuery, language), language)) {
+            const present = members[group].find(member => containsPhrase(normalizedQuery, member.phrase));
+            if (!present) continue;
+
+            const rewritten = [];
+            for (const variant of variants) {
+                for (const member of members[group]) {
+                    if (member !== present) {
+                        rewritten.push(replacePhrase(variant, present.phrase, member.phrase));
+                    }
+                }
+            }
+            variants = variants.concat(rewritten).slice(0, SYNONYM_CONFIG.MAX_QUERY_VARIANTS + 1);
+        }
+
+        return variants.slice(1);
+    }
+
+    /**
+     * Map a keyword to the first term of its group, so synonyms compare equal
+     * @param {string} keyword - Keyword or phrase
+     * @param {string} language - Language of the keyword
+     * @returns {string} Group's first term (lowercase), or the keyword if it has no synonyms
+     */
+    canonical(keyword, language) {
+        const group = this.vocabulary(language).phrases.get(tokenize(keyword, language).join(' '));
+        return group === undefined ? keyword : this.groups[group][0].toLowerCase();
+    }
+
+    /**
+     * List the query words a question shares with the query
+     * Different forms of a word ("runs", "running") count as shared
+     * @param {string[]} queryTerms - Terms of the query
+     * @param {string[]} questionTerms - Terms of the question and its aliases
+     * @param {string} language - Query language
+     * @param {string} questionLanguage - Question language
+     * @returns {Array<{word: string, synonym: string|null}>} Shared words in query
+     * order; synonym is the question's term, as entered in the dictionary, when
+     * the match went through a group
+     */
+    matchTerms(queryTerms, questionTerms, language, questionLanguage = language) {
+        const questionSet = new Set(questionTerms);
+        const questionStems = new Set(questionTerms.map(term => stemKeyword(term, questionLanguage)));
+        const questionGroups = new Map(
+            this.findPhrases(questionTerms, questionLanguage).map(({ key, group }) => [group, key])
+        );
+        const questionMembers = this.vocabulary(questionLanguage).members;
+        const matched = [];
+        const seen = new Set();
+
+        // A query word that is in the question is a plain match, even if it
+        // also has synonyms there
+        for (const { key, group } of this.findPhrases(queryTerms, language)) {
+            const questionKey = questionGroups.get(group);
+            if (questionKey !== undefined && questionKey !== key && !key.split(' ').every(term => questionSet.has(term))) {
+                const synonym = questionMembers[group].find(member => member.key === questionKey).text;
+                matched.push({ word: key, synonym });
+                key.split(' ').forEach(term => seen.add(term));
+            }
+        }
+
+        for (const term of queryTerms) {
+            const shared = questionSet.has(term) || questionStems.has(stemKeyword(term, language));
+            if (shared && !seen.has(term)) {
+                matched.push({ word: term, synonym: null });
+                seen.add(term);
+            }
+        }
+
+        const order = term => queryTerms.indexOf(term.split(' ')[0]);
+        return matched.sort((a, b) => order(a.word) - order(b.word));
+    }
+}
+
+/**
+ * @param {string} text - Normalized text
+ * @param {string} phrase - Normalized phrase
+ * @returns {boolean} Whether the text contains the phrase as whole words
+ */
+function containsPhrase(text, phrase) {
+    return ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * @param {string} text - Normalized text
+ * @param {string} phrase - Normalized phrase in the text
+ * @param {string} replacement - Text to put in its place
+ * @returns {string} Text with every whole-word occurrence replaced
+ */
+function replacePhrase(text, phrase, replacement) {
+    return ` ${text} `.split(` ${phrase} `).join(` ${replacement} `).trim();
+}
+
+/**
+ * Read synonym groups from CSV or TSV text, one group per row
+ * Blank rows and rows starting with "#" are skipped
+ * @param {string} text - Delimited text
+ * @returns {{groups: string[][], skipped: Array<{line: number, reason: string}>}} Groups and the rows left out
+ * @throws {AppError} If a quoted field is never closed
+ */
+export function parseSynonymCsv(text) {
+    const content = normalizeLineEndings(removeBOM(text || ''));
+    const rows = parseDelimitedRows(content, detectDelimiter(content));
+    const groups = [];
+    const skipped = [];
+
+    for (const { fields, line } of rows) {
+        const terms = fields.map(field => field.trim()).filter(Boolean);
+        if (terms.length === 0 || terms[0].startsWith('#')) continue;
+
+        if (terms.length < 2) {
+            skipped.push({ line, reason: 'A row needs at least two terms' });
+        } else if (groups.length >= SYNONYM_CONFIG.MAX_GROUPS) {
+            skipped.push({ line, reason: `More than ${SYNONYM_CONFIG.MAX_GROUPS} groups` });
+        } else {
+            groups.push(terms);
+        }
+    }
+
+    return { groups, skipped };
+}
+
+/**
+ * Write synonym groups as CSV, one group per row
+ * @param {string[][]} groups - Terms of each group
+ * @returns {string} CSV text
+ */
+export function formatSynonymCsv(groups) {
+    return groups
+        .map(terms => terms.map(term => quoteDelimitedField(term, ',')).join(', '))
+        .join('\n');
+}
@@ -0,0 +1,270 @@
+/**
+ * @file technical-text.js
+ * @description Code and formula spans in questions and queries
+ * @module lib/normalization/technical-text
+ * @requires lib/utils/constants
+ *
+ * Punctuation handling would turn "a^2 + b^2", "O(n log n)" and
+ * "std::vector" into loose words, so these spans are found first and kept
+ * whole: each becomes one token with its spacing removed ("a^2+b^2",
+ * "o(n_log_n)"). A span is text in backticks, a word holding code
+ * symbols (scope and member operators, calls, indexes, snake_case, C++),
+ * or operands joined by operators. A minus or slash only joins numbers,
+ * single letters and code, so "well-known" and "and/or" stay prose.
+ *
+ * A formula's operands are also terms and keywords of their own, so
+ * "a^2 + b^2" finds "a^2 + b^2 = c^2": getSpanOperands() splits a span
+ * token at the operators outside its brackets.
+ */
+
+import { NORMALIZATION_CONFIG } from '../utils/constants.js';
+
+// Signs that a word is code or part of a formula
+const CODE_PATTERNS = [
+    /::|->|=>/,                                                   // Scope, member and arrow operators
+    /[\p{L}\p{N}_)\]][\^*=<>|~\\%]+[\p{L}\p{N}_(\[.-]/u,          // Operator between operands: x^2, a==b
+    /[\p{L}\p{N}][+#]|\+\p{L}/u,                                  // C++, C#, i++, a+b
+    /[\p{L}\p{N}_]\((?!e?s\))[^()]*\)/u,                          // Calls: O(n), f(x) (not "item(s)")
+    /[\p{L}\p{N}_]\[[^\]]*\]/u,                                   // Indexes: arr[i]
+    /[\p{L}\p{N}]_[\p{L}\p{N}]/u,                                 // snake_case
+    /^\.\p{L}/u                                                   // .NET, .gitignore
+];
+
+// An operator written on its own, between spaces
+const OPERATOR = /^(?:[-+*/^%<>×÷−]|\*\*|[=!<>]=|={1,3}|&&|\|\||->|=>)$/u;
+
+// Operators that also appear in prose, as dashes and slashes
+const WEAK_OPERATORS = new Set(['-', '/', '−']);
+
+// Operands a weak operator joins besides code: numbers and single letters
+const SIMPLE_TERM = /^(?:\p{N}+(?:\.\p{N}+)?|\p{L})$/u;
+
+// Operators that split a span token into operands, longest first. Scope,
+// member and arrow operators are matched so that they do not split
+const SPLITTING_OPERATOR = /===|==|!=|<=|>=|&&|\|\||::|->|=>|[-+*/%=<>]/y;
+const NON_SPLITTING = new Set(['::', '->', '=>']);
+
+// Sentence punctuation around a word
+const LEADING_PUNCTUATION = '("\'`¿¡';
+const TRAILING_PUNCTUATION = ').,;:?!"\'`';
+
+/**
+ * Check whether a word looks like code or a formula
+ * @param {string} word - Word without surrounding punctuation
+ * @returns {boolean} True if it holds code symbols
+ */
+function isCodeWord(word) {
+    return /[\p{L}\p{N}]/u.test(word) && CODE_PATTERNS.some(pattern => pattern.test(word));
+}
+
+/**
+ * Check whether a normalized token is a code or formula span
+ * @param {string} token - Token of normalized text
+ * @returns {boolean} True if it is a span from formatTechnicalSpan()
+ */
+export function isTechnicalToken(token) {
+    return !/\s/.test(token) && isCodeWord(token);
+}
+
+/**
+ * Split a span token at the operators outside its brackets
+ * @param {string} token - Span token from formatTechnicalSpan()
+ * @returns {string[]|null} Operands and operators, alternating ("a^2+b^2" ->
+ * ["a^2", "+", "b^2"]), or null if it is not operands joined by operators
+ */
+function splitFormula(token) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < token.length;) {
+        if ('([{'.includes(token[i])) depth++;
+        else if (')]}'.includes(token[i])) depth--;
+
+        SPLITTING_OPERATOR.lastIndex = i;
+        const operator = depth === 0 && SPLITTING_OPERATOR.exec(token)?.[0];
+        if (operator && !NON_SPLITTING.has(operator)) {
+            parts.push(token.slice(start, i), operator);
+            i += operator.length;
+            start = i;
+        } else {
+            i += operator ? operator.length : 1;
+        }
+    }
+    parts.push(token.slice(start));
+
+    // "c++", "-1" and "vector<int>" leave an empty operand
+    const operands = parts.filter((part, index) => index % 2 === 0);
+    return operands.length > 1 && operands.every(part => /[\p{L}\p{N}]/u.test(part)) ? parts : null;
+}
+
+/**
+ * List the operands of a formula span
+ * @param {string} token - Span token from formatTechnicalSpan()
+ * @returns {string[]} Operands ("a^2+b^2=c^2" -> ["a^2", "b^2", "c^2"]); none for
+ * code without operators between operands ("std::vector", "o(n_log_n)")
+ */
+export function getSpanOperands(token) {
+    const parts = splitFormula(token);
+    return parts ? parts.filter((part, index) => index % 2 === 0) : [];
+}
+
+/**
+ * Check whether a span token is a run of operands of a longer formula
+ * @param {string} part - Span token ("a^2+b^2")
+ * @param {string} formula - Span token ("a^2+b^2=c^2")
+ * @returns {boolean} True if part is the formula or a run of its operands
+ * with the operators between them
+ */
+export function isFormulaPart(part, formula) {
+    if (part === formula) return true;
+
+    const partParts = splitFormula(part) || [part];
+    const formulaParts = splitFormula(formula) || [];
+    for (let start = 0; start + partParts.length <= formulaParts.length; start += 2) {
+        if (partParts.every((piece, index) => piece === formulaParts[start + index])) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {number} Opening minus closing parentheses
+ */
+function parenthesisDepth(text) {
+    return (text.match(/\(/g) || []).length - (text.match(/\)/g) || []).length;
+}
+
+/**
+ * Find where a word starts and ends without its sentence punctuation
+ * Brackets the word itself opens or closes stay
+ * @param {string} text - Text
+ * @param {number} start - Start of the word
+ * @param {number} end - End of the word
+ * @returns {{start: number, end: number}} Bounds of the word
+ */
+function trimWord(text, start, end) {
+    let from = start;
+    let to = end;
+    while (from < to && LEADING_PUNCTUATION.includes(text[from])) from++;
+    while (to > from && TRAILING_PUNCTUATION.includes(text[to - 1])) to--;
+
+    while (to < end && text[to] === ')' && parenthesisDepth(text.slice(from, to)) > 0) to++;
+    while (from > start && text[from - 1] === '(' && parenthesisDepth(text.slice(from, to)) < 0) from--;
+    return { start: from, end: to };
+}
+
+/**
+ * Split text into words, keeping the arguments of a call with it
+ * ("O(n log n)" is one word)
+ * @param {string} text - Text without backtick spans
+ * @param {number} offset - Position of the text in the whole text
+ * @returns {Array<{start: number, end: number, text: string}>} Words without their punctuation
+ */
+function splitWords(text, offset) {
+    const chunks = [...text.matchAll(/\S+/g)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+    const words = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+        const start = chunks[i].start;
+        let end = chunks[i].end;
+
+        const opening = text.slice(start, end);
+        if (/[\p{L}\p{N}_]\(/u.test(opening) && parenthesisDepth(opening) > 0) {
+            const last = chunks.findIndex((chunk, j) => j > i && parenthesisDepth(text.slice(start, chunk.end)) <= 0);
+            if (last !== -1 && last - i < NORMALIZATION_CONFIG.MAX_SPAN_WORDS) {
+                end = chunks[last].end;
+                i = last;
+            }
+        }
+
+        const bounds = trimWord(text, start, end);
+        if (bounds.end > bounds.start) {
+            words.push({ start: offset + bounds.start, end: offset + bounds.end, text: text.slice(bounds.start, bounds.end) });
+        }
+    }
+    return words;
+}
+
+/**
+ * Find the code and formula spans among words
+ * @param {Array<{start: number, end: number, text: string}>} words - Words from splitWords()
+ * @returns {Array<{start: number, end: number}>} Spans, in text order
+ */
+function findFormulas(words) {
+    const items = words.map(word => ({
+        ...word,
+        code: isCodeWord(word.text),
+        operator: OPERATOR.test(word.text),
+        operand: /^[\p{L}\p{N}_.]+$/u.test(word.text)
+    }));
+    const isOperand = item => item && (item.code || item.operand);
+    const isTerm = item => item.code || SIMPLE_TERM.test(item.text);
+
+    const spans = [];
+    for (let i = 0; i < items.length; i++) {
+        if (!isOperand(items[i])) continue;
+
+        // Extend over "operator operand" pairs
+        let last = i;
+        while (items[last + 1]?.operator && isOperand(items[last + 2])) {
+            const weak = WEAK_OPERATORS.has(items[last + 1].text);
+            if (weak && !(isTerm(items[last]) && isTerm(items[last + 2]))) break;
+            last += 2;
+        }
+
+        if (last > i || items[i].code) {
+            spans.push({ start: items[i].start, end: items[last].end });
+            i = last;
+        }
+    }
+    return spans;
+}
+
+/**
+ * Split text into prose and code or formula spans
+ * Spans longer than NORMALIZATION_CONFIG.MAX_SPAN_LENGTH stay prose
+ * @param {string} text - Text after character normalization
+ * @returns {Array<{text: string, span: boolean}>} Parts, in text order
+ */
+export function splitTechnicalText(text) {
+    const spans = [];
+    let position = 0;
+
+    for (const match of text.matchAll(/`([^`\n]+)`/g)) {
+        spans.push(...findFormulas(splitWords(text.slice(position, match.index), position)));
+        spans.push({ start: match.index + 1, end: match.index + 1 + match[1].length });
+        position = match.index + match[0].length;
+    }
+    spans.push(...findFormulas(splitWords(text.slice(position), position)));
+
+    const parts = [];
+    position = 0;
+    for (const { start, end } of spans) {
+        const span = text.slice(start, end);
+        if (formatTechnicalSpan(span).length > NORMALIZATION_CONFIG.MAX_SPAN_LENGTH) continue;
+
+        parts.push({ text: text.slice(position, start), span: false }, { text: span, span: true });
+        position = end;
+    }
+    parts.push({ text: text.slice(position), span: false });
+
+    return parts.filter(part => part.text.trim());
+}
+
+/**
+ * Write a span as one token: no spaces around symbols, and words joined by "_"
+ * @param {string} span - Span from splitTechnicalText()
+ * @returns {string} Span token ("a ^ 2 + b ^ 2" -> "a^2+b^2", "O(n log n)" -> "O(n_log_n)")
+ */
+export function formatTechnicalSpan(span) {
+    return span
+        .replace(/×/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/−/g, '-')
+        .replace(/\s*([^\p{L}\p{N}\p{M}_\s])\s*/gu, '$1')
+        .trim()
+        .replace(/\s+/g, '_');
+}
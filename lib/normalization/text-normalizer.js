@@ -2,9 +2,24 @@
  * @file text-normalizer.js
  * @description Multi-stage text normalization pipeline
  * @module lib/normalization/text-normalizer
- * @requires lib/utils/string-utils
+ * @requires lib/normalization/language-packs
+ * @requires lib/normalization/stemmer
+ * @requires lib/normalization/numeric-normalizer
+ * @requires lib/normalization/technical-text
+ * @requires lib/utils/constants
+ *
+ * Every stage works on any script. What differs between languages
+ * (contractions, word segmentation) comes from the language packs.
+ * In technical mode, code and formula spans skip the stages after the
+ * first and stay one token each.
  */
 
+import { detectLanguage, expandContractions, segmentWords } from './language-packs.js';
+import { stemKeyword } from './stemmer.js';
+import { canonicalizeNumbers } from './numeric-normalizer.js';
+import { splitTechnicalText, formatTechnicalSpan } from './technical-text.js';
+import { KEYWORD_CONFIG, NORMALIZATION_CONFIG } from '../utils/constants.js';
+
 /**
  * Stage 1: Character normalization
  * @param {string} text - Text to normalize
@@ -46,15 +61,16 @@ function normalizePunctuation(text, options = {}) {
     // Keep: hyphen (in middle of words), apostrophe (for contractions)
     // Remove: periods, commas, semicolons, colons, exclamation marks, etc.
 
-    // Remove trailing/leading punctuation
-    text = text.replace(/^[^\w\s]+|[^\w\s]+$/g, '');
+    // Remove trailing/leading punctuation (letters of any script, and their marks, stay)
+    text = text.replace(/^[^\p{L}\p{N}_\s]+|[^\p{L}\p{N}\p{M}_\s]+$/gu, '');
 
-    // Remove periods, commas, semicolons, colons
-    text = text.replace(/[.,;:]/g, ' ');
+    // Remove periods, commas, semicolons, colons (and the Devanagari, CJK and Arabic ones);
+    // a decimal point stays
+    text = text.replace(/(?<!\d)\.|\.(?!\d)|[,;:\u0964\u0965\u3001\u3002\u060C\u061B]/g, ' ');
 
-    // Handle question marks
+    // Handle question marks (and the Spanish inverted marks)
     if (!preserveQuestionMarks) {
-        text = text.replace(/[?!]/g, ' ');
+        text = text.replace(/[?!\u00BF\u00A1\u061F]/g, ' ');
     }
 
     // Remove quotes
@@ -81,79 +97,7 @@ function normalizePunctuation(text, options = {}) {
  * @returns {string} Transformed text
  */
 function transformText(text, options = {}) {
-    const {
-        lowercase = true,
-        expandContractions = true,
-        normalizeNumbers = false
-    } = options;
-
-    // Expand common contractions
-    if (expandContractions) {
-        const contractions = {
-            "don't": "do not",
-            "doesn't": "does not",
-            "didn't": "did not",
-            "won't": "will not",
-            "wouldn't": "would not",
-            "can't": "cannot",
-            "couldn't": "could not",
-            "shouldn't": "should not",
-            "isn't": "is not",
-            "aren't": "are not",
-            "wasn't": "was not",
-            "weren't": "were not",
-            "haven't": "have not",
-            "hasn't": "has not",
-            "hadn't": "had not",
-            "i'm": "i am",
-            "you're": "you are",
-            "he's": "he is",
-            "she's": "she is",
-            "it's": "it is",
-            "we're": "we are",
-            "they're": "they are",
-            "i've": "i have",
-            "you've": "you have",
-            "we've": "we have",
-            "they've": "they have",
-            "i'll": "i will",
-            "you'll": "you will",
-            "he'll": "he will",
-            "she'll": "she will",
-            "we'll": "we will",
-            "they'll": "they will",
-            "i'd": "i would",
-            "you'd": "you would",
-            "he'd": "he would",
-            "she'd": "she would",
-            "we'd": "we would",
-            "they'd": "they would"
-        };
-
-        // Case-insensitive replacement
-        Object.entries(contractions).forEach(([contraction, expansion]) => {
-            const regex = new RegExp('\\b' + contraction + '\\b', 'gi');
-            text = text.replace(regex, expansion);
-        });
-    }
-
-    // Normalize numbers (optional - may lose precision)
-    if (normalizeNumbers) {
-        const numberWords = {
-            'zero': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
-            'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9',
-            'ten': '10', 'eleven': '11', 'twelve': '12', 'thirteen': '13',
-            'fourteen': '14', 'fifteen': '15', 'sixteen': '16', 'seventeen': '17',
-            'eighteen': '18', 'nineteen': '19', 'twenty': '20', 'thirty': '30',
-            'forty': '40', 'fifty': '50', 'sixty': '60', 'seventy': '70',
-            'eighty': '80', 'ninety': '90', 'hundred': '100', 'thousand': '1000'
-        };
-
-        Object.entries(numberWords).forEach(([word, digit]) => {
-            const regex = new RegExp('\\b' + word + '\\b', 'gi');
-            text = text.replace(regex, digit);
-        });
-    }
+    const { lowercase = true } = options;
 
     // Lowercase
     if (lowercase) {
@@ -166,9 +110,13 @@ function transformText(text, options = {}) {
 /**
  * Stage 4: Structural normalization
  * @param {string} text - Text to normalize
+ * @param {string} language - LANGUAGES value
  * @returns {string} Normalized text
  */
-function normalizeStructure(text) {
+function normalizeStructure(text, language) {
+    // Separate the words of scripts written without spaces
+    text = segmentWords(text, language);
+
     // Collapse multiple whitespace to single space
     text = text.replace(/\s+/g, ' ');
 
@@ -178,14 +126,30 @@ function normalizeStructure(text) {
     return text;
 }
 
+/**
+ * Stage 5: Stemming (optional)
+ * @param {string} text - Text after structural normalization
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Text with every word replaced by its stem
+ */
+function stemText(text, language) {
+    return text
+        .split(' ')
+        .map(word => stemKeyword(word, language))
+        .join(' ');
+}
+
 /**
  * Complete normalization pipeline
  * @param {string} text - Text to normalize
  * @param {Object} options - Normalization options
  * @param {boolean} options.lowercase - Convert to lowercase (default: true)
  * @param {boolean} options.expandContractions - Expand contractions (default: true)
- * @param {boolean} options.normalizeNumbers - Convert number words to digits (default: false)
+ * @param {boolean} options.normalizeNumbers - Write numbers, units and dates in canonical form (default: false)
  * @param {boolean} options.preserveQuestionMarks - Keep question marks (default: false)
+ * @param {boolean} options.stem - Reduce words to their stems (default: false)
+ * @param {boolean} options.technical - Keep code and formula spans as one token each (default: false)
+ * @param {string} options.language - LANGUAGES value (default: detected from the text)
  * @returns {string} Fully normalized text
  */
 export function normalize(text, options = {}) {
@@ -193,9 +157,44 @@ export function normalize(text, options = {}) {
         return '';
     }
 
+    const { technical = false, language = detectLanguage(text) } = options;
+
     // Stage 1: Character normalization
     text = normalizeCharacters(text);
 
+    if (!technical) {
+        return normalizeProse(text, options, language);
+    }
+
+    // Spans skip the other stages, so their symbols and spacing survive
+    return splitTechnicalText(text)
+        .map(part => part.span
+            ? transformText(formatTechnicalSpan(part.text), options)
+            : normalizeProse(part.text, options, language))
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Stages after character normalization
+ * @param {string} text - Text after Stage 1
+ * @param {Object} options - Normalization options of normalize()
+ * @param {string} language - LANGUAGES value
+ * @returns {string} Normalized text
+ */
+function normalizeProse(text, options, language) {
+    const { expandContractions: expand = true, normalizeNumbers = false, stem = false } = options;
+
+    // Contractions hold apostrophes, so they are expanded before punctuation goes
+    if (expand) {
+        text = expandContractions(text, language);
+    }
+
+    // Separators and decimal points are punctuation too
+    if (normalizeNumbers) {
+        text = canonicalizeNumbers(text, language);
+    }
+
     // Stage 2: Punctuation handling
     text = normalizePunctuation(text, options);
 
@@ -203,7 +202,12 @@ export function normalize(text, options = {}) {
     text = transformText(text, options);
 
     // Stage 4: Structural normalization
-    text = normalizeStructure(text);
+    text = normalizeStructure(text, language);
+
+    // Stage 5: Stemming
+    if (stem && text) {
+        text = stemText(text, language);
+    }
 
     return text;
 }
@@ -211,27 +215,38 @@ export function normalize(text, options = {}) {
 /**
  * Normalize for exact matching (aggressive)
  * @param {string} text - Text to normalize
+ * @param {string} language - LANGUAGES value (default: detected from the text)
  * @returns {string} Normalized text
  */
-export function normalizeForMatching(text) {
+export function normalizeForMatching(text, language = detectLanguage(text)) {
     return normalize(text, {
         lowercase: true,
         expandContractions: true,
-        normalizeNumbers: false, // Keep numbers as-is for precision
-        preserveQuestionMarks: false
+        normalizeNumbers: true, // "twenty-five kilometres" and "25 km" compare equal
+        preserveQuestionMarks: false,
+        technical: NORMALIZATION_CONFIG.TECHNICAL_TEXT,
+        language
     });
 }
 
 /**
  * Normalize for keyword extraction (preserve more structure)
  * @param {string} text - Text to normalize
+ * @param {string} language - LANGUAGES value (default: detected from the text)
+ * @param {Object} options - Keyword options
+ * @param {boolean} options.stem - Reduce words to their stems (default: KEYWORD_CONFIG.STEMMING)
  * @returns {string} Normalized text
  */
-export function normalizeForKeywords(text) {
+export function normalizeForKeywords(text, language = detectLanguage(text), options = {}) {
+    const { stem = KEYWORD_CONFIG.STEMMING } = options;
+
     return normalize(text, {
         lowercase: true,
         expandContractions: false, // Keep contractions for keyword extraction
-        normalizeNumbers: false,
-        preserveQuestionMarks: false
+        normalizeNumbers: true,
+        preserveQuestionMarks: false,
+        technical: NORMALIZATION_CONFIG.TECHNICAL_TEXT,
+        stem,
+        language
     });
 }
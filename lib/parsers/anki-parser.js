@@ -0,0 +1,372 @@
+/**
+ * @file anki-parser.js
+ * @description Anki plain-text export parser
+ * @module lib/parsers/anki-parser
+ * @requires lib/parsers/parser-interface
+ * @requires lib/parsers/validation
+ * @requires lib/parsers/csv-parser
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { Parser } from './parser-interface.js';
+import { validateEncoding, removeBOM, normalizeLineEndings } from './validation.js';
+import { parseDelimitedRows } from './csv-parser.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
+
+// Named separators accepted by Anki's "#separator:" header
+const SEPARATORS = {
+    tab: '\t',
+    comma: ',',
+    semicolon: ';',
+    space: ' ',
+    pipe: '|',
+    colon: ':'
+};
+
+const HEADER_LINE = /^#([a-z ]+):(.*)$/i;
+
+// Inline HTML tags kept as Markdown; other tags without a case in
+// htmlToMarkdown() are dropped
+const INLINE_MARKS = { b: '**', strong: '**', i: '*', em: '*', code: '`' };
+
+// A list item or a blank line, which end a Markdown paragraph
+const BLOCK_BREAK = /^(\s*$|\s*([-*+]|\d+[.)])\s+)/;
+
+/**
+ * Parser for Anki "Notes in Plain Text" exports
+ * Format: optional "#key:value" header lines, then one note per line with
+ * front and back fields (tab-separated unless "#separator:" says otherwise)
+ */
+export class AnkiParser extends Parser {
+    /**
+     * Read the notes of an Anki export
+     * @param {string} fileContent - Raw file content
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{entries: Array, metadata: Object, errors: Array}>} Entries to build, metadata and errors
+     */
+    async readEntries(fileContent, fileName) {
+        const errors = [];
+        const entries = [];
+
+        const { headers, body, bodyStartLine } = this.readHeaders(this.preprocess(fileContent));
+        const layout = resolveLayout(headers);
+        const rows = parseDelimitedRows(body, layout.separator);
+
+        for (const { fields, line } of rows) {
+            const lineNumber = line + bodyStartLine - 1;
+
+            // Skip blank lines
+            if (fields.every(field => field.trim() === '')) {
+                continue;
+            }
+
+            // The overlay renders Markdown answers, so HTML answers keep their formatting
+            const [front, back] = layout.noteColumns.map((index, column) =>
+                cleanField(fields[index], layout.html, column === 1));
+
+            if (!front || !back) {
+                errors.push({
+                    line: lineNumber,
+                    type: 'invalid_row',
+                    message: 'Note is missing its front or back field',
+                    question: front ? front.substring(0, 50) : 'unknown'
+                });
+                continue;
+            }
+
+            if (front.length < PARSER_CONFIG.MIN_QUESTION_LENGTH) {
+                errors.push({
+                    line: lineNumber,
+                    type: 'invalid_row',
+                    message: `Question is too short (${front.length} chars)`,
+                    question: front
+                });
+                continue;
+            }
+
+            // Anki tags are space-separated
+            const tags = layout.tagsColumn === -1
+                ? []
+                : [...new Set((fields[layout.tagsColumn] || '').split(/\s+/).filter(Boolean))];
+
+            entries.push({
+                question: front.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
+                answer: back.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
+                lineNumber,
+                details: { tags, answerFormat: layout.html ? 'markdown' : null }
+            });
+        }
+
+        // Generate metadata
+        const metadata = {
+            fileName,
+            totalQuestions: entries.length,
+            totalErrors: errors.length,
+            timestamp: Date.now(),
+            fileSize: fileContent.length,
+            format: 'anki'
+        };
+
+        return { entries, metadata, errors };
+    }
+
+    /**
+     * Preprocess file content
+     * @param {string} content - Raw content
+     * @returns {string} Preprocessed content
+     */
+    preprocess(content) {
+        content = removeBOM(content);
+
+        if (!validateEncoding(content)) {
+            throw new AppError(
+                ERROR_CODES.FILE_ENCODING_ERROR,
+                'Invalid file encoding. Please use UTF-8.'
+            );
+        }
+
+        return normalizeLineEndings(content);
+    }
+
+    /**
+     * Split leading "#key:value" header lines from the notes
+     * @param {string} content - Preprocessed content
+     * @returns {{headers: Object, body: string, bodyStartLine: number}} Headers (lowercase keys) and note lines
+     */
+    readHeaders(content) {
+        const lines = content.split('\n');
+        const headers = {};
+        let i = 0;
+
+        for (; i < lines.length; i++) {
+            const match = HEADER_LINE.exec(lines[i]);
+            if (!match) break;
+            headers[match[1].trim().toLowerCase()] = match[2].trim();
+        }
+
+        return { headers, body: lines.slice(i).join('\n'), bodyStartLine: i + 1 };
+    }
+
+    /**
+     * Validate file format
+     * @param {string} fileContent - Raw file content
+     * @returns {Promise<{valid: boolean, errors: Array}>} Validation result
+     */
+    async validate(fileContent) {
+        try {
+            const { headers, body } = this.readHeaders(this.preprocess(fileContent));
+            const layout = resolveLayout(headers);
+            const rows = parseDelimitedRows(body, layout.separator);
+
+            if (!rows.some(row => row.fields.length > 1)) {
+                return {
+                    valid: false,
+                    errors: [{ line: 0, type: 'validation_error', message: 'No notes with a front and back field' }]
+                };
+            }
+            return { valid: true, errors: [] };
+        } catch (error) {
+            return {
+                valid: false,
+                errors: [{ line: 0, type: 'validation_error', message: error.details?.reason || error.message }]
+            };
+        }
+    }
+
+    /**
+     * Anki exports are .txt files, so they are recognized by content only
+     * @returns {string[]} Array of extensions
+     */
+    getSupportedExtensions() {
+        return [];
+    }
+
+    /**
+     * Describe the format for listings in the UI
+     * @returns {{name: string, description: string}} Format info
+     */
+    getFormatInfo() {
+        return {
+            name: 'Anki',
+            description: 'Anki "Notes in Plain Text" export (.txt, detected automatically)'
+        };
+    }
+
+    /**
+     * Score how likely it is that content is an Anki export
+     * @param {string} fileContent - Raw file content
+     * @returns {number} Score (0-1)
+     */
+    sniff(fileContent) {
+        const lines = removeBOM(fileContent).split(/\r?\n/, 50);
+
+        if (/^#(separator|html|tags column|columns|notetype|deck|guid column):/i.test(lines[0] || '')) {
+            return 1;
+        }
+
+        // Headerless exports: every note line has a tab
+        const notes = lines.filter(line => line.trim() !== '');
+        if (notes.length >= 2 && notes.every(line => line.includes('\t'))) {
+            return 0.9;
+        }
+        return 0;
+    }
+}
+
+/**
+ * Work out separator, HTML mode and which columns hold front, back and tags
+ * @param {Object} headers - Header values keyed by lowercase name
+ * @returns {{separator: string, html: boolean, noteColumns: number[], tagsColumn: number}} Layout (0-based columns)
+ * @throws {AppError} If the separator header is not understood
+ */
+function resolveLayout(headers) {
+    let separator = '\t';
+    if (headers.separator !== undefined) {
+        const name = headers.separator.toLowerCase();
+        separator = SEPARATORS[name] || (headers.separator.length === 1 ? headers.separator : null);
+
+        if (!separator) {
+            throw new AppError(
+                ERROR_CODES.FILE_INVALID_FORMAT,
+                'Unknown Anki separator',
+                { reason: `"#separator:${headers.separator}" is not supported.` }
+            );
+        }
+    }
+
+    const column = (key) => {
+        const value = parseInt(headers[key], 10);
+        return Number.isNaN(value) ? -1 : value - 1;
+    };
+
+    const tagsColumn = column('tags column');
+    const reserved = new Set([tagsColumn, column('guid column'), column('notetype column'), column('deck column')]);
+
+    // Front and back are the first two columns that hold note fields
+    const noteColumns = [];
+    for (let index = 0; noteColumns.length < 2; index++) {
+        if (!reserved.has(index)) noteColumns.push(index);
+    }
+
+    // Without headers, a third column holds tags
+    const hasHeaders = Object.keys(headers).length > 0;
+
+    return {
+        separator,
+        html: headers.html?.toLowerCase() === 'true',
+        noteColumns,
+        tagsColumn: hasHeaders ? tagsColumn : 2
+    };
+}
+
+/**
+ * Turn an Anki field into plain text, or into Markdown
+ * @param {string} value - Raw field
+ * @param {boolean} html - Whether the field holds HTML
+ * @param {boolean} markdown - Keep the HTML formatting as Markdown (default: false)
+ * @returns {string} Clean text
+ */
+function cleanField(value, html, markdown = false) {
+    let text = value || '';
+
+    // Media references cannot be shown
+    text = text.replace(/\[sound:[^\]]*\]/g, '');
+
+    if (html) {
+        text = markdown
+            ? htmlToMarkdown(text)
+            : text
+                .replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<\/(div|p|li)>/gi, '\n')
+                .replace(/<[^>]+>/g, '');
+
+        text = text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&amp;/g, '&');
+    }
+
+    text = text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    return html && markdown ? markHardBreaks(text) : text;
+}
+
+/**
+ * Turn the HTML of a field into Markdown: line breaks, paragraphs, lists,
+ * bold, italic, code and links. Entities are left for the caller
+ * @param {string} html - Field HTML
+ * @returns {string} Markdown, with one line per line break
+ */
+function htmlToMarkdown(html) {
+    const lists = []; // Open lists, innermost last
+    let href = null;
+
+    return html.replace(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi, (tag, closing, tagName, attributes) => {
+        const name = tagName.toLowerCase();
+        if (INLINE_MARKS[name]) {
+            return INLINE_MARKS[name];
+        }
+
+        switch (name) {
+            case 'br':
+                return '\n';
+            // Anki writes each line after the first as a <div>
+            case 'div':
+                return closing ? '' : '\n';
+            case 'p':
+                return '\n\n';
+            // A list is a paragraph of its own; each item starts a line,
+            // so a nested list continues its parent
+            case 'ul':
+            case 'ol':
+                if (closing) {
+                    lists.pop();
+                    return lists.length > 0 ? '' : '\n\n';
+                }
+                lists.push({ ordered: name === 'ol', count: 0 });
+                return lists.length > 1 ? '' : '\n\n';
+            case 'li': {
+                const list = lists[lists.length - 1];
+                if (closing || !list) return '';
+                const indent = '  '.repeat(lists.length - 1);
+                return `\n${indent}${list.ordered ? `${++list.count}.` : '-'} `;
+            }
+            // Only web and mail links can be followed from the overlay
+            case 'a':
+                if (closing) {
+                    const link = href ? `](${href})` : '';
+                    href = null;
+                    return link;
+                }
+                href = (/\bhref\s*=\s*["']((?:https?:\/\/|mailto:)[^"'\s)]+)["']/i.exec(attributes) || [])[1] || null;
+                return href ? '[' : '';
+            default:
+                // Headings become paragraphs
+                return /^h[1-6]$/.test(name) ? '\n\n' : '';
+        }
+    });
+}
+
+/**
+ * End each line that runs on into the next line of its paragraph with a
+ * backslash, a Markdown hard line break; lists and blank lines need none
+ * @param {string} markdown - Markdown with one line per line break
+ * @returns {string} Markdown
+ */
+function markHardBreaks(markdown) {
+    const lines = markdown.split('\n');
+    return lines
+        .map((line, index) => {
+            const next = lines[index + 1];
+            const joined = next !== undefined && !BLOCK_BREAK.test(line) && !BLOCK_BREAK.test(next);
+            return joined ? `${line}\\` : line;
+        })
+        .join('\n');
+}
+
+// Export singleton instance
+export const ankiParser = new AnkiParser();
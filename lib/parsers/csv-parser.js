@@ -0,0 +1,368 @@
+/**
+ * @file csv-parser.js
+ * @description CSV and TSV Q&A file parser
+ * @module lib/parsers/csv-parser
+ * @requires lib/parsers/parser-interface
+ * @requires lib/parsers/validation
+ * @requires lib/parsers/question-builder
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { Parser } from './parser-interface.js';
+import { validateEncoding, removeBOM, normalizeLineEndings } from './validation.js';
+import { parseTags, applyMetaBlock } from './question-builder.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
+
+/**
+ * Default column configuration
+ * Columns may be given as header names (case-insensitive) or 0-based indexes
+ */
+const DEFAULT_OPTIONS = {
+    delimiter: null, // null = detect from extension and header row
+    questionColumn: 'question',
+    answerColumn: 'answer',
+    tagsColumn: 'tags',
+    metaColumn: 'meta' // JSON object with the remaining fields (written by CSV export)
+};
+
+// Headers used by flashcard apps, accepted when the configured column is absent
+const COLUMN_ALIASES = {
+    question: ['front', 'term'],
+    answer: ['back', 'definition']
+};
+
+/**
+ * Delimited text parser for Q&A spreadsheets
+ * Format: header row, then one row per pair (RFC 4180 quoting)
+ */
+export class CsvParser extends Parser {
+    /**
+     * @param {Object} options - Column and delimiter configuration
+     * @param {string|null} options.delimiter - Field delimiter (',' or '\t')
+     * @param {string|number} options.questionColumn - Question column name or index
+     * @param {string|number} options.answerColumn - Answer column name or index
+     * @param {string|number|null} options.tagsColumn - Tags column name or index (optional)
+     * @param {string|number|null} options.metaColumn - Metadata column name or index (optional)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Read the question-answer rows of a CSV/TSV file
+     * @param {string} fileContent - Raw file content
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{entries: Array, metadata: Object, errors: Array}>} Entries to build, metadata and errors
+     */
+    async readEntries(fileContent, fileName) {
+        const errors = [];
+        const entries = [];
+
+        const content = this.preprocess(fileContent);
+        const delimiter = this.options.delimiter || detectDelimiter(content, fileName);
+        const rows = parseDelimitedRows(content, delimiter);
+
+        if (rows.length === 0) {
+            throw new AppError(
+                ERROR_CODES.FILE_INVALID_FORMAT,
+                'File is empty',
+                { reason: 'The file has no header row.' }
+            );
+        }
+
+        const [header, ...dataRows] = rows;
+        const columns = this.resolveColumns(header.fields);
+
+        for (const row of dataRows) {
+            const { fields, line } = row;
+
+            // Skip blank lines
+            if (fields.every(field => field.trim() === '')) {
+                continue;
+            }
+
+            const question = (fields[columns.question] || '').trim();
+            const answer = (fields[columns.answer] || '').trim();
+
+            if (!question || !answer) {
+                errors.push({
+                    line,
+                    type: 'invalid_row',
+                    message: 'Row missing required question or answer value',
+                    question: question ? question.substring(0, 50) : 'unknown'
+                });
+                continue;
+            }
+
+            if (question.length < PARSER_CONFIG.MIN_QUESTION_LENGTH) {
+                errors.push({
+                    line,
+                    type: 'invalid_row',
+                    message: `Question is too short (${question.length} chars)`,
+                    question
+                });
+                continue;
+            }
+
+            const tags = columns.tags === -1 ? [] : parseTags(fields[columns.tags]);
+            const pair = applyMetaBlock(columns.meta === -1 ? '' : fields[columns.meta], {
+                question,
+                answer,
+                details: { tags }
+            }, (field, expected) => {
+                errors.push({
+                    line,
+                    type: 'invalid_field',
+                    message: `Ignored "${field}" in the meta column: expected ${expected}`,
+                    question: question.substring(0, 50)
+                });
+            });
+
+            entries.push({
+                question: pair.question.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
+                answer: pair.answer.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
+                lineNumber: line,
+                details: pair.details
+            });
+        }
+
+        // Generate metadata
+        const metadata = {
+            fileName,
+            totalQuestions: entries.length,
+            totalErrors: errors.length,
+            timestamp: Date.now(),
+            fileSize: fileContent.length,
+            format: delimiter === '\t' ? 'tsv' : 'csv'
+        };
+
+        return { entries, metadata, errors };
+    }
+
+    /**
+     * Preprocess file content
+     * @param {string} content - Raw content
+     * @returns {string} Preprocessed content
+     */
+    preprocess(content) {
+        content = removeBOM(content);
+
+        if (!validateEncoding(content)) {
+            throw new AppError(
+                ERROR_CODES.FILE_ENCODING_ERROR,
+                'Invalid file encoding. Please use UTF-8.'
+            );
+        }
+
+        return normalizeLineEndings(content);
+    }
+
+    /**
+     * Map configured columns to field indexes
+     * @param {string[]} headerFields - Header row
+     * @returns {{question: number, answer: number, tags: number, meta: number}} Column indexes (-1 = absent)
+     * @throws {AppError} If question or answer column is missing
+     */
+    resolveColumns(headerFields) {
+        const headers = headerFields.map(field => field.trim().toLowerCase());
+
+        const find = (column, aliases = []) => {
+            if (column === null || column === undefined) return -1;
+            if (typeof column === 'number') {
+                return column < headers.length ? column : -1;
+            }
+
+            const index = headers.indexOf(String(column).toLowerCase());
+            if (index !== -1) return index;
+
+            const alias = aliases.find(name => headers.includes(name));
+            return alias ? headers.indexOf(alias) : -1;
+        };
+
+        const columns = {
+            question: find(this.options.questionColumn, COLUMN_ALIASES.question),
+            answer: find(this.options.answerColumn, COLUMN_ALIASES.answer),
+            tags: find(this.options.tagsColumn),
+            meta: find(this.options.metaColumn)
+        };
+
+        if (columns.question === -1 || columns.answer === -1) {
+            throw new AppError(
+                ERROR_CODES.FILE_INVALID_FORMAT,
+                'Missing question or answer column',
+                {
+                    reason: `Header row must contain "${this.options.questionColumn}" and "${this.options.answerColumn}" columns.`,
+                    headers
+                }
+            );
+        }
+
+        return columns;
+    }
+
+    /**
+     * Validate file format
+     * @param {string} fileContent - Raw file content
+     * @returns {Promise<{valid: boolean, errors: Array}>} Validation result
+     */
+    async validate(fileContent) {
+        try {
+            const content = this.preprocess(fileContent);
+            const rows = parseDelimitedRows(content, this.options.delimiter || detectDelimiter(content));
+
+            if (rows.length === 0) {
+                return {
+                    valid: false,
+                    errors: [{ line: 0, type: 'validation_error', message: 'File is empty' }]
+                };
+            }
+
+            this.resolveColumns(rows[0].fields);
+            return { valid: true, errors: [] };
+        } catch (error) {
+            return {
+                valid: false,
+                errors: [{
+                    line: 0,
+                    type: 'validation_error',
+                    message: error.details?.reason || error.message
+                }]
+            };
+        }
+    }
+
+    /**
+     * Get supported file extensions
+     * @returns {string[]} Array of extensions
+     */
+    getSupportedExtensions() {
+        return ['csv', 'tsv'];
+    }
+
+    /**
+     * Describe the format for listings in the UI
+     * @returns {{name: string, description: string}} Format info
+     */
+    getFormatInfo() {
+        return {
+            name: 'CSV/TSV',
+            description: 'Spreadsheet with a question,answer[,tags] (or front,back[,tags]) header row'
+        };
+    }
+
+    /**
+     * Score how likely it is that content is a Q&A spreadsheet
+     * Only a header naming the configured columns counts as a strong signal
+     * @param {string} fileContent - Raw file content
+     * @returns {number} Score (0-1)
+     */
+    sniff(fileContent) {
+        const headerLine = removeBOM(fileContent).split(/\r?\n/, 1)[0];
+        const delimiter = detectDelimiter(headerLine);
+
+        try {
+            const [header] = parseDelimitedRows(headerLine, delimiter);
+            if (header && header.fields.length > 1) {
+                this.resolveColumns(header.fields);
+                return 0.9;
+            }
+        } catch (error) {
+            // Header does not name the question/answer columns
+        }
+        return 0;
+    }
+}
+
+/**
+ * Pick the delimiter from the file extension, else from the header row
+ * @param {string} content - Preprocessed content
+ * @param {string} fileName - Source file name (optional)
+ * @returns {string} ',' or '\t'
+ */
+export function detectDelimiter(content, fileName = '') {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.tsv')) return '\t';
+
+    const headerLine = content.split('\n', 1)[0];
+    const tabs = (headerLine.match(/\t/g) || []).length;
+    const commas = (headerLine.match(/,/g) || []).length;
+
+    return tabs > commas ? '\t' : ',';
+}
+
+/**
+ * Split delimited text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes
+ * @param {string} content - Text with \n line endings
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{fields: string[], line: number}>} Rows with 1-indexed start line
+ * @throws {AppError} If a quoted field is never closed
+ */
+export function parseDelimitedRows(content, delimiter) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowStartLine = 1;
+    let quoteStartLine = 1;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field.trim() === '') {
+            inQuotes = true;
+            quoteStartLine = line;
+            field = '';
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n') {
+            fields.push(field);
+            rows.push({ fields, line: rowStartLine });
+            fields = [];
+            field = '';
+            line++;
+            rowStartLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new AppError(
+            ERROR_CODES.FILE_INVALID_FORMAT,
+            'Unterminated quoted field',
+            { reason: `Quoted field starting on line ${quoteStartLine} is never closed.`, line: quoteStartLine }
+        );
+    }
+
+    // Last row without trailing newline
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ fields, line: rowStartLine });
+    }
+
+    return rows;
+}
+
+// Export singleton instance
+export const csvParser = new CsvParser();
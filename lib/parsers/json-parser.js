@@ -3,36 +3,35 @@
  * @description JSON Q&A file parser
  * @module lib/parsers/json-parser
  * @requires lib/parsers/parser-interface
- * @requires lib/normalization/text-normalizer
- * @requires lib/normalization/keyword-extractor
- * @requires lib/normalization/question-classifier
- * @requires lib/utils/hash
+ * @requires lib/parsers/question-builder
+ * @requires lib/parsers/stream-readers
  * @requires lib/utils/error-handler
  * @requires lib/utils/constants
  */
 
 import { Parser } from './parser-interface.js';
-import { normalizeForMatching } from '../normalization/text-normalizer.js';
-import { extractKeywords } from '../normalization/keyword-extractor.js';
-import { classifyQuestion } from '../normalization/question-classifier.js';
-import { generateQuestionId } from '../utils/hash.js';
+import { readQuestionDetails, resolveItemAnswer } from './question-builder.js';
+import { JsonArrayScanner } from './stream-readers.js';
 import { AppError } from '../utils/error-handler.js';
 import { ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
 
 /**
  * JSON parser for Q&A files
  * Format: Array of objects [{question: "...", answer: "..."}]
+ * Optional per item: aliases[], tags (array or "a, b"), answers[] (used as the
+ * answer when "answer" is absent), explanation, source, options[] with
+ * correct ("B", 2 or the option text; its option is the answer when none is given)
  */
 export class JsonParser extends Parser {
     /**
-     * Parse JSON file content
+     * Read the items of a JSON file
      * @param {string} fileContent - Raw file content
      * @param {string} fileName - Source file name
-     * @returns {Promise<{questions: Array, metadata: Object, errors: Array}>} Parse result
+     * @returns {Promise<{entries: Array, metadata: Object, errors: Array}>} Entries to build, metadata and errors
      */
-    async parse(fileContent, fileName) {
+    async readEntries(fileContent, fileName) {
         const errors = [];
-        const questions = [];
+        const entries = [];
         let rawData;
 
         try {
@@ -55,57 +54,23 @@ export class JsonParser extends Parser {
         try {
             // Process each item
             for (let i = 0; i < rawData.length; i++) {
-                const item = rawData[i];
-                const lineNumber = i + 1; // logical index
-
-                // Validate item
-                if (!item.question || typeof item.question !== 'string' || !item.answer || typeof item.answer !== 'string') {
-                    errors.push({
-                        line: lineNumber,
-                        type: 'invalid_item',
-                        message: 'Item missing required "question" or "answer" string fields',
-                        question: item.question ? item.question.toString().substring(0, 50) : 'unknown'
-                    });
-                    continue;
-                }
-
-                // Clean content
-                const questionText = item.question.trim();
-                const answerText = item.answer.trim();
-
-                if (!questionText || !answerText) {
-                    continue; // Skip empty
-                }
-
-                try {
-                    const questionObj = await this.buildQuestionObject(
-                        questionText,
-                        answerText,
-                        lineNumber,
-                        fileName
-                    );
-                    questions.push(questionObj);
-                } catch (error) {
-                    errors.push({
-                        line: lineNumber,
-                        type: 'parse_error',
-                        message: error.message,
-                        question: questionText.substring(0, 100)
-                    });
+                const entry = this.readItem(rawData[i], i + 1, errors); // logical index
+                if (entry) {
+                    entries.push(entry);
                 }
             }
 
             // Generate metadata
             const metadata = {
                 fileName,
-                totalQuestions: questions.length,
+                totalQuestions: entries.length,
                 totalErrors: errors.length,
                 timestamp: Date.now(),
                 fileSize: fileContent.length,
                 format: 'json'
             };
 
-            return { questions, metadata, errors };
+            return { entries, metadata, errors };
 
         } catch (error) {
             throw new AppError(
@@ -117,50 +82,70 @@ export class JsonParser extends Parser {
     }
 
     /**
-     * Build structured question object (reused logic)
-     * @param {string} question - Question text
-     * @param {string} answer - Answer text
-     * @param {number} lineNumber - Line number
-     * @param {string} fileName - Source file name
-     * @returns {Promise<Object>} Structured question object
+     * Read one item of the array
+     * @param {*} item - Raw JSON item
+     * @param {number} lineNumber - Item index (1-indexed)
+     * @param {Array} errors - Error list to append to
+     * @returns {Object|null} Entry, or null if the item is skipped
      */
-    async buildQuestionObject(question, answer, lineNumber, fileName) {
-        // Reuse the logic from TXT parser concepts or duplicate minimal logic here
-        // Ideally checking against the same strict rules
+    readItem(item, lineNumber, errors) {
+        // Validate item
+        const answer = resolveItemAnswer(item);
 
-        const normalizedQuestion = normalizeForMatching(question);
-        const keywords = extractKeywords(question);
-        const { type: questionType, confidence: questionTypeConfidence } = classifyQuestion(question);
-        const id = await generateQuestionId(normalizedQuestion, lineNumber, fileName);
+        if (!item?.question || typeof item.question !== 'string' || !answer) {
+            errors.push({
+                line: lineNumber,
+                type: 'invalid_item',
+                message: 'Item missing required "question" string or "answer"/"answers" field',
+                question: item?.question ? item.question.toString().substring(0, 50) : 'unknown'
+            });
+            return null;
+        }
 
-        const hasNumbers = /\d/.test(question);
-        const hasDates = /\b(january|february|march|april|may|june|july|august|september|october|november|december|\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\b/i.test(question);
+        // Clean content
+        const questionText = item.question.trim();
+        const answerText = answer.trim();
+
+        if (!questionText || !answerText) {
+            return null; // Skip empty
+        }
 
         return {
-            id,
-            original: {
-                question,
-                answer,
-                lineNumber,
-                fileName
-            },
-            processed: {
-                normalizedQuestion,
-                keywords,
-                questionType,
-                questionTypeConfidence,
-                characterCount: question.length,
-                wordCount: question.split(/\s+/).length,
-                hasNumbers,
-                hasDates
-            },
-            metadata: {
-                createdAt: Date.now(),
-                updatedAt: Date.now()
-            }
+            question: questionText,
+            answer: answerText,
+            lineNumber,
+            details: this.readOptionalFields(item, lineNumber, errors)
         };
     }
 
+    /**
+     * Read a file that arrives in pieces (files over PARSER_CONFIG.MAX_FILE_SIZE)
+     * @param {Object|null} state - getState() of an earlier reader of the same file
+     * @returns {JsonStreamReader} Stream reader
+     */
+    createStreamReader(state = null) {
+        return new JsonStreamReader(this, state);
+    }
+
+    /**
+     * Read the optional fields of an item
+     * Fields with the wrong type are reported and dropped; the pair is kept
+     * @param {Object} item - Raw JSON item
+     * @param {number} lineNumber - Item index (1-indexed)
+     * @param {Array} errors - Error list to append to
+     * @returns {Object} Details for buildQuestionObject
+     */
+    readOptionalFields(item, lineNumber, errors) {
+        return readQuestionDetails(item, (field, expected) => {
+            errors.push({
+                line: lineNumber,
+                type: 'invalid_field',
+                message: `Ignored "${field}": expected ${expected}`,
+                question: item.question.substring(0, 50)
+            });
+        });
+    }
+
     /**
      * Validate file format
      * @param {string} fileContent - Raw file content
@@ -199,6 +184,86 @@ export class JsonParser extends Parser {
     getSupportedExtensions() {
         return ['json'];
     }
+
+    /**
+     * Describe the format for listings in the UI
+     * @returns {{name: string, description: string}} Format info
+     */
+    getFormatInfo() {
+        return {
+            name: 'JSON',
+            description: 'Array of {"question": "...", "answer": "..."} objects, with optional aliases, tags, answers, options/correct, explanation and source'
+        };
+    }
+
+    /**
+     * Score how likely it is that content is a JSON array
+     * @param {string} fileContent - Raw file content
+     * @returns {number} Score (0-1)
+     */
+    sniff(fileContent) {
+        const trimmed = fileContent.replace(/^\uFEFF/, '').trimStart();
+        if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+            return 0;
+        }
+
+        try {
+            return Array.isArray(JSON.parse(trimmed)) ? 1 : 0.5;
+        } catch (error) {
+            return 0.3;
+        }
+    }
+}
+
+/**
+ * Reads the items of a JSON array piece by piece
+ */
+class JsonStreamReader {
+    /**
+     * @param {JsonParser} parser - Parser that reads each item
+     * @param {Object|null} state - getState() of an earlier reader
+     */
+    constructor(parser, state) {
+        this.parser = parser;
+        this.scanner = new JsonArrayScanner(state?.scanner);
+        this.itemCount = state?.itemCount || 0;
+    }
+
+    /**
+     * Read the next piece of the file
+     * @param {string} text - File text
+     * @returns {{entries: Array, errors: Array}} Entries of the items completed by this piece
+     */
+    push(text) {
+        const entries = [];
+        const errors = [];
+
+        for (const item of this.scanner.push(text)) {
+            const entry = this.parser.readItem(item, ++this.itemCount, errors);
+            if (entry) {
+                entries.push(entry);
+            }
+        }
+
+        return { entries, errors };
+    }
+
+    /**
+     * End of the file
+     * @returns {{entries: Array, errors: Array}} Nothing is left over in a closed array
+     * @throws {AppError} If the array is not closed
+     */
+    finish() {
+        this.scanner.finish();
+        return { entries: [], errors: [] };
+    }
+
+    /**
+     * @returns {Object} Plain data to rebuild this reader from
+     */
+    getState() {
+        return { scanner: this.scanner.getState(), itemCount: this.itemCount };
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,412 @@
+/**
+ * @file markdown-parser.js
+ * @description Markdown knowledge-base parser
+ * @module lib/parsers/markdown-parser
+ * @requires lib/parsers/parser-interface
+ * @requires lib/parsers/validation
+ * @requires lib/parsers/question-builder
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { Parser } from './parser-interface.js';
+import { validateEncoding, removeBOM, normalizeLineEndings } from './validation.js';
+import { applyMetaBlock } from './question-builder.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
+
+/**
+ * Default configuration
+ */
+const DEFAULT_OPTIONS = {
+    // Headings at this level or deeper are questions even without a "?"
+    questionHeadingLevel: PARSER_CONFIG.MARKDOWN_QUESTION_LEVEL
+};
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const BOLD_QUESTION = /^\s*\*\*Q:?\*\*:?\s*(.*)$/i;
+const BOLD_ANSWER = /^\s*\*\*A:?\*\*:?\s*(.*)$/i;
+const DEFINITION = /^:\s+(.*)$/;
+const META_COMMENT = /^<!--\s*answerfinder:\s*(.*?)\s*-->\s*$/;
+
+/**
+ * Markdown parser for Q&A knowledge bases
+ * Recognizes three styles:
+ *   ## Question ending in "?"      (body up to the next heading is the answer)
+ *   **Q:** question / **A:** answer
+ *   Term                           (definition list)
+ *   : Definition
+ * Answers keep their Markdown so the overlay can render lists, code and links.
+ * A "<!-- answerfinder: {...} -->" comment inside a pair carries the fields
+ * Markdown cannot express (aliases, tags, options, ...).
+ */
+export class MarkdownParser extends Parser {
+    /**
+     * @param {Object} options - Parser configuration
+     * @param {number} options.questionHeadingLevel - Heading level (1-6) from which every heading is a question
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Read the question-answer pairs of a Markdown file
+     * @param {string} fileContent - Raw file content
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{entries: Array, metadata: Object, errors: Array}>} Entries to build, metadata and errors
+     */
+    async readEntries(fileContent, fileName) {
+        const errors = [];
+        const entries = [];
+
+        const lines = this.preprocess(fileContent).split('\n');
+        const pairs = this.extractPairs(lines, errors);
+
+        for (const pair of pairs) {
+            const { question, answer, details } = applyMetaBlock(pair.meta, {
+                question: pair.question,
+                answer: pair.answer,
+                details: { answerFormat: 'markdown' }
+            }, (field, expected) => {
+                errors.push({
+                    line: pair.lineNumber,
+                    type: 'invalid_field',
+                    message: `Ignored "${field}" in the answerfinder comment: expected ${expected}`,
+                    question: pair.question.substring(0, 50)
+                });
+            });
+
+            entries.push({
+                question: question.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
+                answer: answer.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
+                lineNumber: pair.lineNumber,
+                details
+            });
+        }
+
+        // Generate metadata
+        const metadata = {
+            fileName,
+            totalQuestions: entries.length,
+            totalErrors: errors.length,
+            timestamp: Date.now(),
+            fileSize: fileContent.length,
+            format: 'markdown'
+        };
+
+        return { entries, metadata, errors };
+    }
+
+    /**
+     * Preprocess file content
+     * @param {string} content - Raw content
+     * @returns {string} Preprocessed content without front matter
+     */
+    preprocess(content) {
+        content = removeBOM(content);
+
+        if (!validateEncoding(content)) {
+            throw new AppError(
+                ERROR_CODES.FILE_ENCODING_ERROR,
+                'Invalid file encoding. Please use UTF-8.'
+            );
+        }
+
+        content = normalizeLineEndings(content);
+
+        // Blank out YAML front matter, keeping line numbers
+        const frontMatter = /^---\n[\s\S]*?\n---\n/.exec(content);
+        if (frontMatter) {
+            content = '\n'.repeat(frontMatter[0].split('\n').length - 1) + content.slice(frontMatter[0].length);
+        }
+
+        return content;
+    }
+
+    /**
+     * Check whether a heading is a question
+     * @param {number} level - Heading level (1-6)
+     * @param {string} text - Heading text
+     * @returns {boolean} True if the heading is a question
+     */
+    isQuestionHeading(level, text) {
+        const threshold = this.options.questionHeadingLevel;
+        return text.trim().endsWith('?') || (threshold !== null && level >= threshold);
+    }
+
+    /**
+     * Extract question-answer pairs from lines
+     * @param {string[]} lines - Array of lines
+     * @param {Array} errors - Error list to append to
+     * @returns {Array<{question: string, answer: string, lineNumber: number, meta: string}>} Pairs
+     */
+    extractPairs(lines, errors) {
+        const pairs = [];
+        let current = null;
+        let inFence = false;
+
+        const finish = () => {
+            if (current) {
+                const pair = finishPair(current, errors);
+                if (pair) pairs.push(pair);
+            }
+            current = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const lineNumber = i + 1;
+
+            // Nothing inside a code block is structure
+            if (FENCE.test(line)) {
+                inFence = !inFence;
+            }
+            if (inFence || FENCE.test(line)) {
+                if (current?.answerLines) current.answerLines.push(line);
+                continue;
+            }
+
+            let match;
+
+            if ((match = META_COMMENT.exec(line))) {
+                if (current) current.meta = match[1];
+                continue;
+            }
+
+            if ((match = HEADING.exec(line))) {
+                finish();
+                const level = match[1].length;
+                if (this.isQuestionHeading(level, match[2])) {
+                    current = { question: [match[2]], answerLines: [], lineNumber, style: 'heading' };
+                }
+                continue;
+            }
+
+            if ((match = BOLD_QUESTION.exec(line))) {
+                finish();
+                current = { question: [match[1]], answerLines: null, lineNumber, style: 'bold' };
+                continue;
+            }
+
+            if ((match = BOLD_ANSWER.exec(line))) {
+                if (current?.style === 'bold' && !current.answerLines) {
+                    current.answerLines = [match[1]];
+                } else {
+                    errors.push({
+                        line: lineNumber,
+                        type: 'orphan_answer',
+                        message: '**A:** without a preceding **Q:**'
+                    });
+                }
+                continue;
+            }
+
+            // Definition list: a term line followed by ": definition"
+            // (ends a **A:** answer, but is part of a heading's body)
+            const isTerm = line.trim() !== '' && DEFINITION.test(lines[i + 1] || '');
+            if (isTerm && current?.style === 'bold' && (lines[i - 1] || '').trim() === '') {
+                finish();
+            }
+            if (!current && isTerm) {
+                const definition = readDefinitions(lines, i + 1);
+                const pair = finishPair({
+                    question: [line],
+                    answerLines: definition.lines,
+                    lineNumber,
+                    style: 'definition'
+                }, errors);
+                if (pair) pairs.push(pair);
+                i = definition.end;
+                continue;
+            }
+
+            if (!current) continue;
+
+            if (current.answerLines) {
+                current.answerLines.push(line);
+            } else if (line.trim() !== '') {
+                // **Q:** text that wraps onto the next line
+                current.question.push(line);
+            }
+        }
+
+        finish();
+
+        return pairs;
+    }
+
+    /**
+     * Validate file format
+     * @param {string} fileContent - Raw file content
+     * @returns {Promise<{valid: boolean, errors: Array}>} Validation result
+     */
+    async validate(fileContent) {
+        try {
+            const errors = [];
+            const pairs = this.extractPairs(this.preprocess(fileContent).split('\n'), errors);
+
+            if (pairs.length === 0) {
+                errors.push({
+                    line: 0,
+                    type: 'validation_error',
+                    message: 'No questions found. Use headings ending in "?", **Q:**/**A:** or definition lists.'
+                });
+            }
+
+            return { valid: pairs.length > 0, errors };
+        } catch (error) {
+            return {
+                valid: false,
+                errors: [{ line: 0, type: 'validation_error', message: error.message }]
+            };
+        }
+    }
+
+    /**
+     * Get supported file extensions
+     * @returns {string[]} Array of extensions
+     */
+    getSupportedExtensions() {
+        return ['md', 'markdown'];
+    }
+
+    /**
+     * Describe the format for listings in the UI
+     * @returns {{name: string, description: string}} Format info
+     */
+    getFormatInfo() {
+        return {
+            name: 'Markdown',
+            description: 'Headings ending in "?", **Q:**/**A:** pairs or definition lists'
+        };
+    }
+
+    /**
+     * Score how likely it is that content is a Markdown Q&A document
+     * @param {string} fileContent - Raw file content
+     * @returns {number} Score (0-1)
+     */
+    sniff(fileContent) {
+        const sample = fileContent.slice(0, 4096);
+        if (/^#{1,6}\s+.*\?\s*$/m.test(sample) || /^\s*\*\*Q:?\*\*/im.test(sample)) {
+            return 0.6;
+        }
+        return /^#{1,6}\s+\S/m.test(sample) ? 0.3 : 0;
+    }
+}
+
+/**
+ * Read a definition-list body starting at a ": ..." line
+ * Continues through further ": ..." lines and indented continuation lines
+ * @param {string[]} lines - Array of lines
+ * @param {number} start - Index of the first definition line
+ * @returns {{lines: string[], end: number}} Definition text lines and index of the last line read
+ */
+function readDefinitions(lines, start) {
+    const body = [];
+    let end = start;
+
+    for (let i = start; i < lines.length; i++) {
+        const line = lines[i];
+        const definition = DEFINITION.exec(line);
+
+        if (definition) {
+            // Each definition is its own paragraph
+            if (body.length > 0) body.push('');
+            body.push(definition[1]);
+        } else if (/^\s{2,}\S/.test(line) && body.length > 0) {
+            body.push(line.trim());
+        } else if (line.trim() === '' && DEFINITION.test(lines[i + 1] || '')) {
+            continue;
+        } else {
+            break;
+        }
+        end = i;
+    }
+
+    return { lines: body, end };
+}
+
+/**
+ * Turn collected lines into a pair
+ * @param {Object} current - Question lines and answer lines
+ * @param {Array} errors - Error list to append to
+ * @returns {Object|null} Pair, or null if it is invalid
+ */
+function finishPair(current, errors) {
+    const question = stripInlineMarkdown(current.question.join(' '));
+    const answer = (current.answerLines || []).join('\n').trim();
+
+    if (!answer) {
+        errors.push({
+            line: current.lineNumber,
+            type: 'missing_answer',
+            message: current.style === 'bold' ? 'Question has no **A:** answer' : 'Question has no answer text',
+            question: question.substring(0, 50)
+        });
+        return null;
+    }
+
+    if (question.length < PARSER_CONFIG.MIN_QUESTION_LENGTH) {
+        errors.push({
+            line: current.lineNumber,
+            type: 'invalid_pair',
+            message: `Question is too short (${question.length} chars)`,
+            question
+        });
+        return null;
+    }
+
+    return { question, answer, lineNumber: current.lineNumber, meta: current.meta };
+}
+
+/**
+ * Reduce inline Markdown in a question to plain text
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+export function stripInlineMarkdown(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // links and images
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/\*(.+?)\*/g, '$1')
+        .replace(/(^|\W)__?(.+?)__?(?=\W|$)/g, '$1$2') // not snake_case
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check whether text reads back unchanged as a question heading
+ * @param {string} text - Question text
+ * @returns {boolean} True if "### text" parses to the same question
+ */
+export function isPlainHeadingText(text) {
+    return !/\n|#\s*$/.test(text) && stripInlineMarkdown(text) === text;
+}
+
+/**
+ * Check whether text reads back unchanged as the body under a question heading
+ * Headings, **Q:** and **A:** lines and metadata comments outside code blocks,
+ * or an unclosed code block, would end or alter the answer
+ * @param {string} text - Answer text
+ * @returns {boolean} True if the text is safe as an answer body
+ */
+export function isPlainAnswerBody(text) {
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+        if (FENCE.test(line)) {
+            inFence = !inFence;
+        } else if (!inFence && [HEADING, BOLD_QUESTION, BOLD_ANSWER, META_COMMENT].some(pattern => pattern.test(line))) {
+            return false;
+        }
+    }
+
+    return !inFence;
+}
+
+// Export singleton instance
+export const markdownParser = new MarkdownParser();
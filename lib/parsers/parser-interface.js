@@ -2,22 +2,58 @@
  * @file parser-interface.js
  * @description Abstract parser interface for all file formats
  * @module lib/parsers/parser-interface
+ * @requires lib/parsers/question-builder
  */
 
+import { buildQuestionObjects } from './question-builder.js';
+
 /**
  * Abstract Parser class
  * All parsers should extend this class
  */
 export class Parser {
     /**
-     * Parse file content
+     * Parse file content into question objects
+     * Building the objects is the costly part, so it can be handed to
+     * another builder (the offscreen worker pool)
      * @param {string} fileContent - Raw file content
      * @param {string} fileName - Source file name
+     * @param {Function} build - (entries, fileName) => Promise<{questions, errors}>
      * @returns {Promise<{questions: Array, metadata: Object, errors: Array}>} Parse result
+     */
+    async parse(fileContent, fileName, build = buildQuestionObjects) {
+        const { entries, metadata, errors } = await this.readEntries(fileContent, fileName);
+        const built = await build(entries, fileName);
+        errors.push(...built.errors);
+
+        return {
+            questions: built.questions,
+            metadata: { ...metadata, totalQuestions: built.questions.length, totalErrors: errors.length },
+            errors
+        };
+    }
+
+    /**
+     * Read the question-answer entries of file content
+     * Entries hold validated, truncated text; no objects are built yet
+     * @param {string} fileContent - Raw file content
+     * @param {string} fileName - Source file name
+     * @returns {Promise<{entries: Array<{question: string, answer: string, lineNumber: number, details: Object}>, metadata: Object, errors: Array}>} Entries, metadata and errors
      * @abstract
      */
-    async parse(fileContent, fileName) {
-        throw new Error('Parser.parse() must be implemented by subclass');
+    async readEntries(fileContent, fileName) {
+        throw new Error('Parser.readEntries() must be implemented by subclass');
+    }
+
+    /**
+     * Read a file that arrives in pieces (files over PARSER_CONFIG.MAX_FILE_SIZE)
+     * The reader has push(text) and finish(), both returning {entries, errors},
+     * and getState(), whose result rebuilds the reader when passed back here
+     * @param {Object|null} state - getState() of an earlier reader of the same file
+     * @returns {Object|null} Stream reader, or null if the format must be read whole
+     */
+    createStreamReader(state = null) {
+        return null;
     }
 
     /**
@@ -38,4 +74,25 @@ export class Parser {
     getSupportedExtensions() {
         throw new Error('Parser.getSupportedExtensions() must be implemented by subclass');
     }
+
+    /**
+     * Describe the format for listings in the UI
+     * @returns {{name: string, description: string}} Format info
+     */
+    getFormatInfo() {
+        return {
+            name: this.getSupportedExtensions()[0].toUpperCase(),
+            description: ''
+        };
+    }
+
+    /**
+     * Score how likely it is that content is in this parser's format
+     * Used to pick a parser when the extension is missing or misleading
+     * @param {string} fileContent - Raw file content
+     * @returns {number} Score (0 = not this format, 1 = certainly this format)
+     */
+    sniff(fileContent) {
+        return 0;
+    }
 }
@@ -0,0 +1,159 @@
+/**
+ * @file parser-registry.js
+ * @description Registry that picks a parser by file extension and content
+ * @module lib/parsers/parser-registry
+ * @requires lib/parsers/json-parser
+ * @requires lib/parsers/csv-parser
+ * @requires lib/parsers/markdown-parser
+ * @requires lib/parsers/anki-parser
+ * @requires lib/parsers/txt-parser
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { jsonParser } from './json-parser.js';
+import { csvParser } from './csv-parser.js';
+import { markdownParser } from './markdown-parser.js';
+import { ankiParser } from './anki-parser.js';
+import { txtParser } from './txt-parser.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
+
+/**
+ * Parser registry
+ */
+export class ParserRegistry {
+    constructor() {
+        this.parsers = [];
+    }
+
+    /**
+     * Register a parser
+     * @param {Parser} parser - Parser instance
+     * @returns {ParserRegistry} This registry (for chaining)
+     */
+    register(parser) {
+        if (!this.parsers.includes(parser)) {
+            this.parsers.push(parser);
+        }
+        return this;
+    }
+
+    /**
+     * Find the parser registered for a file's extension
+     * @param {string} fileName - File name
+     * @returns {Parser|null} Parser or null
+     */
+    getParserByExtension(fileName) {
+        const extension = getExtension(fileName);
+        if (!extension) return null;
+
+        return this.parsers.find(parser =>
+            parser.getSupportedExtensions().includes(extension)
+        ) || null;
+    }
+
+    /**
+     * Pick the parser for a file
+     * A confident content match wins over the extension, so a .txt file that
+     * is really JSON is parsed as JSON
+     * @param {string} fileName - File name
+     * @param {string} fileContent - Raw file content
+     * @returns {{parser: Parser, detectedBy: string}} Chosen parser and why
+     * @throws {AppError} If no registered parser accepts the file
+     */
+    detectParser(fileName, fileContent) {
+        const byExtension = this.getParserByExtension(fileName);
+
+        let bestParser = null;
+        let bestScore = 0;
+        for (const parser of this.parsers) {
+            const score = parser.sniff(fileContent);
+            if (score > bestScore) {
+                bestScore = score;
+                bestParser = parser;
+            }
+        }
+
+        if (bestParser && bestParser !== byExtension && bestScore >= PARSER_CONFIG.SNIFF_CONFIDENCE) {
+            return { parser: bestParser, detectedBy: 'content' };
+        }
+
+        if (byExtension) {
+            return { parser: byExtension, detectedBy: 'extension' };
+        }
+
+        if (bestParser) {
+            return { parser: bestParser, detectedBy: 'content' };
+        }
+
+        throw new AppError(
+            ERROR_CODES.FILE_INVALID_FORMAT,
+            'Unsupported file format',
+            { reason: `Supported formats: ${this.listFormats().map(format => format.name).join(', ')}.` }
+        );
+    }
+
+    /**
+     * Pick the parser for a file too large to read whole
+     * Only the extension is used, as there is no content to sniff yet
+     * @param {string} fileName - File name
+     * @param {number} fileSize - File size in bytes
+     * @returns {Parser} Parser that can read the file in pieces
+     * @throws {AppError} If the file's format must be read whole
+     */
+    getStreamingParser(fileName, fileSize) {
+        const parser = this.getParserByExtension(fileName);
+        if (parser && parser.createStreamReader()) {
+            return parser;
+        }
+
+        const streaming = this.parsers.filter(candidate => candidate.createStreamReader());
+        throw new AppError(
+            ERROR_CODES.FILE_TOO_LARGE,
+            'File is too large',
+            {
+                size: Math.ceil(fileSize / (1024 * 1024)),
+                maxSize: PARSER_CONFIG.MAX_FILE_SIZE / (1024 * 1024),
+                reason: `Only ${streaming.map(candidate => candidate.getFormatInfo().name).join(' and ')} files can be larger.`
+            }
+        );
+    }
+
+    /**
+     * List registered formats
+     * @returns {Array<{name: string, description: string, extensions: string[]}>} Formats
+     */
+    listFormats() {
+        return this.parsers.map(parser => ({
+            ...parser.getFormatInfo(),
+            extensions: parser.getSupportedExtensions()
+        }));
+    }
+
+    /**
+     * Get every registered extension
+     * @returns {string[]} Extensions without leading dot
+     */
+    getSupportedExtensions() {
+        return this.parsers.flatMap(parser => parser.getSupportedExtensions());
+    }
+}
+
+/**
+ * Get lowercase extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} Extension without dot, or '' if none
+ */
+function getExtension(fileName) {
+    const match = /\.([^.]+)$/.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+// Export singleton instance with the built-in parsers
+export const parserRegistry = new ParserRegistry()
+    .register(jsonParser)
+    .register(csvParser)
+    .register(markdownParser)
+    .register(ankiParser)
+    .register(txtParser);
@@ -0,0 +1,431 @@
+/**
+ * @file question-builder.js
+ * @description Builds the stored question object shared by all parsers
+ * @module lib/parsers/question-builder
+ * @requires lib/normalization/text-normalizer
+ * @requires lib/normalization/keyword-extractor
+ * @requires lib/normalization/question-classifier
+ * @requires lib/normalization/option-extractor
+ * @requires lib/normalization/language-packs
+ * @requires lib/normalization/numeric-normalizer
+ * @requires lib/utils/hash
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { normalizeForMatching } from '../normalization/text-normalizer.js';
+import { extractKeywords } from '../normalization/keyword-extractor.js';
+import { classifyQuestion } from '../normalization/question-classifier.js';
+import { labelFor, resolveCorrectOption } from '../normalization/option-extractor.js';
+import { detectLanguage } from '../normalization/language-packs.js';
+import { extractNumericValues } from '../normalization/numeric-normalizer.js';
+import { generateQuestionId, getQuestionKey } from '../utils/hash.js';
+import { AppError } from '../utils/error-handler.js';
+import { QUESTION_TYPES, ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
+
+// Optional fields of a JSON-shaped item, in output order
+const ITEM_FIELDS = ['aliases', 'answers', 'options', 'correct', 'explanation', 'source', 'tags', 'answerFormat'];
+
+/**
+ * Build structured question object
+ * @param {string} question - Question text
+ * @param {string} answer - Answer text
+ * @param {number} lineNumber - Line number (or item index) in source file
+ * @param {string} fileName - Source file name
+ * @param {Object} details - Optional fields from richer formats
+ * @param {string[]} details.tags - Tags attached to the pair
+ * @param {string[]} details.aliases - Alternate phrasings of the question
+ * @param {string[]} details.answers - Multi-part answer
+ * @param {string} details.explanation - Why the answer is correct
+ * @param {string} details.source - Where the answer comes from
+ * @param {string[]} details.options - Multiple-choice options, in order
+ * @param {number} details.correctIndex - Index of the correct option (-1 = unknown)
+ * @param {string} details.answerFormat - 'markdown' if the answer keeps Markdown formatting
+ * @returns {Promise<Object>} Structured question object
+ */
+export async function buildQuestionObject(question, answer, lineNumber, fileName, details = {}) {
+    const aliases = details.aliases || [];
+    const options = details.options || [];
+
+    // Detect the language and normalize the texts matched on
+    const { language, normalizedQuestion, normalizedAliases, normalizedOptions, keywords, numbers, dates } =
+        processQuestionTexts(question, aliases, options);
+
+    // Classify question type; declared options settle it
+    const { type: questionType, confidence: questionTypeConfidence } = options.length > 0
+        ? { type: QUESTION_TYPES.MCQ, confidence: 1 }
+        : classifyQuestion(question);
+
+    // Generate unique ID
+    const id = await generateQuestionId(getQuestionKey({ normalizedQuestion, normalizedOptions }), fileName);
+
+    // Optional fields are only stored when present
+    const original = {
+        question,
+        answer,
+        lineNumber,
+        fileName
+    };
+
+    if (details.tags && details.tags.length > 0) {
+        original.tags = details.tags;
+    }
+    if (aliases.length > 0) {
+        original.aliases = aliases;
+    }
+    if (details.answers && details.answers.length > 0) {
+        original.answers = details.answers;
+    }
+    if (details.explanation) {
+        original.explanation = details.explanation;
+    }
+    if (details.source) {
+        original.source = details.source;
+    }
+    if (details.answerFormat) {
+        original.answerFormat = details.answerFormat;
+    }
+    if (options.length > 0) {
+        original.options = options;
+        if (details.correctIndex >= 0) {
+            original.correct = labelFor(details.correctIndex);
+        }
+    }
+
+    // Build object
+    return {
+        id,
+        language,
+        original,
+        processed: {
+            normalizedQuestion,
+            normalizedAliases,
+            normalizedOptions,
+            keywords,
+            questionType,
+            questionTypeConfidence,
+            characterCount: question.length,
+            wordCount: question.split(/\s+/).length,
+            numbers,
+            dates
+        },
+        metadata: {
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        }
+    };
+}
+
+/**
+ * Detect a question's language and derive the texts it is matched on
+ * The question and its aliases are detected together, as aliases are
+ * often too short to tell on their own
+ * @param {string} question - Question text
+ * @param {string[]} aliases - Alternate phrasings of the question
+ * @param {string[]} options - Multiple-choice options
+ * @returns {{language: string, normalizedQuestion: string, normalizedAliases: string[], normalizedOptions: string[],
+ * keywords: Array, numbers: Array<{value: number, unit: string|null, ordinal: boolean}>, dates: string[]}} Derived fields
+ */
+export function processQuestionTexts(question, aliases = [], options = []) {
+    const language = detectLanguage([question, ...aliases].join('\n'));
+    const normalizedQuestion = normalizeForMatching(question, language);
+
+    // Aliases are matched like the question itself
+    const normalizedAliases = [...new Set(
+        aliases
+            .map(alias => normalizeForMatching(alias, language))
+            .filter(alias => alias.length > 0 && alias !== normalizedQuestion)
+    )];
+
+    return {
+        language,
+        normalizedQuestion,
+        normalizedAliases,
+        normalizedOptions: options.map(option => normalizeForMatching(option, language)),
+        keywords: mergeKeywords([question, ...aliases].map(text => extractKeywords(text, { language }))),
+        ...extractNumericValues(question, language)
+    };
+}
+
+/**
+ * Derive a stored question's language and matched texts again, keeping its ID
+ * Used when normalization changes (database upgrades, older backups)
+ * @param {Object} question - Stored question object
+ * @returns {Object} Question with its language and normalized texts recomputed
+ */
+export function reprocessQuestion(question) {
+    const { original } = question;
+    const { language, ...texts } = processQuestionTexts(original.question, original.aliases, original.options);
+    // Replaced by the extracted numbers and dates
+    const { hasNumbers, hasDates, ...processed } = question.processed;
+
+    return {
+        ...question,
+        language,
+        processed: { ...processed, ...texts }
+    };
+}
+
+/**
+ * Build the question objects of parsed entries
+ * An entry that fails to build is reported and skipped
+ * @param {Array<{question: string, answer: string, lineNumber: number, details: Object}>} entries - Entries from Parser.readEntries
+ * @param {string} fileName - Source file name
+ * @returns {Promise<{questions: Array, errors: Array}>} Built questions and build errors
+ */
+export async function buildQuestionObjects(entries, fileName) {
+    const questions = [];
+    const errors = [];
+
+    for (const entry of entries) {
+        try {
+            questions.push(await buildQuestionObject(entry.question, entry.answer, entry.lineNumber, fileName, entry.details));
+        } catch (error) {
+            errors.push({
+                line: entry.lineNumber,
+                type: 'parse_error',
+                message: error.message,
+                question: entry.question.substring(0, 100)
+            });
+        }
+    }
+
+    return { questions, errors };
+}
+
+/**
+ * Build a question object from a JSON-shaped item entered in the editor
+ * Unlike file parsing, any invalid field rejects the whole item
+ * @param {Object} item - {question, answer, ...optional fields}
+ * @param {number} lineNumber - Line number to record
+ * @param {string} fileName - File name to record
+ * @returns {Promise<Object>} Structured question object
+ * @throws {AppError} INVALID_INPUT if the item is incomplete or a field has the wrong type
+ */
+export async function buildQuestionFromItem(item, lineNumber, fileName) {
+    const reject = (field, expected) => {
+        throw new AppError(
+            ERROR_CODES.INVALID_INPUT,
+            `Invalid "${field}" field`,
+            { reason: `"${field}" must be ${expected}.`, field }
+        );
+    };
+
+    const question = typeof item?.question === 'string' ? item.question.trim() : '';
+    const answer = resolveItemAnswer(item).trim();
+
+    if (question.length < PARSER_CONFIG.MIN_QUESTION_LENGTH) {
+        reject('question', `at least ${PARSER_CONFIG.MIN_QUESTION_LENGTH} characters`);
+    }
+    if (!answer) {
+        reject('answer', 'a non-empty string');
+    }
+
+    return buildQuestionObject(
+        question.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
+        answer.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
+        lineNumber,
+        fileName,
+        readQuestionDetails(item, reject)
+    );
+}
+
+/**
+ * The JSON-shaped item a stored question was built from
+ * @param {Object} question - Stored question object
+ * @returns {Object} {question, answer, ...optional fields that are present}
+ */
+export function toQuestionItem(question) {
+    const { original } = question;
+    const item = { question: original.question, answer: original.answer };
+
+    for (const field of ITEM_FIELDS) {
+        if (original[field] !== undefined) {
+            item[field] = original[field];
+        }
+    }
+    return item;
+}
+
+/**
+ * Merge keyword lists, keeping the highest importance for each word
+ * @param {Array<Array>} keywordLists - Keyword arrays from extractKeywords
+ * @returns {Array} Merged keywords, most important first
+ */
+function mergeKeywords(keywordLists) {
+    const byWord = new Map();
+
+    for (const keywords of keywordLists) {
+        for (const keyword of keywords) {
+            const current = byWord.get(keyword.word);
+            if (!current || keyword.importance > current.importance) {
+                byWord.set(keyword.word, keyword);
+            }
+        }
+    }
+
+    return [...byWord.values()].sort((a, b) => b.importance - a.importance);
+}
+
+/**
+ * Split a tag list written as "a, b; c" into clean, unique tags
+ * @param {string|string[]} value - Raw tag list
+ * @returns {string[]} Tags
+ */
+export function parseTags(value) {
+    const raw = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+    const tags = raw
+        .map(tag => String(tag).trim())
+        .filter(tag => tag.length > 0);
+
+    return [...new Set(tags)];
+}
+
+/**
+ * Read the optional fields of a JSON-shaped item
+ * Used for JSON items and for the metadata blocks other formats carry
+ * @param {Object} item - Item with optional aliases, tags, answers, options, ...
+ * @param {Function} reject - (field, expected) => void, called for a field with the wrong type
+ * @returns {Object} Details for buildQuestionObject
+ */
+export function readQuestionDetails(item, reject) {
+    const details = {};
+
+    if (item.tags !== undefined) {
+        if (typeof item.tags === 'string' || isStringList(item.tags)) {
+            details.tags = parseTags(item.tags);
+        } else {
+            reject('tags', 'a string or an array of strings');
+        }
+    }
+
+    for (const field of ['aliases', 'answers']) {
+        if (item[field] === undefined) continue;
+
+        if (isStringList(item[field])) {
+            details[field] = readStringList(item[field]);
+        } else {
+            reject(field, 'an array of strings');
+        }
+    }
+
+    if (item.options !== undefined) {
+        const options = readStringList(item.options);
+        if (isStringList(item.options) && options.length >= 2) {
+            details.options = options;
+            details.correctIndex = resolveCorrectOption(item.correct, options);
+
+            if (item.correct !== undefined && details.correctIndex === -1) {
+                reject('correct', 'an option letter, number or text');
+            }
+        } else {
+            reject('options', 'an array of at least two strings');
+        }
+    } else if (item.correct !== undefined) {
+        reject('correct', 'an "options" list to refer to');
+    }
+
+    for (const field of ['explanation', 'source']) {
+        if (item[field] === undefined) continue;
+
+        if (typeof item[field] === 'string') {
+            details[field] = item[field].trim();
+        } else {
+            reject(field, 'a string');
+        }
+    }
+
+    if (item.answerFormat !== undefined) {
+        if (['markdown', 'plain'].includes(item.answerFormat)) {
+            details.answerFormat = item.answerFormat === 'markdown' ? 'markdown' : null;
+        } else {
+            reject('answerFormat', '"markdown" or "plain"');
+        }
+    }
+
+    return details;
+}
+
+/**
+ * Apply the metadata block that TXT, CSV and Markdown exports carry for
+ * fields the format cannot express natively
+ * The block may override the question and answer text; a "correct" key
+ * refers to the format's own options unless the block lists options
+ * @param {string} text - JSON object text (empty = no block)
+ * @param {{question: string, answer: string, details: Object}} pair - Pair as read from the format
+ * @param {Function} reject - (field, expected) => void, called for a field with the wrong type
+ * @returns {{question: string, answer: string, details: Object}} Pair with the block applied
+ */
+export function applyMetaBlock(text, pair, reject) {
+    if (!text || !text.trim()) return pair;
+
+    let meta = null;
+    try {
+        meta = JSON.parse(text);
+    } catch (error) {
+        // Reported below
+    }
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+        reject('meta', 'a JSON object');
+        return pair;
+    }
+
+    const { question, answer, ...fields } = meta;
+    const nativeOptions = pair.details.options || [];
+    if (fields.options === undefined && nativeOptions.length > 0) {
+        fields.options = nativeOptions;
+    }
+
+    const readText = (value, field) => {
+        if (value === undefined) return null;
+        if (typeof value === 'string' && value.trim()) return value.trim();
+        reject(field, 'a non-empty string');
+        return null;
+    };
+
+    return {
+        question: readText(question, 'question') || pair.question,
+        answer: readText(answer, 'answer') || pair.answer,
+        details: { ...pair.details, ...readQuestionDetails(fields, reject) }
+    };
+}
+
+/**
+ * Answer text of a JSON-shaped item
+ * Falls back to the joined answers[] list, then to the correct option
+ * @param {Object} item - Raw item
+ * @returns {string} Answer, or '' if there is none
+ */
+export function resolveItemAnswer(item) {
+    if (typeof item?.answer === 'string') {
+        return item.answer;
+    }
+
+    const answers = readStringList(item?.answers);
+    if (answers.length > 0) {
+        return answers.join('\n');
+    }
+
+    const options = readStringList(item?.options);
+    const index = resolveCorrectOption(item?.correct, options);
+    return index === -1 ? '' : options[index];
+}
+
+/**
+ * Check for an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a string array
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+/**
+ * Trimmed, non-empty entries of a string array
+ * @param {*} value - Raw field value
+ * @returns {string[]} Entries ([] if value is not a string array)
+ */
+function readStringList(value) {
+    if (!isStringList(value)) return [];
+    return value.map(entry => entry.trim()).filter(entry => entry.length > 0);
+}
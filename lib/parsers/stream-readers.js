@@ -0,0 +1,219 @@
+/**
+ * @file stream-readers.js
+ * @description Incremental readers for files that arrive in pieces
+ * @module lib/parsers/stream-readers
+ * @requires lib/parsers/validation
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ *
+ * Both readers keep only the unfinished tail of the text seen so far, and
+ * getState() returns that tail as plain data, so a reader can be saved
+ * between pieces and rebuilt later to carry on where it stopped.
+ */
+
+import { normalizeLineEndings } from './validation.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES } from '../utils/constants.js';
+
+const WHITESPACE = /\s/;
+
+/**
+ * Read the elements of a top-level JSON array as its text arrives
+ */
+export class JsonArrayScanner {
+    /**
+     * @param {Object|null} state - getState() of an earlier scanner
+     */
+    constructor(state = null) {
+        this.buffer = '';     // Text from the start of the current element
+        this.position = 0;    // Next character of buffer to scan
+        this.start = -1;      // Start of the current element in buffer (-1 = between elements)
+        this.depth = 0;       // Brackets open inside the current element
+        this.inString = false;
+        this.escaped = false;
+        this.opened = false;  // "[" seen
+        this.closed = false;  // "]" seen
+        Object.assign(this, state);
+    }
+
+    /**
+     * Scan more text
+     * @param {string} text - Next piece of the file
+     * @returns {Array} Elements completed by this piece, parsed
+     * @throws {AppError} If the text is not a JSON array
+     */
+    push(text) {
+        const values = [];
+        const buffer = this.buffer + text;
+        let i = this.position;
+
+        for (; i < buffer.length; i++) {
+            const char = buffer[i];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (!this.opened) {
+                if (char === '[') {
+                    this.opened = true;
+                } else if (!WHITESPACE.test(char)) { // \s includes the BOM
+                    throw invalidJson('JSON root must be an array of objects');
+                }
+                continue;
+            }
+
+            if (this.closed) {
+                if (!WHITESPACE.test(char)) {
+                    throw invalidJson('Unexpected text after the JSON array');
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+            }
+
+            if (this.depth > 0) {
+                if (char === '{' || char === '[') {
+                    this.depth++;
+                } else if (char === '}' || char === ']') {
+                    this.depth--;
+                    if (this.depth === 0) {
+                        values.push(parseElement(buffer.slice(this.start, i + 1)));
+                        this.start = -1;
+                    }
+                }
+                continue;
+            }
+
+            // Between elements, or inside a string, number or literal element
+            if (char === ',' || char === ']') {
+                if (this.start !== -1) {
+                    values.push(parseElement(buffer.slice(this.start, i)));
+                    this.start = -1;
+                }
+                this.closed = char === ']';
+            } else if (!WHITESPACE.test(char) && this.start === -1) {
+                this.start = i;
+                if (char === '{' || char === '[') {
+                    this.depth = 1;
+                }
+            }
+        }
+
+        // Keep only the unfinished element
+        if (this.start === -1) {
+            this.buffer = '';
+            this.position = 0;
+        } else {
+            this.buffer = buffer.slice(this.start);
+            this.position = i - this.start;
+            this.start = 0;
+        }
+
+        return values;
+    }
+
+    /**
+     * Check that the whole array was read
+     * @throws {AppError} If the array is not closed
+     */
+    finish() {
+        if (!this.closed) {
+            throw invalidJson('The JSON array is not closed; the file may be cut off');
+        }
+    }
+
+    /**
+     * @returns {Object} Plain data to rebuild this scanner from
+     */
+    getState() {
+        const { buffer, position, start, depth, inString, escaped, opened, closed } = this;
+        return { buffer, position, start, depth, inString, escaped, opened, closed };
+    }
+}
+
+/**
+ * Split text into lines as it arrives
+ * Line endings are normalized to "\n" as in a whole-file parse
+ */
+export class LineSplitter {
+    /**
+     * @param {Object|null} state - getState() of an earlier splitter
+     */
+    constructor(state = null) {
+        this.pending = ''; // Text after the last line break
+        Object.assign(this, state);
+    }
+
+    /**
+     * Split more text
+     * @param {string} text - Next piece of the file
+     * @returns {string[]} Lines completed by this piece
+     */
+    push(text) {
+        let combined = this.pending + text;
+
+        // A trailing "\r" may be the first half of "\r\n"
+        let held = '';
+        if (combined.endsWith('\r')) {
+            held = '\r';
+            combined = combined.slice(0, -1);
+        }
+
+        const lines = normalizeLineEndings(combined).split('\n');
+        this.pending = lines.pop() + held;
+        return lines;
+    }
+
+    /**
+     * @returns {string[]} The text after the last line break, as the last line
+     */
+    finish() {
+        const line = this.pending.replace(/\r$/, '');
+        this.pending = '';
+        return [line];
+    }
+
+    /**
+     * @returns {Object} Plain data to rebuild this splitter from
+     */
+    getState() {
+        return { pending: this.pending };
+    }
+}
+
+/**
+ * Parse one array element
+ * @param {string} text - Element text
+ * @returns {*} Parsed value
+ * @throws {AppError} If the element is not valid JSON
+ */
+function parseElement(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw invalidJson('Invalid JSON format', error.message);
+    }
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {string} originalError - Parser message, if any
+ * @returns {AppError} File format error
+ */
+function invalidJson(message, originalError = message) {
+    return new AppError(
+        ERROR_CODES.FILE_INVALID_FORMAT,
+        message,
+        { originalError }
+    );
+}
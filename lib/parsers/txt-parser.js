@@ -4,37 +4,65 @@
  * @module lib/parsers/txt-parser
  * @requires lib/parsers/parser-interface
  * @requires lib/parsers/validation
- * @requires lib/normalization/text-normalizer
- * @requires lib/normalization/keyword-extractor
- * @requires lib/normalization/question-classifier
- * @requires lib/utils/hash
+ * @requires lib/parsers/question-builder
+ * @requires lib/parsers/stream-readers
+ * @requires lib/normalization/option-extractor
  * @requires lib/utils/error-handler
  * @requires lib/utils/constants
  */
 
 import { Parser } from './parser-interface.js';
 import { validateEncoding, removeBOM, normalizeLineEndings } from './validation.js';
-import { normalizeForMatching } from '../normalization/text-normalizer.js';
-import { extractKeywords } from '../normalization/keyword-extractor.js';
-import { classifyQuestion } from '../normalization/question-classifier.js';
-import { generateQuestionId } from '../utils/hash.js';
+import { parseTags, applyMetaBlock } from './question-builder.js';
+import { LineSplitter } from './stream-readers.js';
+import { parseOptionLine, resolveCorrectOption } from '../normalization/option-extractor.js';
 import { AppError } from '../utils/error-handler.js';
 import { ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
 
+/**
+ * TXT dialects
+ */
+export const TXT_DIALECTS = {
+    BLANK_LINE: 'blank_line',
+    MARKER: 'marker'
+};
+
+// Marker dialect line types
+const QUESTION_MARKER = /^\s*Q\s*:\s?(.*)$/i;
+const ANSWER_MARKER = /^\s*A\s*:\s?(.*)$/i;
+const TAGS_MARKER = /^\s*@tags\s*:(.*)$/i;
+const META_MARKER = /^\s*@meta\s*:(.*)$/i;
+const SEPARATOR = /^\s*-{3,}\s*$/;
+const COMMENT = /^\s*#/;
+const MARKER_LINES = [QUESTION_MARKER, ANSWER_MARKER, TAGS_MARKER, META_MARKER, SEPARATOR, COMMENT];
+
+// Lines a streamed file is read as the blank-line dialect after, if no markers showed up
+const DIALECT_SAMPLE_LINES = 1000;
+
 /**
  * Plain text parser for Q&A files
  * Format: Question\nAnswer\n\nQuestion\nAnswer\n\n...
+ * Multiple choice: option lines ("A) ...") between the question and the
+ * answer line, which may be "Answer: B"
+ *
+ * Marker dialect (detected when lines start with "Q:" and "A:"):
+ *   # comment
+ *   @tags: geography, europe
+ *   @meta: {"explanation": "...", "aliases": ["..."]}
+ *   Q: Question, may span lines
+ *   A: Answer, may span lines and paragraphs
+ *   \Q: answer line that would otherwise be read as a marker
+ *   ---
  */
 export class TxtParser extends Parser {
     /**
-     * Parse TXT file content
+     * Read the question-answer pairs of a TXT file
      * @param {string} fileContent - Raw file content
      * @param {string} fileName - Source file name
-     * @returns {Promise<{questions: Array, metadata: Object, errors: Array}>} Parse result
+     * @returns {Promise<{entries: Array, metadata: Object, errors: Array}>} Entries to build, metadata and errors
      */
-    async parse(fileContent, fileName) {
+    async readEntries(fileContent, fileName) {
         const errors = [];
-        const questions = [];
 
         try {
             // Stage 1: Validation and preprocessing
@@ -42,46 +70,34 @@ export class TxtParser extends Parser {
 
             // Stage 2: Split into lines
             const lines = preprocessed.split('\n');
+            const dialect = this.detectDialect(lines);
 
             // Stage 3: Validate structure
-            const structureValidation = this.validateStructure(lines);
+            const structureValidation = this.validateStructure(lines, dialect);
             if (!structureValidation.valid) {
                 errors.push(...structureValidation.errors);
             }
 
             // Stage 4: Parse question-answer pairs
-            const pairs = this.extractQuestionAnswerPairs(lines);
-
-            // Stage 5: Build structured objects
-            for (const pair of pairs) {
-                try {
-                    const questionObj = await this.buildQuestionObject(
-                        pair.question,
-                        pair.answer,
-                        pair.lineNumber,
-                        fileName
-                    );
-                    questions.push(questionObj);
-                } catch (error) {
-                    errors.push({
-                        line: pair.lineNumber,
-                        type: 'parse_error',
-                        message: error.message,
-                        question: pair.question.substring(0, 100)
-                    });
-                }
-            }
+            const pairs = dialect === TXT_DIALECTS.MARKER
+                ? this.extractMarkedPairs(lines, errors)
+                : this.extractQuestionAnswerPairs(lines);
+
+            // Stage 5: Resolve metadata blocks (objects are built by Parser.parse)
+            const entries = this.toEntries(pairs, errors);
 
             // Stage 6: Generate metadata
             const metadata = {
                 fileName,
-                totalQuestions: questions.length,
+                totalQuestions: entries.length,
                 totalErrors: errors.length,
                 timestamp: Date.now(),
-                fileSize: fileContent.length
+                fileSize: fileContent.length,
+                format: 'txt',
+                dialect
             };
 
-            return { questions, metadata, errors };
+            return { entries, metadata, errors };
 
         } catch (error) {
             throw new AppError(
@@ -92,6 +108,46 @@ export class TxtParser extends Parser {
         }
     }
 
+    /**
+     * Turn pairs into entries, resolving their @meta blocks
+     * @param {Array} pairs - Pairs from extractQuestionAnswerPairs or extractMarkedPairs
+     * @param {Array} errors - Error list to append to
+     * @returns {Array} Entries
+     */
+    toEntries(pairs, errors) {
+        return pairs.map(pair => {
+            const reject = (field, expected) => {
+                errors.push({
+                    line: pair.lineNumber,
+                    type: 'invalid_field',
+                    message: `Ignored "${field}" in @meta: expected ${expected}`,
+                    question: pair.question.substring(0, 50)
+                });
+            };
+            const { question, answer, details } = applyMetaBlock(pair.meta, {
+                question: pair.question,
+                answer: pair.answer,
+                details: { options: pair.options, correctIndex: pair.correctIndex, tags: pair.tags }
+            }, reject);
+
+            return {
+                question: question.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
+                answer: answer.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
+                lineNumber: pair.lineNumber,
+                details
+            };
+        });
+    }
+
+    /**
+     * Read a file that arrives in pieces (files over PARSER_CONFIG.MAX_FILE_SIZE)
+     * @param {Object|null} state - getState() of an earlier reader of the same file
+     * @returns {TxtStreamReader} Stream reader
+     */
+    createStreamReader(state = null) {
+        return new TxtStreamReader(this, state);
+    }
+
     /**
      * Preprocess file content
      * @param {string} content - Raw content
@@ -115,12 +171,25 @@ export class TxtParser extends Parser {
         return content;
     }
 
+    /**
+     * Detect which TXT dialect a file uses
+     * @param {string[]} lines - Array of lines
+     * @returns {string} TXT_DIALECTS value
+     */
+    detectDialect(lines) {
+        const hasQuestionMarker = lines.some(line => QUESTION_MARKER.test(line));
+        const hasAnswerMarker = lines.some(line => ANSWER_MARKER.test(line));
+
+        return hasQuestionMarker && hasAnswerMarker ? TXT_DIALECTS.MARKER : TXT_DIALECTS.BLANK_LINE;
+    }
+
     /**
      * Validate file structure
      * @param {string[]} lines - Array of lines
+     * @param {string} dialect - TXT_DIALECTS value
      * @returns {{valid: boolean, errors: Array}} Validation result
      */
-    validateStructure(lines) {
+    validateStructure(lines, dialect = TXT_DIALECTS.BLANK_LINE) {
         const errors = [];
 
         // Check if file is empty
@@ -133,9 +202,16 @@ export class TxtParser extends Parser {
             return { valid: false, errors };
         }
 
+        // Marker files are checked pair by pair while extracting
+        if (dialect === TXT_DIALECTS.MARKER) {
+            return { valid: true, errors };
+        }
+
         // Check if line count makes sense (should be multiple of 3: Q, A, blank)
-        // But be tolerant of missing final blank line
-        const nonEmptyLines = lines.filter(line => line.trim() !== '').length;
+        // But be tolerant of missing final blank line; option lists don't count
+        const isOption = lines.map(line => parseOptionLine(line) !== null);
+        const inOptionList = (i) => isOption[i] && (isOption[i - 1] || isOption[i + 1]);
+        const nonEmptyLines = lines.filter((line, i) => line.trim() !== '' && !inOptionList(i)).length;
         if (nonEmptyLines % 2 !== 0) {
             errors.push({
                 line: 0,
@@ -150,9 +226,11 @@ export class TxtParser extends Parser {
     /**
      * Extract question-answer pairs from lines
      * @param {string[]} lines - Array of lines
-     * @returns {Array<{question: string, answer: string, lineNumber: number}>} Pairs
+     * @param {Function} onIncomplete - (index) => void, called instead of warning when
+     * the last question has no answer yet (its answer may be in text not read yet)
+     * @returns {Array<{question: string, answer: string, lineNumber: number, options: string[], correctIndex: number}>} Pairs
      */
-    extractQuestionAnswerPairs(lines) {
+    extractQuestionAnswerPairs(lines, onIncomplete = null) {
         const pairs = [];
         let i = 0;
 
@@ -174,14 +252,36 @@ export class TxtParser extends Parser {
                 i++;
             }
 
+            // Collect multiple-choice options
+            const options = [];
+            while (i < lines.length && parseOptionLine(lines[i])) {
+                options.push(parseOptionLine(lines[i]).text);
+                i++;
+            }
+
+            // A lone "A) ..." line right after the question is its answer
+            if (options.length === 1 && (i >= lines.length || lines[i].trim() === '')) {
+                i--;
+                options.length = 0;
+            }
+
+            // Skip empty lines before the answer
+            while (i < lines.length && lines[i].trim() === '') {
+                i++;
+            }
+
             if (i >= lines.length) {
                 // Question without answer
-                console.warn(`Question at line ${questionLine} has no answer`);
+                if (onIncomplete) {
+                    onIncomplete(questionLine - 1);
+                } else {
+                    console.warn(`Question at line ${questionLine} has no answer`);
+                }
                 break;
             }
 
-            // Get answer (current line)
-            const answer = lines[i].trim();
+            // Get answer (current line); with options it may name the correct one
+            const { answer, correctIndex } = this.resolveOptionAnswer(lines[i].trim(), options);
             i++;
 
             // Validate pair
@@ -212,7 +312,9 @@ export class TxtParser extends Parser {
             pairs.push({
                 question: question.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
                 answer: answer.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
-                lineNumber: questionLine
+                lineNumber: questionLine,
+                options,
+                correctIndex
             });
         }
 
@@ -220,56 +322,177 @@ export class TxtParser extends Parser {
     }
 
     /**
-     * Build structured question object
-     * @param {string} question - Question text
-     * @param {string} answer - Answer text
-     * @param {number} lineNumber - Line number in file
-     * @param {string} fileName - Source file name
-     * @returns {Promise<Object>} Structured question object
+     * Extract pairs from a marker-dialect file
+     * @param {string[]} lines - Array of lines
+     * @param {Array} errors - Error list to append to
+     * @returns {Array<{question: string, answer: string, lineNumber: number, options: string[], correctIndex: number, tags: string[]}>} Pairs
      */
-    async buildQuestionObject(question, answer, lineNumber, fileName) {
-        // Normalize question for matching
-        const normalizedQuestion = normalizeForMatching(question);
+    extractMarkedPairs(lines, errors) {
+        const pairs = [];
+        let current = null;
+        let pendingTags = [];
+        let pendingMeta = '';
+
+        const finish = () => {
+            if (current) {
+                const pair = this.finishMarkedPair(current, errors);
+                if (pair) pairs.push(pair);
+            }
+            current = null;
+        };
+
+        lines.forEach((line, index) => {
+            const lineNumber = index + 1;
+            let match;
 
-        // Extract keywords
-        const keywords = extractKeywords(question);
+            if (COMMENT.test(line)) {
+                return;
+            }
+
+            if (SEPARATOR.test(line)) {
+                finish();
+                return;
+            }
 
-        // Classify question type
-        const { type: questionType, confidence: questionTypeConfidence } = classifyQuestion(question);
+            if ((match = TAGS_MARKER.exec(line))) {
+                // Tags before "Q:" belong to the next pair
+                const tags = parseTags(match[1]);
+                if (current) {
+                    current.tags.push(...tags);
+                } else {
+                    pendingTags.push(...tags);
+                }
+                return;
+            }
 
-        // Generate unique ID
-        const id = await generateQuestionId(normalizedQuestion, lineNumber, fileName);
+            if ((match = META_MARKER.exec(line))) {
+                if (current) {
+                    current.meta = match[1];
+                } else {
+                    pendingMeta = match[1];
+                }
+                return;
+            }
 
-        // Detect features
-        const hasNumbers = /\d/.test(question);
-        const hasDates = /\b(january|february|march|april|may|june|july|august|september|october|november|december|\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})\b/i.test(question);
+            if ((match = QUESTION_MARKER.exec(line))) {
+                finish();
+                current = {
+                    lineNumber,
+                    questionLines: [match[1]],
+                    answerLines: null,
+                    options: [],
+                    tags: pendingTags,
+                    meta: pendingMeta
+                };
+                pendingTags = [];
+                pendingMeta = '';
+                return;
+            }
 
-        // Build object
-        return {
-            id,
-            original: {
-                question,
-                answer,
-                lineNumber,
-                fileName
-            },
-            processed: {
-                normalizedQuestion,
-                keywords,
-                questionType,
-                questionTypeConfidence,
-                characterCount: question.length,
-                wordCount: question.split(/\s+/).length,
-                hasNumbers,
-                hasDates
-            },
-            metadata: {
-                createdAt: Date.now(),
-                updatedAt: Date.now()
+            if ((match = ANSWER_MARKER.exec(line))) {
+                if (!current || current.answerLines) {
+                    errors.push({
+                        line: lineNumber,
+                        type: 'orphan_answer',
+                        message: '"A:" line without a preceding "Q:" line'
+                    });
+                    finish();
+                    return;
+                }
+                current.answerLines = [match[1]];
+                return;
+            }
+
+            if (!current) {
+                if (line.trim() !== '') {
+                    errors.push({
+                        line: lineNumber,
+                        type: 'stray_text',
+                        message: 'Text outside a Q:/A: pair was ignored'
+                    });
+                }
+                return;
+            }
+
+            // Continuation lines; the answer keeps its blank lines
+            if (current.answerLines) {
+                current.answerLines.push(unescapeMarkerLine(line));
+            } else if (parseOptionLine(line)) {
+                current.options.push(parseOptionLine(line).text);
+            } else if (line.trim() !== '') {
+                current.questionLines.push(line);
             }
+        });
+
+        finish();
+
+        return pairs;
+    }
+
+    /**
+     * Turn collected marker lines into a pair
+     * @param {Object} current - Lines collected for one pair
+     * @param {Array} errors - Error list to append to
+     * @returns {Object|null} Pair, or null if it is invalid
+     */
+    finishMarkedPair(current, errors) {
+        const question = current.questionLines.map(line => line.trim()).join(' ').trim();
+        const answerText = (current.answerLines || []).join('\n').trim();
+
+        if (!answerText) {
+            errors.push({
+                line: current.lineNumber,
+                type: 'missing_answer',
+                message: 'Question has no "A:" answer',
+                question: question.substring(0, 50)
+            });
+            return null;
+        }
+
+        if (question.length < PARSER_CONFIG.MIN_QUESTION_LENGTH) {
+            errors.push({
+                line: current.lineNumber,
+                type: 'invalid_pair',
+                message: `Question is too short (${question.length} chars)`,
+                question
+            });
+            return null;
+        }
+
+        const options = current.options.length >= 2 ? current.options : [];
+        const { answer, correctIndex } = this.resolveOptionAnswer(answerText, options);
+
+        return {
+            question: question.substring(0, PARSER_CONFIG.MAX_QUESTION_LENGTH),
+            answer: answer.substring(0, PARSER_CONFIG.MAX_ANSWER_LENGTH),
+            lineNumber: current.lineNumber,
+            options,
+            correctIndex,
+            tags: [...new Set(current.tags)],
+            meta: current.meta
         };
     }
 
+    /**
+     * Read an answer line that may name one of the options ("B", "Answer: B")
+     * @param {string} answer - Answer text
+     * @param {string[]} options - Options of the question
+     * @returns {{answer: string, correctIndex: number}} Answer text and correct option (-1 = none)
+     */
+    resolveOptionAnswer(answer, options) {
+        if (options.length === 0) {
+            return { answer, correctIndex: -1 };
+        }
+
+        const key = /^(?:answer|correct)\s*[:=]\s*(.+)$/i.exec(answer);
+        const correctIndex = resolveCorrectOption(key ? key[1] : answer, options);
+
+        if (correctIndex !== -1) {
+            return { answer: options[correctIndex], correctIndex };
+        }
+        return { answer: key ? key[1].trim() : answer, correctIndex };
+    }
+
     /**
      * Validate file format
      * @param {string} fileContent - Raw file content
@@ -279,7 +502,7 @@ export class TxtParser extends Parser {
         try {
             const preprocessed = this.preprocess(fileContent);
             const lines = preprocessed.split('\n');
-            return this.validateStructure(lines);
+            return this.validateStructure(lines, this.detectDialect(lines));
         } catch (error) {
             return {
                 valid: false,
@@ -299,6 +522,172 @@ export class TxtParser extends Parser {
     getSupportedExtensions() {
         return ['txt'];
     }
+
+    /**
+     * Describe the format for listings in the UI
+     * @returns {{name: string, description: string}} Format info
+     */
+    getFormatInfo() {
+        return {
+            name: 'TXT',
+            description: 'Question line, optional "A) ..." option lines, answer line, blank line between pairs; or Q:/A: markers for multi-line pairs'
+        };
+    }
+
+    /**
+     * Score how likely it is that content is plain-text Q&A
+     * Any readable text qualifies, so this is the weakest signal
+     * @param {string} fileContent - Raw file content
+     * @returns {number} Score (0-1)
+     */
+    sniff(fileContent) {
+        return fileContent.trim().length > 0 ? 0.1 : 0;
+    }
+}
+
+/**
+ * Reads the pairs of a TXT file piece by piece
+ * Lines are read into pairs up to the last point where a pair surely ends:
+ * a blank line, a "---" separator or a "Q:" that starts the next pair
+ */
+class TxtStreamReader {
+    /**
+     * @param {TxtParser} parser - Parser that reads the pairs
+     * @param {Object|null} state - getState() of an earlier reader
+     */
+    constructor(parser, state) {
+        this.parser = parser;
+        this.splitter = new LineSplitter(state?.splitter);
+        this.lines = state?.lines || [];         // Lines not read into pairs yet
+        this.firstLine = state?.firstLine || 1;  // Line number of lines[0]
+        this.dialect = state?.dialect || null;   // Detected on the first piece
+    }
+
+    /**
+     * Read the next piece of the file
+     * @param {string} text - File text
+     * @returns {{entries: Array, errors: Array}} Entries of the pairs completed by this piece
+     */
+    push(text) {
+        if (this.firstLine === 1 && this.lines.length === 0 && !this.splitter.pending) {
+            text = removeBOM(text);
+        }
+        this.lines = this.lines.concat(this.splitter.push(text));
+
+        // Lines are held back until the dialect is clear
+        if (!this.dialect) {
+            const dialect = this.parser.detectDialect(this.lines);
+            if (dialect !== TXT_DIALECTS.MARKER && this.lines.length < DIALECT_SAMPLE_LINES) {
+                return { entries: [], errors: [] };
+            }
+            this.dialect = dialect;
+        }
+
+        return this.read(this.findCut(), false);
+    }
+
+    /**
+     * End of the file
+     * @returns {{entries: Array, errors: Array}} Entries of the remaining lines
+     */
+    finish() {
+        this.lines = this.lines.concat(this.splitter.finish());
+        this.dialect = this.dialect || this.parser.detectDialect(this.lines);
+
+        return this.read(this.lines.length, true);
+    }
+
+    /**
+     * Read the first lines into pairs
+     * @param {number} count - Lines to read
+     * @param {boolean} final - No more text follows
+     * @returns {{entries: Array, errors: Array}} Entries and errors, numbered from the start of the file
+     */
+    read(count, final) {
+        const lines = this.lines.slice(0, count);
+        const errors = [];
+        let consumed = count;
+
+        const pairs = this.dialect === TXT_DIALECTS.MARKER
+            ? this.parser.extractMarkedPairs(lines, errors)
+            : this.parser.extractQuestionAnswerPairs(lines, final ? null : (index) => { consumed = index; });
+
+        const offset = this.firstLine - 1;
+        pairs.forEach(pair => { pair.lineNumber += offset; });
+        errors.forEach(error => { error.line += offset; });
+
+        this.lines = this.lines.slice(consumed);
+        this.firstLine += consumed;
+
+        return { entries: this.parser.toEntries(pairs, errors), errors };
+    }
+
+    /**
+     * Count the lines that can be read without knowing what follows
+     * @returns {number} Line count
+     */
+    findCut() {
+        if (this.dialect === TXT_DIALECTS.MARKER) {
+            let cut = 0;
+            let open = false;
+            this.lines.forEach((line, index) => {
+                if (COMMENT.test(line)) {
+                    return;
+                }
+                if (SEPARATOR.test(line)) {
+                    cut = index + 1;
+                    open = false;
+                } else if (QUESTION_MARKER.test(line)) {
+                    // Tags before the first "Q:" after a separator belong to it
+                    if (open) cut = index;
+                    open = true;
+                }
+            });
+            return cut;
+        }
+
+        for (let i = this.lines.length - 1; i >= 0; i--) {
+            if (this.lines[i].trim() === '') {
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * @returns {Object} Plain data to rebuild this reader from
+     */
+    getState() {
+        return {
+            splitter: this.splitter.getState(),
+            lines: this.lines,
+            firstLine: this.firstLine,
+            dialect: this.dialect
+        };
+    }
+}
+
+/**
+ * Check whether a line would be read as a marker-dialect structure line
+ * @param {string} line - Line text
+ * @returns {boolean} True for Q:, A:, @tags:, @meta:, --- and # lines
+ */
+export function isMarkerLine(line) {
+    return MARKER_LINES.some(pattern => pattern.test(line));
+}
+
+/**
+ * Drop the backslash that escapes a marker-like answer line ("\Q: ...")
+ * Other backslashes are kept, so "\frac" stays as written
+ * @param {string} line - Answer line
+ * @returns {string} Line as meant by the author
+ */
+function unescapeMarkerLine(line) {
+    const backslashes = /^\\+/.exec(line);
+    if (backslashes && isMarkerLine(line.slice(backslashes[0].length))) {
+        return line.slice(1);
+    }
+    return line;
 }
 
 // Export singleton instance
@@ -0,0 +1,327 @@
+/**
+ * @file export-formats.js
+ * @description Serialize stored questions into shareable file formats
+ * @module lib/storage/export-formats
+ * @requires lib/parsers/question-builder
+ * @requires lib/parsers/txt-parser
+ * @requires lib/parsers/markdown-parser
+ * @requires lib/normalization/option-extractor
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { toQuestionItem } from '../parsers/question-builder.js';
+import { isMarkerLine } from '../parsers/txt-parser.js';
+import { isPlainHeadingText, isPlainAnswerBody } from '../parsers/markdown-parser.js';
+import { labelFor, resolveCorrectOption } from '../normalization/option-extractor.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, EXPORT_FORMATS } from '../utils/constants.js';
+
+// Most option labels a TXT option line can carry ("A)" to "H)")
+const MAX_OPTION_LINES = 8;
+
+/**
+ * Serializers by export format
+ * The internal JSON backup is produced by IndexedDBManager.exportData
+ */
+const EXPORTERS = {
+    [EXPORT_FORMATS.CLEAN_JSON]: {
+        extension: 'json',
+        mimeType: 'application/json',
+        serialize: toCleanJson
+    },
+    [EXPORT_FORMATS.TXT]: {
+        extension: 'txt',
+        mimeType: 'text/plain',
+        serialize: toMarkerText
+    },
+    [EXPORT_FORMATS.CSV]: {
+        extension: 'csv',
+        mimeType: 'text/csv',
+        serialize: toQuestionCsv
+    },
+    [EXPORT_FORMATS.MARKDOWN]: {
+        extension: 'md',
+        mimeType: 'text/markdown',
+        serialize: toMarkdown
+    },
+    [EXPORT_FORMATS.ANKI]: {
+        extension: 'txt',
+        mimeType: 'text/plain',
+        serialize: toAnkiText
+    },
+    [EXPORT_FORMATS.FLASHCARD_CSV]: {
+        extension: 'csv',
+        mimeType: 'text/csv',
+        serialize: toFlashcardCsv
+    }
+};
+
+/**
+ * Get the exporter for a format
+ * @param {string} format - EXPORT_FORMATS value
+ * @returns {{extension: string, mimeType: string, serialize: Function}} Exporter
+ * @throws {AppError} If the format is unknown
+ */
+export function getExporter(format) {
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        throw new AppError(
+            ERROR_CODES.INVALID_INPUT,
+            `Unknown export format: ${format}`,
+            { reason: `Choose one of: ${Object.values(EXPORT_FORMATS).join(', ')}.` }
+        );
+    }
+    return exporter;
+}
+
+/**
+ * Fields a format cannot express natively, for its metadata block
+ * @param {Object} item - Clean item
+ * @param {string[]} nativeFields - Fields the format writes itself
+ * @returns {Object} Remaining fields
+ */
+function metaFields(item, nativeFields) {
+    const meta = { ...item };
+    for (const field of nativeFields) {
+        delete meta[field];
+    }
+    return meta;
+}
+
+/**
+ * Metadata block text
+ * @param {Object} meta - Remaining fields
+ * @returns {string} JSON object text, or '' if there are none
+ */
+function metaText(meta) {
+    return Object.keys(meta).length > 0 ? JSON.stringify(meta) : '';
+}
+
+/**
+ * Check whether tags survive being written as a "a, b" list
+ * @param {string[]} tags - Tags
+ * @returns {boolean} True if no tag holds a list separator
+ */
+function isPlainTagList(tags) {
+    return tags.every(tag => !/[,;|\n]/.test(tag));
+}
+
+/**
+ * Serialize questions as a JSON array the JSON parser re-imports
+ * @param {Array} questions - Stored question objects
+ * @returns {string} File content
+ */
+export function toCleanJson(questions) {
+    return JSON.stringify(questions.map(toQuestionItem), null, 2) + '\n';
+}
+
+/**
+ * Serialize questions in the TXT marker dialect
+ * Tags and options are written natively, everything else in an @meta: line
+ * @param {Array} questions - Stored question objects
+ * @returns {string} File content
+ */
+export function toMarkerText(questions) {
+    const blocks = questions.map(question => {
+        const item = toQuestionItem(question);
+        const native = ['question', 'answer'];
+        const lines = [];
+
+        const tags = item.tags || [];
+        if (tags.length > 0 && isPlainTagList(tags)) {
+            lines.push(`@tags: ${tags.join(', ')}`);
+            native.push('tags');
+        }
+
+        const options = item.options || [];
+        const optionLines = options.length <= MAX_OPTION_LINES && options.every(option => !option.includes('\n'));
+        if (optionLines) {
+            native.push('options');
+        }
+
+        const meta = metaFields(item, native);
+        if (item.question.includes('\n')) {
+            meta.question = item.question;
+        }
+
+        // The parser reads "B" or "Answer: B" as an option key, so only
+        // an answer that is its own option text is written as-is
+        if (options.length > 0 && options[resolveCorrectOption(item.answer, options)] !== item.answer) {
+            meta.answer = item.answer;
+        }
+
+        if (metaText(meta)) {
+            lines.push(`@meta: ${metaText(meta)}`);
+        }
+
+        const [firstLine, ...moreLines] = item.answer.split('\n');
+
+        lines.push(`Q: ${item.question.replace(/\s*\n\s*/g, ' ')}`);
+        if (optionLines) {
+            lines.push(...options.map((option, index) => `${labelFor(index)}) ${option}`));
+        }
+        lines.push(`A: ${firstLine}`);
+
+        // Escape answer lines that would be read as markers
+        lines.push(...moreLines.map(line =>
+            isMarkerLine(line.replace(/^\\+/, '')) ? `\\${line}` : line
+        ));
+
+        return lines.join('\n');
+    });
+
+    return blocks.join('\n---\n') + '\n';
+}
+
+/**
+ * Serialize questions as a question,answer,tags,meta CSV
+ * The meta column holds the remaining fields as JSON
+ * @param {Array} questions - Stored question objects
+ * @returns {string} File content
+ */
+export function toQuestionCsv(questions) {
+    const rows = [['question', 'answer', 'tags', 'meta']];
+
+    for (const question of questions) {
+        const item = toQuestionItem(question);
+        const tags = item.tags || [];
+        const nativeTags = isPlainTagList(tags);
+
+        rows.push([
+            item.question,
+            item.answer,
+            nativeTags ? tags.join(', ') : '',
+            metaText(metaFields(item, nativeTags ? ['question', 'answer', 'tags'] : ['question', 'answer']))
+        ]);
+    }
+
+    return rows
+        .map(row => row.map(field => quoteDelimitedField(field, ',')).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize questions as Markdown with one "### question" heading per pair
+ * Other fields go in an "<!-- answerfinder: {...} -->" comment under the
+ * heading; text that Markdown would read differently is carried there too
+ * @param {Array} questions - Stored question objects
+ * @returns {string} File content
+ */
+export function toMarkdown(questions) {
+    const sections = questions.map(question => {
+        const item = toQuestionItem(question);
+        const meta = metaFields(item, ['question', 'answer', 'answerFormat']);
+
+        if (item.answerFormat !== 'markdown') {
+            meta.answerFormat = 'plain';
+        }
+        if (!isPlainHeadingText(item.question)) {
+            meta.question = item.question;
+        }
+
+        // An answer that would break the structure is quoted for reading
+        // and restored from the comment
+        let body = item.answer;
+        if (!isPlainAnswerBody(item.answer)) {
+            meta.answer = item.answer;
+            body = item.answer.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+        }
+
+        const lines = [`### ${item.question.replace(/\s*\n\s*/g, ' ')}`];
+        if (Object.keys(meta).length > 0) {
+            // "--" may not appear inside an HTML comment
+            lines.push(`<!-- answerfinder: ${metaText(meta).replace(/--/g, '-\\u002d')} -->`);
+        }
+        lines.push('', body);
+
+        return lines.join('\n');
+    });
+
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Card front: the question, followed by its options for multiple choice
+ * @param {Object} question - Stored question object
+ * @returns {string} Front text
+ */
+function cardFront(question) {
+    const { original } = question;
+    const options = (original.options || []).map((option, index) =>
+        `${String.fromCharCode(65 + index)}) ${option}`
+    );
+    return [original.question, ...options].join('\n');
+}
+
+/**
+ * Card back: the answer, followed by the explanation if there is one
+ * Markdown line breaks lose their backslash, as cards break lines as written
+ * @param {Object} question - Stored question object
+ * @returns {string} Back text
+ */
+function cardBack(question) {
+    const { original } = question;
+    const answer = original.answerFormat === 'markdown'
+        ? original.answer.replace(/\\\n/g, '\n')
+        : original.answer;
+    return original.explanation ? `${answer}\n\n${original.explanation}` : answer;
+}
+
+/**
+ * Serialize questions as an Anki "Notes in Plain Text" file
+ * Fields are HTML (line breaks become <br>); tags are space-separated
+ * @param {Array} questions - Stored question objects
+ * @returns {string} File content
+ */
+export function toAnkiText(questions) {
+    const toHtml = (text) => text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>');
+
+    const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+
+    for (const question of questions) {
+        const tags = (question.original.tags || []).map(tag => tag.replace(/\s+/g, '_'));
+        lines.push([
+            toHtml(cardFront(question)),
+            toHtml(cardBack(question)),
+            tags.join(' ')
+        ].map(field => quoteDelimitedField(field, '\t')).join('\t'));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize questions as a generic front,back,tags flashcard CSV
+ * @param {Array} questions - Stored question objects
+ * @returns {string} File content
+ */
+export function toFlashcardCsv(questions) {
+    const rows = [['front', 'back', 'tags']];
+
+    for (const question of questions) {
+        rows.push([cardFront(question), cardBack(question), (question.original.tags || []).join('; ')]);
+    }
+
+    return rows
+        .map(row => row.map(field => quoteDelimitedField(field, ',')).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a field for delimited text when it needs it (RFC 4180)
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Field, quoted if it holds the delimiter, a quote or a line break
+ */
+export function quoteDelimitedField(value, delimiter) {
+    const text = String(value ?? '');
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
@@ -0,0 +1,133 @@
+/**
+ * @file file-importer.js
+ * @description Parse an uploaded file and import it into a collection
+ * Runs in the offscreen document, or in the service worker when no
+ * offscreen document can be created
+ * @module lib/storage/file-importer
+ * @requires lib/parsers/parser-registry
+ * @requires lib/parsers/question-builder
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { parserRegistry } from '../parsers/parser-registry.js';
+import { buildQuestionObjects } from '../parsers/question-builder.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, IMPORT_MODES, IMPORT_STAGES, MESSAGE_TYPES } from '../utils/constants.js';
+
+// Minimum time between two progress messages of the same stage
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Parse file content and write its questions
+ * @param {Object} dbManager - Database manager
+ * @param {Object} request - Upload request
+ * @param {string} request.fileContent - Raw file content
+ * @param {string} request.fileName - Source file name
+ * @param {string} request.collectionId - Target collection (optional)
+ * @param {string} request.collectionName - Name for a new collection (optional)
+ * @param {string} request.mode - IMPORT_MODES value
+ * @param {Object} options - Import options
+ * @param {Function} options.build - (entries, fileName, onBuilt) => Promise<{questions, errors}>
+ * @param {Function} options.onProgress - (stage, done, total) => void
+ * @returns {Promise<{collection: Object, importResult: Object, metadata: Object, errors: Array}>} Import outcome
+ * @throws {AppError} If the file holds no questions or the collection does not exist
+ */
+export async function importFile(dbManager, request, { build = buildLocally, onProgress = () => {} } = {}) {
+    const { fileContent, fileName, collectionId, collectionName, mode = IMPORT_MODES.REPLACE } = request;
+
+    onProgress(IMPORT_STAGES.PARSING, 0, 0);
+    const { parser, detectedBy } = parserRegistry.detectParser(fileName, fileContent);
+    console.log(`[FileImporter] Parsing ${fileName} as ${parser.getFormatInfo().name} (by ${detectedBy})`);
+
+    const { questions, metadata, errors } = await parser.parse(
+        fileContent,
+        fileName,
+        (entries) => build(entries, fileName, (done) => onProgress(IMPORT_STAGES.BUILDING, done, entries.length))
+    );
+
+    if (questions.length === 0) {
+        throw new AppError(
+            ERROR_CODES.FILE_INVALID_FORMAT,
+            'No questions found in file',
+            { reason: 'No question-answer pairs were found in the file.' }
+        );
+    }
+
+    const collection = await resolveCollection(dbManager, { fileName, collectionId, collectionName });
+
+    const importResult = await dbManager.importQuestions(
+        collection.id,
+        questions,
+        mode,
+        (done, total) => onProgress(IMPORT_STAGES.SAVING, done, total)
+    );
+
+    await dbManager.updateMetadata('import_info', {
+        fileName,
+        collectionId: collection.id,
+        mode,
+        timestamp: Date.now(),
+        totalQuestions: questions.length,
+        errors
+    });
+
+    return { collection, importResult, metadata, errors };
+}
+
+/**
+ * Find or create the collection an upload goes to: the chosen one, else the
+ * one previously imported from the same file, else a new one
+ * @param {Object} dbManager - Database manager
+ * @param {Object} request - Upload request (fileName, collectionId, collectionName)
+ * @returns {Promise<Object>} Collection
+ * @throws {AppError} If the chosen collection does not exist
+ */
+export async function resolveCollection(dbManager, { fileName, collectionId, collectionName }) {
+    if (collectionId) {
+        return dbManager.getCollection(collectionId);
+    }
+
+    return (await dbManager.findCollectionBySourceFile(fileName)) ||
+        (await dbManager.createCollection(collectionName || fileName, fileName));
+}
+
+/**
+ * Build question objects in this thread
+ * @param {Array} entries - Entries from Parser.readEntries
+ * @param {string} fileName - Source file name
+ * @param {Function} onBuilt - (done) => void
+ * @returns {Promise<{questions: Array, errors: Array}>} Built questions and build errors
+ */
+async function buildLocally(entries, fileName, onBuilt) {
+    const result = await buildQuestionObjects(entries, fileName);
+    onBuilt(entries.length);
+    return result;
+}
+
+/**
+ * Progress callback for importFile() that tells the popup how far it got
+ * Messages are sent at most every PROGRESS_INTERVAL_MS, plus at each stage's end
+ * @param {string} fileName - File being imported (lets the popup ignore other uploads)
+ * @returns {Function} (stage, done, total) => void
+ */
+export function createProgressReporter(fileName) {
+    let lastStage = null;
+    let lastSent = 0;
+
+    return (stage, done, total) => {
+        const now = Date.now();
+        if (stage === lastStage && done < total && now - lastSent < PROGRESS_INTERVAL_MS) {
+            return;
+        }
+        lastStage = stage;
+        lastSent = now;
+
+        chrome.runtime.sendMessage({
+            type: MESSAGE_TYPES.IMPORT_PROGRESS,
+            payload: { fileName, stage, done, total }
+        }).catch(() => {
+            // Nobody listening (popup closed)
+        });
+    };
+}
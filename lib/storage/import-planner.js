@@ -0,0 +1,111 @@
+/**
+ * @file import-planner.js
+ * @description Diff parsed questions against a collection's stored questions
+ * @module lib/storage/import-planner
+ * @requires lib/utils/hash
+ * @requires lib/utils/constants
+ */
+
+import { generateQuestionId, getQuestionKey } from '../utils/hash.js';
+import { IMPORT_MODES } from '../utils/constants.js';
+
+/**
+ * Plan the writes needed to import questions into a collection
+ *
+ * Questions are matched on getQuestionKey() (the normalized question and
+ * any options), so reordering or inserting lines in the source file does
+ * not change existing IDs, and multiple-choice questions that share a
+ * stem stay apart.
+ *
+ * @param {Array} existing - Questions currently stored in the collection
+ * @param {Array} incoming - Parsed question objects from the uploaded file
+ * @param {string} collectionId - Target collection ID
+ * @param {string} mode - IMPORT_MODES.REPLACE or IMPORT_MODES.MERGE
+ * @returns {Promise<{toPut: Array, toDelete: string[], kept: string[], counts: Object}>} Import plan;
+ * kept holds the IDs of stored questions the incoming questions match
+ */
+export async function planImport(existing, incoming, collectionId, mode = IMPORT_MODES.REPLACE) {
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0, duplicates: 0 };
+    const toPut = [];
+    const toDelete = [];
+    const kept = [];
+
+    // Index stored questions; legacy data may hold the same question twice
+    const existingByText = new Map();
+    for (const question of existing) {
+        const key = getQuestionKey(question.processed);
+        if (existingByText.has(key)) {
+            if (mode === IMPORT_MODES.REPLACE) {
+                toDelete.push(question.id);
+            }
+            continue;
+        }
+        existingByText.set(key, question);
+    }
+
+    // Collapse repeats within the file (the last occurrence wins)
+    const incomingByText = new Map();
+    for (const question of incoming) {
+        const key = getQuestionKey(question.processed);
+        if (incomingByText.has(key)) {
+            counts.duplicates++;
+        }
+        incomingByText.set(key, question);
+    }
+
+    for (const [key, question] of incomingByText) {
+        const current = existingByText.get(key);
+
+        if (!current) {
+            toPut.push({
+                ...question,
+                id: await generateQuestionId(key, collectionId),
+                collectionId
+            });
+            counts.added++;
+            continue;
+        }
+        kept.push(current.id);
+
+        if (contentSignature(current) === contentSignature(question)) {
+            counts.unchanged++;
+            continue;
+        }
+
+        toPut.push({
+            ...question,
+            id: current.id,
+            collectionId,
+            metadata: {
+                ...question.metadata,
+                createdAt: current.metadata?.createdAt || question.metadata.createdAt,
+                updatedAt: Date.now()
+            }
+        });
+        counts.updated++;
+    }
+
+    // Only a replace removes questions that are no longer in the file
+    if (mode === IMPORT_MODES.REPLACE) {
+        for (const [key, question] of existingByText) {
+            if (!incomingByText.has(key)) {
+                toDelete.push(question.id);
+            }
+        }
+    }
+
+    counts.removed = toDelete.length;
+
+    return { toPut, toDelete, kept, counts };
+}
+
+/**
+ * Build a comparable signature of the user-authored content of a question
+ * Position and file name are ignored so moving a pair is not an update
+ * @param {Object} question - Question object
+ * @returns {string} Signature
+ */
+function contentSignature(question) {
+    const { lineNumber, fileName, ...content } = question.original;
+    return JSON.stringify(content);
+}
@@ -3,21 +3,53 @@
  * @description Complete IndexedDB operations manager
  * @module lib/storage/indexeddb-manager
  * @requires lib/storage/schema
+ * @requires lib/storage/import-planner
+ * @requires lib/storage/export-formats
+ * @requires lib/storage/term-index
+ * @requires lib/normalization/synonyms
+ * @requires lib/normalization/language-packs
+ * @requires lib/parsers/question-builder
+ * @requires lib/embeddings/semantic-index
  * @requires lib/utils/error-handler
+ * @requires lib/utils/hash
  * @requires lib/utils/constants
  */
 
-import { SCHEMA, createStores } from './schema.js';
+import { SCHEMA, createStores, migrateStores, createCollectionRecord, QUESTION_STATS_KEY, createQuestionCounts, addQuestionCounts, updateCollectionCounts } from './schema.js';
 import { AppError, logError } from '../utils/error-handler.js';
-import { DB_NAME, DB_VERSION, STORES, INDEXES, ERROR_CODES, PARSER_CONFIG } from '../utils/constants.js';
+import { planImport } from './import-planner.js';
+import { getExporter } from './export-formats.js';
+import {
+    tokenize,
+    withStems,
+    sharesLanguage,
+    buildTermDocument,
+    inverseDocumentFrequency,
+    bm25Score,
+    TERM_INDEX_STATS_KEY
+} from './term-index.js';
+import { SynonymDictionary, SYNONYMS_KEY } from '../normalization/synonyms.js';
+import { detectLanguage } from '../normalization/language-packs.js';
+import { reprocessQuestion } from '../parsers/question-builder.js';
+import { getEmbeddingTexts } from '../embeddings/semantic-index.js';
+import { generateQuestionId, getQuestionKey } from '../utils/hash.js';
+import { DB_NAME, DB_VERSION, STORES, INDEXES, ERROR_CODES, PARSER_CONFIG, MATCHING_CONFIG, IMPORT_MODES, UI_CONFIG, QUESTION_FILTERS, AI_ANSWERS, EMBEDDING_CONFIG } from '../utils/constants.js';
+
+// Metadata entries derived from the questions, rebuilt rather than restored
+const DERIVED_METADATA_KEYS = [TERM_INDEX_STATS_KEY, QUESTION_STATS_KEY];
 
 /**
  * IndexedDB Manager class
  */
-class IndexedDBManager {
-    constructor() {
+export class IndexedDBManager {
+    /**
+     * @param {string} dbName - Database to open (the benchmark uses its own)
+     */
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
         this.db = null;
         this.isInitialized = false;
+        this.synonyms = { updatedAt: null, dictionary: new SynonymDictionary() }; // Last dictionary read
     }
 
     /**
@@ -30,7 +62,7 @@ class IndexedDBManager {
         }
 
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(this.dbName, DB_VERSION);
 
             request.onerror = () => {
                 const error = new AppError(
@@ -56,6 +88,7 @@ class IndexedDBManager {
 
                 try {
                     createStores(db, transaction);
+                    migrateStores(transaction, event.oldVersion);
                     console.log('[IndexedDB] Database schema created successfully');
                 } catch (error) {
                     logError(error, 'IndexedDBManager.onupgradeneeded');
@@ -142,72 +175,159 @@ class IndexedDBManager {
     /**
      * Get question by normalized text (exact match)
      * @param {string} normalizedText - Normalized question text
+     * @param {Set<string>|null} collectionIds - Restrict to these collections (null = all)
      * @returns {Promise<Object|null>} Question object or null
      */
-    async getQuestionByNormalizedText(normalizedText) {
+    async getQuestionByNormalizedText(normalizedText, collectionIds = null) {
+        const questions = await this.getQuestionsByNormalizedText(normalizedText, collectionIds);
+        return questions[0] || null;
+    }
+
+    /**
+     * Get every question whose text or alias equals the normalized text
+     * @param {string} normalizedText - Normalized question text
+     * @param {Set<string>|null} collectionIds - Restrict to these collections (null = all)
+     * @returns {Promise<Array>} Questions, own-text matches before alias matches
+     */
+    async getQuestionsByNormalizedText(normalizedText, collectionIds = null) {
         await this.initDatabase();
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORES.QUESTIONS], 'readonly');
             const store = transaction.objectStore(STORES.QUESTIONS);
-            const index = store.index(INDEXES.NORMALIZED_QUESTION);
-            const request = index.get(normalizedText);
+            const questionRequest = store.index(INDEXES.NORMALIZED_QUESTION).getAll(normalizedText);
+            const aliasRequest = store.index(INDEXES.NORMALIZED_ALIASES).getAll(normalizedText);
 
-            request.onsuccess = () => resolve(request.result || null);
-            request.onerror = () => {
-                logError(request.error, 'IndexedDBManager.getQuestionByNormalizedText');
-                reject(request.error);
+            // A question's own text wins over another question's alias
+            transaction.oncomplete = () => {
+                resolve(filterByCollections(
+                    [...(questionRequest.result || []), ...(aliasRequest.result || [])],
+                    collectionIds
+                ));
+            };
+            transaction.onerror = () => {
+                logError(transaction.error, 'IndexedDBManager.getQuestionsByNormalizedText');
+                reject(transaction.error);
             };
         });
     }
 
     /**
-     * Get questions by keyword
-     * @param {string} keyword - Keyword to search
-     * @returns {Promise<Array>} Array of matching questions
+     * Find the questions that best share terms with a text, ranked by BM25
+     * Only the index records of the query's rarest terms are read, so the
+     * cost stays bounded however large the collections are
+     * @param {string} text - Query text
+     * @param {Set<string>|null} collectionIds - Restrict to these collections (null = all)
+     * @param {number} limit - Maximum number of questions
+     * @param {string|null} language - Query language; questions of other languages are left out unless
+     * none of the query's language shares a term (null = any)
+     * @returns {Promise<Array>} Questions, best first (empty if no term is shared)
      */
-    async getQuestionsByKeyword(keyword) {
+    async searchCandidates(text, collectionIds = null, limit = MATCHING_CONFIG.CANDIDATE_LIMIT, language = null) {
         await this.initDatabase();
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.QUESTIONS], 'readonly');
-            const store = transaction.objectStore(STORES.QUESTIONS);
-            const index = store.index(INDEXES.KEYWORDS);
-            const request = index.getAll(keyword);
+        // Records are indexed under the synonyms of their terms too, so the
+        // query terms find them without being expanded here
+        const queryLanguage = language || detectLanguage(text);
+        const terms = [...new Set(withStems(tokenize(text, queryLanguage), queryLanguage))];
+        if (terms.length === 0) {
+            return [];
+        }
 
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => {
-                logError(request.error, 'IndexedDBManager.getQuestionsByKeyword');
-                reject(request.error);
+        // Index size and how many records hold each term
+        const { stats, frequencies } = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.TERM_INDEX, STORES.METADATA], 'readonly');
+            const index = transaction.objectStore(STORES.TERM_INDEX).index(INDEXES.TERMS);
+            const statsRequest = transaction.objectStore(STORES.METADATA).get(TERM_INDEX_STATS_KEY);
+            const countRequests = terms.map(term => index.count(term));
+
+            transaction.oncomplete = () => resolve({
+                stats: statsRequest.result?.value || { documents: 0, totalLength: 0 },
+                frequencies: new Map(terms.map((term, i) => [term, countRequests[i].result]))
+            });
+            transaction.onerror = () => {
+                logError(transaction.error, 'IndexedDBManager.searchCandidates');
+                reject(transaction.error);
+            };
+        });
+
+        const documents = Math.max(stats.documents, 1);
+        const idf = new Map(terms
+            .filter(term => frequencies.get(term) > 0)
+            .map(term => [term, inverseDocumentFrequency(frequencies.get(term), documents)]));
+        if (idf.size === 0) {
+            return [];
+        }
+
+        // Read the rarest terms' records; common terms still count in the score
+        const byRarity = [...idf.keys()].sort((a, b) => frequencies.get(a) - frequencies.get(b));
+        const readTerms = [];
+        let budget = MATCHING_CONFIG.MAX_POSTINGS;
+        for (const term of byRarity) {
+            if (readTerms.length > 0 && frequencies.get(term) > budget) break;
+            readTerms.push(term);
+            budget -= frequencies.get(term);
+        }
+
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.TERM_INDEX], 'readonly');
+            const index = transaction.objectStore(STORES.TERM_INDEX).index(INDEXES.TERMS);
+            const requests = readTerms.map(term => index.getAll(term, MATCHING_CONFIG.MAX_POSTINGS));
+
+            transaction.oncomplete = () => resolve(requests.flatMap(request => request.result || []));
+            transaction.onerror = () => {
+                logError(transaction.error, 'IndexedDBManager.searchCandidates');
+                reject(transaction.error);
             };
         });
+
+        // Records of other languages are left out, unless that leaves none:
+        // the query's language may have been detected wrongly
+        const inCollections = filterByCollections(records, collectionIds);
+        const sameLanguage = inCollections.filter(record => sharesLanguage(record, language));
+        const averageLength = stats.totalLength / documents || 1;
+        const scores = new Map();
+        for (const record of sameLanguage.length > 0 ? sameLanguage : inCollections) {
+            if (!scores.has(record.id)) {
+                scores.set(record.id, bm25Score(record, idf, averageLength));
+            }
+        }
+
+        const ids = [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([id]) => id);
+
+        return this.getQuestionsByIds(ids);
     }
 
     /**
-     * Get questions by multiple keywords
-     * @param {string[]} keywords - Array of keywords
-     * @returns {Promise<Array>} Array of matching questions (deduplicated)
+     * Get several questions by ID in one transaction
+     * @param {string[]} ids - Question IDs
+     * @returns {Promise<Array>} Questions in the order of ids (missing ones skipped)
      */
-    async getQuestionsByKeywords(keywords) {
+    async getQuestionsByIds(ids) {
         await this.initDatabase();
 
-        const questionMap = new Map();
-
-        for (const keyword of keywords) {
-            const questions = await this.getQuestionsByKeyword(keyword);
-            for (const question of questions) {
-                questionMap.set(question.id, question);
-            }
-        }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.QUESTIONS], 'readonly');
+            const store = transaction.objectStore(STORES.QUESTIONS);
+            const requests = ids.map(id => store.get(id));
 
-        return Array.from(questionMap.values());
+            transaction.oncomplete = () => resolve(requests.map(request => request.result).filter(Boolean));
+            transaction.onerror = () => {
+                logError(transaction.error, 'IndexedDBManager.getQuestionsByIds');
+                reject(transaction.error);
+            };
+        });
     }
 
     /**
      * Get all questions
+     * @param {Set<string>|null} collectionIds - Restrict to these collections (null = all)
      * @returns {Promise<Array>} Array of all questions
      */
-    async getAllQuestions() {
+    async getAllQuestions(collectionIds = null) {
         await this.initDatabase();
 
         return new Promise((resolve, reject) => {
@@ -215,7 +335,7 @@ class IndexedDBManager {
             const store = transaction.objectStore(STORES.QUESTIONS);
             const request = store.getAll();
 
-            request.onsuccess = () => resolve(request.result || []);
+            request.onsuccess = () => resolve(filterByCollections(request.result || [], collectionIds));
             request.onerror = () => {
                 logError(request.error, 'IndexedDBManager.getAllQuestions');
                 reject(request.error);
@@ -224,16 +344,41 @@ class IndexedDBManager {
     }
 
     /**
-     * Clear all questions
+     * Get all questions belonging to a collection
+     * @param {string} collectionId - Collection ID
+     * @returns {Promise<Array>} Array of questions
+     */
+    async getQuestionsByCollection(collectionId) {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.QUESTIONS], 'readonly');
+            const store = transaction.objectStore(STORES.QUESTIONS);
+            const index = store.index(INDEXES.COLLECTION_ID);
+            const request = index.getAll(collectionId);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getQuestionsByCollection');
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Clear all questions and the collections that own them
      * @returns {Promise<{success: boolean}>} Result
      */
     async clearAllQuestions() {
         await this.initDatabase();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.QUESTIONS], 'readwrite');
-            const store = transaction.objectStore(STORES.QUESTIONS);
-            const request = store.clear();
+            const transaction = this.db.transaction([STORES.QUESTIONS, STORES.COLLECTIONS, STORES.TERM_INDEX, STORES.EMBEDDINGS, STORES.METADATA], 'readwrite');
+            transaction.objectStore(STORES.QUESTIONS).clear();
+            transaction.objectStore(STORES.COLLECTIONS).clear();
+            transaction.objectStore(STORES.TERM_INDEX).clear();
+            transaction.objectStore(STORES.EMBEDDINGS).clear();
+            DERIVED_METADATA_KEYS.forEach(key => transaction.objectStore(STORES.METADATA).delete(key));
 
             transaction.oncomplete = () => {
                 console.log('[IndexedDB] All questions cleared');
@@ -252,6 +397,765 @@ class IndexedDBManager {
         });
     }
 
+    /**
+     * Create a new, empty collection
+     * @param {string} name - Display name
+     * @param {string|null} sourceFileName - File the collection is imported from
+     * @returns {Promise<Object>} Created collection
+     */
+    async createCollection(name, sourceFileName = null) {
+        await this.initDatabase();
+
+        const collection = createCollectionRecord(name, sourceFileName);
+        await this.putCollection(collection);
+
+        console.log(`[IndexedDB] Created collection "${name}"`);
+        return collection;
+    }
+
+    /**
+     * Get all collections, oldest first
+     * @returns {Promise<Array>} Array of collections
+     */
+    async getCollections() {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.COLLECTIONS], 'readonly');
+            const store = transaction.objectStore(STORES.COLLECTIONS);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                const collections = request.result || [];
+                collections.sort((a, b) => a.createdAt - b.createdAt);
+                resolve(collections);
+            };
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getCollections');
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get collection by ID
+     * @param {string} id - Collection ID
+     * @returns {Promise<Object>} Collection
+     * @throws {AppError} If the collection does not exist
+     */
+    async getCollection(id) {
+        await this.initDatabase();
+
+        const collection = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.COLLECTIONS], 'readonly');
+            const store = transaction.objectStore(STORES.COLLECTIONS);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getCollection');
+                reject(request.error);
+            };
+        });
+
+        if (!collection) {
+            throw new AppError(
+                ERROR_CODES.COLLECTION_NOT_FOUND,
+                'Collection not found',
+                { collectionId: id }
+            );
+        }
+
+        return collection;
+    }
+
+    /**
+     * Find the collection previously imported from a file
+     * @param {string} fileName - Source file name
+     * @returns {Promise<Object|null>} Collection or null
+     */
+    async findCollectionBySourceFile(fileName) {
+        const collections = await this.getCollections();
+        return collections.find(collection => collection.sourceFileName === fileName) || null;
+    }
+
+    /**
+     * Get IDs of collections that take part in matching
+     * @returns {Promise<Set<string>>} Enabled collection IDs
+     */
+    async getEnabledCollectionIds() {
+        const collections = await this.getCollections();
+        return new Set(
+            collections
+                .filter(collection => collection.enabled)
+                .map(collection => collection.id)
+        );
+    }
+
+    /**
+     * Update collection fields
+     * @param {string} id - Collection ID
+     * @param {Object} changes - Fields to merge (name, enabled, questionCount)
+     * @returns {Promise<Object>} Updated collection
+     */
+    async updateCollection(id, changes) {
+        const collection = await this.getCollection(id);
+        const updated = { ...collection, ...changes, id, updatedAt: Date.now() };
+
+        await this.putCollection(updated);
+        return updated;
+    }
+
+    /**
+     * Write a collection record
+     * @param {Object} collection - Collection record
+     * @returns {Promise<{success: boolean}>} Result
+     */
+    async putCollection(collection) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+            transaction.objectStore(STORES.COLLECTIONS).put(collection);
+
+            transaction.oncomplete = () => resolve({ success: true });
+            transaction.onerror = () => {
+                const error = new AppError(
+                    ERROR_CODES.DB_TRANSACTION_FAILED,
+                    'Failed to save collection',
+                    { collectionId: collection.id, error: transaction.error }
+                );
+                logError(error, 'IndexedDBManager.putCollection');
+                reject(error);
+            };
+        });
+    }
+
+    /**
+     * Import parsed questions into a collection
+     * @param {string} collectionId - Collection ID
+     * @param {Array} questions - Parsed question objects
+     * @param {string} mode - IMPORT_MODES.REPLACE or IMPORT_MODES.MERGE
+     * @param {Function} onProgress - (written, total) => void, called after each batch
+     * @returns {Promise<{success: boolean, count: number, added: number, updated: number, unchanged: number, removed: number, duplicates: number}>} Result
+     */
+    async importQuestions(collectionId, questions, mode = IMPORT_MODES.REPLACE, onProgress = null) {
+        await this.getCollection(collectionId);
+
+        const existing = await this.getQuestionsByCollection(collectionId);
+        const { toPut, toDelete, counts } = await planImport(existing, questions, collectionId, mode);
+
+        await this.applyQuestionChanges(toPut, toDelete, onProgress);
+
+        const count = existing.length + counts.added - counts.removed;
+
+        console.log(`[IndexedDB] Imported into ${collectionId} (${mode})`, counts);
+        return { success: true, count, ...counts };
+    }
+
+    /**
+     * Merge one piece of a streamed upload into a collection
+     * Only the stored questions that share a text with the piece are read,
+     * so the cost does not grow with the collection
+     * @param {string} collectionId - Target collection ID
+     * @param {Array} questions - Parsed question objects
+     * @returns {Promise<{success: boolean, kept: string[], added: number, updated: number, unchanged: number, removed: number, duplicates: number}>}
+     * Import result; kept holds the IDs of stored questions the piece matches
+     */
+    async mergeQuestionBatch(collectionId, questions) {
+        const texts = [...new Set(questions.map(question => question.processed.normalizedQuestion))];
+        const matches = await Promise.all(texts.map(text => this.getQuestionsByNormalizedText(text, new Set([collectionId]))));
+        const existing = [...new Map(matches.flat().map(question => [question.id, question])).values()];
+
+        const { toPut, toDelete, kept, counts } = await planImport(existing, questions, collectionId, IMPORT_MODES.MERGE);
+        await this.applyQuestionChanges(toPut, toDelete);
+
+        return { success: true, kept, ...counts };
+    }
+
+    /**
+     * Write and delete questions in batches
+     * Every question write goes through here, so the term index, the
+     * question counts and the collection counts are kept in step in the
+     * same transactions
+     * @param {Array} toPut - Question objects to insert or overwrite
+     * @param {string[]} toDelete - IDs of questions to delete
+     * @param {Function} onProgress - (written, total) => void, called after each batch
+     * @returns {Promise<{success: boolean}>} Result
+     */
+    async applyQuestionChanges(toPut = [], toDelete = [], onProgress = null) {
+        await this.initDatabase();
+
+        const operations = [
+            ...toPut.map(question => ({ type: 'put', id: question.id, question })),
+            ...toDelete.map(id => ({ type: 'delete', id }))
+        ];
+        const batchSize = PARSER_CONFIG.BATCH_SIZE;
+        const stores = [STORES.QUESTIONS, STORES.TERM_INDEX, STORES.METADATA, STORES.COLLECTIONS, STORES.EMBEDDINGS, STORES.SETTINGS];
+
+        // Process in batches to avoid transaction timeouts
+        for (let i = 0; i < operations.length; i += batchSize) {
+            const batch = operations.slice(i, i + batchSize);
+
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(stores, 'readwrite');
+                const store = transaction.objectStore(STORES.QUESTIONS);
+                const termStore = transaction.objectStore(STORES.TERM_INDEX);
+                const metadataStore = transaction.objectStore(STORES.METADATA);
+                const embeddingStore = transaction.objectStore(STORES.EMBEDDINGS);
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => {
+                    const error = new AppError(
+                        ERROR_CODES.DB_TRANSACTION_FAILED,
+                        'Failed to write questions batch',
+                        { batchIndex: i, error: transaction.error }
+                    );
+                    logError(error, 'IndexedDBManager.applyQuestionChanges');
+                    reject(error);
+                };
+
+                // Read in the transaction, as another context may have changed it
+                const synonymsRequest = transaction.objectStore(STORES.SETTINGS).get(SYNONYMS_KEY);
+                const termStatsRequest = metadataStore.get(TERM_INDEX_STATS_KEY);
+                const countsRequest = metadataStore.get(QUESTION_STATS_KEY);
+                countsRequest.onsuccess = () => {
+                    const synonyms = this.readSynonyms(synonymsRequest.result);
+                    const termStats = termStatsRequest.result?.value || { documents: 0, totalLength: 0 };
+                    const counts = countsRequest.result?.value || createQuestionCounts();
+                    const collectionChanges = new Map();
+                    const changeCollection = (collectionId, change) => {
+                        collectionChanges.set(collectionId, (collectionChanges.get(collectionId) || 0) + change);
+                    };
+                    let pending = batch.length;
+
+                    for (const operation of batch) {
+                        // Read what is stored before replacing it
+                        const previousRequest = store.get(operation.id);
+                        const previousDocumentRequest = termStore.get(operation.id);
+
+                        previousDocumentRequest.onsuccess = () => {
+                            const previous = previousRequest.result;
+                            const previousDocument = previousDocumentRequest.result;
+
+                            if (previous) {
+                                addQuestionCounts(counts, previous, -1);
+                                changeCollection(previous.collectionId, -1);
+                            }
+                            if (previousDocument) {
+                                termStats.documents--;
+                                termStats.totalLength -= previousDocument.length;
+                            }
+
+                            // A vector is dropped once it no longer describes the
+                            // stored question; the semantic index re-embeds it
+                            if (operation.type === 'delete' || (previous && isEmbeddingStale(previous, operation.question))) {
+                                embeddingStore.delete(operation.id);
+                            }
+
+                            if (operation.type === 'put') {
+                                const document = buildTermDocument(operation.question, synonyms);
+                                store.put(operation.question);
+                                termStore.put(document);
+                                addQuestionCounts(counts, operation.question, 1);
+                                changeCollection(operation.question.collectionId, 1);
+                                termStats.documents++;
+                                termStats.totalLength += document.length;
+                            } else {
+                                store.delete(operation.id);
+                                termStore.delete(operation.id);
+                            }
+
+                            if (--pending === 0) {
+                                const updatedAt = Date.now();
+                                metadataStore.put({ key: TERM_INDEX_STATS_KEY, value: termStats, updatedAt });
+                                metadataStore.put({ key: QUESTION_STATS_KEY, value: counts, updatedAt });
+                                updateCollectionCounts(transaction.objectStore(STORES.COLLECTIONS), collectionChanges, false);
+                            }
+                        };
+                    }
+                };
+            });
+
+            onProgress?.(Math.min(i + batchSize, operations.length), operations.length);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Tell when the stored questions last changed
+     * @returns {Promise<number|null>} Time of the last question write (null if none yet)
+     */
+    async getQuestionsRevision() {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.METADATA], 'readonly');
+            const request = transaction.objectStore(STORES.METADATA).get(QUESTION_STATS_KEY);
+
+            request.onsuccess = () => resolve(request.result?.updatedAt || null);
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getQuestionsRevision');
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get every stored embedding
+     * @returns {Promise<Array<{id: string, collectionId: string, vectors: Int8Array[]}>>} Embedding records
+     */
+    async getEmbeddings() {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.EMBEDDINGS], 'readonly');
+            const request = transaction.objectStore(STORES.EMBEDDINGS).getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getEmbeddings');
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Find the questions that have no embedding yet
+     * Only questions in EMBEDDING_CONFIG.LANGUAGES are embedded
+     * @returns {Promise<string[]>} Question IDs
+     */
+    async getUnembeddedQuestionIds() {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.QUESTIONS, STORES.EMBEDDINGS], 'readonly');
+            const index = transaction.objectStore(STORES.QUESTIONS).index(INDEXES.LANGUAGE);
+            const questionRequests = EMBEDDING_CONFIG.LANGUAGES.map(language => index.getAllKeys(IDBKeyRange.only(language)));
+            const embeddingRequest = transaction.objectStore(STORES.EMBEDDINGS).getAllKeys();
+
+            transaction.oncomplete = () => {
+                const embedded = new Set(embeddingRequest.result);
+                resolve(questionRequests.flatMap(request => request.result).filter(id => !embedded.has(id)));
+            };
+            transaction.onerror = () => {
+                logError(transaction.error, 'IndexedDBManager.getUnembeddedQuestionIds');
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Store question embeddings
+     * Vectors are only kept if their question is still stored with the texts
+     * they were computed from, as questions can change while the model runs,
+     * and is in a language the model handles
+     * @param {Array<{id: string, texts: string[], vectors: Int8Array[]}>} records - Vectors and the
+     * getEmbeddingTexts() texts they encode
+     * @returns {Promise<Array<{id: string, collectionId: string, vectors: Int8Array[]}>>} Records stored
+     */
+    async putEmbeddings(records) {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.QUESTIONS, STORES.EMBEDDINGS], 'readwrite');
+            const questionStore = transaction.objectStore(STORES.QUESTIONS);
+            const embeddingStore = transaction.objectStore(STORES.EMBEDDINGS);
+            const stored = [];
+
+            for (const { id, texts, vectors } of records) {
+                const request = questionStore.get(id);
+                request.onsuccess = () => {
+                    const question = request.result;
+                    if (question && EMBEDDING_CONFIG.LANGUAGES.includes(question.language) &&
+                        sameTexts(getEmbeddingTexts(question), texts)) {
+                        const record = { id, collectionId: question.collectionId, vectors };
+                        embeddingStore.put(record);
+                        stored.push(record);
+                    }
+                };
+            }
+
+            transaction.oncomplete = () => resolve(stored);
+            transaction.onerror = () => {
+                const error = new AppError(
+                    ERROR_CODES.DB_TRANSACTION_FAILED,
+                    'Failed to store embeddings',
+                    { error: transaction.error }
+                );
+                logError(error, 'IndexedDBManager.putEmbeddings');
+                reject(error);
+            };
+        });
+    }
+
+    /**
+     * Get the user synonym dictionary
+     * @returns {Promise<SynonymDictionary>} Dictionary (empty if none was saved)
+     */
+    async getSynonyms() {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
+            const request = transaction.objectStore(STORES.SETTINGS).get(SYNONYMS_KEY);
+
+            request.onsuccess = () => resolve(this.readSynonyms(request.result));
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getSynonyms');
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Replace the synonym dictionary and re-index every question with it
+     * @param {string[][]} groups - Terms of each group
+     * @param {Function} onProgress - (indexed, total) => void, called after each batch
+     * @returns {Promise<SynonymDictionary>} Saved dictionary
+     */
+    async saveSynonyms(groups, onProgress = null) {
+        await this.initDatabase();
+
+        const dictionary = new SynonymDictionary(groups);
+        const record = { key: SYNONYMS_KEY, value: { groups: dictionary.getGroups() }, updatedAt: Date.now() };
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.SETTINGS], 'readwrite');
+            transaction.objectStore(STORES.SETTINGS).put(record);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                const error = new AppError(
+                    ERROR_CODES.DB_TRANSACTION_FAILED,
+                    'Failed to save synonyms',
+                    { error: transaction.error }
+                );
+                logError(error, 'IndexedDBManager.saveSynonyms');
+                reject(error);
+            };
+        });
+        this.synonyms = { updatedAt: record.updatedAt, dictionary };
+
+        await this.rebuildTermIndex(dictionary, onProgress);
+        console.log(`[IndexedDB] Saved ${dictionary.size} synonym groups`);
+        return dictionary;
+    }
+
+    /**
+     * Rewrite the term index records of every question
+     * Record lengths do not change, so the index statistics stay valid
+     * @param {SynonymDictionary} synonyms - Dictionary to index with
+     * @param {Function} onProgress - (indexed, total) => void, called after each batch
+     * @returns {Promise<void>}
+     */
+    async rebuildTermIndex(synonyms, onProgress = null) {
+        const questions = await this.getAllQuestions();
+        const batchSize = PARSER_CONFIG.BATCH_SIZE;
+
+        for (let i = 0; i < questions.length; i += batchSize) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([STORES.TERM_INDEX], 'readwrite');
+                const termStore = transaction.objectStore(STORES.TERM_INDEX);
+                questions.slice(i, i + batchSize).forEach(question => termStore.put(buildTermDocument(question, synonyms)));
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => {
+                    const error = new AppError(
+                        ERROR_CODES.DB_TRANSACTION_FAILED,
+                        'Failed to rebuild the term index',
+                        { batchIndex: i, error: transaction.error }
+                    );
+                    logError(error, 'IndexedDBManager.rebuildTermIndex');
+                    reject(error);
+                };
+            });
+
+            onProgress?.(Math.min(i + batchSize, questions.length), questions.length);
+        }
+    }
+
+    /**
+     * Turn the stored synonyms record into a dictionary, reusing the last one
+     * if the record has not changed
+     * @param {Object|undefined} record - Settings store record
+     * @returns {SynonymDictionary} Dictionary
+     */
+    readSynonyms(record) {
+        const updatedAt = record?.updatedAt || null;
+        if (updatedAt !== this.synonyms.updatedAt) {
+            this.synonyms = { updatedAt, dictionary: new SynonymDictionary(record?.value?.groups || []) };
+        }
+        return this.synonyms.dictionary;
+    }
+
+    /**
+     * Search stored questions for the editor, one page at a time
+     * @param {Object} query - Search options
+     * @param {string} query.search - Text to find in question, answer, aliases or tags
+     * @param {string|null} query.collectionId - Restrict to one collection
+     * @param {string|null} query.tag - Restrict to questions with this tag
+     * @param {string} query.filter - QUESTION_FILTERS value
+     * @param {number} query.offset - Index of the first result to return
+     * @param {number} query.limit - Page size
+     * @returns {Promise<{questions: Array, total: number, tags: string[]}>} Page of questions (sorted by question), match count and the tags in use
+     */
+    async listQuestions({ search = '', collectionId = null, tag = null, filter = QUESTION_FILTERS.ALL, offset = 0, limit = UI_CONFIG.EDITOR_PAGE_SIZE } = {}) {
+        const questions = collectionId
+            ? await this.getQuestionsByCollection(collectionId)
+            : await this.getAllQuestions();
+
+        const tags = [...new Set(questions.flatMap(question => question.original.tags || []))]
+            .sort((a, b) => a.localeCompare(b));
+
+        const needle = search.trim().toLowerCase();
+        const matches = questions
+            .filter(question => !tag || (question.original.tags || []).includes(tag))
+            .filter(question => matchesFilter(question, filter))
+            .filter(question => !needle || searchableText(question).includes(needle))
+            .sort((a, b) => a.original.question.localeCompare(b.original.question));
+
+        const pageSize = Math.min(Math.max(limit, 1), UI_CONFIG.EDITOR_MAX_PAGE_SIZE);
+        const start = Math.max(offset, 0);
+
+        return { questions: matches.slice(start, start + pageSize), total: matches.length, tags };
+    }
+
+    /**
+     * Add a single question to a collection
+     * @param {string} collectionId - Collection ID
+     * @param {Object} question - Question object from buildQuestionObject
+     * @returns {Promise<Object>} Stored question
+     * @throws {AppError} If the collection already holds the same question
+     */
+    async addQuestion(collectionId, question) {
+        await this.getCollection(collectionId);
+        const key = getQuestionKey(question.processed);
+        await this.assertUniqueQuestion(collectionId, key);
+
+        const stored = {
+            ...question,
+            id: await generateQuestionId(key, collectionId),
+            collectionId
+        };
+        await this.applyQuestionChanges([stored]);
+
+        return stored;
+    }
+
+    /**
+     * Replace the content of a stored question
+     * The ID follows the question text and options, as it does for imports
+     * @param {string} id - Question ID
+     * @param {Object} question - Question object from buildQuestionObject
+     * @returns {Promise<Object>} Stored question (with its possibly new ID)
+     * @throws {AppError} If the question does not exist or the new text duplicates another question
+     */
+    async updateQuestion(id, question) {
+        const current = await this.getExistingQuestion(id);
+        const key = getQuestionKey(question.processed);
+
+        if (key !== getQuestionKey(current.processed)) {
+            await this.assertUniqueQuestion(current.collectionId, key);
+        }
+
+        const stored = {
+            ...question,
+            id: await generateQuestionId(key, current.collectionId),
+            collectionId: current.collectionId,
+            original: {
+                ...question.original,
+                lineNumber: current.original.lineNumber,
+                fileName: current.original.fileName
+            },
+            metadata: {
+                ...current.metadata,
+                ...question.metadata,
+                createdAt: current.metadata?.createdAt || question.metadata.createdAt,
+                updatedAt: Date.now()
+            }
+        };
+        await this.applyQuestionChanges([stored], stored.id === id ? [] : [id]);
+
+        return stored;
+    }
+
+    /**
+     * Delete questions by ID
+     * @param {string[]} ids - Question IDs
+     * @returns {Promise<{success: boolean, deleted: number}>} Result
+     */
+    async deleteQuestions(ids) {
+        const questions = (await Promise.all(ids.map(id => this.getQuestionById(id)))).filter(Boolean);
+        await this.applyQuestionChanges([], questions.map(question => question.id));
+
+        return { success: true, deleted: questions.length };
+    }
+
+    /**
+     * Add and remove tags on several questions
+     * @param {string[]} ids - Question IDs
+     * @param {string[]} add - Tags to add
+     * @param {string[]} remove - Tags to remove
+     * @returns {Promise<{success: boolean, updated: number}>} Result
+     */
+    async updateQuestionTags(ids, add = [], remove = []) {
+        const questions = (await Promise.all(ids.map(id => this.getQuestionById(id)))).filter(Boolean);
+        const changed = [];
+
+        for (const question of questions) {
+            const current = question.original.tags || [];
+            const tags = [...new Set([...current.filter(tag => !remove.includes(tag)), ...add])];
+            if (tags.length === current.length && tags.every(tag => current.includes(tag))) {
+                continue;
+            }
+
+            const original = { ...question.original, tags };
+            if (tags.length === 0) {
+                delete original.tags;
+            }
+            changed.push({ ...question, original, metadata: { ...question.metadata, updatedAt: Date.now() } });
+        }
+
+        await this.applyQuestionChanges(changed);
+        return { success: true, updated: changed.length };
+    }
+
+    /**
+     * Mark saved AI answers as checked
+     * @param {string[]} ids - Question IDs
+     * @returns {Promise<{success: boolean, updated: number}>} Result
+     */
+    async verifyQuestions(ids) {
+        const questions = (await Promise.all(ids.map(id => this.getQuestionById(id)))).filter(Boolean);
+        const changed = questions
+            .filter(question => question.metadata?.verified === false)
+            .map(question => ({
+                ...question,
+                metadata: { ...question.metadata, verified: true, updatedAt: Date.now() }
+            }));
+
+        await this.applyQuestionChanges(changed);
+        return { success: true, updated: changed.length };
+    }
+
+    /**
+     * Get the collection AI answers are saved to, creating it on first use
+     * @returns {Promise<Object>} Collection
+     */
+    async getAiCollection() {
+        const id = await this.getMetadata(AI_ANSWERS.COLLECTION_KEY);
+        const existing = id ? await this.getCollection(id).catch(() => null) : null;
+        if (existing) {
+            return existing;
+        }
+
+        const collection = await this.createCollection(AI_ANSWERS.COLLECTION_NAME);
+        await this.updateMetadata(AI_ANSWERS.COLLECTION_KEY, collection.id);
+        return collection;
+    }
+
+    /**
+     * Get a question that must exist
+     * @param {string} id - Question ID
+     * @returns {Promise<Object>} Question object
+     * @throws {AppError} If the question does not exist
+     */
+    async getExistingQuestion(id) {
+        const question = await this.getQuestionById(id);
+        if (!question) {
+            throw new AppError(
+                ERROR_CODES.QUESTION_NOT_FOUND,
+                'Question not found',
+                { questionId: id }
+            );
+        }
+        return question;
+    }
+
+    /**
+     * Make sure a collection does not already hold a question
+     * Questions that share a stem but not their options are different questions
+     * @param {string} collectionId - Collection ID
+     * @param {string} key - Question key from getQuestionKey()
+     * @throws {AppError} If the question is already in the collection
+     */
+    async assertUniqueQuestion(collectionId, key) {
+        const existing = await this.getQuestionsByCollection(collectionId);
+        if (existing.some(question => getQuestionKey(question.processed) === key)) {
+            throw new AppError(
+                ERROR_CODES.INVALID_INPUT,
+                'Duplicate question',
+                { reason: 'This collection already has that question.' }
+            );
+        }
+    }
+
+    /**
+     * Delete a collection and all of its questions
+     * @param {string} collectionId - Collection ID
+     * @returns {Promise<{success: boolean, deletedQuestions: number}>} Result
+     */
+    async deleteCollection(collectionId) {
+        await this.getCollection(collectionId);
+        const deletedQuestions = await this.deleteQuestionsByCollection(collectionId, true);
+
+        console.log(`[IndexedDB] Deleted collection ${collectionId} (${deletedQuestions} questions)`);
+        return { success: true, deletedQuestions };
+    }
+
+    /**
+     * Get the IDs of the questions owned by a collection
+     * @param {string} collectionId - Collection ID
+     * @returns {Promise<string[]>} Question IDs
+     */
+    async getQuestionIdsByCollection(collectionId) {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.QUESTIONS], 'readonly');
+            const index = transaction.objectStore(STORES.QUESTIONS).index(INDEXES.COLLECTION_ID);
+            const request = index.getAllKeys(IDBKeyRange.only(collectionId));
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getQuestionIdsByCollection');
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Delete every question owned by a collection
+     * @param {string} collectionId - Collection ID
+     * @param {boolean} includeCollection - Also delete the collection record
+     * @returns {Promise<number>} Number of questions deleted
+     */
+    async deleteQuestionsByCollection(collectionId, includeCollection = false) {
+        const ids = await this.getQuestionIdsByCollection(collectionId);
+
+        await this.applyQuestionChanges([], ids);
+
+        if (includeCollection) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([STORES.COLLECTIONS], 'readwrite');
+                transaction.objectStore(STORES.COLLECTIONS).delete(collectionId);
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => {
+                    const error = new AppError(
+                        ERROR_CODES.DB_TRANSACTION_FAILED,
+                        'Failed to delete collection',
+                        { collectionId, error: transaction.error }
+                    );
+                    logError(error, 'IndexedDBManager.deleteQuestionsByCollection');
+                    reject(error);
+                };
+            });
+        }
+
+        return ids.length;
+    }
+
     /**
      * Get metadata
      * @param {string} key - Metadata key
@@ -273,6 +1177,25 @@ class IndexedDBManager {
         });
     }
 
+    /**
+     * Get every metadata entry
+     * @returns {Promise<Array<{key: string, value: any, updatedAt: number}>>} Metadata records
+     */
+    async getAllMetadata() {
+        await this.initDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.METADATA], 'readonly');
+            const request = transaction.objectStore(STORES.METADATA).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                logError(request.error, 'IndexedDBManager.getAllMetadata');
+                reject(request.error);
+            };
+        });
+    }
+
     /**
      * Update metadata
      * @param {string} key - Metadata key
@@ -302,13 +1225,21 @@ class IndexedDBManager {
     async getStats() {
         await this.initDatabase();
 
-        const [totalQuestions, metadata] = await Promise.all([
-            this.getAllQuestions().then(q => q.length),
-            this.getMetadata('import_info')
+        const [counts, metadata, collections] = await Promise.all([
+            this.getMetadata(QUESTION_STATS_KEY),
+            this.getMetadata('import_info'),
+            this.getCollections()
         ]);
+        const { total, ai, unverified } = counts || createQuestionCounts();
+        const enabled = collections.filter(collection => collection.enabled);
 
         return {
-            totalQuestions,
+            totalQuestions: total,
+            aiQuestions: ai,
+            unverifiedQuestions: unverified,
+            totalCollections: collections.length,
+            enabledCollections: enabled.length,
+            enabledQuestions: enabled.reduce((sum, collection) => sum + collection.questionCount, 0),
             lastImport: metadata?.timestamp || null,
             fileName: metadata?.fileName || null,
             schemaVersion: SCHEMA.schemaVersion
@@ -322,19 +1253,121 @@ class IndexedDBManager {
     async exportData() {
         await this.initDatabase();
 
-        const [questions, metadata] = await Promise.all([
+        const [questions, metadata, metadataEntries, collections, synonyms] = await Promise.all([
             this.getAllQuestions(),
-            this.getMetadata('import_info')
+            this.getMetadata('import_info'),
+            this.getAllMetadata(),
+            this.getCollections(),
+            this.getSynonyms()
         ]);
 
         return {
             version: SCHEMA.schemaVersion,
             exportedAt: Date.now(),
             metadata,
+            metadataEntries,
+            collections,
+            synonyms: synonyms.getGroups(),
             questions
         };
     }
 
+    /**
+     * Replace all data with an exportData() backup
+     * Questions are written as stored, without re-parsing; only their
+     * normalized texts and keywords are derived again, as normalization may
+     * have changed since the backup. Backups made before collections existed
+     * are grouped by source file.
+     * @param {Object} backup - Parsed backup file
+     * @returns {Promise<{success: boolean, questions: number, collections: number}>} Result
+     * @throws {AppError} If the backup is not an exportData() dump
+     */
+    async restoreBackup(backup) {
+        await this.initDatabase();
+
+        const questions = readBackupQuestions(backup);
+        const collections = Array.isArray(backup.collections)
+            ? backup.collections.filter(collection => collection && typeof collection.id === 'string')
+            : [];
+        // The term index and counts are rebuilt from the restored questions
+        const metadataEntries = Array.isArray(backup.metadataEntries)
+            ? backup.metadataEntries.filter(entry => entry && typeof entry.key === 'string' && !DERIVED_METADATA_KEYS.includes(entry.key))
+            : [];
+        if (metadataEntries.length === 0 && backup.metadata) {
+            metadataEntries.push({ key: 'import_info', value: backup.metadata, updatedAt: Date.now() });
+        }
+
+        // Every question needs a collection that exists
+        const collectionsById = new Map(collections.map(collection => [collection.id, { ...collection, questionCount: 0 }]));
+        const collectionsByFile = new Map();
+        const restored = questions.map(stored => {
+            const question = reprocessQuestion(stored);
+            if (collectionsById.has(question.collectionId)) {
+                return question;
+            }
+
+            const fileName = question.original.fileName || 'Untitled';
+            if (!collectionsByFile.has(fileName)) {
+                const collection = createCollectionRecord(fileName, fileName);
+                collectionsByFile.set(fileName, collection);
+                collectionsById.set(collection.id, collection);
+            }
+            return { ...question, collectionId: collectionsByFile.get(fileName).id };
+        });
+
+        await new Promise((resolve, reject) => {
+            const stores = [STORES.QUESTIONS, STORES.COLLECTIONS, STORES.METADATA, STORES.TERM_INDEX, STORES.EMBEDDINGS];
+            const transaction = this.db.transaction([...stores, STORES.SETTINGS], 'readwrite');
+            stores.forEach(store => transaction.objectStore(store).clear());
+
+            const collectionStore = transaction.objectStore(STORES.COLLECTIONS);
+            collectionsById.forEach(collection => collectionStore.put(collection));
+
+            const metadataStore = transaction.objectStore(STORES.METADATA);
+            metadataEntries.forEach(entry => metadataStore.put(entry));
+
+            // Backups from before the synonym dictionary keep the current one
+            if (Array.isArray(backup.synonyms)) {
+                const groups = new SynonymDictionary(backup.synonyms.filter(group => Array.isArray(group))).getGroups();
+                transaction.objectStore(STORES.SETTINGS).put({ key: SYNONYMS_KEY, value: { groups }, updatedAt: Date.now() });
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                const error = new AppError(
+                    ERROR_CODES.DB_TRANSACTION_FAILED,
+                    'Failed to restore backup',
+                    { error: transaction.error }
+                );
+                logError(error, 'IndexedDBManager.restoreBackup');
+                reject(error);
+            };
+        });
+
+        await this.applyQuestionChanges(restored);
+
+        console.log(`[IndexedDB] Restored ${restored.length} questions in ${collectionsById.size} collections`);
+        return { success: true, questions: restored.length, collections: collectionsById.size };
+    }
+
+    /**
+     * Export questions as a shareable file (Anki, flashcard CSV, ...)
+     * @param {string} format - EXPORT_FORMATS value other than JSON
+     * @param {string} filter - QUESTION_FILTERS value
+     * @returns {Promise<{format: string, fileName: string, mimeType: string, content: string}>} File to download
+     */
+    async exportAs(format, filter = QUESTION_FILTERS.ALL) {
+        const exporter = getExporter(format);
+        const questions = (await this.getAllQuestions()).filter(question => matchesFilter(question, filter));
+
+        return {
+            format,
+            fileName: `answerfinder-export-${Date.now()}.${exporter.extension}`,
+            mimeType: exporter.mimeType,
+            content: exporter.serialize(questions)
+        };
+    }
+
     /**
      * Close database connection
      */
@@ -348,5 +1381,105 @@ class IndexedDBManager {
     }
 }
 
+/**
+ * Check the questions of a backup file
+ * @param {Object} backup - Parsed backup file
+ * @returns {Array} Stored question objects
+ * @throws {AppError} If the file is not an exportData() dump
+ */
+function readBackupQuestions(backup) {
+    if (!backup || typeof backup !== 'object' || !Array.isArray(backup.questions)) {
+        throw new AppError(
+            ERROR_CODES.FILE_INVALID_FORMAT,
+            'Not an AnswerFinder backup',
+            { reason: 'A backup is the JSON file written by "Export" with the backup format.' }
+        );
+    }
+
+    const invalid = backup.questions.findIndex(question =>
+        typeof question?.id !== 'string' ||
+        typeof question.original?.question !== 'string' ||
+        typeof question.original?.answer !== 'string' ||
+        typeof question.processed?.normalizedQuestion !== 'string'
+    );
+    if (invalid !== -1) {
+        throw new AppError(
+            ERROR_CODES.FILE_INVALID_FORMAT,
+            'Backup contains an invalid question',
+            { reason: `Question ${invalid + 1} is missing its stored fields.`, index: invalid }
+        );
+    }
+
+    return backup.questions;
+}
+
+/**
+ * Lowercase text the editor search looks through
+ * @param {Object} question - Question object
+ * @returns {string} Question, answer, aliases and tags
+ */
+function searchableText(question) {
+    const { original } = question;
+    return [original.question, original.answer, ...(original.aliases || []), ...(original.tags || [])]
+        .join('\n')
+        .toLowerCase();
+}
+
+/**
+ * Check a question against a QUESTION_FILTERS value
+ * @param {Object} question - Question object
+ * @param {string} filter - QUESTION_FILTERS value (unknown values match everything)
+ * @returns {boolean} True if the question passes the filter
+ */
+function matchesFilter(question, filter) {
+    const isAi = question.metadata?.source === AI_ANSWERS.SOURCE;
+    const isUnverified = isAi && question.metadata.verified === false;
+
+    switch (filter) {
+        case QUESTION_FILTERS.AI:
+            return isAi;
+        case QUESTION_FILTERS.UNVERIFIED:
+            return isUnverified;
+        case QUESTION_FILTERS.VERIFIED:
+            return !isUnverified;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Keep only questions owned by one of the given collections
+ * @param {Array} questions - Question objects
+ * @param {Set<string>|null} collectionIds - Allowed collection IDs (null = all)
+ * @returns {Array} Filtered questions
+ */
+function filterByCollections(questions, collectionIds) {
+    if (!collectionIds) {
+        return questions;
+    }
+    return questions.filter(question => collectionIds.has(question.collectionId));
+}
+
+/**
+ * Check whether a stored question's embedding no longer fits its replacement
+ * @param {Object} previous - Stored question
+ * @param {Object} question - Question replacing it
+ * @returns {boolean} True if the question text, its aliases, its language or its collection changed
+ */
+function isEmbeddingStale(previous, question) {
+    return !sameTexts(getEmbeddingTexts(previous), getEmbeddingTexts(question)) ||
+        previous.language !== question.language ||
+        previous.collectionId !== question.collectionId;
+}
+
+/**
+ * @param {string[]} a - Texts
+ * @param {string[]} b - Texts
+ * @returns {boolean} True if both hold the same texts in the same order
+ */
+function sameTexts(a, b) {
+    return a.length === b.length && a.every((text, index) => text === b[index]);
+}
+
 // Export singleton instance
 export const dbManager = new IndexedDBManager();
@@ -2,10 +2,19 @@
  * @file schema.js
  * @description IndexedDB schema definitions
  * @module lib/storage/schema
+ * @requires lib/storage/term-index
+ * @requires lib/parsers/question-builder
+ * @requires lib/normalization/synonyms
  * @requires lib/utils/constants
  */
 
-import { STORES, INDEXES, DB_VERSION, SCHEMA_VERSION } from '../utils/constants.js';
+import { buildTermDocument, TERM_INDEX_STATS_KEY } from './term-index.js';
+import { reprocessQuestion } from '../parsers/question-builder.js';
+import { SynonymDictionary, SYNONYMS_KEY } from '../normalization/synonyms.js';
+import { STORES, INDEXES, DB_VERSION, SCHEMA_VERSION, AI_ANSWERS, EMBEDDING_CONFIG } from '../utils/constants.js';
+
+// Metadata entry holding the question counts getStats() reports
+export const QUESTION_STATS_KEY = 'question_stats';
 
 /**
  * Database schema definition
@@ -25,6 +34,12 @@ export const SCHEMA = {
                     unique: false,
                     multiEntry: false
                 },
+                {
+                    name: INDEXES.NORMALIZED_ALIASES,
+                    keyPath: 'processed.normalizedAliases',
+                    unique: false,
+                    multiEntry: true
+                },
                 {
                     name: INDEXES.KEYWORDS,
                     keyPath: 'processed.keywords',
@@ -43,10 +58,28 @@ export const SCHEMA = {
                     keyPath: 'original.fileName',
                     unique: false,
                     multiEntry: false
+                },
+                {
+                    name: INDEXES.LANGUAGE,
+                    keyPath: 'language',
+                    unique: false,
+                    multiEntry: false
+                },
+                {
+                    name: INDEXES.COLLECTION_ID,
+                    keyPath: 'collectionId',
+                    unique: false,
+                    multiEntry: false
                 }
             ]
         },
 
+        [STORES.COLLECTIONS]: {
+            keyPath: 'id',
+            autoIncrement: false,
+            indexes: []
+        },
+
         [STORES.METADATA]: {
             keyPath: 'key',
             autoIncrement: false,
@@ -70,6 +103,30 @@ export const SCHEMA = {
             keyPath: 'key',
             autoIncrement: false,
             indexes: []
+        },
+
+        // One record per question (see term-index.js)
+        [STORES.TERM_INDEX]: {
+            keyPath: 'id',
+            autoIncrement: false,
+            indexes: [
+                {
+                    name: INDEXES.TERMS,
+                    keyPath: 'terms',
+                    unique: false,
+                    multiEntry: true
+                }
+            ]
+        },
+
+        // Sentence-embedding vectors per question and alias (see lib/embeddings),
+        // filled in as the last step of an import, for English questions
+        // only. Version 6 added it; existing questions are embedded the
+        // first time the semantic tier runs.
+        [STORES.EMBEDDINGS]: {
+            keyPath: 'id',
+            autoIncrement: false,
+            indexes: []
         }
     }
 };
@@ -104,22 +161,313 @@ export function createStores(db, transaction) {
     }
 }
 
+/**
+ * Migrate existing records between schema versions
+ * Runs inside the upgrade transaction, after createStores()
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {number} oldVersion - Version the database is upgrading from
+ */
+export function migrateStores(transaction, oldVersion) {
+    const steps = [];
+
+    // Version 1 had no collections: group existing questions by source file
+    if (oldVersion >= 1 && oldVersion < 2) {
+        steps.push(migrateToCollections);
+    }
+
+    // Version 7 detects each question's language and normalizes it with
+    // that language's pack; version 8 keeps keyword stems; version 9
+    // writes numbers, units and dates in canonical form; version 10 keeps
+    // code and formula spans whole; version 12 normalizes multiple-choice
+    // options in the question's language; version 14 leaves pronoun "one"
+    // and ambiguous numeric dates as written; version 15 keeps formula
+    // operands as keywords; version 16 keeps English questions with
+    // foreign names English; version 18 only canonicalizes unit names
+    // after a number
+    if (oldVersion >= 1 && oldVersion < 18) {
+        steps.push(reprocessQuestions);
+    }
+
+    // Version 4 added the term index; versions 7, 9 and 10 changed its
+    // terms, version 13 stems them like keywords, version 14 changed the
+    // numeric forms, version 15 adds formula operands, version 16
+    // detects languages differently and version 18 changed the unit terms
+    if (oldVersion >= 1 && oldVersion < 18) {
+        steps.push(buildTermIndex);
+    }
+
+    // Version 5 keeps question counts in the metadata store
+    if (oldVersion >= 1 && oldVersion < 5) {
+        steps.push(countQuestions);
+    }
+
+    // Version 11 embeds aliases too; questions are embedded again
+    if (oldVersion >= 6 && oldVersion < 11) {
+        steps.push(clearEmbeddings);
+    }
+
+    // Version 17 only embeds English questions (and the language index
+    // that finds them is created by createStores)
+    if (oldVersion >= 6 && oldVersion < 17) {
+        steps.push(dropForeignEmbeddings);
+    }
+
+    // Each step walks the questions with a cursor, so they run one after another
+    const runStep = (index) => {
+        if (index < steps.length) {
+            steps[index](transaction, () => runStep(index + 1));
+        }
+    };
+    runStep(0);
+}
+
+/**
+ * Assign every stored question to a collection derived from its source file
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {Function} done - Called once every question has been visited
+ */
+function migrateToCollections(transaction, done) {
+    const questionStore = transaction.objectStore(STORES.QUESTIONS);
+    const collectionStore = transaction.objectStore(STORES.COLLECTIONS);
+    const collectionsByFile = new Map();
+    const cursorRequest = questionStore.openCursor();
+
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+
+        if (!cursor) {
+            for (const collection of collectionsByFile.values()) {
+                collectionStore.put(collection);
+            }
+            done();
+            return;
+        }
+
+        const question = cursor.value;
+        const fileName = question.original?.fileName || 'Untitled';
+
+        if (!collectionsByFile.has(fileName)) {
+            collectionsByFile.set(fileName, createCollectionRecord(fileName, fileName));
+        }
+
+        const collection = collectionsByFile.get(fileName);
+        collection.questionCount++;
+        cursor.update({ ...question, collectionId: collection.id });
+        cursor.continue();
+    };
+}
+
+/**
+ * Detect the language of every stored question and normalize it again
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {Function} done - Called once every question has been visited
+ */
+function reprocessQuestions(transaction, done) {
+    const cursorRequest = transaction.objectStore(STORES.QUESTIONS).openCursor();
+
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+
+        if (!cursor) {
+            done();
+            return;
+        }
+
+        cursor.update(reprocessQuestion(cursor.value));
+        cursor.continue();
+    };
+}
+
+/**
+ * Index every stored question for BM25 candidate retrieval
+ * Existing records are replaced; questions are indexed with the saved synonyms
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {Function} done - Called once every question has been visited
+ */
+function buildTermIndex(transaction, done) {
+    const termStore = transaction.objectStore(STORES.TERM_INDEX);
+    const stats = { documents: 0, totalLength: 0 };
+    const synonymsRequest = transaction.objectStore(STORES.SETTINGS).get(SYNONYMS_KEY);
+
+    synonymsRequest.onsuccess = () => {
+        const synonyms = new SynonymDictionary(synonymsRequest.result?.value?.groups || []);
+        const cursorRequest = transaction.objectStore(STORES.QUESTIONS).openCursor();
+
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+
+            if (!cursor) {
+                transaction.objectStore(STORES.METADATA).put({ key: TERM_INDEX_STATS_KEY, value: stats, updatedAt: Date.now() });
+                done();
+                return;
+            }
+
+            const document = buildTermDocument(cursor.value, synonyms);
+            termStore.put(document);
+            stats.documents++;
+            stats.totalLength += document.length;
+            cursor.continue();
+        };
+    };
+}
+
+/**
+ * Drop every stored embedding, so the semantic index embeds the questions again
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {Function} done - Called once the store is empty
+ */
+function clearEmbeddings(transaction, done) {
+    transaction.objectStore(STORES.EMBEDDINGS).clear().onsuccess = () => done();
+}
+
+/**
+ * Drop the embeddings of questions in a language the model does not handle
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {Function} done - Called once every question has been visited
+ */
+function dropForeignEmbeddings(transaction, done) {
+    const embeddingStore = transaction.objectStore(STORES.EMBEDDINGS);
+    const cursorRequest = transaction.objectStore(STORES.QUESTIONS).openCursor();
+
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+
+        if (!cursor) {
+            done();
+            return;
+        }
+
+        if (!EMBEDDING_CONFIG.LANGUAGES.includes(cursor.value.language)) {
+            embeddingStore.delete(cursor.primaryKey);
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Count the stored questions, and those of each collection
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {Function} done - Called once every question has been visited
+ */
+function countQuestions(transaction, done) {
+    const counts = createQuestionCounts();
+    const byCollection = new Map();
+    const cursorRequest = transaction.objectStore(STORES.QUESTIONS).openCursor();
+
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+
+        if (!cursor) {
+            transaction.objectStore(STORES.METADATA).put({ key: QUESTION_STATS_KEY, value: counts, updatedAt: Date.now() });
+            updateCollectionCounts(transaction.objectStore(STORES.COLLECTIONS), byCollection, true);
+            done();
+            return;
+        }
+
+        const question = cursor.value;
+        addQuestionCounts(counts, question, 1);
+        byCollection.set(question.collectionId, (byCollection.get(question.collectionId) || 0) + 1);
+        cursor.continue();
+    };
+}
+
+/**
+ * Empty question counts
+ * @returns {{total: number, ai: number, unverified: number}} Counts
+ */
+export function createQuestionCounts() {
+    return { total: 0, ai: 0, unverified: 0 };
+}
+
+/**
+ * Add a question to (sign 1) or remove it from (sign -1) question counts
+ * @param {{total: number, ai: number, unverified: number}} counts - Counts to update in place
+ * @param {Object} question - Stored question object
+ * @param {number} sign - 1 or -1
+ */
+export function addQuestionCounts(counts, question, sign) {
+    const isAi = question.metadata?.source === AI_ANSWERS.SOURCE;
+
+    counts.total += sign;
+    if (isAi) {
+        counts.ai += sign;
+        if (question.metadata.verified === false) {
+            counts.unverified += sign;
+        }
+    }
+}
+
+/**
+ * Write per-collection question counts inside a transaction
+ * Collections that no longer exist are skipped
+ * @param {IDBObjectStore} collectionStore - Collections store of a readwrite transaction
+ * @param {Map<string, number>} counts - Collection ID -> count (or change in count)
+ * @param {boolean} absolute - True if counts replace the stored ones
+ */
+export function updateCollectionCounts(collectionStore, counts, absolute) {
+    for (const [collectionId, count] of counts) {
+        if (!absolute && count === 0) continue;
+
+        const request = collectionStore.get(collectionId);
+        request.onsuccess = () => {
+            const collection = request.result;
+            if (collection) {
+                const questionCount = absolute ? count : Math.max(collection.questionCount + count, 0);
+                collectionStore.put({ ...collection, questionCount, updatedAt: Date.now() });
+            }
+        };
+    }
+}
+
+/**
+ * Build a new collection record
+ * @param {string} name - Display name
+ * @param {string|null} sourceFileName - File the collection was imported from
+ * @returns {Object} Collection record
+ */
+export function createCollectionRecord(name, sourceFileName = null) {
+    const now = Date.now();
+
+    return {
+        id: crypto.randomUUID(),
+        name,
+        sourceFileName,
+        enabled: true,
+        questionCount: 0,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
 /**
  * Question object schema (for reference/validation)
  */
 export const QuestionSchema = {
     id: 'string',                    // SHA-256 hash
+    collectionId: 'string',          // Owning collection
+    language: 'string',              // LANGUAGES value detected from the question and aliases
     original: {
         question: 'string',
         answer: 'string',
         lineNumber: 'number',
-        fileName: 'string'
+        fileName: 'string',
+        tags: ['string'],            // Optional
+        aliases: ['string'],         // Optional: alternate phrasings
+        answers: ['string'],         // Optional: multi-part answer
+        explanation: 'string',       // Optional
+        source: 'string',            // Optional: reference for the answer
+        options: ['string'],         // Optional: multiple-choice options
+        correct: 'string',           // Optional: label of the correct option ("B")
+        answerFormat: 'string'       // Optional: 'markdown' when the answer keeps formatting
     },
     processed: {
         normalizedQuestion: 'string',
+        normalizedAliases: ['string'],
+        normalizedOptions: ['string'],
         keywords: [
             {
-                word: 'string',
+                word: 'string',          // Stem the keyword is compared by
+                surface: 'string',       // Keyword as written
                 importance: 'number',
                 type: 'string'
             }
@@ -128,11 +476,32 @@ export const QuestionSchema = {
         questionTypeConfidence: 'number',
         characterCount: 'number',
         wordCount: 'number',
-        hasNumbers: 'boolean',
-        hasDates: 'boolean'
+        numbers: [
+            {
+                value: 'number',
+                unit: 'string',          // Canonical unit ('km', 'celsius'), or null
+                ordinal: 'boolean'
+            }
+        ],
+        dates: ['string']            // YYYY-MM-DD, or YYYY-MM for a month
     },
     metadata: {
         createdAt: 'number',
-        updatedAt: 'number'
+        updatedAt: 'number',
+        source: 'string',            // Optional: 'ai' for a saved AI answer
+        verified: 'boolean'          // Optional: false until a saved AI answer is checked
     }
 };
+
+/**
+ * Collection object schema (for reference/validation)
+ */
+export const CollectionSchema = {
+    id: 'string',                    // Random UUID
+    name: 'string',                  // User-editable display name
+    sourceFileName: 'string',        // File the collection was imported from
+    enabled: 'boolean',              // Included in matching when true
+    questionCount: 'number',
+    createdAt: 'number',
+    updatedAt: 'number'
+};
@@ -0,0 +1,218 @@
+/**
+ * @file stream-importer.js
+ * @description Import files over PARSER_CONFIG.MAX_FILE_SIZE piece by piece
+ * @module lib/storage/stream-importer
+ * @requires lib/parsers/parser-registry
+ * @requires lib/parsers/question-builder
+ * @requires lib/storage/file-importer
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ *
+ * The popup reads the file with File.stream() and sends it in pieces of
+ * PARSER_CONFIG.STREAM_CHUNK_SIZE bytes. Each piece is parsed and committed
+ * before the next one is sent, and the upload's position (byte offset,
+ * reader state and counts so far) is saved in chrome.storage.local. If the
+ * popup closes mid-upload, choosing the same file again resumes there.
+ *
+ * Pieces are always merged. A replace saves the IDs of the collection's
+ * stored questions in the upload and drops each one a piece matches; what
+ * is left when the last piece arrives is deleted. An upload that never
+ * finishes leaves the stored questions in place.
+ */
+
+import { parserRegistry } from '../parsers/parser-registry.js';
+import { buildQuestionObjects } from '../parsers/question-builder.js';
+import { resolveCollection } from './file-importer.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES, IMPORT_MODES } from '../utils/constants.js';
+
+// chrome.storage.local entry of the upload in progress (one at a time)
+export const STREAM_UPLOAD_KEY = 'streamUpload';
+
+// Parse errors kept for the import summary; the rest are only counted
+const MAX_KEPT_ERRORS = 100;
+
+/**
+ * Start a streamed upload, or find the interrupted upload of the same file
+ * @param {Object} dbManager - Database manager
+ * @param {Object} request - Upload request
+ * @param {string} request.fileName - File name
+ * @param {number} request.fileSize - File size in bytes
+ * @param {number} request.lastModified - File modification time (tells apart files with the same name)
+ * @param {string} request.collectionId - Target collection (optional)
+ * @param {string} request.collectionName - Name for a new collection (optional)
+ * @param {string} request.mode - IMPORT_MODES value
+ * @returns {Promise<{uploadId: string, offset: number, resumed: boolean}>} Byte offset to send from
+ * @throws {AppError} If the format cannot be streamed or the collection does not exist
+ */
+export async function startStreamImport(dbManager, request) {
+    const { fileName, fileSize, lastModified, collectionId, collectionName, mode = IMPORT_MODES.REPLACE } = request;
+    parserRegistry.getStreamingParser(fileName, fileSize);
+
+    const saved = await loadUpload();
+    if (saved &&
+        saved.fileName === fileName &&
+        saved.fileSize === fileSize &&
+        saved.lastModified === lastModified &&
+        (await dbManager.getCollection(saved.collectionId).catch(() => null))) {
+        console.log(`[StreamImporter] Resuming ${fileName} at byte ${saved.offset}`);
+        return { uploadId: saved.id, offset: saved.offset, resumed: true };
+    }
+
+    const collection = await resolveCollection(dbManager, { fileName, collectionId, collectionName });
+
+    // Stored questions no piece matches are removed at the end of a replace
+    const stale = mode === IMPORT_MODES.REPLACE
+        ? await dbManager.getQuestionIdsByCollection(collection.id)
+        : [];
+
+    const upload = {
+        id: `upload_${Date.now()}`,
+        fileName,
+        fileSize,
+        lastModified,
+        mode,
+        collectionId: collection.id,
+        offset: 0,
+        reader: null,
+        questions: 0,
+        stale,
+        counts: { added: 0, updated: 0, unchanged: 0, removed: 0, duplicates: 0 },
+        errors: [],
+        totalErrors: 0,
+        startedAt: Date.now()
+    };
+    await saveUpload(upload);
+
+    console.log(`[StreamImporter] Streaming ${fileName} (${fileSize} bytes, ${mode}) into ${collection.id}`);
+    return { uploadId: upload.id, offset: 0, resumed: false };
+}
+
+/**
+ * Parse and commit the next piece of a streamed upload
+ * @param {Object} dbManager - Database manager
+ * @param {Object} piece - Piece sent by the popup
+ * @param {string} piece.uploadId - ID from startStreamImport()
+ * @param {number} piece.offset - Byte offset of the piece in the file
+ * @param {number} piece.size - Byte length of the piece
+ * @param {string} piece.text - Decoded text of the piece
+ * @param {boolean} piece.final - Last piece of the file
+ * @returns {Promise<Object>} {done: false, offset} until the final piece, then
+ * {done: true, collection, importResult, metadata, errors} as importFile() returns
+ * @throws {AppError} If the upload is unknown, the piece is out of order, the collection
+ * was deleted or the file is malformed
+ */
+export async function importStreamChunk(dbManager, { uploadId, offset, size, text, final = false }) {
+    const upload = await loadUpload();
+    if (!upload || upload.id !== uploadId) {
+        throw new AppError(ERROR_CODES.INVALID_INPUT, 'Unknown upload', {
+            reason: 'The upload was cancelled or replaced by another one. Choose the file again.'
+        });
+    }
+    if (offset !== upload.offset) {
+        throw new AppError(ERROR_CODES.INVALID_INPUT, 'Upload piece out of order', {
+            reason: 'Choose the file again to resume the upload.',
+            expected: upload.offset,
+            received: offset
+        });
+    }
+
+    // The collection may have been deleted while the popup was closed
+    await dbManager.getCollection(upload.collectionId);
+
+    const parser = parserRegistry.getStreamingParser(upload.fileName, upload.fileSize);
+    let read;
+    try {
+        const reader = parser.createStreamReader(upload.reader);
+        read = reader.push(text);
+        if (final) {
+            const rest = reader.finish();
+            read.entries.push(...rest.entries);
+            read.errors.push(...rest.errors);
+        }
+        upload.reader = reader.getState();
+    } catch (error) {
+        // A malformed file fails the same way on every retry
+        await clearStreamUpload();
+        throw error;
+    }
+
+    const built = await buildQuestionObjects(read.entries, upload.fileName);
+    if (built.questions.length > 0) {
+        const result = await dbManager.mergeQuestionBatch(upload.collectionId, built.questions);
+        for (const key of ['added', 'updated', 'unchanged', 'duplicates']) {
+            upload.counts[key] += result[key];
+        }
+        const kept = new Set(result.kept);
+        upload.stale = upload.stale.filter(id => !kept.has(id));
+    }
+
+    const errors = [...read.errors, ...built.errors];
+    upload.questions += built.questions.length;
+    upload.errors = upload.errors.concat(errors).slice(0, MAX_KEPT_ERRORS);
+    upload.totalErrors += errors.length;
+    upload.offset = offset + size;
+
+    if (!final) {
+        await saveUpload(upload);
+        return { done: false, offset: upload.offset };
+    }
+
+    if (upload.stale.length > 0) {
+        await dbManager.applyQuestionChanges([], upload.stale);
+        upload.counts.removed = upload.stale.length;
+    }
+    await clearStreamUpload();
+
+    const collection = await dbManager.getCollection(upload.collectionId);
+    const timestamp = Date.now();
+    await dbManager.updateMetadata('import_info', {
+        fileName: upload.fileName,
+        collectionId: collection.id,
+        mode: upload.mode,
+        timestamp,
+        totalQuestions: upload.questions,
+        errors: upload.errors
+    });
+
+    console.log(`[StreamImporter] Finished ${upload.fileName} in ${timestamp - upload.startedAt}ms`, upload.counts);
+    return {
+        done: true,
+        collection,
+        importResult: { success: true, count: collection.questionCount, ...upload.counts },
+        metadata: {
+            fileName: upload.fileName,
+            totalQuestions: upload.questions,
+            totalErrors: upload.totalErrors,
+            timestamp,
+            fileSize: upload.fileSize,
+            format: parser.getSupportedExtensions()[0],
+            streamed: true
+        },
+        errors: upload.errors
+    };
+}
+
+/**
+ * Forget the upload in progress
+ * @returns {Promise<void>}
+ */
+export async function clearStreamUpload() {
+    await chrome.storage.local.remove(STREAM_UPLOAD_KEY);
+}
+
+/**
+ * @returns {Promise<Object|null>} Saved upload, or null
+ */
+async function loadUpload() {
+    const result = await chrome.storage.local.get(STREAM_UPLOAD_KEY);
+    return result[STREAM_UPLOAD_KEY] || null;
+}
+
+/**
+ * @param {Object} upload - Upload to save
+ * @returns {Promise<void>}
+ */
+async function saveUpload(upload) {
+    await chrome.storage.local.set({ [STREAM_UPLOAD_KEY]: upload });
+}
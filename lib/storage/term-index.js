@@ -0,0 +1,132 @@
+/**
+ * @file term-index.js
+ * @description Inverted index records and BM25 scoring for candidate retrieval
+ * @module lib/storage/term-index
+ * @requires lib/normalization/text-normalizer
+ * @requires lib/normalization/stopwords
+ * @requires lib/normalization/language-packs
+ * @requires lib/normalization/stemmer
+ * @requires lib/normalization/technical-text
+ * @requires lib/utils/constants
+ */
+
+import { normalizeForMatching } from '../normalization/text-normalizer.js';
+import { isStopword } from '../normalization/stopwords.js';
+import { detectLanguage, UNSPACED_SCRIPT } from '../normalization/language-packs.js';
+import { stemKeyword } from '../normalization/stemmer.js';
+import { isTechnicalToken, getSpanOperands } from '../normalization/technical-text.js';
+import { LANGUAGES, MATCHING_CONFIG } from '../utils/constants.js';
+
+// Metadata entry holding {documents, totalLength} for the whole index
+export const TERM_INDEX_STATS_KEY = 'term_index';
+
+/**
+ * Split text into index terms
+ * Single characters are kept for digits and for scripts where one
+ * character is often a word. Hyphenated words are split, but not code
+ * and formula spans ("a^2-b^2"), which are followed by their operands
+ * ("a^2", "b^2")
+ * @param {string} text - Raw or normalized text
+ * @param {string} language - LANGUAGES value (default: detected from the text)
+ * @returns {string[]} Terms, in order, with repeats
+ */
+export function tokenize(text, language = detectLanguage(text)) {
+    return normalizeForMatching(text, language)
+        .split(/\s+/)
+        .flatMap(term => (isTechnicalToken(term) ? [term, ...getSpanOperands(term)] : term.split(/-+/)))
+        .filter(term => (term.length >= 2 || /\d/.test(term) || UNSPACED_SCRIPT.test(term)) && !isStopword(term, language));
+}
+
+/**
+ * Add the stems of terms, so different forms of a word share a term
+ * Terms are stemmed like keywords, so the candidates a query finds are
+ * the questions the keyword tier can match
+ * @param {string[]} terms - Terms from tokenize()
+ * @param {string} language - LANGUAGES value
+ * @returns {string[]} The terms, then the stems that differ from them
+ */
+export function withStems(terms, language) {
+    const stems = terms
+        .map(term => stemKeyword(term, language))
+        .filter((stem, i) => stem !== terms[i]);
+    return [...terms, ...stems];
+}
+
+/**
+ * Check whether an index record may match a query of a language
+ * Records and queries of undetermined language match every language
+ * @param {Object} document - Index record from buildTermDocument
+ * @param {string|null} language - Query language (null = any)
+ * @returns {boolean} True if the record is in the query's language
+ */
+export function sharesLanguage(document, language) {
+    return !language ||
+        language === LANGUAGES.UNDETERMINED ||
+        !document.language ||
+        document.language === LANGUAGES.UNDETERMINED ||
+        document.language === language;
+}
+
+/**
+ * Build the index record of a question
+ * The record is small (no answer text), and the multiEntry index on its
+ * terms is the inverted index: term -> records that contain it. Terms are
+ * also indexed under their stems and their synonyms, which do not count
+ * towards the record length.
+ * @param {Object} question - Stored question object
+ * @param {SynonymDictionary|null} synonyms - User synonym dictionary
+ * @returns {{id: string, collectionId: string, language: string, length: number, terms: string[], tf: Object}} Index record
+ */
+export function buildTermDocument(question, synonyms = null) {
+    const language = question.language || LANGUAGES.UNDETERMINED;
+    const texts = [question.original.question, ...(question.original.aliases || [])];
+    const tokenLists = texts.map(text => tokenize(text, language));
+    const tokens = tokenLists.flat();
+    const expanded = synonyms ? tokenLists.flatMap(list => synonyms.expandTerms(list, language)) : [];
+
+    const tf = {};
+    for (const token of withStems([...tokens, ...expanded], language)) {
+        tf[token] = (tf[token] || 0) + 1;
+    }
+
+    return {
+        id: question.id,
+        collectionId: question.collectionId,
+        language,
+        length: tokens.length,
+        terms: Object.keys(tf),
+        tf
+    };
+}
+
+/**
+ * BM25 inverse document frequency (never negative)
+ * @param {number} documentFrequency - Records containing the term
+ * @param {number} documents - Records in the index
+ * @returns {number} IDF weight
+ */
+export function inverseDocumentFrequency(documentFrequency, documents) {
+    return Math.log(1 + (documents - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+/**
+ * BM25 score of an index record for the query terms
+ * @param {Object} document - Index record from buildTermDocument
+ * @param {Map<string, number>} idf - IDF weight of each query term
+ * @param {number} averageLength - Average record length in the index
+ * @returns {number} Score (0 = no term in common)
+ */
+export function bm25Score(document, idf, averageLength) {
+    const k1 = MATCHING_CONFIG.BM25_K1;
+    const lengthNorm = 1 - MATCHING_CONFIG.BM25_B + MATCHING_CONFIG.BM25_B * (document.length / averageLength);
+    let score = 0;
+
+    for (const [term, weight] of idf) {
+        const tf = document.tf[term];
+        if (tf) {
+            score += weight * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+        }
+    }
+
+    return score;
+}
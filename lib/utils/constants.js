@@ -7,7 +7,7 @@
 // Schema and versioning
 export const SCHEMA_VERSION = '1.0.0';
 export const DB_NAME = 'AnswerFinderDB';
-export const DB_VERSION = 1;
+export const DB_VERSION = 18;
 
 // Message types for extension communication
 export const MESSAGE_TYPES = {
@@ -16,8 +16,35 @@ export const MESSAGE_TYPES = {
 
     // File operations
     UPLOAD_FILE: 'UPLOAD_FILE',
+    LIST_FORMATS: 'LIST_FORMATS',
     CLEAR_DATA: 'CLEAR_DATA',
     EXPORT_DATA: 'EXPORT_DATA',
+    IMPORT_BACKUP: 'IMPORT_BACKUP',
+    STREAM_UPLOAD_START: 'STREAM_UPLOAD_START', // Files over PARSER_CONFIG.MAX_FILE_SIZE
+    STREAM_UPLOAD_CHUNK: 'STREAM_UPLOAD_CHUNK',
+
+    // Collection operations
+    LIST_COLLECTIONS: 'LIST_COLLECTIONS',
+    SET_COLLECTION_ENABLED: 'SET_COLLECTION_ENABLED',
+    RENAME_COLLECTION: 'RENAME_COLLECTION',
+    DELETE_COLLECTION: 'DELETE_COLLECTION',
+
+    // Question editing (options page)
+    LIST_QUESTIONS: 'LIST_QUESTIONS',
+    ADD_QUESTION: 'ADD_QUESTION',
+    UPDATE_QUESTION: 'UPDATE_QUESTION',
+    DELETE_QUESTION: 'DELETE_QUESTION',
+    TAG_QUESTIONS: 'TAG_QUESTIONS',
+    VERIFY_QUESTIONS: 'VERIFY_QUESTIONS',
+    SAVE_AI_ANSWER: 'SAVE_AI_ANSWER',
+
+    // Synonym dictionary (options page)
+    GET_SYNONYMS: 'GET_SYNONYMS',
+    SAVE_SYNONYMS: 'SAVE_SYNONYMS',
+
+    // Matching profiles (options page; saved with UPDATE_SETTINGS)
+    GET_MATCHING_PROFILES: 'GET_MATCHING_PROFILES',
+    GET_SEMANTIC_STATUS: 'GET_SEMANTIC_STATUS', // Whether the embedding model is installed
 
     // Statistics and metadata
     GET_STATS: 'GET_STATS',
@@ -27,6 +54,14 @@ export const MESSAGE_TYPES = {
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     GET_SETTINGS: 'GET_SETTINGS',
 
+    // Offscreen document (service worker -> offscreen, progress -> popup)
+    OFFSCREEN_IMPORT: 'OFFSCREEN_IMPORT',
+    OFFSCREEN_SCORE: 'OFFSCREEN_SCORE',
+    OFFSCREEN_SEMANTIC: 'OFFSCREEN_SEMANTIC',
+    OFFSCREEN_SEMANTIC_STATUS: 'OFFSCREEN_SEMANTIC_STATUS',
+    OFFSCREEN_EMBED: 'OFFSCREEN_EMBED',
+    IMPORT_PROGRESS: 'IMPORT_PROGRESS',
+
     // Responses
     RESPONSE: 'RESPONSE',
     ERROR: 'ERROR'
@@ -37,15 +72,22 @@ export const STORES = {
     QUESTIONS: 'questions',
     METADATA: 'metadata',
     QUERY_CACHE: 'queryCache',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    COLLECTIONS: 'collections',
+    TERM_INDEX: 'termIndex',
+    EMBEDDINGS: 'embeddings'
 };
 
 // Index names
 export const INDEXES = {
     NORMALIZED_QUESTION: 'normalizedQuestion',
+    NORMALIZED_ALIASES: 'normalizedAliases',
     KEYWORDS: 'keywords',
     QUESTION_TYPE: 'questionType',
-    FILE_NAME: 'fileName'
+    FILE_NAME: 'fileName',
+    COLLECTION_ID: 'collectionId',
+    LANGUAGE: 'language',
+    TERMS: 'terms'
 };
 
 // Question types
@@ -64,6 +106,7 @@ export const MATCH_TYPES = {
     KEYWORD: 'keyword',
     FUZZY: 'fuzzy',
     PARTIAL: 'partial',
+    SEMANTIC: 'semantic',
     AI: 'ai',
     NONE: null
 };
@@ -84,16 +127,35 @@ export const MATCHING_CONFIG = {
     KEYWORD_MIN_CONFIDENCE: 0.75,
     KEYWORD_MAX_CONFIDENCE: 0.95,
 
+    // Candidate retrieval for tiers 2-4 (BM25 over the term index)
+    BM25_K1: 1.2,
+    BM25_B: 0.75,
+    CANDIDATE_LIMIT: 200, // Best-scoring questions handed to the tiers
+    MAX_POSTINGS: 5000,   // Index records read per query, rarest terms first
+
     // Tier 3: Fuzzy matching
     FUZZY_MIN_SIMILARITY: 0.85,
     FUZZY_MIN_CONFIDENCE: 0.60,
     FUZZY_MAX_CONFIDENCE: 0.80,
     FUZZY_MAX_CANDIDATES: 50,
+    FUZZY_LEVENSHTEIN_WEIGHT: 0.6, // Of the similarity; Jaro-Winkler (better for short strings) has the rest
 
     // Tier 4: Partial matching
     PARTIAL_MIN_SCORE: 0.50,
     PARTIAL_MIN_CONFIDENCE: 0.30,
     PARTIAL_MAX_CONFIDENCE: 0.60,
+    PARTIAL_SUBSTRING_WEIGHT: 0.7, // Of the score; word positions have the rest
+
+    // Tier 5: Semantic matching (sentence embeddings, see EMBEDDING_CONFIG)
+    SEMANTIC_MIN_SIMILARITY: 0.60, // Cosine similarity of query and question
+    SEMANTIC_MIN_CONFIDENCE: 0.50,
+    SEMANTIC_MAX_CONFIDENCE: 0.75,
+
+    // Multiple-choice options
+    OPTION_MIN_SIMILARITY: 0.80, // Page option vs stored option text
+
+    // Ranked results
+    MAX_RESULTS: 5, // Best match plus runners-up, across tiers
 
     // General
     MAX_QUERY_LENGTH: 500,
@@ -108,12 +170,83 @@ export const CACHE_CONFIG = {
 
 // File parsing configuration
 export const PARSER_CONFIG = {
-    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB; larger JSON and TXT files are streamed
+    STREAM_CHUNK_SIZE: 1024 * 1024, // Bytes the popup sends per STREAM_UPLOAD_CHUNK
     BATCH_SIZE: 100, // Questions per IndexedDB transaction
     MAX_QUESTION_LENGTH: 5000,
     MAX_ANSWER_LENGTH: 50000,
     MIN_QUESTION_LENGTH: 3,
-    MIN_ANSWER_LENGTH: 1
+    MIN_ANSWER_LENGTH: 1,
+    SNIFF_CONFIDENCE: 0.9, // Content score that overrides the file extension
+    MARKDOWN_QUESTION_LEVEL: 3 // ### and deeper headings are questions even without "?"
+};
+
+// Offscreen document and its worker pool
+export const WORKER_CONFIG = {
+    OFFSCREEN_URL: 'offscreen/offscreen.html',
+    OFFSCREEN_TARGET: 'offscreen', // message.target of messages for the offscreen document
+    MAX_WORKERS: 4,
+    CHUNK_SIZE: 250 // Entries per build task (one progress step)
+};
+
+// On-device sentence-embedding model of the semantic tier (runs in the
+// offscreen document). The files are not part of the repository:
+// scripts/get-semantic-model.sh downloads them (see USAGE.md)
+export const EMBEDDING_CONFIG = {
+    RUNTIME_URL: 'lib/vendor/onnxruntime-web/ort.wasm.min.mjs', // ONNX Runtime Web, WASM build
+    MODEL_URL: 'models/all-MiniLM-L6-v2/model_quantized.onnx',
+    VOCAB_URL: 'models/all-MiniLM-L6-v2/vocab.txt',
+    MAX_TOKENS: 128,  // Longer questions are cut (the model was trained on 128)
+    BATCH_SIZE: 32,   // Questions embedded per model run
+    LANGUAGES: ['en', 'und'] // Question and query languages embedded; the model is English-only
+};
+
+// Stages reported by IMPORT_PROGRESS
+export const IMPORT_STAGES = {
+    PARSING: 'parsing',
+    BUILDING: 'building',
+    SAVING: 'saving',
+    EMBEDDING: 'embedding' // Semantic tier vectors, when the model is installed
+};
+
+// Import modes for uploading into an existing collection
+export const IMPORT_MODES = {
+    REPLACE: 'replace', // Collection ends up identical to the file
+    MERGE: 'merge'      // Add and update pairs, keep the rest
+};
+
+// Export formats offered next to the internal JSON backup
+export const EXPORT_FORMATS = {
+    JSON: 'json',                   // Internal backup (all fields)
+    CLEAN_JSON: 'clean_json',       // Importable [{question, answer, ...}]
+    TXT: 'txt',                     // Importable Q:/A: marker text
+    CSV: 'csv',                     // Importable question,answer,tags,meta
+    MARKDOWN: 'markdown',           // Importable ### question headings
+    ANKI: 'anki',                   // Anki "Notes in Plain Text"
+    FLASHCARD_CSV: 'flashcard_csv'  // front,back,tags
+};
+
+// Question filters for the editor and exports
+export const QUESTION_FILTERS = {
+    ALL: 'all',
+    AI: 'ai',                 // Saved AI answers
+    UNVERIFIED: 'unverified', // Saved AI answers nobody has checked yet
+    VERIFIED: 'verified'      // Everything except unverified AI answers
+};
+
+// Saved AI answers
+export const AI_ANSWERS = {
+    SOURCE: 'ai',                    // question.metadata.source
+    COLLECTION_NAME: 'AI answers',   // Collection created by the first save
+    COLLECTION_KEY: 'ai_collection'  // Metadata entry holding its ID
+};
+
+// Text normalization (lib/normalization/text-normalizer.js)
+export const NORMALIZATION_CONFIG = {
+    TECHNICAL_TEXT: true, // Keep code and formula spans whole (lib/normalization/technical-text.js)
+    MAX_SPAN_LENGTH: 50,  // Longer spans are normalized as prose
+    MAX_SPAN_WORDS: 8,    // Most words in the arguments of a call: "O(n log n)"
+    LANGUAGE_MARGIN: 2    // Markers another Latin language needs over English words ("who wrote ... de la Mancha" stays English)
 };
 
 // Keyword extraction configuration
@@ -121,7 +254,16 @@ export const KEYWORD_CONFIG = {
     MAX_KEYWORDS: 50,
     MIN_KEYWORD_LENGTH: 3,
     MAX_KEYWORD_LENGTH: 50,
-    IMPORTANCE_THRESHOLD: 0.1
+    IMPORTANCE_THRESHOLD: 0.1,
+    STEMMING: true // Compare keywords by stem (lib/normalization/stemmer.js)
+};
+
+// Synonym dictionary (lib/normalization/synonyms.js)
+export const SYNONYM_CONFIG = {
+    MAX_GROUPS: 5000,
+    MAX_GROUP_TERMS: 20,
+    MAX_MATCHED_KEYWORDS: 8, // Shown with a match
+    MAX_QUERY_VARIANTS: 8    // Rewrites of the query scored by the fuzzy and partial tiers
 };
 
 // Performance targets (ms)
@@ -133,6 +275,19 @@ export const PERFORMANCE_TARGETS = {
     UI_RENDER: 16
 };
 
+// Query latency benchmark (benchmark/benchmark.html)
+export const BENCHMARK_CONFIG = {
+    DB_NAME: 'AnswerFinderBenchmarkDB',
+    SIZES: [1000, 10000, 100000],
+    QUERIES_PER_SIZE: 50,
+    SEED: 42
+};
+
+// Test page (tests/tests.html)
+export const TEST_CONFIG = {
+    DB_NAME: 'AnswerFinderTestDB'
+};
+
 // Error codes
 export const ERROR_CODES = {
     // File errors
@@ -145,6 +300,11 @@ export const ERROR_CODES = {
     DB_UNAVAILABLE: 'DB_UNAVAILABLE',
     DB_TRANSACTION_FAILED: 'DB_TRANSACTION_FAILED',
     DB_CORRUPTED: 'DB_CORRUPTED',
+    COLLECTION_NOT_FOUND: 'COLLECTION_NOT_FOUND',
+    QUESTION_NOT_FOUND: 'QUESTION_NOT_FOUND',
+
+    // Semantic matching errors
+    MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
 
     // Query errors
     QUERY_EMPTY: 'QUERY_EMPTY',
@@ -152,6 +312,7 @@ export const ERROR_CODES = {
     NO_DATA_LOADED: 'NO_DATA_LOADED',
 
     // General errors
+    INVALID_INPUT: 'INVALID_INPUT',
     UNKNOWN_ERROR: 'UNKNOWN_ERROR',
     TIMEOUT: 'TIMEOUT'
 };
@@ -160,14 +321,24 @@ export const ERROR_CODES = {
 export const UI_CONFIG = {
     OVERLAY_FADE_DURATION: 200,
     OVERLAY_MAX_WIDTH: 500,
-    OVERLAY_OFFSET: 10
+    OVERLAY_OFFSET: 10,
+    EDITOR_PAGE_SIZE: 25,     // Rows per page in the options page table
+    EDITOR_MAX_PAGE_SIZE: 200
+};
+
+// Matching profiles (lib/matching/matching-profiles.js)
+export const MATCHING_PROFILES = {
+    STRICT: 'strict',     // Close matches only; no partial matches
+    BALANCED: 'balanced', // The MATCHING_CONFIG values
+    LENIENT: 'lenient',   // More matches, for loosely worded content
+    CUSTOM: 'custom'      // settings.customMatchingProfile, over balanced
 };
 
 // Default settings
 export const DEFAULT_SETTINGS = {
     minConfidence: 0.5,
-    fuzzyMatchingEnabled: true,
-    partialMatchingEnabled: true,
+    matchingProfile: MATCHING_PROFILES.BALANCED,
+    customMatchingProfile: {}, // {tier: {setting: value}}, see PROFILE_FIELDS in lib/matching/matching-profiles.js
     showMatchedQuestion: true,
     aiEnabled: false,
     aiProxyUrl: 'https://answerfinder-ai-proxy.answerfinder.workers.dev',
@@ -184,6 +355,21 @@ export const ENTITY_TYPES = {
     TECHNICAL_TERM: 'technical_term'
 };
 
+// Question and query languages (ISO 639-1); see lib/normalization/language-packs.js
+export const LANGUAGES = {
+    ENGLISH: 'en',
+    SPANISH: 'es',
+    GERMAN: 'de',
+    HINDI: 'hi',
+    CHINESE: 'zh',
+    JAPANESE: 'ja',
+    KOREAN: 'ko',
+    THAI: 'th',
+    ARABIC: 'ar',
+    RUSSIAN: 'ru',
+    UNDETERMINED: 'und'              // Too short or too mixed to tell; matches every language
+};
+
 // Keyword types
 export const KEYWORD_TYPES = {
     ENTITY: 'entity',
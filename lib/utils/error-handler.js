@@ -28,7 +28,7 @@ export class AppError extends Error {
  */
 export function getUserFriendlyMessage(code, details = {}) {
     const messages = {
-        [ERROR_CODES.FILE_TOO_LARGE]: `File is too large (${details.size}MB). Maximum size is ${details.maxSize}MB.`,
+        [ERROR_CODES.FILE_TOO_LARGE]: `File is too large (${details.size}MB). Maximum size is ${details.maxSize}MB.${details.reason ? ` ${details.reason}` : ''}`,
         [ERROR_CODES.FILE_INVALID_FORMAT]: `Invalid file format. ${details.reason || 'Please check the file structure.'}`,
         [ERROR_CODES.FILE_ENCODING_ERROR]: 'File encoding error. Please ensure the file is UTF-8 encoded.',
 
@@ -36,11 +36,16 @@ export function getUserFriendlyMessage(code, details = {}) {
         [ERROR_CODES.DB_UNAVAILABLE]: 'Database unavailable. Please reload the extension.',
         [ERROR_CODES.DB_TRANSACTION_FAILED]: 'Database operation failed. Please try again.',
         [ERROR_CODES.DB_CORRUPTED]: 'Database corrupted. Please clear data and re-upload your file.',
+        [ERROR_CODES.COLLECTION_NOT_FOUND]: 'Collection not found. It may have been deleted.',
+        [ERROR_CODES.QUESTION_NOT_FOUND]: 'Question not found. It may have been deleted.',
+
+        [ERROR_CODES.MODEL_UNAVAILABLE]: 'The semantic matching model is not installed. Run scripts/get-semantic-model.sh to add it (see USAGE.md).',
 
         [ERROR_CODES.QUERY_EMPTY]: 'Please select some text to search.',
         [ERROR_CODES.QUERY_TOO_LONG]: `Selected text is too long (${details.length} characters). Maximum is ${details.maxLength}.`,
         [ERROR_CODES.NO_DATA_LOADED]: 'No answer data loaded. Please upload a Q&A file first.',
 
+        [ERROR_CODES.INVALID_INPUT]: `Invalid input. ${details.reason || 'Please check the values you entered.'}`,
         [ERROR_CODES.TIMEOUT]: 'Operation timed out. Please try again.',
         [ERROR_CODES.UNKNOWN_ERROR]: 'An unexpected error occurred. Please try again.'
     };
@@ -134,3 +139,34 @@ export function assert(condition, errorCode, message, details = {}) {
         throw new AppError(errorCode, message, details);
     }
 }
+
+/**
+ * Turn an error into plain data that survives postMessage and extension messaging
+ * @param {Error|AppError} error - Error object
+ * @returns {{code: string, message: string, details: Object}} Error data
+ */
+export function serializeError(error) {
+    const details = error instanceof AppError ? error.details : { originalMessage: error.message };
+    let plainDetails = {};
+
+    try {
+        plainDetails = JSON.parse(JSON.stringify(details || {}));
+    } catch (serializeFailure) {
+        // Details with cycles are dropped
+    }
+
+    return {
+        code: error.code || ERROR_CODES.UNKNOWN_ERROR,
+        message: error.message,
+        details: plainDetails
+    };
+}
+
+/**
+ * Rebuild an error sent with serializeError()
+ * @param {{code: string, message: string, details: Object}} data - Error data
+ * @returns {AppError} Error
+ */
+export function deserializeError(data) {
+    return new AppError(data?.code || ERROR_CODES.UNKNOWN_ERROR, data?.message || 'Unknown error', data?.details || {});
+}
@@ -18,15 +18,27 @@ export async function sha256(text) {
     return hashHex;
 }
 
+/**
+ * Build the text that tells a question apart within a collection
+ * Multiple-choice stems repeat ("Which of the following is true?"), so
+ * the options are part of it when there are any
+ * @param {Object} processed - Processed fields of a question object
+ * @returns {string} Normalized question, then each normalized option on its own line
+ */
+export function getQuestionKey(processed) {
+    return [processed.normalizedQuestion, ...(processed.normalizedOptions || [])].join('\n');
+}
+
 /**
  * Generate deterministic ID for a question
- * @param {string} normalizedQuestion - Normalized question text
- * @param {number} lineNumber - Line number in source file
- * @param {string} fileName - Source file name
+ * Position in the file is deliberately not part of the ID, so inserting or
+ * reordering lines keeps existing IDs stable
+ * @param {string} questionKey - Key from getQuestionKey()
+ * @param {string} scope - Owning collection ID (or source file name before import)
  * @returns {Promise<string>} Unique question ID
  */
-export async function generateQuestionId(normalizedQuestion, lineNumber, fileName) {
-    const composite = `${normalizedQuestion}|${lineNumber}|${fileName}`;
+export async function generateQuestionId(questionKey, scope) {
+    const composite = `${questionKey}|${scope}`;
     return await sha256(composite);
 }
 
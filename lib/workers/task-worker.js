@@ -0,0 +1,20 @@
+/**
+ * @file task-worker.js
+ * @description Dedicated worker entry point: runs one task per message
+ * @module lib/workers/task-worker
+ * @requires lib/workers/tasks
+ * @requires lib/utils/error-handler
+ */
+
+import { runTask } from './tasks.js';
+import { serializeError } from '../utils/error-handler.js';
+
+self.onmessage = async (event) => {
+    const { id, task, payload } = event.data;
+
+    try {
+        self.postMessage({ id, result: await runTask(task, payload) });
+    } catch (error) {
+        self.postMessage({ id, error: serializeError(error) });
+    }
+};
@@ -0,0 +1,109 @@
+/**
+ * @file tasks.js
+ * @description CPU-heavy tasks that run in the worker pool (or inline when
+ * no offscreen document is available)
+ * @module lib/workers/tasks
+ * @requires lib/parsers/question-builder
+ * @requires lib/matching/fuzzy-matcher
+ * @requires lib/matching/partial-matcher
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { buildQuestionObjects } from '../parsers/question-builder.js';
+import { fuzzyMatch } from '../matching/fuzzy-matcher.js';
+import { partialMatch } from '../matching/partial-matcher.js';
+import { AppError } from '../utils/error-handler.js';
+import { ERROR_CODES } from '../utils/constants.js';
+
+// Task names understood by runTask()
+export const WORKER_TASKS = {
+    BUILD_QUESTIONS: 'buildQuestions',
+    SCORE_CANDIDATES: 'scoreCandidates'
+};
+
+const TASKS = {
+    [WORKER_TASKS.BUILD_QUESTIONS]: ({ entries, fileName }) => buildQuestionObjects(entries, fileName),
+    [WORKER_TASKS.SCORE_CANDIDATES]: request => scoreCandidates(request)
+};
+
+/**
+ * Run a task by name
+ * @param {string} task - WORKER_TASKS value
+ * @param {Object} payload - Task input
+ * @returns {Promise<any>} Task result
+ * @throws {AppError} If the task is unknown
+ */
+export async function runTask(task, payload) {
+    if (!TASKS[task]) {
+        throw new AppError(ERROR_CODES.INVALID_INPUT, `Unknown worker task "${task}"`, {
+            reason: `Unknown worker task "${task}".`
+        });
+    }
+    return TASKS[task](payload);
+}
+
+/**
+ * Run the fuzzy and partial tiers over candidate questions
+ * @param {Object} request - Scoring request
+ * @param {string} request.normalizedQuery - Normalized query
+ * @param {string[]} request.queryVariants - The query with synonyms swapped in; a
+ * question scores by its best-scoring query
+ * @param {Array} request.candidates - Candidate questions, as getScoringFields() returns them
+ * @param {number} request.limit - Maximum number of results per tier
+ * @param {Object} request.fuzzy - Fuzzy settings of the matching profile (the tier runs if enabled)
+ * @param {Object} request.partial - Partial settings of the matching profile (the tier runs if enabled)
+ * @returns {{fuzzy: Array, partial: Array}} Match results of each tier, best first
+ */
+export function scoreCandidates({ normalizedQuery, queryVariants = [], candidates, limit, fuzzy, partial }) {
+    const queries = [normalizedQuery, ...queryVariants];
+    const score = (matcher, settings) =>
+        bestPerQuestion(queries.map(query => matcher(query, candidates, limit, settings)), limit);
+
+    return {
+        fuzzy: fuzzy?.enabled ? score(fuzzyMatch, fuzzy) : [],
+        partial: partial?.enabled ? score(partialMatch, partial) : []
+    };
+}
+
+/**
+ * Keep only the fields of a question the fuzzy and partial tiers read, so
+ * a scoring request sent to the worker pool stays small; results name the
+ * question by ID
+ * @param {Object} question - Stored question object
+ * @returns {Object} ID, language, aliases and normalized texts
+ */
+export function getScoringFields(question) {
+    return {
+        id: question.id,
+        language: question.language,
+        original: { aliases: question.original.aliases },
+        processed: {
+            normalizedQuestion: question.processed.normalizedQuestion,
+            normalizedAliases: question.processed.normalizedAliases
+        }
+    };
+}
+
+/**
+ * Merge the results of several queries, keeping each question's best match
+ * @param {Array[]} resultLists - Match results of each query
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Match results, best first
+ */
+function bestPerQuestion(resultLists, limit) {
+    if (resultLists.length === 1) {
+        return resultLists[0];
+    }
+
+    const best = new Map();
+    for (const match of resultLists.flat()) {
+        const current = best.get(match.question.id);
+        if (!current || match.confidence > current.confidence) {
+            best.set(match.question.id, match);
+        }
+    }
+    return [...best.values()]
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+}
@@ -0,0 +1,124 @@
+/**
+ * @file worker-pool.js
+ * @description Fixed-size pool of module workers running lib/workers/tasks
+ * @module lib/workers/worker-pool
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { AppError, deserializeError } from '../utils/error-handler.js';
+import { ERROR_CODES } from '../utils/constants.js';
+
+/**
+ * Worker pool
+ * Workers are started on demand; tasks beyond the pool size wait in a queue
+ */
+export class WorkerPool {
+    /**
+     * @param {string|URL} scriptUrl - Worker entry point (lib/workers/task-worker.js)
+     * @param {number} size - Maximum number of workers
+     */
+    constructor(scriptUrl, size) {
+        this.scriptUrl = scriptUrl;
+        this.size = Math.max(1, size);
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running = new Map(); // worker -> job
+        this.nextId = 1;
+    }
+
+    /**
+     * Run a task on the next free worker
+     * @param {string} task - WORKER_TASKS value
+     * @param {Object} payload - Task input (structured-cloneable)
+     * @returns {Promise<any>} Task result
+     */
+    run(task, payload) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, task, payload, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand queued jobs to free workers
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.idle.pop() || this.spawn();
+            if (!worker) return;
+
+            const job = this.queue.shift();
+            this.running.set(worker, job);
+            worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+        }
+    }
+
+    /**
+     * Start a worker if the pool is not full
+     * @returns {Worker|null} New worker
+     */
+    spawn() {
+        if (this.workers.length >= this.size) {
+            return null;
+        }
+
+        const worker = new Worker(this.scriptUrl, { type: 'module' });
+        worker.onmessage = (event) => this.settle(worker, event.data);
+        worker.onerror = (event) => this.fail(worker, event);
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Resolve a worker's job and give it the next one
+     * @param {Worker} worker - Worker that answered
+     * @param {{result: any, error: Object}} data - Worker response
+     */
+    settle(worker, { result, error }) {
+        const job = this.running.get(worker);
+        this.running.delete(worker);
+        this.idle.push(worker);
+
+        if (error) {
+            job.reject(deserializeError(error));
+        } else {
+            job.resolve(result);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Drop a worker that crashed and reject its job
+     * @param {Worker} worker - Failed worker
+     * @param {ErrorEvent} event - Error event
+     */
+    fail(worker, event) {
+        event.preventDefault();
+        worker.terminate();
+        this.workers = this.workers.filter(entry => entry !== worker);
+        this.idle = this.idle.filter(entry => entry !== worker);
+
+        const job = this.running.get(worker);
+        this.running.delete(worker);
+        job?.reject(new AppError(ERROR_CODES.UNKNOWN_ERROR, 'Worker failed', {
+            originalMessage: event.message
+        }));
+        this.dispatch();
+    }
+
+    /**
+     * Stop every worker; queued jobs are rejected
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        for (const job of [...this.running.values(), ...this.queue]) {
+            job.reject(new AppError(ERROR_CODES.UNKNOWN_ERROR, 'Worker pool stopped'));
+        }
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running.clear();
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * @file offscreen.js
+ * @description Offscreen document: runs uploads and match scoring on a
+ * worker pool, and the semantic tier's embedding model, away from the
+ * service worker
+ * @module offscreen/offscreen
+ * @requires lib/workers/worker-pool
+ * @requires lib/workers/tasks
+ * @requires lib/embeddings/embedding-model
+ * @requires lib/embeddings/semantic-index
+ * @requires lib/storage/file-importer
+ * @requires lib/storage/indexeddb-manager
+ * @requires lib/utils/error-handler
+ * @requires lib/utils/constants
+ */
+
+import { WorkerPool } from "../lib/workers/worker-pool.js";
+import { WORKER_TASKS } from "../lib/workers/tasks.js";
+import { EmbeddingModel } from "../lib/embeddings/embedding-model.js";
+import { SemanticIndex } from "../lib/embeddings/semantic-index.js";
+import {
+  importFile,
+  createProgressReporter,
+} from "../lib/storage/file-importer.js";
+import { dbManager } from "../lib/storage/indexeddb-manager.js";
+import { logError, serializeError } from "../lib/utils/error-handler.js";
+import {
+  IMPORT_STAGES,
+  MESSAGE_TYPES,
+  WORKER_CONFIG,
+} from "../lib/utils/constants.js";
+
+// Leave a core for the browser itself
+const pool = new WorkerPool(
+  new URL("../lib/workers/task-worker.js", import.meta.url),
+  Math.min(
+    Math.max((navigator.hardwareConcurrency || 2) - 1, 1),
+    WORKER_CONFIG.MAX_WORKERS,
+  ),
+);
+
+// Embed questions stored while the document was closed
+const semanticIndex = new SemanticIndex(dbManager, new EmbeddingModel());
+semanticIndex.update();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Messages between the popup and the service worker arrive here too
+  if (message.target !== WORKER_CONFIG.OFFSCREEN_TARGET) {
+    return false;
+  }
+
+  switch (message.type) {
+    case MESSAGE_TYPES.OFFSCREEN_IMPORT:
+      respond(runImport(message.payload), "offscreen.import", sendResponse);
+      return true; // Async response
+
+    case MESSAGE_TYPES.OFFSCREEN_SCORE:
+      respond(
+        pool.run(WORKER_TASKS.SCORE_CANDIDATES, message.payload),
+        "offscreen.score",
+        sendResponse,
+      );
+      return true; // Async response
+
+    case MESSAGE_TYPES.OFFSCREEN_SEMANTIC:
+      respond(
+        semanticIndex.search(message.payload),
+        "offscreen.semantic",
+        sendResponse,
+      );
+      return true; // Async response
+
+    case MESSAGE_TYPES.OFFSCREEN_EMBED:
+      respond(
+        embedImport(message.payload.fileName),
+        "offscreen.embed",
+        sendResponse,
+      );
+      return true; // Async response
+
+    case MESSAGE_TYPES.OFFSCREEN_SEMANTIC_STATUS:
+      respond(
+        semanticIndex.getStatus(),
+        "offscreen.semanticStatus",
+        sendResponse,
+      );
+      return true; // Async response
+
+    default:
+      return false;
+  }
+});
+
+/**
+ * Send the outcome of a task back to the service worker
+ * @param {Promise} task - Running task
+ * @param {string} context - Context for error logging
+ * @param {Function} sendResponse - Response callback
+ */
+async function respond(task, context, sendResponse) {
+  try {
+    sendResponse({ type: MESSAGE_TYPES.RESPONSE, payload: await task });
+  } catch (error) {
+    logError(error, context);
+    sendResponse({ type: MESSAGE_TYPES.ERROR, error: serializeError(error) });
+  }
+}
+
+/**
+ * Import an uploaded file, building questions on the pool
+ * @param {Object} request - UPLOAD_FILE payload
+ * @returns {Promise<Object>} importFile() outcome
+ */
+function runImport(request) {
+  return importFile(dbManager, request, {
+    build: buildOnPool,
+    onProgress: createProgressReporter(request.fileName),
+  });
+}
+
+/**
+ * Embed the questions of a finished import, reporting progress
+ * @param {string} fileName - Uploaded file name
+ * @returns {Promise<void>} Settles when they are embedded (at once if the
+ * model is not installed)
+ */
+function embedImport(fileName) {
+  const report = createProgressReporter(fileName);
+  return semanticIndex.update((done, total) =>
+    report(IMPORT_STAGES.EMBEDDING, done, total),
+  );
+}
+
+/**
+ * Build question objects in chunks spread over the pool
+ * @param {Array} entries - Entries from Parser.readEntries
+ * @param {string} fileName - Source file name
+ * @param {Function} onBuilt - (done) => void, called as chunks finish
+ * @returns {Promise<{questions: Array, errors: Array}>} Questions in entry order
+ */
+async function buildOnPool(entries, fileName, onBuilt) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += WORKER_CONFIG.CHUNK_SIZE) {
+    chunks.push(entries.slice(i, i + WORKER_CONFIG.CHUNK_SIZE));
+  }
+
+  let done = 0;
+  const results = await Promise.all(
+    chunks.map(async (chunk) => {
+      const result = await pool.run(WORKER_TASKS.BUILD_QUESTIONS, {
+        entries: chunk,
+        fileName,
+      });
+      done += chunk.length;
+      onBuilt(done);
+      return result;
+    }),
+  );
+
+  return {
+    questions: results.flatMap((result) => result.questions),
+    errors: results.flatMap((result) => result.errors),
+  };
+}
@@ -0,0 +1,625 @@
+/**
+ * @file options.js
+ * @description Options page: searchable, paginated Q&A editor
+ * @module options/options
+ */
+
+const PAGE_SIZE = 25;
+const ANSWER_PREVIEW_LENGTH = 200;
+
+// DOM elements
+const searchInput = document.getElementById("searchInput");
+const collectionFilter = document.getElementById("collectionFilter");
+const tagFilter = document.getElementById("tagFilter");
+const sourceFilter = document.getElementById("sourceFilter");
+const addBtn = document.getElementById("addBtn");
+const addForm = document.getElementById("addForm");
+const addCollection = document.getElementById("addCollection");
+const addQuestion = document.getElementById("addQuestion");
+const addAnswer = document.getElementById("addAnswer");
+const addTags = document.getElementById("addTags");
+const addSaveBtn = document.getElementById("addSaveBtn");
+const addCancelBtn = document.getElementById("addCancelBtn");
+const matchingBtn = document.getElementById("matchingBtn");
+const matchingForm = document.getElementById("matchingForm");
+const matchingProfile = document.getElementById("matchingProfile");
+const matchingFields = document.getElementById("matchingFields");
+const matchingSaveBtn = document.getElementById("matchingSaveBtn");
+const matchingCancelBtn = document.getElementById("matchingCancelBtn");
+const semanticStatus = document.getElementById("semanticStatus");
+const synonymsBtn = document.getElementById("synonymsBtn");
+const synonymsForm = document.getElementById("synonymsForm");
+const synonymsInput = document.getElementById("synonymsInput");
+const synonymsSaveBtn = document.getElementById("synonymsSaveBtn");
+const synonymsImportBtn = document.getElementById("synonymsImportBtn");
+const synonymsCancelBtn = document.getElementById("synonymsCancelBtn");
+const synonymsFile = document.getElementById("synonymsFile");
+const bulkBar = document.getElementById("bulkBar");
+const selectedCount = document.getElementById("selectedCount");
+const bulkTags = document.getElementById("bulkTags");
+const bulkAddTagsBtn = document.getElementById("bulkAddTagsBtn");
+const bulkRemoveTagsBtn = document.getElementById("bulkRemoveTagsBtn");
+const bulkVerifyBtn = document.getElementById("bulkVerifyBtn");
+const bulkDeleteBtn = document.getElementById("bulkDeleteBtn");
+const statusEl = document.getElementById("status");
+const selectAll = document.getElementById("selectAll");
+const questionsBody = document.getElementById("questionsBody");
+const emptyState = document.getElementById("emptyState");
+const prevBtn = document.getElementById("prevBtn");
+const nextBtn = document.getElementById("nextBtn");
+const pageInfo = document.getElementById("pageInfo");
+
+// Page state
+let collections = [];
+let page = 0;
+let total = 0;
+let rows = [];
+const selected = new Set();
+let searchTimer = null;
+let matchingProfiles = null; // GET_MATCHING_PROFILES result while the form is open
+
+// Initialize
+init();
+
+async function init() {
+  await loadCollections();
+  await loadQuestions();
+  setupEventListeners();
+}
+
+function setupEventListeners() {
+  // Search as the user types, without a request per keystroke
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => reload(), 250);
+  });
+  collectionFilter.addEventListener("change", () => reload());
+  tagFilter.addEventListener("change", () => reload());
+  sourceFilter.addEventListener("change", () => reload());
+
+  addBtn.addEventListener("click", openAddForm);
+  addSaveBtn.addEventListener("click", saveNewQuestion);
+  addCancelBtn.addEventListener("click", () => (addForm.hidden = true));
+
+  matchingBtn.addEventListener("click", openMatchingForm);
+  matchingProfile.addEventListener("change", renderMatchingFields);
+  matchingSaveBtn.addEventListener("click", saveMatchingProfile);
+  matchingCancelBtn.addEventListener(
+    "click",
+    () => (matchingForm.hidden = true),
+  );
+
+  synonymsBtn.addEventListener("click", openSynonymsForm);
+  synonymsSaveBtn.addEventListener("click", () =>
+    saveSynonyms(synonymsInput.value, false),
+  );
+  synonymsImportBtn.addEventListener("click", () => synonymsFile.click());
+  synonymsFile.addEventListener("change", importSynonyms);
+  synonymsCancelBtn.addEventListener(
+    "click",
+    () => (synonymsForm.hidden = true),
+  );
+
+  selectAll.addEventListener("change", () => {
+    for (const question of rows) {
+      if (selectAll.checked) {
+        selected.add(question.id);
+      } else {
+        selected.delete(question.id);
+      }
+    }
+    renderRows();
+  });
+
+  bulkAddTagsBtn.addEventListener("click", () => bulkTag("add"));
+  bulkRemoveTagsBtn.addEventListener("click", () => bulkTag("remove"));
+  bulkVerifyBtn.addEventListener("click", () => verifyQuestions([...selected]));
+  bulkDeleteBtn.addEventListener("click", bulkDelete);
+
+  prevBtn.addEventListener("click", () => {
+    page--;
+    loadQuestions();
+  });
+  nextBtn.addEventListener("click", () => {
+    page++;
+    loadQuestions();
+  });
+}
+
+/**
+ * Send a message to the background script
+ * @param {string} type - MESSAGE_TYPES value
+ * @param {Object} payload - Message payload
+ * @returns {Promise<Object>} Response payload
+ * @throws {Error} With the user-facing message if the request failed
+ */
+async function send(type, payload) {
+  const response = await chrome.runtime.sendMessage({
+    type,
+    payload,
+    requestId: Date.now().toString(),
+  });
+
+  if (response?.type !== "RESPONSE") {
+    throw new Error(
+      response?.error?.error?.message ||
+        response?.error?.message ||
+        "Request failed",
+    );
+  }
+  return response.payload;
+}
+
+function showStatus(type, message) {
+  statusEl.className = `result ${type}`;
+  statusEl.textContent = message;
+  statusEl.hidden = false;
+}
+
+async function loadCollections() {
+  try {
+    ({ collections } = await send("LIST_COLLECTIONS"));
+  } catch (error) {
+    showStatus("error", error.message);
+    return;
+  }
+
+  for (const select of [collectionFilter, addCollection]) {
+    const current = select.value;
+    select
+      .querySelectorAll("option:not([value=''])")
+      .forEach((option) => option.remove());
+
+    for (const collection of collections) {
+      select.add(new Option(collection.name, collection.id));
+    }
+    select.value = current;
+  }
+}
+
+async function loadQuestions() {
+  try {
+    const result = await send("LIST_QUESTIONS", {
+      search: searchInput.value,
+      collectionId: collectionFilter.value || null,
+      tag: tagFilter.value || null,
+      filter: sourceFilter.value,
+      offset: page * PAGE_SIZE,
+      limit: PAGE_SIZE,
+    });
+
+    // Deleting the last rows of the last page leaves it empty
+    if (result.questions.length === 0 && page > 0) {
+      page = Math.max(Math.ceil(result.total / PAGE_SIZE) - 1, 0);
+      return loadQuestions();
+    }
+
+    rows = result.questions;
+    total = result.total;
+    renderTagFilter(result.tags);
+    renderRows();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+function reload() {
+  page = 0;
+  selected.clear();
+  loadQuestions();
+}
+
+function renderTagFilter(tags) {
+  const current = tagFilter.value;
+  tagFilter
+    .querySelectorAll("option:not([value=''])")
+    .forEach((option) => option.remove());
+
+  for (const tag of tags) {
+    tagFilter.add(new Option(tag, tag));
+  }
+  tagFilter.value = tags.includes(current) ? current : "";
+}
+
+function renderRows() {
+  questionsBody.replaceChildren(...rows.map(renderRow));
+  emptyState.hidden = rows.length > 0;
+
+  // Pagination
+  const first = total === 0 ? 0 : page * PAGE_SIZE + 1;
+  const last = Math.min((page + 1) * PAGE_SIZE, total);
+  pageInfo.textContent = `${first}–${last} of ${total}`;
+  prevBtn.disabled = page === 0;
+  nextBtn.disabled = last >= total;
+
+  // Selection
+  selectAll.checked =
+    rows.length > 0 && rows.every((question) => selected.has(question.id));
+  bulkBar.hidden = selected.size === 0;
+  selectedCount.textContent = `${selected.size} selected`;
+}
+
+function renderRow(question) {
+  const { original } = question;
+  const row = document.createElement("tr");
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = selected.has(question.id);
+  checkbox.addEventListener("change", () => {
+    if (checkbox.checked) {
+      selected.add(question.id);
+    } else {
+      selected.delete(question.id);
+    }
+    renderRows();
+  });
+
+  const answer =
+    original.answer.length > ANSWER_PREVIEW_LENGTH
+      ? `${original.answer.slice(0, ANSWER_PREVIEW_LENGTH)}…`
+      : original.answer;
+
+  const tags = (original.tags || []).map((tag) => {
+    const chip = document.createElement("span");
+    chip.className = "tag";
+    chip.textContent = tag;
+    return chip;
+  });
+
+  // Saved AI answers are flagged until someone checks them
+  const unverified = isUnverified(question);
+  if (question.metadata?.source === "ai") {
+    const chip = document.createElement("span");
+    chip.className = unverified ? "tag tag-ai tag-unverified" : "tag tag-ai";
+    chip.textContent = unverified ? "AI, unverified" : "AI";
+    tags.unshift(chip);
+  }
+
+  const editBtn = document.createElement("button");
+  editBtn.className = "row-action";
+  editBtn.textContent = "Edit";
+  editBtn.addEventListener("click", () =>
+    row.replaceWith(renderEditRow(question)),
+  );
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "row-action danger";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.addEventListener("click", () => deleteQuestions([question.id]));
+
+  const actions = [editBtn, deleteBtn];
+  if (unverified) {
+    const verifyBtn = document.createElement("button");
+    verifyBtn.className = "row-action";
+    verifyBtn.textContent = "Verify";
+    verifyBtn.addEventListener("click", () => verifyQuestions([question.id]));
+    actions.unshift(verifyBtn);
+  }
+
+  row.append(
+    cell(checkbox),
+    cell(original.question),
+    cell(answer, "cell-answer"),
+    cell(tags),
+    cell(collectionName(question.collectionId), "cell-collection"),
+    cell(actions),
+  );
+  return row;
+}
+
+function renderEditRow(question) {
+  const { original } = question;
+  const row = document.createElement("tr");
+  row.className = "editing";
+
+  const questionInput = textArea(original.question, 2);
+  const answerInput = textArea(original.answer, 4);
+  const aliasesInput = textArea((original.aliases || []).join("\n"), 2);
+  aliasesInput.placeholder = "Aliases, one per line";
+  const explanationInput = textArea(original.explanation || "", 2);
+  explanationInput.placeholder = "Explanation";
+  const tagsInput = document.createElement("input");
+  tagsInput.className = "input";
+  tagsInput.value = (original.tags || []).join(", ");
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "row-action";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", () =>
+    saveQuestion(question, {
+      question: questionInput.value,
+      answer: answerInput.value,
+      aliases: lines(aliasesInput.value),
+      explanation: explanationInput.value.trim() || null,
+      tags: tagsInput.value,
+    }),
+  );
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.className = "row-action";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.addEventListener("click", () =>
+    row.replaceWith(renderRow(question)),
+  );
+
+  row.append(
+    cell([]),
+    cell([questionInput, aliasesInput]),
+    cell([answerInput, explanationInput]),
+    cell(tagsInput),
+    cell(collectionName(question.collectionId), "cell-collection"),
+    cell([saveBtn, cancelBtn]),
+  );
+  return row;
+}
+
+function cell(content, className = "") {
+  const td = document.createElement("td");
+  td.className = className;
+  td.append(...[].concat(content));
+  return td;
+}
+
+function textArea(value, rows) {
+  const textarea = document.createElement("textarea");
+  textarea.className = "input";
+  textarea.rows = rows;
+  textarea.value = value;
+  return textarea;
+}
+
+function lines(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function isUnverified(question) {
+  return (
+    question.metadata?.source === "ai" && question.metadata.verified === false
+  );
+}
+
+function collectionName(collectionId) {
+  return (
+    collections.find((collection) => collection.id === collectionId)?.name ||
+    ""
+  );
+}
+
+async function saveQuestion(question, changes) {
+  try {
+    await send("UPDATE_QUESTION", { id: question.id, changes });
+    showStatus("success", "Question saved");
+    await loadQuestions();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+function openAddForm() {
+  if (collections.length === 0) {
+    showStatus("error", "Upload a file first to create a collection");
+    return;
+  }
+
+  addCollection.value = collectionFilter.value || collections[0].id;
+  addQuestion.value = "";
+  addAnswer.value = "";
+  addTags.value = "";
+  addForm.hidden = false;
+  addQuestion.focus();
+}
+
+async function saveNewQuestion() {
+  try {
+    await send("ADD_QUESTION", {
+      collectionId: addCollection.value,
+      question: {
+        question: addQuestion.value,
+        answer: addAnswer.value,
+        tags: addTags.value,
+      },
+    });
+    addForm.hidden = true;
+    showStatus("success", "Question added");
+    await loadCollections();
+    await loadQuestions();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+async function openMatchingForm() {
+  try {
+    matchingProfiles = await send("GET_MATCHING_PROFILES");
+    matchingProfile.value = matchingProfiles.selected;
+    renderMatchingFields();
+    matchingForm.hidden = false;
+    showSemanticStatus();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+// The semantic settings do nothing until the model files are installed
+async function showSemanticStatus() {
+  try {
+    const { available, message } = await send("GET_SEMANTIC_STATUS");
+    semanticStatus.hidden = available;
+    semanticStatus.textContent = message || "";
+  } catch (error) {
+    console.error("Failed to load semantic matching status", error);
+  }
+}
+
+// The fields show the values of the profile picked in the list
+function renderMatchingFields() {
+  const { profiles, fields } = matchingProfiles;
+  const profile = profiles[matchingProfile.value];
+
+  matchingFields.replaceChildren(
+    ...fields.map((field) => {
+      const label = document.createElement("label");
+      const text = document.createElement("span");
+      text.textContent = field.label;
+
+      const input = document.createElement("input");
+      input.dataset.tier = field.tier;
+      input.dataset.key = field.key;
+      input.addEventListener("change", customizeProfile);
+
+      if (field.key === "enabled") {
+        label.className = "field toggle";
+        input.type = "checkbox";
+        input.checked = profile[field.tier].enabled;
+        label.append(input, text);
+      } else {
+        label.className = "field";
+        input.type = "number";
+        input.className = "input";
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.integer ? 1 : 0.01;
+        input.value = profile[field.tier][field.key];
+        label.append(text, input);
+      }
+      return label;
+    }),
+  );
+}
+
+// Changing a value turns the profile shown into a custom one
+function customizeProfile() {
+  matchingProfiles.profiles.custom = readMatchingFields();
+  matchingProfile.value = "custom";
+}
+
+/**
+ * Read the matching profile fields
+ * @returns {Object} {tier: {setting: value}}
+ */
+function readMatchingFields() {
+  const profile = {};
+  for (const input of matchingFields.querySelectorAll("input")) {
+    const { tier, key } = input.dataset;
+    const value =
+      input.type === "checkbox" ? input.checked : Number(input.value);
+    profile[tier] = { ...profile[tier], [key]: value };
+  }
+  return profile;
+}
+
+async function saveMatchingProfile() {
+  const settings = { matchingProfile: matchingProfile.value };
+  if (settings.matchingProfile === "custom") {
+    settings.customMatchingProfile = readMatchingFields();
+  }
+
+  try {
+    await send("UPDATE_SETTINGS", settings);
+    matchingForm.hidden = true;
+    showStatus("success", "Matching profile saved");
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+async function openSynonymsForm() {
+  try {
+    const { text } = await send("GET_SYNONYMS");
+    synonymsInput.value = text;
+    synonymsForm.hidden = false;
+    synonymsInput.focus();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+// Imported rows are added to the saved groups
+async function importSynonyms() {
+  const [file] = synonymsFile.files;
+  synonymsFile.value = "";
+  if (!file) return;
+
+  await saveSynonyms(await file.text(), true);
+}
+
+async function saveSynonyms(text, append) {
+  synonymsSaveBtn.disabled = true;
+  synonymsImportBtn.disabled = true;
+  showStatus("success", "Saving synonyms and re-indexing questions...");
+
+  try {
+    const result = await send("SAVE_SYNONYMS", { text, append });
+    synonymsInput.value = result.text;
+
+    let message = `Saved ${result.groups} synonym group${result.groups === 1 ? "" : "s"}`;
+    if (result.skipped.length > 0) {
+      const lines = result.skipped.map((row) => row.line).join(", ");
+      message += ` (skipped line${result.skipped.length === 1 ? "" : "s"} ${lines}: a row needs at least two terms)`;
+    }
+    showStatus("success", message);
+  } catch (error) {
+    showStatus("error", error.message);
+  } finally {
+    synonymsSaveBtn.disabled = false;
+    synonymsImportBtn.disabled = false;
+  }
+}
+
+async function deleteQuestions(ids) {
+  const what = ids.length === 1 ? "this question" : `${ids.length} questions`;
+  if (!confirm(`Delete ${what}? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    const { deleted } = await send("DELETE_QUESTION", { ids });
+    ids.forEach((id) => selected.delete(id));
+    showStatus(
+      "success",
+      `Deleted ${deleted} question${deleted === 1 ? "" : "s"}`,
+    );
+    await loadCollections();
+    await loadQuestions();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+async function bulkTag(action) {
+  try {
+    const { updated } = await send("TAG_QUESTIONS", {
+      ids: [...selected],
+      [action]: bulkTags.value,
+    });
+    showStatus(
+      "success",
+      `Updated tags on ${updated} question${updated === 1 ? "" : "s"}`,
+    );
+    bulkTags.value = "";
+    await loadQuestions();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+async function verifyQuestions(ids) {
+  try {
+    const { updated } = await send("VERIFY_QUESTIONS", { ids });
+    showStatus(
+      "success",
+      `Verified ${updated} AI answer${updated === 1 ? "" : "s"}`,
+    );
+    await loadQuestions();
+  } catch (error) {
+    showStatus("error", error.message);
+  }
+}
+
+function bulkDelete() {
+  deleteQuestions([...selected]);
+}
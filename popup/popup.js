@@ -10,29 +10,76 @@ const uploadBtn = document.getElementById("uploadBtn");
 const dropZone = document.getElementById("dropZone");
 const fileName = document.getElementById("fileName");
 const uploadProgress = document.getElementById("uploadProgress");
+const progressBar = uploadProgress.querySelector(".progress-bar");
+const progressText = uploadProgress.querySelector(".progress-text");
 const uploadResult = document.getElementById("uploadResult");
+const uploadHint = document.getElementById("uploadHint");
 const totalQuestionsEl = document.getElementById("totalQuestions");
 const cacheSizeEl = document.getElementById("cacheSize");
 const lastImportEl = document.getElementById("lastImport");
+const aiStatsEl = document.getElementById("aiStats");
+const semanticStatusEl = document.getElementById("semanticStatus");
+const collectionsListEl = document.getElementById("collectionsList");
+const collectionsEmptyEl = document.getElementById("collectionsEmpty");
+const manageBtn = document.getElementById("manageBtn");
 
 const exportBtn = document.getElementById("exportBtn");
+const exportFormat = document.getElementById("exportFormat");
+const exportFilter = document.getElementById("exportFilter");
+const restoreBtn = document.getElementById("restoreBtn");
+const backupInput = document.getElementById("backupInput");
 const clearBtn = document.getElementById("clearBtn");
 const aiEnabledEl = document.getElementById("aiEnabled");
 
+// Extensions accepted by the background parsers (refreshed from LIST_FORMATS)
+let supportedExtensions = ["json", "txt", "csv", "tsv"];
+
+// Larger files are streamed in pieces (refreshed from LIST_FORMATS)
+let maxFileSize = 10 * 1024 * 1024;
+let streamChunkSize = 1024 * 1024;
+
+// Progress label of each import stage
+const IMPORT_STAGE_LABELS = {
+  parsing: "Reading file",
+  building: "Processing questions",
+  saving: "Saving",
+  embedding: "Preparing semantic matching",
+};
+
 // Initialize
 init();
 
 async function init() {
+  // Load supported file formats
+  await loadFormats();
+
   // Load stats
   await loadStats();
 
+  // Loading the model can take a moment, so nothing waits for it
+  loadSemanticStatus();
+
+  // Load collections
+  await loadCollections();
+
   // Load settings
   await loadSettings();
 
   // Check for persisted upload result (from background)
   try {
-    const result = await chrome.storage.local.get("uploadResult");
-    if (result.uploadResult) {
+    const result = await chrome.storage.local.get([
+      "uploadResult",
+      "streamUpload",
+    ]);
+    if (result.streamUpload) {
+      // A streamed upload was cut short when the popup closed
+      const { fileName: name, offset, fileSize } = result.streamUpload;
+      showResult(
+        "error",
+        `Upload of "${name}" stopped at ${Math.floor((offset / fileSize) * 100)}%. ` +
+          "Choose the file again to resume.",
+      );
+    } else if (result.uploadResult) {
       const { message, timestamp } = result.uploadResult;
       // Show if less than 5 minutes old
       if (Date.now() - timestamp < 300000) {
@@ -50,6 +97,14 @@ async function init() {
 }
 
 function setupEventListeners() {
+  // Progress of the upload being imported in the background
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === "IMPORT_PROGRESS") {
+      showImportProgress(message.payload);
+    }
+    return false;
+  });
+
   // Click anywhere on upload area to open file picker
   dropZone.addEventListener("click", (e) => {
     // Prevent double trigger if clicking on the button
@@ -73,7 +128,13 @@ function setupEventListeners() {
 
   aiEnabledEl.addEventListener("change", saveSettings);
 
+  manageBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+
   exportBtn.addEventListener("click", handleExport);
+  exportFormat.addEventListener("change", updateExportFilter);
+  updateExportFilter();
+  restoreBtn.addEventListener("click", () => backupInput.click());
+  backupInput.addEventListener("change", handleRestore);
   clearBtn.addEventListener("click", handleClear);
 }
 
@@ -104,10 +165,11 @@ function handleDrop(e) {
   if (files.length > 0) {
     const file = files[0];
     // Check file type
-    if (file.name.endsWith(".json") || file.name.endsWith(".txt")) {
+    const extension = file.name.split(".").pop().toLowerCase();
+    if (supportedExtensions.includes(extension)) {
       processFile(file);
     } else {
-      showResult("error", "Please upload a JSON or TXT file");
+      showResult("error", `Please upload a ${uploadHint.dataset.formats} file`);
     }
   }
 }
@@ -122,9 +184,16 @@ async function handleFileUpload(event) {
 
 async function processFile(file) {
   fileName.textContent = file.name;
+  resetImportProgress();
+  uploadProgress.dataset.fileName = file.name;
   uploadProgress.hidden = false;
   uploadResult.hidden = true;
 
+  if (file.size > maxFileSize) {
+    await streamFile(file);
+    return;
+  }
+
   try {
     // Read file
     const fileContent = await readFile(file);
@@ -132,22 +201,24 @@ async function processFile(file) {
     // Send to background script
     const response = await chrome.runtime.sendMessage({
       type: "UPLOAD_FILE",
-      payload: { fileContent, fileName: file.name },
+      payload: {
+        fileContent,
+        fileName: file.name,
+        mode: getImportMode(),
+      },
       requestId: Date.now().toString(),
     });
 
     uploadProgress.hidden = true;
 
     if (response.type === "RESPONSE" && response.payload.success) {
-      showResult(
-        "success",
-        `Successfully loaded ${response.payload.totalQuestions} questions!`,
-      );
+      showResult("success", response.payload.message);
       await loadStats();
+      await loadCollections();
     } else {
       showResult(
         "error",
-        response.payload.error?.message || "Failed to upload file",
+        response.error?.error?.message || "Failed to upload file",
       );
     }
   } catch (error) {
@@ -156,6 +227,145 @@ async function processFile(file) {
   }
 }
 
+// Send a large file in pieces; each piece is committed before the next is
+// sent, so closing the popup loses nothing and the same file resumes later
+async function streamFile(file) {
+  try {
+    const upload = await sendStreamMessage("STREAM_UPLOAD_START", {
+      fileName: file.name,
+      fileSize: file.size,
+      lastModified: file.lastModified,
+      mode: getImportMode(),
+    });
+
+    const reader = file.slice(upload.offset).stream().getReader();
+    const decoder = new TextDecoder("utf-8", { fatal: true });
+    let offset = upload.offset;
+    let parts = [];
+    let buffered = 0;
+    showStreamProgress(offset, file.size);
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (value) {
+        parts.push(value);
+        buffered += value.length;
+      }
+      if (!done && buffered < streamChunkSize) continue;
+
+      // Pieces end on a whole character, the rest goes with the next piece
+      const bytes = joinBytes(parts, buffered);
+      const size = done ? bytes.length : utf8Boundary(bytes);
+      parts = [bytes.subarray(size)];
+      buffered = bytes.length - size;
+
+      let text;
+      try {
+        text = decoder.decode(bytes.subarray(0, size));
+      } catch (e) {
+        throw new Error("Invalid file encoding. Please use UTF-8.");
+      }
+
+      const result = await sendStreamMessage("STREAM_UPLOAD_CHUNK", {
+        uploadId: upload.uploadId,
+        offset,
+        size,
+        text,
+        final: done,
+      });
+      offset += size;
+
+      if (done) {
+        uploadProgress.hidden = true;
+        showResult("success", result.message);
+        await loadStats();
+        await loadCollections();
+        return;
+      }
+      showStreamProgress(offset, file.size);
+    }
+  } catch (error) {
+    uploadProgress.hidden = true;
+    showResult("error", error.message || "Failed to upload file");
+  }
+}
+
+// Send a streamed upload message and return its payload
+async function sendStreamMessage(type, payload) {
+  const response = await chrome.runtime.sendMessage({
+    type,
+    payload,
+    requestId: Date.now().toString(),
+  });
+
+  if (response.type !== "RESPONSE") {
+    throw new Error(response.error?.error?.message || "Failed to upload file");
+  }
+  return response.payload;
+}
+
+// Concatenate the byte arrays read from the file
+function joinBytes(parts, length) {
+  if (parts.length === 1) return parts[0];
+
+  const bytes = new Uint8Array(length);
+  let position = 0;
+  for (const part of parts) {
+    bytes.set(part, position);
+    position += part.length;
+  }
+  return bytes;
+}
+
+// Length of the longest prefix that ends on a whole UTF-8 character
+function utf8Boundary(bytes) {
+  let start = bytes.length;
+  while (start > 0 && (bytes[start - 1] & 0xc0) === 0x80) start--;
+  if (start === 0) return bytes.length;
+
+  const lead = bytes[start - 1];
+  const length = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+  return start - 1 + length <= bytes.length ? bytes.length : start - 1;
+}
+
+// Show how much of a streamed file was imported
+function showStreamProgress(offset, size) {
+  const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+  progressBar.classList.add("determinate");
+  progressBar.style.width = `${Math.round((offset / size) * 100)}%`;
+  progressText.textContent = `Importing... ${megabytes(offset)} / ${megabytes(size)} MB`;
+}
+
+// Show how far the background import got
+function showImportProgress({ fileName: name, stage, done, total }) {
+  if (uploadProgress.hidden || uploadProgress.dataset.fileName !== name) {
+    return;
+  }
+
+  const label = IMPORT_STAGE_LABELS[stage] || "Processing";
+  if (total > 0) {
+    progressBar.classList.add("determinate");
+    progressBar.style.width = `${Math.round((done / total) * 100)}%`;
+    progressText.textContent = `${label}... ${done.toLocaleString()} / ${total.toLocaleString()}`;
+  } else {
+    resetImportProgress();
+    progressText.textContent = `${label}...`;
+  }
+}
+
+// Put the progress bar back in its indeterminate state
+function resetImportProgress() {
+  progressBar.classList.remove("determinate");
+  progressBar.style.width = "";
+  progressText.textContent = "Processing...";
+}
+
+function getImportMode() {
+  const selected = document.querySelector('input[name="importMode"]:checked');
+  return selected ? selected.value : "replace";
+}
+
 function readFile(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -174,6 +384,36 @@ function showResult(type, message) {
   // Timeout removed based on user request
 }
 
+async function loadFormats() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "LIST_FORMATS",
+      requestId: Date.now().toString(),
+    });
+
+    if (response.type === "RESPONSE") {
+      const { formats, accept } = response.payload;
+      maxFileSize = response.payload.maxFileSize || maxFileSize;
+      streamChunkSize = response.payload.streamChunkSize || streamChunkSize;
+      const names = formats.map((format) => format.name);
+      const namesText =
+        names.length > 1
+          ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}`
+          : names.join("");
+
+      supportedExtensions = formats.flatMap((format) => format.extensions);
+      fileInput.accept = accept;
+      uploadHint.dataset.formats = namesText;
+      uploadHint.textContent = `Supports ${names.join(", ")} formats`;
+      uploadHint.title = formats
+        .map((format) => `${format.name}: ${format.description}`)
+        .join("\n");
+    }
+  } catch (error) {
+    console.error("Failed to load formats", error);
+  }
+}
+
 async function loadStats() {
   try {
     const response = await chrome.runtime.sendMessage({
@@ -186,6 +426,13 @@ async function loadStats() {
       totalQuestionsEl.textContent = stats.totalQuestions || 0;
       cacheSizeEl.textContent = stats.cache?.size || 0;
 
+      // Saved AI answers
+      const aiCount = stats.aiQuestions || 0;
+      aiStatsEl.hidden = aiCount === 0;
+      aiStatsEl.textContent =
+        `${aiCount} saved AI answer${aiCount === 1 ? "" : "s"}, ` +
+        `${stats.unverifiedQuestions} not verified`;
+
       if (stats.lastImport) {
         const date = new Date(stats.lastImport);
         lastImportEl.textContent = `Last import: ${date.toLocaleString()}`;
@@ -198,6 +445,156 @@ async function loadStats() {
   }
 }
 
+// Say so when semantic matching cannot run (model files not installed)
+async function loadSemanticStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "GET_SEMANTIC_STATUS",
+      requestId: Date.now().toString(),
+    });
+
+    if (response.type === "RESPONSE") {
+      semanticStatusEl.hidden = response.payload.available;
+      semanticStatusEl.textContent = response.payload.message || "";
+    }
+  } catch (error) {
+    console.error("Failed to load semantic matching status", error);
+  }
+}
+
+async function loadCollections() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "LIST_COLLECTIONS",
+      requestId: Date.now().toString(),
+    });
+
+    if (response.type === "RESPONSE") {
+      renderCollections(response.payload.collections);
+    }
+  } catch (error) {
+    console.error("Failed to load collections", error);
+  }
+}
+
+function renderCollections(collections) {
+  collectionsListEl.replaceChildren();
+  collectionsEmptyEl.hidden = collections.length > 0;
+
+  for (const collection of collections) {
+    const item = document.createElement("li");
+    item.className = "collection-item";
+    item.classList.toggle("disabled", !collection.enabled);
+
+    // Enable/disable toggle
+    const toggle = document.createElement("label");
+    toggle.className = "toggle";
+    toggle.title = collection.enabled
+      ? "Disable this collection"
+      : "Enable this collection";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = collection.enabled;
+    checkbox.addEventListener("change", () =>
+      setCollectionEnabled(collection.id, checkbox.checked),
+    );
+    const slider = document.createElement("span");
+    slider.className = "toggle-slider";
+    toggle.append(checkbox, slider);
+
+    // Name and question count
+    const info = document.createElement("div");
+    info.className = "collection-info";
+    const name = document.createElement("span");
+    name.className = "collection-name";
+    name.textContent = collection.name;
+    name.title = collection.sourceFileName || collection.name;
+    const count = document.createElement("span");
+    count.className = "collection-count";
+    count.textContent = `${collection.questionCount} questions`;
+    info.append(name, count);
+
+    const renameBtn = document.createElement("button");
+    renameBtn.className = "collection-action";
+    renameBtn.textContent = "Rename";
+    renameBtn.addEventListener("click", () => renameCollection(collection));
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "collection-action danger";
+    deleteBtn.textContent = "Delete";
+    deleteBtn.addEventListener("click", () => deleteCollection(collection));
+
+    item.append(toggle, info, renameBtn, deleteBtn);
+    collectionsListEl.appendChild(item);
+  }
+}
+
+async function setCollectionEnabled(collectionId, enabled) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: "SET_COLLECTION_ENABLED",
+      payload: { collectionId, enabled },
+      requestId: Date.now().toString(),
+    });
+  } catch (error) {
+    showResult("error", "Failed to update collection");
+  }
+  await loadCollections();
+}
+
+async function renameCollection(collection) {
+  const name = prompt("Rename collection", collection.name);
+  if (name === null || name.trim() === "" || name === collection.name) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "RENAME_COLLECTION",
+      payload: { collectionId: collection.id, name },
+      requestId: Date.now().toString(),
+    });
+
+    if (response.type !== "RESPONSE") {
+      showResult(
+        "error",
+        response.error?.error?.message || "Failed to rename collection",
+      );
+    }
+  } catch (error) {
+    showResult("error", "Failed to rename collection");
+  }
+  await loadCollections();
+}
+
+async function deleteCollection(collection) {
+  if (
+    !confirm(
+      `Delete "${collection.name}" and its ${collection.questionCount} questions? This cannot be undone.`,
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "DELETE_COLLECTION",
+      payload: { collectionId: collection.id },
+      requestId: Date.now().toString(),
+    });
+
+    if (response.type === "RESPONSE") {
+      showResult("success", `Deleted "${collection.name}"`);
+    } else {
+      showResult("error", "Failed to delete collection");
+    }
+  } catch (error) {
+    showResult("error", "Failed to delete collection");
+  }
+  await loadStats();
+  await loadCollections();
+}
+
 async function loadSettings() {
   try {
     // Load directly from chrome.storage.local - this is the source of truth
@@ -256,29 +653,95 @@ async function handleExport() {
   try {
     const response = await chrome.runtime.sendMessage({
       type: "EXPORT_DATA",
+      payload: { format: exportFormat.value, filter: exportFilter.value },
       requestId: Date.now().toString(),
     });
 
     if (response.type === "RESPONSE") {
       const data = response.payload;
-      const blob = new Blob([JSON.stringify(data, null, 2)], {
-        type: "application/json",
-      });
+
+      // Non-JSON formats arrive already serialized
+      const file =
+        data.content !== undefined
+          ? {
+              content: data.content,
+              mimeType: data.mimeType,
+              fileName: data.fileName,
+            }
+          : {
+              content: JSON.stringify(data, null, 2),
+              mimeType: "application/json",
+              fileName: `answerfinder-export-${Date.now()}.json`,
+            };
+
+      const blob = new Blob([file.content], { type: file.mimeType });
       const url = URL.createObjectURL(blob);
 
       const a = document.createElement("a");
       a.href = url;
-      a.download = `answerfinder-export-${Date.now()}.json`;
+      a.download = file.fileName;
       a.click();
 
       URL.revokeObjectURL(url);
       showResult("success", "Data exported successfully!");
+    } else {
+      showResult(
+        "error",
+        response.error?.error?.message || "Failed to export data",
+      );
     }
   } catch (error) {
     showResult("error", "Failed to export data");
   }
 }
 
+// The backup always holds everything
+function updateExportFilter() {
+  exportFilter.disabled = exportFormat.value === "json";
+}
+
+async function handleRestore(event) {
+  const file = event.target.files[0];
+  backupInput.value = "";
+  if (!file) return;
+
+  if (
+    !confirm(
+      `Restore "${file.name}"? All current questions, collections and settings will be replaced.`,
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "IMPORT_BACKUP",
+      payload: { fileContent: await readFile(file) },
+      requestId: Date.now().toString(),
+    });
+
+    if (response.type === "RESPONSE") {
+      const { questions, collections } = response.payload;
+      showResult(
+        "success",
+        `Restored ${questions} questions in ${collections} collections`,
+      );
+      await loadStats();
+      await loadCollections();
+      await loadSettings();
+    } else {
+      showResult(
+        "error",
+        response.error?.error?.details?.reason ||
+          response.error?.error?.message ||
+          "Failed to restore backup",
+      );
+    }
+  } catch (error) {
+    showResult("error", "Failed to restore backup");
+  }
+}
+
 async function handleClear() {
   if (
     !confirm("Are you sure you want to clear all data? This cannot be undone.")
@@ -295,6 +758,7 @@ async function handleClear() {
     if (response.type === "RESPONSE" && response.payload.success) {
       showResult("success", "All data cleared successfully!");
       await loadStats();
+      await loadCollections();
     } else {
       showResult("error", "Failed to clear data");
     }
@@ -0,0 +1,31 @@
+#!/usr/bin/env bash
+# Download the files semantic matching needs into the extension folder:
+#   lib/vendor/onnxruntime-web/  ONNX Runtime Web (from npm)
+#   models/all-MiniLM-L6-v2/     quantized MiniLM model and vocabulary (from Hugging Face)
+# Requires npm, tar and curl. Reload the extension afterwards.
+set -eu
+
+ORT_VERSION="1.20.1"
+MODEL_URL="https://huggingface.co/Xenova/all-MiniLM-L6-v2/resolve/main"
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+RUNTIME_DIR="$ROOT/lib/vendor/onnxruntime-web"
+MODEL_DIR="$ROOT/models/all-MiniLM-L6-v2"
+
+TMP="$(mktemp -d)"
+trap 'rm -rf "$TMP"' EXIT
+
+echo "Fetching onnxruntime-web $ORT_VERSION"
+(cd "$TMP" && npm pack --silent "onnxruntime-web@$ORT_VERSION" > /dev/null)
+tar -xzf "$TMP"/onnxruntime-web-*.tgz -C "$TMP"
+mkdir -p "$RUNTIME_DIR"
+for file in ort.wasm.min.mjs ort-wasm-simd-threaded.mjs ort-wasm-simd-threaded.wasm; do
+  cp "$TMP/package/dist/$file" "$RUNTIME_DIR/"
+done
+
+echo "Fetching all-MiniLM-L6-v2"
+mkdir -p "$MODEL_DIR"
+curl -fL --retry 3 -o "$MODEL_DIR/model_quantized.onnx" "$MODEL_URL/onnx/model_quantized.onnx"
+curl -fL --retry 3 -o "$MODEL_DIR/vocab.txt" "$MODEL_URL/vocab.txt"
+
+echo "Done. Reload the extension to enable semantic matching."
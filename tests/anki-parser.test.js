@@ -0,0 +1,48 @@
+/**
+ * @file anki-parser.test.js
+ * @description Tests of the HTML fields of lib/parsers/anki-parser
+ * @module tests/anki-parser.test
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { ankiParser } from "../lib/parsers/anki-parser.js";
+
+/**
+ * Parse a one-note HTML export
+ * @param {string} front - Front field HTML
+ * @param {string} back - Back field HTML
+ * @returns {Promise<Object>} Original fields of the question
+ */
+async function parseNote(front, back) {
+  const { questions } = await ankiParser.parse(
+    `#separator:tab\n#html:true\n${front}\t${back}\n`,
+    "deck.txt",
+  );
+  return questions[0].original;
+}
+
+test("HTML answers keep line breaks, emphasis and links as Markdown", async () => {
+  const original = await parseNote(
+    "What is <b>HTTP</b>?",
+    'A protocol<br>for the <i>web</i><div><br></div><div>See <a href="https://example.com/http">the spec</a></div>',
+  );
+  assertEqual(original.question, "What is HTTP?", "Question");
+  assertEqual(
+    original.answer,
+    "A protocol\\\nfor the *web*\n\nSee [the spec](https://example.com/http)",
+    "Answer",
+  );
+  assertEqual(original.answerFormat, "markdown", "Answer format");
+});
+
+test("HTML lists become Markdown lists", async () => {
+  const original = await parseNote(
+    "Name the steps of the scientific method",
+    "Steps:<ol><li>Observe</li><li>Hypothesize</li></ol><ul><li>Repeat &amp; <b>share</b></li></ul>",
+  );
+  assertEqual(
+    original.answer,
+    "Steps:\n\n1. Observe\n2. Hypothesize\n\n- Repeat & **share**",
+    "Answer",
+  );
+});
@@ -0,0 +1,80 @@
+/**
+ * @file harness.js
+ * @description Minimal test registry and assertions for the test page
+ * @module tests/harness
+ *
+ * Test files call test() when imported; tests.js imports them and runs
+ * every registered test with runTests().
+ */
+
+const tests = [];
+
+/**
+ * Register a test
+ * @param {string} name - What the test checks
+ * @param {Function} fn - () => void or Promise; throws to fail
+ */
+export function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Run every registered test, one after another
+ * @param {Function} onResult - ({name, passed, error}) => void, called after each test
+ * @returns {Promise<number>} Number of failed tests
+ */
+export async function runTests(onResult) {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      onResult({ name, passed: true, error: null });
+    } catch (error) {
+      failed++;
+      onResult({ name, passed: false, error });
+    }
+  }
+  return failed;
+}
+
+/**
+ * Fail unless a value is truthy
+ * @param {any} value - Value to check
+ * @param {string} message - What was expected
+ */
+export function assert(value, message) {
+  if (!value) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Fail unless two values are equal (compared as JSON)
+ * @param {any} actual - Value produced
+ * @param {any} expected - Value expected
+ * @param {string} message - What was compared
+ */
+export function assertEqual(actual, expected, message) {
+  const actualJson = JSON.stringify(actual);
+  const expectedJson = JSON.stringify(expected);
+  if (actualJson !== expectedJson) {
+    throw new Error(`${message}: expected ${expectedJson}, got ${actualJson}`);
+  }
+}
+
+/**
+ * Fail unless a function throws an error with a code
+ * @param {Function} fn - Function expected to throw
+ * @param {string} code - Expected error code
+ * @param {string} message - What was expected
+ */
+export function assertThrows(fn, code, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (error.code === code) return;
+    throw new Error(`${message}: threw ${error.code || error.message}`);
+  }
+  throw new Error(`${message}: did not throw`);
+}
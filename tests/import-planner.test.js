@@ -0,0 +1,58 @@
+/**
+ * @file import-planner.test.js
+ * @description Tests of lib/storage/import-planner, through a file import
+ * @module tests/import-planner.test
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { withDatabase } from "./test-database.js";
+import { jsonParser } from "../lib/parsers/json-parser.js";
+import { IMPORT_MODES } from "../lib/utils/constants.js";
+
+const STEM = "Which of the following is true?";
+const DECK = JSON.stringify([
+  { question: STEM, options: ["Water is dry", "Fire is cold"], correct: "B" },
+  {
+    question: STEM,
+    options: ["The sun is a star", "The moon is a star"],
+    correct: "A",
+  },
+  { question: STEM, options: ["2 + 2 = 5", "2 + 2 = 4"], correct: "B" },
+]);
+
+test("multiple-choice questions that share a stem are all stored", () =>
+  withDatabase(async (database) => {
+    const { questions } = await jsonParser.parse(DECK, "deck.json");
+    const collection = await database.createCollection("Test");
+    const result = await database.importQuestions(
+      collection.id,
+      questions,
+      IMPORT_MODES.REPLACE,
+    );
+
+    assertEqual(
+      { added: result.added, duplicates: result.duplicates },
+      { added: 3, duplicates: 0 },
+      "Import counts",
+    );
+    const stored = await database.getQuestionsByCollection(collection.id);
+    assertEqual(
+      stored.map((question) => question.original.answer).sort(),
+      ["2 + 2 = 4", "Fire is cold", "The sun is a star"],
+      "Stored answers",
+    );
+  }));
+
+test("importing a multiple-choice deck again changes nothing", () =>
+  withDatabase(async (database) => {
+    const collection = await database.createCollection("Test");
+    for (const expected of [3, 0]) {
+      const { questions } = await jsonParser.parse(DECK, "deck.json");
+      const result = await database.importQuestions(
+        collection.id,
+        questions,
+        IMPORT_MODES.MERGE,
+      );
+      assertEqual(result.added, expected, "Added questions");
+    }
+  }));
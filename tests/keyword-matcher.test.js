@@ -0,0 +1,32 @@
+/**
+ * @file keyword-matcher.test.js
+ * @description Tests of lib/matching/keyword-matcher
+ * @module tests/keyword-matcher.test
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { keywordMatch } from "../lib/matching/keyword-matcher.js";
+import { SynonymDictionary } from "../lib/normalization/synonyms.js";
+import { extractKeywords } from "../lib/normalization/keyword-extractor.js";
+import { buildQuestionObject } from "../lib/parsers/question-builder.js";
+
+test("synonyms match inside multi-word keywords", async () => {
+  const question = await buildQuestionObject(
+    "What is the automobile tax rate?",
+    "20%",
+    1,
+    "test",
+  );
+  const matches = keywordMatch(
+    extractKeywords("what is the car tax rate", { language: "en" }),
+    [question],
+    1,
+    new SynonymDictionary([["car", "automobile"]]),
+    "en",
+  );
+  assertEqual(
+    matches.map((match) => match.question.original.question),
+    ["What is the automobile tax rate?"],
+    "Keyword matches",
+  );
+});
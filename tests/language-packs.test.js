@@ -0,0 +1,53 @@
+/**
+ * @file language-packs.test.js
+ * @description Tests of language detection in lib/normalization/language-packs,
+ * and of the language filter of candidate retrieval
+ * @module tests/language-packs.test
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { withQuestions } from "./test-database.js";
+import { detectLanguage } from "../lib/normalization/language-packs.js";
+
+const QUERY = "who wrote Don Quixote de la Mancha";
+
+test("English query with foreign proper nouns is English", () => {
+  assertEqual(
+    [QUERY, "¿Quién escribió Don Quijote de la Mancha?"].map(detectLanguage),
+    ["en", "es"],
+    "Languages",
+  );
+});
+
+test("English query with foreign proper nouns finds the English question", () =>
+  withQuestions(
+    ["Who wrote Don Quixote?", "Name the capital of France."],
+    async (database) => {
+      const candidates = await database.searchCandidates(
+        QUERY,
+        null,
+        undefined,
+        detectLanguage(QUERY),
+      );
+      assertEqual(
+        candidates.map((question) => question.original.question),
+        ["Who wrote Don Quixote?"],
+        "Candidates",
+      );
+    },
+  ));
+
+test("questions of another language are candidates when none match the query's", () =>
+  withQuestions(["Who wrote Don Quixote?"], async (database) => {
+    const candidates = await database.searchCandidates(
+      QUERY,
+      null,
+      undefined,
+      "es",
+    );
+    assertEqual(
+      candidates.map((question) => question.original.question),
+      ["Who wrote Don Quixote?"],
+      "Candidates",
+    );
+  }));
@@ -0,0 +1,37 @@
+/**
+ * @file matching-engine.test.js
+ * @description Tests of the scoring requests of lib/matching/matching-engine
+ * @module tests/matching-engine.test
+ */
+
+import { test, assert, assertEqual } from "./harness.js";
+import { withQuestions } from "./test-database.js";
+import { MatchingEngine } from "../lib/matching/matching-engine.js";
+import { LRUCache } from "../lib/storage/cache-manager.js";
+import { scoreCandidates } from "../lib/workers/tasks.js";
+
+test("fuzzy and partial tiers get only what they score", () =>
+  withQuestions(["What is the capital city of France?"], async (database) => {
+    const requests = [];
+    const engine = new MatchingEngine(database, new LRUCache(), (request) => {
+      requests.push(structuredClone(request));
+      return scoreCandidates(request);
+    });
+
+    const result = await engine.findAnswer(
+      "What is the capitol city of France",
+      { useCache: false, aiEnabled: false },
+    );
+
+    assertEqual(requests.length, 1, "Scoring requests");
+    const [candidate] = requests[0].candidates;
+    assertEqual(
+      Object.keys(candidate).sort(),
+      ["id", "language", "original", "processed"],
+      "Candidate fields",
+    );
+    assertEqual(candidate.original.answer, undefined, "Candidate answer");
+    assert(result.success, "Query should match");
+    assertEqual(result.match.matchType, "fuzzy", "Match type");
+    assertEqual(result.match.question.original.answer, "Answer 1", "Answer");
+  }));
@@ -0,0 +1,48 @@
+/**
+ * @file matching-profiles.test.js
+ * @description Tests of lib/matching/matching-profiles
+ * @module tests/matching-profiles.test
+ */
+
+import { test, assertEqual, assertThrows } from "./harness.js";
+import {
+  getMatchingProfile,
+  validateMatchingSettings,
+} from "../lib/matching/matching-profiles.js";
+import { ERROR_CODES } from "../lib/utils/constants.js";
+
+test("custom semantic threshold below 1 is accepted", () => {
+  const settings = validateMatchingSettings({
+    matchingProfile: "custom",
+    customMatchingProfile: { semantic: { minSimilarity: 0.95 } },
+  });
+  assertEqual(
+    getMatchingProfile(settings).semantic.minSimilarity,
+    0.95,
+    "Semantic threshold",
+  );
+});
+
+test("custom semantic threshold of 1 is rejected", () => {
+  assertThrows(
+    () =>
+      validateMatchingSettings({
+        matchingProfile: "custom",
+        customMatchingProfile: { semantic: { minSimilarity: 1 } },
+      }),
+    ERROR_CODES.INVALID_INPUT,
+    "Semantic threshold of 1",
+  );
+});
+
+test("saved semantic threshold of 1 falls back to balanced", () => {
+  const profile = getMatchingProfile({
+    matchingProfile: "custom",
+    customMatchingProfile: { semantic: { minSimilarity: 1 } },
+  });
+  assertEqual(
+    profile.semantic.minSimilarity,
+    getMatchingProfile({}).semantic.minSimilarity,
+    "Semantic threshold",
+  );
+});
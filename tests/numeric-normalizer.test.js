@@ -0,0 +1,48 @@
+/**
+ * @file numeric-normalizer.test.js
+ * @description Tests of lib/normalization/numeric-normalizer
+ * @module tests/numeric-normalizer.test
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { canonicalizeNumbers } from "../lib/normalization/numeric-normalizer.js";
+
+test("pronoun one is left as written", () => {
+  assertEqual(
+    ["Which one is faster?", "the first one"].map((text) =>
+      canonicalizeNumbers(text, "en"),
+    ),
+    ["Which one is faster?", "the 1st one"],
+    "Pronoun one",
+  );
+});
+
+test("number one becomes a digit", () => {
+  assertEqual(
+    ["one", "one kilometre", "twenty-one"].map((text) =>
+      canonicalizeNumbers(text, "en"),
+    ),
+    ["1", "1 km", "21"],
+    "Number one",
+  );
+});
+
+test("unit names are canonicalized only after a number", () => {
+  assertEqual(
+    ["Define mile stone", "a mile", "ten miles", "5-mile run"].map((text) =>
+      canonicalizeNumbers(text, "en"),
+    ),
+    ["Define mile stone", "a mile", "10 mi", "5 mi run"],
+    "Units",
+  );
+});
+
+test("ambiguous numeric dates are left as written", () => {
+  assertEqual(
+    ["3/4/2024", "25/12/2020", "12/25/2020"].map((text) =>
+      canonicalizeNumbers(text, "en"),
+    ),
+    ["3/4/2024", "2020-12-25", "2020-12-25"],
+    "Dates",
+  );
+});
@@ -0,0 +1,62 @@
+/**
+ * @file semantic-index.test.js
+ * @description Tests of the language filter of lib/embeddings/semantic-index
+ * @module tests/semantic-index.test
+ *
+ * The model is replaced with one that returns a fixed vector, so these run
+ * without the model files.
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { withQuestions } from "./test-database.js";
+import { SemanticIndex } from "../lib/embeddings/semantic-index.js";
+
+const ENGLISH = "What is the capital of France?";
+const SPANISH = "¿Cuál es la capital de Francia?";
+
+/**
+ * Model stand-in that records the texts it embeds
+ * @returns {{embedded: string[], load: Function, embed: Function}} Model
+ */
+function createModel() {
+  const model = {
+    embedded: [],
+    load: async () => ({}),
+    embed: async (texts) => {
+      model.embedded.push(...texts);
+      return texts.map(() => Float32Array.of(1, 0));
+    },
+  };
+  return model;
+}
+
+test("only English questions are embedded", () =>
+  withQuestions([ENGLISH, SPANISH], async (database) => {
+    const model = createModel();
+    await new SemanticIndex(database, model).update();
+
+    assertEqual(model.embedded, [ENGLISH], "Embedded texts");
+    assertEqual(
+      await database.getUnembeddedQuestionIds(),
+      [],
+      "Questions left to embed",
+    );
+  }));
+
+test("searches in other languages skip the model", () =>
+  withQuestions([ENGLISH], async (database) => {
+    const model = createModel();
+    const index = new SemanticIndex(database, model);
+    await index.update();
+    model.embedded = [];
+
+    assertEqual(
+      await index.search({ text: SPANISH, language: "es" }),
+      [],
+      "Spanish results",
+    );
+    assertEqual(model.embedded, [], "Embedded texts");
+
+    const results = await index.search({ text: ENGLISH, language: "en" });
+    assertEqual(results.length, 1, "English results");
+  }));
@@ -0,0 +1,76 @@
+/**
+ * @file technical-text.test.js
+ * @description Tests of lib/normalization/technical-text, through keywords,
+ * candidate retrieval and partial matching
+ * @module tests/technical-text.test
+ */
+
+import { test, assert, assertEqual } from "./harness.js";
+import { withQuestions } from "./test-database.js";
+import { getSpanOperands } from "../lib/normalization/technical-text.js";
+import { extractKeywords } from "../lib/normalization/keyword-extractor.js";
+import { normalizeForMatching } from "../lib/normalization/text-normalizer.js";
+import { partialMatch } from "../lib/matching/partial-matcher.js";
+import { getMatchingProfile } from "../lib/matching/matching-profiles.js";
+
+test("formula spans are split into operands", () => {
+  assertEqual(
+    ["a^2+b^2=c^2", "std::vector", "o(n_log_n)", "c++"].map(getSpanOperands),
+    [["a^2", "b^2", "c^2"], [], [], []],
+    "Operands",
+  );
+});
+
+test("formula operands are keywords", () => {
+  const words = extractKeywords("a^2 + b^2", { language: "en" }).map(
+    (keyword) => keyword.word,
+  );
+  assert(
+    words.includes("a^2") && words.includes("b^2"),
+    `Operands missing from keywords ${JSON.stringify(words)}`,
+  );
+});
+
+test("part of a formula finds the question and scores as a partial match", () =>
+  withQuestions(
+    [
+      "Prove that a^2 + b^2 = c^2",
+      "What does std::vector do?",
+      "Name the capital of France.",
+    ],
+    async (database) => {
+      const query = "a^2 + b^2";
+      const candidates = await database.searchCandidates(query);
+      assertEqual(
+        candidates.map((question) => question.original.question),
+        ["Prove that a^2 + b^2 = c^2"],
+        "Candidates",
+      );
+
+      const settings = { ...getMatchingProfile().partial, minScore: 0 };
+      const [match] = partialMatch(
+        normalizeForMatching(query),
+        candidates,
+        1,
+        settings,
+      );
+      assert(match?.rawScore > 0, "Partial score of the formula part");
+    },
+  ));
+
+test("bare code span finds the question as a candidate", () =>
+  withQuestions(
+    [
+      "What does std::vector do?",
+      "What is a linked list?",
+      "Prove that a^2 + b^2 = c^2",
+    ],
+    async (database) => {
+      const candidates = await database.searchCandidates("std::vector");
+      assertEqual(
+        candidates.map((question) => question.original.question),
+        ["What does std::vector do?"],
+        "Candidates",
+      );
+    },
+  ));
@@ -0,0 +1,39 @@
+/**
+ * @file term-index.test.js
+ * @description Tests of lib/storage/term-index, through candidate retrieval
+ * @module tests/term-index.test
+ */
+
+import { test, assertEqual } from "./harness.js";
+import { withQuestions } from "./test-database.js";
+import { withStems } from "../lib/storage/term-index.js";
+import { stemKeyword } from "../lib/normalization/stemmer.js";
+
+test("index terms are stemmed like keywords", () => {
+  const terms = ["policies", "running", "ran"];
+  const stems = terms.map((term) => stemKeyword(term, "en"));
+  assertEqual(
+    withStems(terms, "en").slice(terms.length),
+    stems,
+    "Stems of the index terms",
+  );
+});
+
+test("inflected query finds the question as a candidate", () =>
+  withQuestions(
+    [
+      "Who started running?",
+      "Name the capital of France.",
+      "Which river is the longest?",
+    ],
+    async (database) => {
+      const candidates = await database.searchCandidates(
+        "When did runs start?",
+      );
+      assertEqual(
+        candidates.map((question) => question.original.question),
+        ["Who started running?"],
+        "Candidates",
+      );
+    },
+  ));
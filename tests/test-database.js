@@ -0,0 +1,65 @@
+/**
+ * @file test-database.js
+ * @description Throwaway database for the tests that search stored questions
+ * @module tests/test-database
+ */
+
+import { IndexedDBManager } from "../lib/storage/indexeddb-manager.js";
+import { buildQuestionObject } from "../lib/parsers/question-builder.js";
+import { IMPORT_MODES, TEST_CONFIG } from "../lib/utils/constants.js";
+
+/**
+ * Run a check on an empty test database, then delete the database
+ * @param {Function} check - (database) => void or Promise
+ * @returns {Promise<void>}
+ */
+export async function withDatabase(check) {
+  const database = new IndexedDBManager(TEST_CONFIG.DB_NAME);
+
+  try {
+    await deleteDatabase(database);
+    await check(database);
+  } finally {
+    await deleteDatabase(database);
+  }
+}
+
+/**
+ * Store questions in a "Test" collection of an empty test database, run a
+ * check on it, then delete the database
+ * @param {string[]} questions - Question texts
+ * @param {Function} check - (database) => void or Promise
+ * @returns {Promise<void>}
+ */
+export function withQuestions(questions, check) {
+  return withDatabase(async (database) => {
+    const built = await Promise.all(
+      questions.map((question, index) =>
+        buildQuestionObject(question, `Answer ${index + 1}`, index + 1, "test"),
+      ),
+    );
+    const collection = await database.createCollection("Test");
+    await database.importQuestions(collection.id, built, IMPORT_MODES.REPLACE);
+
+    await check(database);
+  });
+}
+
+/**
+ * Close and delete the test database
+ * @param {IndexedDBManager} database - Test database
+ * @returns {Promise<void>}
+ */
+function deleteDatabase(database) {
+  if (database.db) {
+    database.db.close();
+    database.db = null;
+    database.isInitialized = false;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(database.dbName);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * @file tests.js
+ * @description Test page: runs the tests in this folder and lists the results
+ * @module tests/tests
+ *
+ * Open chrome-extension://<id>/tests/tests.html. Tests that need a
+ * database use their own, so the questions you imported are never touched.
+ */
+
+import { runTests } from "./harness.js";
+import "./anki-parser.test.js";
+import "./import-planner.test.js";
+import "./keyword-matcher.test.js";
+import "./language-packs.test.js";
+import "./matching-engine.test.js";
+import "./matching-profiles.test.js";
+import "./numeric-normalizer.test.js";
+import "./semantic-index.test.js";
+import "./technical-text.test.js";
+import "./term-index.test.js";
+
+// DOM elements
+const statusEl = document.getElementById("status");
+const resultsBody = document.getElementById("resultsBody");
+
+run();
+
+/**
+ * Run every test and add a row per result
+ */
+async function run() {
+  statusEl.textContent = "Running...";
+
+  let total = 0;
+  const failed = await runTests(({ name, passed, error }) => {
+    total++;
+    renderRow(name, passed, error);
+  });
+
+  statusEl.textContent = failed
+    ? `${failed} of ${total} tests failed`
+    : `All ${total} tests passed`;
+}
+
+/**
+ * Add a result row
+ * @param {string} name - Test name
+ * @param {boolean} passed - Whether the test passed
+ * @param {Error|null} error - Why it failed
+ */
+function renderRow(name, passed, error) {
+  const row = document.createElement("tr");
+  for (const text of [name, passed ? "Pass" : error.message]) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+  row.lastChild.className = passed ? "pass" : "fail";
+  resultsBody.appendChild(row);
+}